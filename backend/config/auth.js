@@ -0,0 +1,39 @@
+// backend/config/auth.js
+const dotenv = require('dotenv');
+
+dotenv.config(); // Load .env variables
+
+// Central place for authentication/session settings so controllers and middleware agree on them.
+// All values can be overridden from the .env file.
+module.exports = {
+    // Short-lived JWT sent as "Authorization: Bearer <token>" on every request
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+
+    // Long-lived refresh token used to obtain new access tokens (rotated on every use)
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+
+    // How long an emailed password reset link stays valid
+    passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+
+    // How long an email confirmation link (signup or email change) stays valid
+    emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+
+    // Name shown next to the code in authenticator apps
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Patwa.Toli',
+
+    // How long the challenge token from a password login may be exchanged for a session with a 2FA code
+    twoFactorChallengeTtl: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m',
+
+    // When true, admins must have 2FA enabled before the `admin` middleware lets them through
+    requireAdminTwoFactor: process.env.REQUIRE_ADMIN_2FA === 'true',
+
+    // --- Login brute-force protection ---
+    // Failures are counted per username and per IP. Once a counter reaches its limit the key is locked
+    // for lockoutBaseSeconds, doubling with every further failure (capped at lockoutMaxMinutes).
+    // The IP limit is higher because a whole village may share one NAT address.
+    loginMaxFailuresPerUsername: parseInt(process.env.LOGIN_MAX_FAILURES_PER_USERNAME) || 5,
+    loginMaxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 30,
+    loginFailureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+    lockoutBaseSeconds: parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 30,
+    lockoutMaxMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60,
+};
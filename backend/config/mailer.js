@@ -0,0 +1,80 @@
+// backend/config/mailer.js
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config(); // Load .env variables
+
+// Every mail transport exposes the same interface:
+//   { name: string, send(message) => Promise<object> }
+// where message is { from, to, subject, text, html }.
+// Pick one with MAIL_TRANSPORT=console|file|smtp (defaults to 'console' so development works offline).
+
+// Prints mails to the server log - handy for local development
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`
+--------------------MAIL--------------------
+To: ${message.to}
+Subject: ${message.subject}
+
+${message.text}
+--------------------------------------------
+        `);
+        return { accepted: [message.to] };
+    }
+});
+
+// Writes each mail as a JSON file into MAIL_OUTBOX_DIR - used for offline testing
+const createFileTransport = () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+    return {
+        name: 'file',
+        outboxDir,
+        send: async (message) => {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            const safeRecipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+            const filePath = path.join(outboxDir, `${Date.now()}-${safeRecipient}.json`);
+            await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+            return { accepted: [message.to], filePath };
+        }
+    };
+};
+
+// Real delivery through an SMTP server (requires the 'nodemailer' package and SMTP_* variables)
+const createSmtpTransport = () => {
+    const nodemailer = require('nodemailer'); // Required lazily so console/file transports need no extra package
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+const transportFactories = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+    smtp: createSmtpTransport
+};
+
+const transportName = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+if (!transportFactories[transportName]) {
+    console.error(`FATAL ERROR: Unknown MAIL_TRANSPORT "${transportName}". Use one of: ${Object.keys(transportFactories).join(', ')}.`);
+    process.exit(1);
+}
+
+let transport = transportFactories[transportName]();
+console.log('Mail transport configured:', transport.name);
+
+module.exports = {
+    from: process.env.MAIL_FROM || 'Patwa.Toli <no-reply@patwatoli.local>',
+    getTransport: () => transport,
+    // Allows swapping the transport at runtime (e.g. a stub when testing)
+    setTransport: (customTransport) => { transport = customTransport; }
+};
@@ -0,0 +1,45 @@
+// backend/config/membership.js
+const dotenv = require('dotenv');
+
+dotenv.config(); // Load .env variables
+
+// Settings for how new registrations become verified members.
+// All values can be overridden from the .env file.
+module.exports = {
+    // Relations a member can state when vouching for an applicant
+    vouchRelations: ['relative', 'neighbour', 'friend', 'colleague', 'community-elder', 'other'],
+
+    // Number of trusted vouches after which an applicant is approved automatically.
+    // 0 (the default) turns auto-approval off: an admin always makes the final decision.
+    autoApproveVouchThreshold: parseInt(process.env.VOUCH_AUTO_APPROVE_THRESHOLD) || 0,
+
+    // A vouch is "trusted" when the voucher is an active verified member for at least this many days
+    // (staff vouches are always trusted)
+    trustedVoucherMinAgeDays: parseInt(process.env.TRUSTED_VOUCHER_MIN_AGE_DAYS) || 90,
+
+    // Supporting documents an applicant may upload (ID card, address proof, ...)
+    maxVerificationDocuments: parseInt(process.env.MAX_VERIFICATION_DOCUMENTS) || 5,
+
+    // How long the signed links admins get for viewing documents stay valid
+    documentLinkTtlMinutes: parseInt(process.env.DOCUMENT_LINK_TTL_MINUTES) || 10,
+
+    // --- Rejections ---
+    // Reason codes an admin picks when rejecting a registration (label is shown to the applicant)
+    rejectionReasons: {
+        'incomplete_details': 'Your registration details are incomplete or unclear.',
+        'not_community_member': 'We could not confirm that you belong to the Patwa community.',
+        'insufficient_evidence': 'There were not enough vouches or documents to confirm your identity.',
+        'duplicate_account': 'You already have an account.',
+        'invalid_identity': 'The name or documents provided could not be verified.',
+        'other': 'Your registration was not approved.',
+    },
+
+    // How many times a rejected applicant may appeal / resubmit corrected details
+    maxAppeals: parseInt(process.env.MAX_REGISTRATION_APPEALS) || 1,
+
+    // Rejected registrations (and their documents) are deleted this long after the rejection
+    rejectedRetentionDays: parseInt(process.env.REJECTED_RETENTION_DAYS) || 30,
+
+    // How often the purge job runs
+    purgeIntervalHours: parseInt(process.env.PURGE_INTERVAL_HOURS) || 6,
+};
@@ -0,0 +1,27 @@
+// backend/config/notifications.js
+// Every notification type, the sentence used to describe it and whether it is on by default.
+// Members can switch each type on/off in their notification preferences.
+// `{actors}` is replaced by e.g. "Ravi", "Ravi and Sita" or "Ravi and 4 others".
+
+const NOTIFICATION_TYPES = {
+    'like': { template: '{actors} liked your post', defaultEnabled: true },
+    'reaction': { template: '{actors} reacted to your post', defaultEnabled: true },
+    'comment': { template: '{actors} commented on your post', defaultEnabled: true },
+    'reply': { template: '{actors} replied to your comment', defaultEnabled: true },
+    'comment_like': { template: '{actors} liked your comment', defaultEnabled: true },
+    'mention': { template: '{actors} mentioned you in a post', defaultEnabled: true },
+    'comment_mention': { template: '{actors} mentioned you in a comment', defaultEnabled: true },
+    'story_mention': { template: '{actors} mentioned you in their story', defaultEnabled: true },
+    'repost': { template: '{actors} reposted your post', defaultEnabled: true },
+    'quote': { template: '{actors} quoted your post', defaultEnabled: true },
+    'follow': { template: '{actors} started following you', defaultEnabled: true },
+    'follow_request': { template: '{actors} requested to follow you', defaultEnabled: true },
+    'follow_accept': { template: '{actors} accepted your follow request', defaultEnabled: true },
+    'rsvp': { template: '{actors} will attend your event', defaultEnabled: true },
+    'approval': { template: 'Your membership was approved. Welcome to the community!', defaultEnabled: true },
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    TYPES: Object.keys(NOTIFICATION_TYPES),
+};
@@ -0,0 +1,78 @@
+// backend/config/permissions.js
+// Role based access control: every staff role maps to a list of permissions.
+// Regular members have no roles. Permissions follow the pattern "<resource>:<action>[:<scope>]",
+// where the ":any" scope means "also on content owned by other members".
+
+const PERMISSIONS = [
+    'users:read',            // Admin user lists, pending registrations, unverified profiles
+    'users:approve',         // Approve / reject registrations
+    'users:unlock',          // Lift login lockouts
+    'users:suspend',         // Timed suspensions (and reinstating suspended members)
+    'users:ban',             // Permanent bans (and reinstating banned members)
+    'roles:manage',          // Grant and revoke roles
+    'audit:read',            // Browse and export the admin audit log
+    'posts:delete:any',
+    'posts:revisions',       // View the edit history of any post
+    'comments:delete:any',
+    'stories:delete:any',
+    'events:update:any',
+    'events:delete:any',
+    'businesses:update:any',
+    'businesses:delete:any',
+    'businesses:verify',     // Mark a business listing as verified
+];
+
+const ROLE_PERMISSIONS = {
+    'moderator': [
+        'users:read',
+        'users:approve',
+        'users:suspend',
+        'posts:delete:any',
+        'posts:revisions',
+        'comments:delete:any',
+        'stories:delete:any',
+    ],
+    'event-manager': [
+        'events:update:any',
+        'events:delete:any',
+    ],
+    'business-verifier': [
+        'businesses:update:any',
+        'businesses:delete:any',
+        'businesses:verify',
+    ],
+    'super-admin': PERMISSIONS, // Everything, including managing roles
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Lists every permission a user has through their roles.
+ * @param {object} user - User document or plain object with a `roles` array.
+ * @returns {string[]} Unique permission names.
+ */
+const getUserPermissions = (user) => {
+    const permissions = new Set();
+    (user?.roles || []).forEach(role => {
+        (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+    });
+    return [...permissions];
+};
+
+/**
+ * Checks whether a user holds a permission through any of their roles.
+ * @param {object} user - User document or plain object with a `roles` array.
+ * @param {string} permission - e.g. 'posts:delete:any'.
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => {
+    return (user?.roles || []).some(role => (ROLE_PERMISSIONS[role] || []).includes(permission));
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    ROLES,
+    getUserPermissions,
+    hasPermission
+};
@@ -0,0 +1,44 @@
+// backend/config/posts.js
+const dotenv = require('dotenv');
+
+dotenv.config(); // Load .env variables
+
+// Settings for posts.
+// All values can be overridden from the .env file.
+module.exports = {
+    // Who can see a post. The author picks one per post and can change it later:
+    //   public        - everyone who can see the author's profile (followers only for private accounts)
+    //   followers     - approved followers
+    //   close_friends - members on the author's close-friends list
+    //   only_me       - the author
+    visibilityLevels: ['public', 'followers', 'close_friends', 'only_me'],
+
+    // Reactions a member can leave on a post (one per member; 'like' is what the old like button sends)
+    reactionTypes: ['like', 'love', 'celebrate', 'pray', 'sad'],
+
+    // Likers returned in the `likes` field older clients still read (the full list is paged by
+    // GET /api/posts/:postId/reactions)
+    legacyLikesLimit: parseInt(process.env.LEGACY_LIKES_LIMIT) || 100,
+
+    // Media items (images, videos, audio) per post, shown as a carousel in the order the author chose
+    maxMediaItems: parseInt(process.env.MAX_POST_MEDIA_ITEMS) || 10,
+
+    // Polls attached to posts: number of options and how long voting may stay open
+    pollMaxOptions: parseInt(process.env.POLL_MAX_OPTIONS) || 10,
+    pollDefaultDurationHours: parseInt(process.env.POLL_DEFAULT_DURATION_HOURS) || 72,
+    pollMaxDurationDays: parseInt(process.env.POLL_MAX_DURATION_DAYS) || 30,
+
+    // Hashtags / @mentions parsed from one text; anything beyond is ignored (limits notification spam)
+    maxHashtags: parseInt(process.env.MAX_POST_HASHTAGS) || 30,
+    maxMentions: parseInt(process.env.MAX_POST_MENTIONS) || 20,
+
+    // Default and max window for trending tags
+    trendingWindowHours: parseInt(process.env.TRENDING_WINDOW_HOURS) || 24,
+    trendingMaxWindowHours: parseInt(process.env.TRENDING_MAX_WINDOW_HOURS) || 24 * 7,
+
+    // Max members on a close-friends list
+    maxCloseFriends: parseInt(process.env.MAX_CLOSE_FRIENDS) || 200,
+
+    // Earlier versions kept per post when it is edited (oldest are dropped first)
+    maxRevisions: parseInt(process.env.MAX_POST_REVISIONS) || 20,
+};
@@ -0,0 +1,21 @@
+// backend/config/realtime.js
+const dotenv = require('dotenv');
+
+dotenv.config(); // Load .env variables
+
+// Settings for the realtime push channel (WebSocket + Server-Sent Events fallback).
+// All values can be overridden from the .env file.
+module.exports = {
+    // WebSocket endpoint on the API server (ws:// or wss://host<path>?access_token=...)
+    websocketPath: process.env.REALTIME_WS_PATH || '/api/v1/realtime/ws',
+
+    // Recent events kept per room so reconnecting clients can catch up (?lastEventId=... / Last-Event-ID)
+    replayBufferSize: parseInt(process.env.REALTIME_REPLAY_BUFFER_SIZE) || 100,
+    replayMaxAgeMinutes: parseInt(process.env.REALTIME_REPLAY_MAX_AGE_MINUTES) || 10,
+
+    // Ping/keep-alive interval (also detects dead connections)
+    heartbeatSeconds: parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 30,
+
+    // Max post rooms a single connection may watch at once
+    maxPostSubscriptions: parseInt(process.env.REALTIME_MAX_POST_SUBSCRIPTIONS) || 20,
+};
@@ -1,26 +1,52 @@
 // controllers/adminController.js
 const User = require('../models/User');
-const fs = require('fs'); // For potentially deleting profile pic of rejected user
-const path = require('path');
+const { clearLoginFailures } = require('./loginThrottleHelper');
+const { ROLES, ROLE_PERMISSIONS, hasPermission } = require('../config/permissions');
+const { revokeUserSessions } = require('./sessionHelper');
+const { recordAudit } = require('./auditHelper');
+const { approveMembership, rejectMembership, getVouchSummaries, describeDocuments } = require('./membershipHelper');
+const { rejectionReasons } = require('../config/membership');
+const AuditLog = require('../models/AuditLog');
+const mongoose = require('mongoose');
 
 /**
  * @desc    Get list of users pending verification
  * @route   GET /api/admin/pending-users
  * @access  Private/Admin
+ * @query   emailVerified=true|false (optional) - only applicants with/without a confirmed email
+ *          Each applicant includes their community vouches and signed links to their documents.
  */
 exports.getPendingUsers = async (req, res, next) => {
     // Admin check is done by middleware on the route
     try {
         // Find users who are not verified AND have a verification request timestamp
         // This distinguishes them from potentially old, never-verified accounts if cleanup wasn't perfect.
-        const pendingUsers = await User.find({ verified: false, verificationRequestedAt: { $ne: null } })
-                                       .select('-password') // Exclude password
+        const filter = { verified: false, verificationRequestedAt: { $ne: null } };
+        if (req.query.emailVerified === 'true') filter.emailVerified = true;
+        if (req.query.emailVerified === 'false') filter.emailVerified = { $ne: true };
+
+        const pendingUsers = await User.find(filter)
+                                       .select('-password +verificationDocuments') // Exclude password, include private documents
                                        .sort({ verificationRequestedAt: 1 }); // Show oldest requests first
 
+        // Community vouches for each applicant (evidence for the decision)
+        const vouchSummaries = await getVouchSummaries(pendingUsers.map(user => user._id));
+
         res.status(200).json({
             success: true,
             count: pendingUsers.length,
-            users: pendingUsers
+            // Email ownership status so admins can weigh it before approving
+            emailUnverifiedCount: pendingUsers.filter(user => !user.emailVerified).length,
+            users: pendingUsers.map(user => {
+                const { vouches, trustedCount } = vouchSummaries.get(user._id.toString());
+                return {
+                    ...user.toObject(),
+                    emailStatus: user.emailVerified ? 'verified' : 'unverified',
+                    vouches,
+                    trustedVouchCount: trustedCount,
+                    verificationDocuments: describeDocuments(user) // Short-lived signed links
+                };
+            })
         });
     } catch (error) {
         console.error('Get Pending Users Error:', error);
@@ -28,6 +54,111 @@ exports.getPendingUsers = async (req, res, next) => {
     }
 };
 
+// --- Shared user actions ---
+// Used by the single-user endpoints and by bulk actions. Each one throws an Error with
+// a statusCode when the action is not possible for this user.
+
+const approveUserRecord = async (req, user) => {
+    if (user.verified) {
+        const err = new Error('User is already verified.');
+        err.statusCode = 400; // Bad request - cannot re-approve
+        throw err;
+    }
+
+    const before = user.toObject();
+    await approveMembership(user, 'admin');
+    await recordAudit(req, { action: 'user.approve', targetType: 'User', targetId: user._id, before, after: user });
+
+    return user;
+};
+
+// Validates the rejection reason. Returns { reasonCode, note } or throws.
+const parseRejection = ({ reasonCode, note } = {}) => {
+    if (!rejectionReasons[reasonCode]) {
+        const err = new Error(`reasonCode must be one of: ${Object.keys(rejectionReasons).join(', ')}.`);
+        err.statusCode = 400;
+        throw err;
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+        const err = new Error('note must be text.'); err.statusCode = 400; throw err;
+    }
+    return { reasonCode, note };
+};
+
+const rejectUserRecord = async (req, user, { reasonCode, note }) => {
+    // Ensure we are not rejecting an already verified user (use delete endpoint for that)
+    if (user.verified) {
+        const err = new Error('Cannot reject an already verified user. Use a delete function if needed.');
+        err.statusCode = 400;
+        throw err;
+    }
+    if (user.rejectedAt) {
+        const err = new Error('This registration has already been rejected.');
+        err.statusCode = 400;
+        throw err;
+    }
+
+    // The record is kept (rejected state) so the applicant can see why and appeal;
+    // it is purged with its documents after the retention period (see membershipHelper)
+    const before = user.toObject();
+    await rejectMembership(user, { reasonCode, note, rejectedBy: req.user.id });
+    await recordAudit(req, { action: 'user.reject', targetType: 'User', targetId: user._id, before, after: user });
+};
+
+// Checks the actor may moderate (suspend/ban/reinstate) this member
+const checkModerationTarget = (req, user) => {
+    if (user._id.equals(req.user.id)) {
+        const err = new Error('You cannot moderate your own account.');
+        err.statusCode = 400;
+        throw err;
+    }
+    // Staff accounts can only be moderated by someone who can also manage their roles
+    if (user.isStaff && !hasPermission(req.user, 'roles:manage')) {
+        const err = new Error('Forbidden: Only a super-admin can suspend or ban staff accounts.');
+        err.statusCode = 403;
+        throw err;
+    }
+};
+
+const suspendUserRecord = async (req, user, { reason, suspendedUntil }) => {
+    checkModerationTarget(req, user);
+    if (user.accountStatus === 'banned') {
+        const err = new Error('User is banned. Reinstate them first to change to a suspension.'); err.statusCode = 400; throw err;
+    }
+
+    const before = user.toObject();
+    user.accountStatus = 'suspended';
+    user.statusReason = reason.trim();
+    user.suspendedUntil = suspendedUntil;
+    user.statusChangedBy = req.user.id;
+    user.statusChangedAt = new Date();
+    await user.save();
+    await recordAudit(req, { action: 'user.suspend', targetType: 'User', targetId: user._id, before, after: user });
+
+    // Existing sessions stop working right away (protect would refuse them anyway)
+    await revokeUserSessions(user._id, 'suspended');
+
+    console.log(`User ${user.username} suspended until ${suspendedUntil.toISOString()} by ${req.user.username}`);
+};
+
+// Validates the reason of a suspension or ban. Returns it trimmed or throws.
+const parseModerationReason = (reason) => {
+    if (typeof reason !== 'string' || !reason.trim()) {
+        const err = new Error('A reason is required.'); err.statusCode = 400; throw err;
+    }
+    return reason.trim();
+};
+
+// Validates the suspension parameters. Returns { reason, suspendedUntil } or throws.
+const parseSuspension = ({ reason, durationHours, until }) => {
+    const suspendedUntil = until ? new Date(until) : new Date(Date.now() + parseFloat(durationHours) * 60 * 60 * 1000);
+    const trimmedReason = parseModerationReason(reason);
+    if (isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date()) {
+        const err = new Error('Provide a positive durationHours or a future until date.'); err.statusCode = 400; throw err;
+    }
+    return { reason: trimmedReason, suspendedUntil };
+};
+
 /**
  * @desc    Approve a user's verification request
  * @route   POST /api/admin/users/:userId/approve
@@ -46,24 +177,13 @@ exports.approveUser = async (req, res, next) => {
              return next(err);
         }
 
-        // Check if already verified
-        if (user.verified) {
-            const err = new Error('User is already verified.');
-            err.statusCode = 400; // Bad request - cannot re-approve
-            return next(err);
-        }
-
         // --- Approve the user ---
-        user.verified = true;
-        user.verificationRequestedAt = undefined; // Clear the request timestamp as it's processed
-        const updatedUser = await user.save();
-
-        // TODO: Send notification (email/SMS etc.) to the user about approval
+        await approveUserRecord(req, user);
 
         // --- Respond ---
         res.status(200).json({
              success: true,
-             message: `User ${updatedUser.username} approved successfully.`,
+             message: `User ${user.username} approved successfully.`,
              // Optionally return the updated user object (without password)
              // user: { _id: updatedUser._id, username: updatedUser.username, verified: updatedUser.verified }
          });
@@ -81,13 +201,22 @@ exports.approveUser = async (req, res, next) => {
 };
 
 /**
- * @desc    Reject a user's verification request (Deletes the user record)
- * @route   DELETE /api/admin/users/:userId/reject
+ * @desc    Reject a user's verification request (kept as rejected until purged; the applicant may appeal)
+ * @route   POST /api/admin/users/:userId/reject (DELETE is kept for older clients)
  * @access  Private/Admin
+ * @expects JSON body: { reasonCode, note? } (optional for DELETE, where reasonCode defaults to 'other')
  */
 exports.rejectUser = async (req, res, next) => {
     const userIdToReject = req.params.userId;
 
+    let rejection;
+    try {
+        // Older clients call DELETE without a body: reject them with the generic reason
+        rejection = parseRejection(req.method === 'DELETE' ? { reasonCode: 'other', ...req.body } : req.body);
+    } catch (error) {
+        return next(error);
+    }
+
     try {
         // Find the user by ID
         const user = await User.findById(userIdToReject);
@@ -98,36 +227,12 @@ exports.rejectUser = async (req, res, next) => {
             return next(err);
         }
 
-        // Ensure we are not rejecting an already verified user (use delete endpoint for that)
-        if (user.verified) {
-             const err = new Error('Cannot reject an already verified user. Use a delete function if needed.');
-             err.statusCode = 400;
-             return next(err);
-        }
-
-        // --- Delete Profile Picture (if not default) ---
-        if (user.profilePic && user.profilePic !== '/uploads/profile-pics/default_avatar.png') {
-             const profilePicPath = path.join(__dirname, '..', user.profilePic);
-             fs.unlink(profilePicPath, (err) => {
-                 if (err && err.code !== 'ENOENT') {
-                     console.error(`Error deleting profile picture for rejected user (${profilePicPath}):`, err);
-                     // Continue with user deletion even if file deletion fails
-                 } else if (!err) {
-                     console.log(`Deleted profile picture for rejected user: ${profilePicPath}`);
-                 }
-             });
-        }
-
-        // --- Delete the User Record ---
-        const deletedUsername = user.username; // Store username for message before deleting
-        await User.findByIdAndDelete(userIdToReject);
-
-        // TODO: Send notification (email/SMS etc.) to the user about rejection? (Needs email stored temporarily before delete)
+        await rejectUserRecord(req, user, rejection);
 
         // --- Respond ---
         res.status(200).json({
              success: true,
-             message: `User registration for ${deletedUsername} rejected and record deleted.`
+             message: `User registration for ${user.username} rejected.`
          });
 
     } catch (error) {
@@ -141,23 +246,131 @@ exports.rejectUser = async (req, res, next) => {
     }
 };
 
+// Fields admins can sort the user list by
+const USER_SORT_FIELDS = ['createdAt', 'username', 'fullname', 'verificationRequestedAt'];
+
+// Escapes user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort value and _id
+// (a missing sort value, e.g. verificationRequestedAt of users who never applied, is encoded as null)
+const encodeCursor = (user, sortBy) => Buffer.from(JSON.stringify({ v: user[sortBy] ?? null, id: user._id })).toString('base64url');
+const decodeCursor = (cursor, sortBy) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        // Decoded values go straight into the query, so only plain values (never operator objects)
+        if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+        if (v !== null && typeof v !== 'string' && typeof v !== 'number') throw new Error('bad value');
+        const value = sortBy === 'createdAt' || sortBy === 'verificationRequestedAt' ? (v === null ? null : new Date(v)) : v;
+        if (value instanceof Date && isNaN(value.getTime())) throw new Error('bad date');
+        return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (e) {
+        const err = new Error('Invalid cursor.'); err.statusCode = 400; throw err;
+    }
+};
+
+// Parses an optional date query param (400 if it isn't a valid date)
+const parseDateParam = (value, name) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) { const err = new Error(`Invalid '${name}' date.`); err.statusCode = 400; throw err; }
+    return date;
+};
+
 /**
- * @desc    Get all users (for admin user management dashboard)
+ * @desc    Search and list users (admin user management dashboard)
  * @route   GET /api/admin/users
  * @access  Private/Admin
+ * @query   q          - text search over fullname, username, email and phone
+ *          status     - verified | pending | rejected | active | suspended | banned
+ *          isPatwa    - true | false
+ *          admin      - true | false (holds any staff role)
+ *          role       - a specific staff role
+ *          joinedFrom, joinedTo - registration date range (ISO dates)
+ *          sortBy     - createdAt (default) | username | fullname | verificationRequestedAt
+ *          order      - desc (default) | asc
+ *          limit      - page size (default 20, max 100)
+ *          cursor     - `nextCursor` from the previous page
  */
 exports.getAllUsers = async (req, res, next) => {
+    const { q, status, isPatwa, admin, role, joinedFrom, joinedTo, cursor } = req.query;
+    const sortBy = USER_SORT_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : 'createdAt';
+    const direction = req.query.order === 'asc' ? 1 : -1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
     try {
-        // Basic implementation: fetches all users. Add pagination, filtering, sorting for real admin UI.
-        // Example: /api/admin/users?page=1&limit=20&sortBy=createdAt&status=verified
-        const users = await User.find({})
+        const conditions = [];
+
+        if (typeof q === 'string' && q.trim()) {
+            const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+            conditions.push({ $or: [{ fullname: pattern }, { username: pattern }, { email: pattern }, { phone: pattern }] });
+        }
+
+        switch (status) {
+            case undefined: case '': break;
+            case 'verified': conditions.push({ verified: true }); break;
+            case 'pending': conditions.push({ verified: false, verificationRequestedAt: { $ne: null } }); break;
+            case 'rejected': conditions.push({ verified: false, rejectedAt: { $ne: null } }); break;
+            case 'active': conditions.push({ accountStatus: 'active' }); break;
+            case 'suspended': conditions.push({ accountStatus: 'suspended' }); break;
+            case 'banned': conditions.push({ accountStatus: 'banned' }); break;
+            default: {
+                const err = new Error('Invalid status. Use verified, pending, rejected, active, suspended or banned.'); err.statusCode = 400; return next(err);
+            }
+        }
+
+        if (isPatwa === 'true') conditions.push({ isPatwa: true });
+        if (isPatwa === 'false') conditions.push({ isPatwa: { $ne: true } });
+        if (admin === 'true') conditions.push({ 'roles.0': { $exists: true } });
+        if (admin === 'false') conditions.push({ 'roles.0': { $exists: false } });
+        if (role) {
+            if (!ROLES.includes(role)) { const err = new Error(`Unknown role '${role}'.`); err.statusCode = 400; return next(err); }
+            conditions.push({ roles: role });
+        }
+
+        const from = parseDateParam(joinedFrom, 'joinedFrom');
+        const to = parseDateParam(joinedTo, 'joinedTo');
+        if (from || to) {
+            conditions.push({ createdAt: { ...(from && { $gte: from }), ...(to && { $lte: to }) } });
+        }
+
+        // Total for the filter, before the cursor narrows it down to "the rest"
+        const filter = conditions.length ? { $and: conditions } : {};
+        const totalUsers = await User.countDocuments(filter);
+
+        // Keyset pagination: items strictly after the cursor in (sortBy, _id) order
+        if (cursor) {
+            const { value, id } = decodeCursor(cursor, sortBy);
+            const operator = direction === 1 ? '$gt' : '$lt';
+            // MongoDB sorts null/missing values before all others, and $gt/$lt never match them,
+            // so the null group needs its own branch: last in descending order, first in ascending
+            const after = [{ [sortBy]: value, _id: { [operator]: id } }];
+            if (value === null) {
+                if (direction === 1) after.push({ [sortBy]: { $ne: null } });
+            } else {
+                after.push({ [sortBy]: { [operator]: value } });
+                if (direction === -1) after.push({ [sortBy]: null });
+            }
+            conditions.push({ $or: after });
+        }
+
+        const users = await User.find(conditions.length ? { $and: conditions } : {})
                                 .select('-password') // Exclude passwords
-                                .sort({ createdAt: -1 }); // Sort by creation date, newest first
+                                .sort({ [sortBy]: direction, _id: direction })
+                                .limit(limit + 1); // One extra to know whether there is a next page
+
+        const hasMore = users.length > limit;
+        const page = hasMore ? users.slice(0, limit) : users;
 
         res.status(200).json({
             success: true,
-            count: users.length, // Total count matching filter (without pagination here)
-            users: users
+            count: page.length,
+            pagination: {
+                totalUsers,
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortBy) : null
+            },
+            users: page
         });
     } catch (error) {
         console.error('Get All Users (Admin) Error:', error);
@@ -165,5 +378,531 @@ exports.getAllUsers = async (req, res, next) => {
     }
 };
 
-// Optional: Add endpoints for admins to delete verified users, ban users, make other users admins, etc.
+// Bulk actions: which permission each one needs
+const BULK_ACTIONS = {
+    approve: 'users:approve',
+    reject: 'users:approve',
+    suspend: 'users:suspend',
+};
+const BULK_MAX_USERS = 100;
+
+/**
+ * @desc    Apply one action to a selected set of users; reports the result per user
+ * @route   POST /api/admin/users/bulk
+ * @access  Private (permission depends on the action)
+ * @expects JSON body: { action: 'approve' | 'reject' | 'suspend', userIds: [..], reason?, durationHours?, until?, reasonCode?, note? }
+ */
+exports.bulkUserAction = async (req, res, next) => {
+    const { action, userIds } = req.body;
+
+    if (!BULK_ACTIONS[action]) {
+        const err = new Error(`Invalid action. Use one of: ${Object.keys(BULK_ACTIONS).join(', ')}.`); err.statusCode = 400; return next(err);
+    }
+    if (!hasPermission(req.user, BULK_ACTIONS[action])) {
+        const err = new Error(`Forbidden: Missing permission '${BULK_ACTIONS[action]}'`); err.statusCode = 403; return next(err);
+    }
+    if (!Array.isArray(userIds) || userIds.length === 0 || userIds.length > BULK_MAX_USERS) {
+        const err = new Error(`userIds must be a list of 1 to ${BULK_MAX_USERS} user IDs.`); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        // Validate the suspension / rejection reason once for the whole batch
+        let suspension = null;
+        let rejection = null;
+        try {
+            if (action === 'suspend') suspension = parseSuspension(req.body);
+            if (action === 'reject') rejection = parseRejection(req.body);
+        } catch (error) {
+            return next(error);
+        }
+
+        const uniqueIds = [...new Set(userIds.map(String))];
+        const validIds = uniqueIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+        const users = await User.find({ _id: { $in: validIds } });
+        const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+        // Sequential on purpose: keeps the audit log ordered and the load on the DB predictable
+        const results = [];
+        for (const userId of uniqueIds) {
+            const user = usersById.get(userId);
+            if (!user) {
+                results.push({ userId, success: false, statusCode: 404, error: 'User not found.' });
+                continue;
+            }
+            try {
+                if (action === 'approve') await approveUserRecord(req, user);
+                if (action === 'reject') await rejectUserRecord(req, user, rejection);
+                if (action === 'suspend') await suspendUserRecord(req, user, suspension);
+                results.push({ userId, username: user.username, success: true });
+            } catch (error) {
+                if (!error.statusCode) console.error(`Bulk ${action} Error (${userId}):`, error);
+                results.push({ userId, username: user.username, success: false, statusCode: error.statusCode || 500, error: error.message });
+            }
+        }
+
+        const succeeded = results.filter(result => result.success).length;
+
+        res.status(200).json({
+            success: true,
+            action,
+            summary: { requested: uniqueIds.length, succeeded, failed: uniqueIds.length - succeeded },
+            results
+        });
+    } catch (error) {
+        console.error('Bulk User Action Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Lift a login lockout for a user (and optionally for an IP address)
+ * @route   POST /api/admin/users/:userId/unlock
+ * @access  Private/Admin
+ * @expects JSON body (optional): { ip }
+ */
+exports.unlockUser = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.userId).select('username');
+
+        if (!user) {
+            const err = new Error('User not found.');
+            err.statusCode = 404;
+            return next(err);
+        }
+
+        const removed = await clearLoginFailures(user.username, req.body?.ip || null);
+        await recordAudit(req, { action: 'user.unlock', targetType: 'User', targetId: user._id, after: { username: user.username } });
+
+        res.status(200).json({
+            success: true,
+            message: removed
+                ? `Login lockout lifted for ${user.username}.`
+                : `${user.username} had no active login lockout.`
+        });
+    } catch (error) {
+        console.error('Unlock User Error:', error);
+        if (error.name === 'CastError') {
+           const err = new Error('User not found (Invalid ID format).');
+           err.statusCode = 404;
+           return next(err);
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    List all roles and the permissions each one grants
+ * @route   GET /api/admin/roles
+ * @access  Private/Staff
+ */
+exports.getRoles = (req, res) => {
+    res.status(200).json({
+        success: true,
+        roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+    });
+};
+
+/**
+ * @desc    Grant a role to a user
+ * @route   POST /api/admin/users/:userId/roles
+ * @access  Private ('roles:manage')
+ * @expects JSON body: { role, reason? }
+ */
+exports.grantRole = async (req, res, next) => {
+    const { role, reason } = req.body;
+
+    if (!ROLES.includes(role)) {
+        const err = new Error(`Invalid role. Must be one of ${ROLES.join(', ')}.`);
+        err.statusCode = 400;
+        return next(err);
+    }
+
+    try {
+        const user = await User.findById(req.params.userId).select('username verified roles');
+
+        if (!user) {
+            const err = new Error('User not found.');
+            err.statusCode = 404;
+            return next(err);
+        }
+        if (!user.verified) {
+            const err = new Error('Roles can only be granted to verified members.');
+            err.statusCode = 400;
+            return next(err);
+        }
+        if (user.roles.includes(role)) {
+            const err = new Error(`${user.username} already has the ${role} role.`);
+            err.statusCode = 400;
+            return next(err);
+        }
+
+        // Add the role and record the change in the same atomic update
+        const updatedUser = await User.findByIdAndUpdate(user._id, {
+            $addToSet: { roles: role },
+            $push: { roleHistory: { role, action: 'grant', changedBy: req.user.id, reason } }
+        }, { new: true, runValidators: true }).select('username roles');
+        await recordAudit(req, { action: 'role.grant', targetType: 'User', targetId: user._id, before: user, after: updatedUser });
+
+        console.log(`Role ${role} granted to ${updatedUser.username} by ${req.user.username}`);
+
+        res.status(200).json({
+            success: true,
+            message: `Granted ${role} to ${updatedUser.username}.`,
+            roles: updatedUser.roles
+        });
+    } catch (error) {
+        console.error('Grant Role Error:', error);
+        if (error.name === 'CastError') {
+           const err = new Error('User not found (Invalid ID format).');
+           err.statusCode = 404;
+           return next(err);
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Revoke a role from a user
+ * @route   DELETE /api/admin/users/:userId/roles/:role
+ * @access  Private ('roles:manage')
+ * @expects JSON body (optional): { reason }
+ */
+exports.revokeRole = async (req, res, next) => {
+    const { role } = req.params;
+
+    try {
+        const user = await User.findById(req.params.userId).select('username roles');
+
+        if (!user) {
+            const err = new Error('User not found.');
+            err.statusCode = 404;
+            return next(err);
+        }
+        if (!user.roles.includes(role)) {
+            const err = new Error(`${user.username} does not have the ${role} role.`);
+            err.statusCode = 400;
+            return next(err);
+        }
+
+        // Never lock everyone out of role management
+        if (role === 'super-admin') {
+            const superAdminCount = await User.countDocuments({ roles: 'super-admin' });
+            if (superAdminCount <= 1) {
+                const err = new Error('Cannot revoke the last super-admin.');
+                err.statusCode = 400;
+                return next(err);
+            }
+        }
+
+        const updatedUser = await User.findByIdAndUpdate(user._id, {
+            $pull: { roles: role },
+            $push: { roleHistory: { role, action: 'revoke', changedBy: req.user.id, reason: req.body?.reason } }
+        }, { new: true }).select('username roles');
+        await recordAudit(req, { action: 'role.revoke', targetType: 'User', targetId: user._id, before: user, after: updatedUser });
+
+        console.log(`Role ${role} revoked from ${updatedUser.username} by ${req.user.username}`);
+
+        res.status(200).json({
+            success: true,
+            message: `Revoked ${role} from ${updatedUser.username}.`,
+            roles: updatedUser.roles
+        });
+    } catch (error) {
+        console.error('Revoke Role Error:', error);
+        if (error.name === 'CastError') {
+           const err = new Error('User not found (Invalid ID format).');
+           err.statusCode = 404;
+           return next(err);
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get a user's role change history
+ * @route   GET /api/admin/users/:userId/roles
+ * @access  Private ('roles:manage')
+ */
+exports.getRoleHistory = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.userId)
+                               .select('username roles +roleHistory')
+                               .populate('roleHistory.changedBy', 'username fullname _id');
+
+        if (!user) {
+            const err = new Error('User not found.');
+            err.statusCode = 404;
+            return next(err);
+        }
+
+        res.status(200).json({
+            success: true,
+            username: user.username,
+            roles: user.roles,
+            history: user.roleHistory
+        });
+    } catch (error) {
+        console.error('Get Role History Error:', error);
+        if (error.name === 'CastError') {
+           const err = new Error('User not found (Invalid ID format).');
+           err.statusCode = 404;
+           return next(err);
+        }
+        next(error);
+    }
+};
+
+// Loads the member targeted by a moderation action and checks the actor may act on them.
+// Returns the user document or passes an error to `next` and returns null.
+const findModerationTarget = async (req, next) => {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+        const err = new Error('User not found.');
+        err.statusCode = 404;
+        next(err);
+        return null;
+    }
+    try {
+        checkModerationTarget(req, user);
+    } catch (err) {
+        next(err);
+        return null;
+    }
+    return user;
+};
+
+/**
+ * @desc    Suspend a member for a limited time (logs them out everywhere)
+ * @route   POST /api/admin/users/:userId/suspend
+ * @access  Private ('users:suspend')
+ * @expects JSON body: { reason, durationHours } or { reason, until }
+ */
+exports.suspendUser = async (req, res, next) => {
+    let suspension;
+    try {
+        suspension = parseSuspension(req.body);
+    } catch (error) {
+        return next(error);
+    }
+
+    try {
+        const user = await findModerationTarget(req, next);
+        if (!user) return;
+
+        await suspendUserRecord(req, user, suspension);
+
+        res.status(200).json({
+            success: true,
+            message: `User ${user.username} suspended until ${suspension.suspendedUntil.toISOString()}.`,
+            suspendedUntil: suspension.suspendedUntil
+        });
+    } catch (error) {
+        console.error('Suspend User Error:', error);
+        if (error.name === 'CastError') {
+           const err = new Error('User not found (Invalid ID format).');
+           err.statusCode = 404;
+           return next(err);
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Permanently ban a member (logs them out, hides their posts/stories/events)
+ * @route   POST /api/admin/users/:userId/ban
+ * @access  Private ('users:ban')
+ * @expects JSON body: { reason }
+ */
+exports.banUser = async (req, res, next) => {
+    let reason;
+    try {
+        reason = parseModerationReason(req.body.reason);
+    } catch (error) {
+        return next(error);
+    }
+
+    try {
+        const user = await findModerationTarget(req, next);
+        if (!user) return;
+        if (user.accountStatus === 'banned') {
+            const err = new Error('User is already banned.'); err.statusCode = 400; return next(err);
+        }
+
+        const before = user.toObject();
+        user.accountStatus = 'banned';
+        user.statusReason = reason;
+        user.suspendedUntil = undefined;
+        user.statusChangedBy = req.user.id;
+        user.statusChangedAt = new Date();
+        await user.save();
+        await recordAudit(req, { action: 'user.ban', targetType: 'User', targetId: user._id, before, after: user });
+
+        await revokeUserSessions(user._id, 'banned');
+
+        console.log(`User ${user.username} banned by ${req.user.username}`);
+
+        res.status(200).json({ success: true, message: `User ${user.username} banned.` });
+    } catch (error) {
+        console.error('Ban User Error:', error);
+        if (error.name === 'CastError') {
+           const err = new Error('User not found (Invalid ID format).');
+           err.statusCode = 404;
+           return next(err);
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Lift a suspension or ban
+ * @route   POST /api/admin/users/:userId/reinstate
+ * @access  Private ('users:suspend'; lifting a ban also needs 'users:ban')
+ */
+exports.reinstateUser = async (req, res, next) => {
+    try {
+        const user = await findModerationTarget(req, next);
+        if (!user) return;
+        if (user.accountStatus === 'active') {
+            const err = new Error('User is not suspended or banned.'); err.statusCode = 400; return next(err);
+        }
+        if (user.accountStatus === 'banned' && !hasPermission(req.user, 'users:ban')) {
+            const err = new Error("Forbidden: Missing permission 'users:ban'"); err.statusCode = 403; return next(err);
+        }
+
+        const before = user.toObject();
+        user.accountStatus = 'active';
+        user.statusReason = undefined;
+        user.suspendedUntil = undefined;
+        user.statusChangedBy = req.user.id;
+        user.statusChangedAt = new Date();
+        await user.save();
+        await recordAudit(req, { action: 'user.reinstate', targetType: 'User', targetId: user._id, before, after: user });
+
+        console.log(`User ${user.username} reinstated by ${req.user.username}`);
+
+        res.status(200).json({ success: true, message: `User ${user.username} reinstated.` });
+    } catch (error) {
+        console.error('Reinstate User Error:', error);
+        if (error.name === 'CastError') {
+           const err = new Error('User not found (Invalid ID format).');
+           err.statusCode = 404;
+           return next(err);
+        }
+        next(error);
+    }
+};
+
+// --- Audit Log ---
+
+// Builds the AuditLog filter shared by the list and export endpoints.
+// Supported query params: actor, action, targetType, targetId, from, to (ISO dates)
+const buildAuditFilter = (query) => {
+    const filter = {};
+    const { actor, action, targetType, targetId, from, to } = query;
+
+    for (const [key, value] of Object.entries({ actor, targetId })) {
+        if (!value) continue;
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+            const err = new Error(`Invalid ${key} ID format.`); err.statusCode = 400; throw err;
+        }
+        filter[key] = value;
+    }
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+
+    if (from || to) {
+        filter.createdAt = {};
+        for (const [key, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+            if (!value) continue;
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                const err = new Error(`Invalid '${key}' date.`); err.statusCode = 400; throw err;
+            }
+            filter.createdAt[operator] = date;
+        }
+    }
+    return filter;
+};
+
+// Quotes a value for CSV output (objects are written as JSON). Text a spreadsheet would run as a
+// formula (starting with =, +, -, @, tab or CR) gets a leading ' so it is shown as text.
+const toCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)
+        ? JSON.stringify(value)
+        : String(value instanceof Date ? value.toISOString() : value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @desc    Browse the audit log (newest first, filterable)
+ * @route   GET /api/admin/audit
+ * @access  Private/Staff (audit:read)
+ * @query   actor, action, targetType, targetId, from, to, page, limit
+ */
+exports.getAuditLogs = async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    try {
+        const filter = buildAuditFilter(req.query);
+
+        const [entries, totalEntries] = await Promise.all([
+            AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            pagination: { currentPage: page, totalPages: Math.ceil(totalEntries / limit), totalEntries },
+            entries
+        });
+    } catch (error) {
+        console.error('Get Audit Logs Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Export the (filtered) audit log as CSV
+ * @route   GET /api/admin/audit/export
+ * @access  Private/Staff (audit:read)
+ * @query   actor, action, targetType, targetId, from, to
+ */
+exports.exportAuditLogs = async (req, res, next) => {
+    let filter;
+    try {
+        filter = buildAuditFilter(req.query);
+    } catch (error) {
+        return next(error);
+    }
+
+    const columns = ['createdAt', 'actor', 'actorUsername', 'action', 'targetType', 'targetId', 'before', 'after', 'ip', 'userAgent', 'method', 'path'];
+
+    try {
+        await recordAudit(req, { action: 'audit.export', targetType: 'User', targetId: req.user._id });
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.write(columns.join(',') + '\n');
+
+        // Stream with a cursor so large exports don't have to fit in memory
+        const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+        for await (const entry of cursor) {
+            const row = { ...entry, ...(entry.meta || {}) };
+            res.write(columns.map(column => toCsvField(row[column])).join(',') + '\n');
+        }
+        res.end();
+    } catch (error) {
+        console.error('Export Audit Logs Error:', error);
+        if (res.headersSent) return res.end(); // Partial CSV - can't switch to a JSON error any more
+        next(error);
+    }
+};
+
+// Optional: Add endpoints for admins to delete verified users, etc.
 // Remember to add corresponding routes in adminRoutes.js for any new controllers.
\ No newline at end of file
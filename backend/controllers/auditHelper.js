@@ -0,0 +1,61 @@
+// backend/controllers/auditHelper.js
+const AuditLog = require('../models/AuditLog');
+
+// Fields captured in before/after snapshots, per target type (never passwords or tokens)
+const SNAPSHOT_FIELDS = {
+    User: ['username', 'fullname', 'email', 'verified', 'roles', 'accountStatus', 'statusReason', 'suspendedUntil'],
+    Post: ['user', 'content', 'media', 'poll', 'sharedPost', 'shareType', 'visibility'],
+    Comment: ['post', 'user', 'parent', 'text'],
+    Story: ['user', 'mediaType', 'mediaUrl', 'caption', 'expiresAt'],
+    Event: ['organizer', 'title', 'description', 'category', 'eventDate', 'location', 'image'],
+    Business: ['owner', 'name', 'description', 'category', 'address', 'phone', 'website', 'email', 'image', 'verified'],
+};
+
+/**
+ * Copies the auditable fields of a document into a plain object.
+ * @param {string} targetType - One of the AuditLog targetType values.
+ * @param {object} doc - Mongoose document or lean object (null/undefined allowed).
+ * @returns {object|null} Snapshot, or null if there is no document.
+ */
+const snapshot = (targetType, doc) => {
+    if (!doc) return null;
+    const source = typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : doc;
+    return (SNAPSHOT_FIELDS[targetType] || []).reduce((acc, field) => {
+        if (source[field] !== undefined) acc[field] = source[field];
+        return acc;
+    }, {});
+};
+
+/**
+ * Appends an entry to the audit log. Never throws: a failed audit write is logged
+ * but must not undo or block the action that already happened.
+ * @param {object} req - Express request (actor and request metadata are taken from it).
+ * @param {object} entry - { action, targetType, targetId, before, after }
+ *                         `before`/`after` are documents; they are reduced to snapshots here.
+ */
+const recordAudit = async (req, { action, targetType, targetId, before = null, after = null }) => {
+    try {
+        await AuditLog.create({
+            actor: req.user._id,
+            actorUsername: req.user.username,
+            action,
+            targetType,
+            targetId,
+            before: snapshot(targetType, before),
+            after: snapshot(targetType, after),
+            meta: {
+                ip: req.ip,
+                userAgent: req.headers['user-agent'],
+                method: req.method,
+                path: req.originalUrl
+            }
+        });
+    } catch (error) {
+        console.error(`Non-fatal: Failed to write audit log entry (${action} ${targetType} ${targetId}):`, error);
+    }
+};
+
+module.exports = {
+    recordAudit,
+    snapshot
+};
@@ -1,19 +1,93 @@
 // controllers/authController.js
 const User = require('../models/User');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
 const fs = require('fs'); // To potentially copy default avatar on signup
 const path = require('path');
+const { createSession, rotateRefreshToken, revokeSession, revokeUserSessions } = require('./sessionHelper');
+const { createRandomToken, hashToken } = require('./tokenHelper');
+const { sendPasswordResetEmail, sendPasswordChangedEmail, sendEmailChangedEmail } = require('./mailHelper');
+const { startEmailVerification } = require('./emailVerificationHelper');
+const { checkSecondFactor } = require('./totpHelper');
+const { getLoginLock, registerLoginFailure, clearLoginFailures, recordLoginAttempt } = require('./loginThrottleHelper');
+const { uploadPrivateToCloudinary } = require('./cloudinaryHelper');
+const { canAppeal, describeRegistration } = require('./membershipHelper');
+const authConfig = require('../config/auth');
+const membershipConfig = require('../config/membership');
+const { getUserPermissions } = require('../config/permissions');
 require('dotenv').config();
 
-// --- Helper Function ---
-// Generate JWT Token
-const generateToken = (userId) => {
-    // The payload should ideally just contain the user ID
-    // Avoid putting sensitive information in the payload
-    const payload = { id: userId };
+// --- Helper Functions ---
 
-    return jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: '30d', // Sensible expiration time (e.g., 30 days)
+const TWO_FACTOR_CHALLENGE = '2fa_challenge'; // JWT `purpose` of the token handed out between the two login steps
+
+// Builds the 429 error for a locked username/IP (with a Retry-After header for clients)
+const lockedError = (res, retryAfterSeconds) => {
+    res.set('Retry-After', String(retryAfterSeconds));
+    const err = new Error(`Too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`);
+    err.statusCode = 429;
+    return err;
+};
+
+// Builds the 403 error for a suspended/banned account (null if the account is not restricted)
+const restrictedError = (user) => {
+    const restriction = user.getRestriction();
+    if (!restriction) return null;
+
+    let message = restriction.status === 'banned'
+        ? 'This account has been banned.'
+        : `This account is suspended${restriction.until ? ` until ${restriction.until.toISOString()}` : ''}.`;
+    if (restriction.reason) message += ` Reason: ${restriction.reason}`;
+
+    const err = new Error(message);
+    err.statusCode = 403;
+    return err;
+};
+
+// Checks an applicant's username + password for the pre-approval endpoints (documents, appeal).
+// Uses the login brute-force protection. Returns the user (with `extraFields` selected) or throws.
+const authenticateApplicant = async (req, res, username, password, extraFields = '') => {
+    if (!username || !password) {
+        const err = new Error('Please provide username and password'); err.statusCode = 400; throw err;
+    }
+    const lowerUsername = String(username).toLowerCase().trim();
+
+    const lock = await getLoginLock(lowerUsername, req.ip);
+    if (lock.locked) throw lockedError(res, lock.retryAfterSeconds);
+
+    const user = await User.findOne({ username: lowerUsername }).select(`+password ${extraFields}`);
+    const isMatch = user ? await user.comparePassword(password) : false;
+    if (!isMatch) {
+        await registerLoginFailure(lowerUsername, req.ip);
+        const err = new Error('Invalid credentials'); err.statusCode = 401; throw err;
+    }
+    return user;
+};
+
+// Starts a session and sends the standard login response (shared by password login and the 2FA step)
+const sendLoginResponse = async (user, req, res) => {
+    const { accessToken, refreshToken } = await createSession(user, req);
+
+    // Send back user details (WITHOUT password) and the tokens
+    res.status(200).json({
+        success: true,
+        token: accessToken, // Short-lived JWT for the Authorization header
+        refreshToken, // Exchange at POST /auth/refresh when the access token expires
+        expiresIn: authConfig.accessTokenTtl,
+        // Send necessary user details for the frontend session
+        user: {
+            _id: user._id,
+            username: user.username,
+            fullname: user.fullname,
+            email: user.email, // Be mindful about sending email if not strictly necessary
+            profilePic: user.profilePic,
+            isAdmin: user.isAdmin,
+            roles: user.roles,
+            permissions: getUserPermissions(user),
+            emailVerified: user.emailVerified,
+            twoFactorEnabled: user.twoFactorEnabled
+            // Add any other fields frontend needs immediately after login
+        }
     });
 };
 
@@ -67,7 +141,7 @@ exports.signup = async (req, res, next) => {
             password, // Password will be hashed by the pre-save hook in User model
             isPatwa: !!isPatwa, // Convert to boolean
             verified: false, // New users start unverified
-            isAdmin: false, // Default to non-admin
+            roles: [], // Default to a regular member (no staff roles)
             verificationRequestedAt: Date.now() // Mark time of signup request
             // profilePic will be set below if uploaded, otherwise defaults in schema
         });
@@ -88,12 +162,15 @@ exports.signup = async (req, res, next) => {
         // --- Save the user to the database ---
         await user.save(); // Mongoose validation and pre-save hook (hashing) runs here
 
+        // --- Ask the registrant to confirm they own the email address ---
+        await startEmailVerification(user, lowerEmail);
+
         // --- Respond ---
         // DO NOT send back the password hash or sensitive info
         // DO NOT send a token yet - user needs verification
         res.status(201).json({
             success: true,
-            message: 'Registration successful! Your account is pending verification by an administrator.',
+            message: 'Registration successful! Please confirm your email address using the link we sent. Your account is pending verification by an administrator.',
             // Optional: Send back some non-sensitive user ID if frontend needs it immediately
              // userId: user._id
         });
@@ -128,57 +205,75 @@ exports.login = async (req, res, next) => {
          return next(err);
     }
 
+    const lowerUsername = String(username).toLowerCase().trim();
+
     try {
+        // --- Brute-force protection: refuse early while the username or IP is locked ---
+        const lock = await getLoginLock(lowerUsername, req.ip);
+        if (lock.locked) {
+            await recordLoginAttempt(req, { username: lowerUsername, success: false, reason: 'locked' });
+            return next(lockedError(res, lock.retryAfterSeconds));
+        }
+
         // --- Find user by username (case-insensitive) ---
         // IMPORTANT: Select the password field explicitly because it's excluded by default in the model
-        const user = await User.findOne({ username: username.toLowerCase() }).select('+password');
-
-        if (!user) {
-             const err = new Error('Invalid credentials'); // Generic message for security
-             err.statusCode = 401; // Unauthorized
-             return next(err);
-        }
+        const user = await User.findOne({ username: lowerUsername }).select('+password');
 
         // --- Compare provided password with stored hash ---
         // Now we can use the method because we selected the password
-        const isMatch = await user.comparePassword(password);
+        const isMatch = user ? await user.comparePassword(password) : false;
 
         if (!isMatch) {
-            const err = new Error('Invalid credentials'); // Generic message
-            err.statusCode = 401;
+            // Unknown usernames count too, so attackers can't tell which accounts exist
+            await registerLoginFailure(lowerUsername, req.ip);
+            await recordLoginAttempt(req, { username: lowerUsername, user, success: false, reason: 'invalid_credentials' });
+            const err = new Error('Invalid credentials'); // Generic message for security
+            err.statusCode = 401; // Unauthorized
             return next(err);
         }
 
         // --- Check if user account is verified ---
         if (!user.verified) {
-             const err = new Error('Account not verified. Please wait for admin approval.');
+             await recordLoginAttempt(req, { username: lowerUsername, user, success: false, reason: 'not_verified' });
+             const err = new Error(user.rejectedAt
+                 ? 'Your registration was rejected. Check your registration status for the reason and how to appeal.'
+                 : 'Account not verified. Please wait for admin approval.');
              err.statusCode = 403; // Forbidden
              return next(err);
         }
 
-         // --- Check if user account is potentially disabled/banned (if you add such a flag) ---
-         // if (user.isDisabled) { ... }
+        // --- Check if user account is suspended or banned ---
+        const restricted = restrictedError(user);
+        if (restricted) {
+            await recordLoginAttempt(req, { username: lowerUsername, user, success: false, reason: 'restricted' });
+            return next(restricted);
+        }
 
 
-        // --- User is valid, verified, and allowed: Generate Token ---
-        const token = generateToken(user._id);
+        // --- Two-factor enabled: hand out a short-lived challenge instead of a session ---
+        if (user.twoFactorEnabled) {
+            await recordLoginAttempt(req, { username: lowerUsername, user, success: false, reason: 'two_factor_required' });
+            // Single use: only the latest challenge is valid, and only for one code attempt
+            const { token: challengeId, hash: challengeHash } = createRandomToken(16);
+            await User.updateOne({ _id: user._id }, { $set: { twoFactorChallengeHash: challengeHash } });
+            const challengeToken = jwt.sign(
+                { id: user._id, purpose: TWO_FACTOR_CHALLENGE },
+                process.env.JWT_SECRET,
+                { expiresIn: authConfig.twoFactorChallengeTtl, jwtid: challengeId }
+            );
+            return res.status(200).json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken, // Send to POST /auth/login/2fa together with the authenticator code
+                message: 'Enter the code from your authenticator app.'
+            });
+        }
 
-        // --- Respond with success ---
-        // Send back user details (WITHOUT password) and the token
-        res.status(200).json({
-            success: true,
-            token: token, // Send the generated JWT
-            // Send necessary user details for the frontend session
-            user: {
-                _id: user._id,
-                username: user.username,
-                fullname: user.fullname,
-                email: user.email, // Be mindful about sending email if not strictly necessary
-                profilePic: user.profilePic,
-                isAdmin: user.isAdmin
-                // Add any other fields frontend needs immediately after login
-            }
-        });
+        // --- User is valid, verified, and allowed: Start a session and respond ---
+        // (With 2FA the failure streak is only cleared once the code was accepted as well)
+        await clearLoginFailures(lowerUsername);
+        await recordLoginAttempt(req, { username: lowerUsername, user, success: true, reason: 'success' });
+        await sendLoginResponse(user, req, res);
 
     } catch (error) {
         console.error('Login Controller Error:', error);
@@ -187,6 +282,80 @@ exports.login = async (req, res, next) => {
 };
 
 
+/**
+ * @desc    Second login step for accounts with 2FA: exchange the challenge token + code for a session
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (requires a challenge token from POST /auth/login, valid for one attempt)
+ * @expects JSON body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+exports.loginTwoFactor = async (req, res, next) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        const err = new Error('Challenge token and an authentication code are required.');
+        err.statusCode = 400;
+        return next(err);
+    }
+
+    try {
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        } catch (jwtError) {
+            const err = new Error('Login challenge expired. Please log in again.');
+            err.statusCode = 401;
+            return next(err);
+        }
+        if (decoded.purpose !== TWO_FACTOR_CHALLENGE || !decoded.jti) {
+            const err = new Error('Invalid login challenge.');
+            err.statusCode = 401;
+            return next(err);
+        }
+
+        // Consume the challenge (atomically, so parallel requests can't reuse it): a wrong code means logging in again
+        const user = await User.findOneAndUpdate(
+            { _id: decoded.id, twoFactorChallengeHash: hashToken(decoded.jti) },
+            { $unset: { twoFactorChallengeHash: 1 } }
+        ).select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+        if (!user || !user.twoFactorEnabled || !user.verified) {
+            const err = new Error('Login challenge already used or invalid. Please log in again.');
+            err.statusCode = 401;
+            return next(err);
+        }
+
+        // The account may have been suspended/banned since the password step
+        const restricted = restrictedError(user);
+        if (restricted) return next(restricted);
+
+        // --- Guessing codes is throttled like guessing passwords ---
+        const lock = await getLoginLock(user.username, req.ip);
+        if (lock.locked) {
+            await recordLoginAttempt(req, { username: user.username, user, success: false, reason: 'locked' });
+            return next(lockedError(res, lock.retryAfterSeconds));
+        }
+
+        // --- Check the TOTP code (or consume a recovery code) ---
+        if (!checkSecondFactor(user, { code, recoveryCode })) {
+            await registerLoginFailure(user.username, req.ip);
+            await recordLoginAttempt(req, { username: user.username, user, success: false, reason: 'invalid_2fa' });
+            const err = new Error('Invalid authentication code. Please log in again.');
+            err.statusCode = 401;
+            return next(err);
+        }
+        await user.save(); // Persist replay protection / consumed recovery code
+        await clearLoginFailures(user.username);
+        await recordLoginAttempt(req, { username: user.username, user, success: true, reason: 'success' });
+
+        await sendLoginResponse(user, req, res);
+
+    } catch (error) {
+        console.error('Login 2FA Controller Error:', error);
+        next(error);
+    }
+};
+
+
 /**
  * @desc    Check verification status of a user (primarily for the "Verification Pending" screen)
  * @route   GET /api/auth/status/:username
@@ -201,8 +370,9 @@ exports.checkStatus = async (req, res, next) => {
      }
 
      try {
-         // Find user by username, only select the 'verified' field for efficiency
-         const user = await User.findOne({ username: username.toLowerCase() }).select('verified');
+         // Find user by username, only select the status fields for efficiency
+         const user = await User.findOne({ username: username.toLowerCase() })
+                                .select('verified emailVerified rejectedAt rejectionReasonCode rejectionNote appealCount');
 
          if (!user) {
               const err = new Error('User not found');
@@ -213,11 +383,443 @@ exports.checkStatus = async (req, res, next) => {
          // Respond with the verification status
          res.status(200).json({
              success: true,
-             verified: user.verified
+             verified: user.verified,
+             emailVerified: user.emailVerified,
+             ...describeRegistration(user) // 'pending' | 'approved' | 'rejected' (+ reason and whether an appeal is possible)
          });
 
      } catch (error) {
           console.error('Check Status Controller Error:', error);
           next(error); // Pass to global error handler
      }
-};
\ No newline at end of file
+};
+
+
+/**
+ * @desc    Upload supporting documents for a pending registration (ID card, address proof, ...)
+ *          Applicants can't log in before approval, so they authenticate with username + password here.
+ *          Documents are stored privately and only admins can view them.
+ * @route   POST /api/auth/verification-documents
+ * @access  Public (requires the applicant's credentials)
+ * @expects Multipart/form-data: username, password, documents (1-5 image/PDF files)
+ */
+exports.uploadVerificationDocuments = async (req, res, next) => {
+    const { username, password } = req.body;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+        const err = new Error('Please attach at least one document.'); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        // Same brute-force protection as login - this endpoint also checks passwords
+        const user = await authenticateApplicant(req, res, username, password, '+verificationDocuments');
+
+        if (user.verified || !user.verificationRequestedAt) {
+            const message = user.rejectedAt
+                ? 'Your registration was rejected. Submit an appeal first, then add documents.'
+                : 'Documents can only be added while the registration is pending.';
+            const err = new Error(message); err.statusCode = 400; return next(err);
+        }
+        if (user.verificationDocuments.length + files.length > membershipConfig.maxVerificationDocuments) {
+            const err = new Error(`You can upload at most ${membershipConfig.maxVerificationDocuments} documents.`); err.statusCode = 400; return next(err);
+        }
+
+        for (const file of files) {
+            const result = await uploadPrivateToCloudinary(file, 'patwa_toli/verification');
+            user.verificationDocuments.push({
+                publicId: result.public_id,
+                resourceType: result.resource_type,
+                format: result.format,
+                originalName: file.originalname
+            });
+        }
+        await user.save();
+
+        res.status(201).json({
+            success: true,
+            message: `${files.length} document(s) uploaded. An admin will review them with your registration.`,
+            documentCount: user.verificationDocuments.length
+        });
+    } catch (error) {
+        console.error('Upload Verification Documents Error:', error);
+        next(error);
+    }
+};
+
+
+// Registration details an applicant may correct when appealing a rejection
+const APPEAL_EDITABLE_FIELDS = ['fullname', 'fathername', 'dob', 'address', 'phone', 'isPatwa'];
+
+/**
+ * @desc    Appeal a rejected registration, optionally with corrected details (allowed once)
+ * @route   POST /api/auth/appeal
+ * @access  Public (requires the applicant's credentials)
+ * @expects JSON body: { username, password, message, fullname?, fathername?, dob?, address?, phone?, email?, isPatwa? }
+ */
+exports.appealRejection = async (req, res, next) => {
+    const { username, password, message, email } = req.body;
+
+    try {
+        if (typeof message !== 'string' || !message.trim()) {
+            const err = new Error('Please explain why your registration should be reconsidered.'); err.statusCode = 400; return next(err);
+        }
+
+        const user = await authenticateApplicant(req, res, username, password);
+
+        if (user.verified || !user.rejectedAt) {
+            const err = new Error('Only rejected registrations can be appealed.'); err.statusCode = 400; return next(err);
+        }
+        if (!canAppeal(user)) {
+            const err = new Error('You have already used your appeal for this registration.'); err.statusCode = 403; return next(err);
+        }
+
+        // A corrected email address has to be free (and is confirmed like at signup, below)
+        const lowerEmail = email ? String(email).toLowerCase().trim() : null;
+        const emailChanged = lowerEmail && lowerEmail !== user.email;
+        if (emailChanged && await User.exists({ email: lowerEmail, _id: { $ne: user._id } })) {
+            const err = new Error('Email already registered.'); err.statusCode = 400; return next(err);
+        }
+
+        APPEAL_EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) return;
+            if (field === 'dob') user.dob = new Date(req.body.dob);
+            else if (field === 'isPatwa') user.isPatwa = !!req.body.isPatwa;
+            else user[field] = req.body[field];
+        });
+
+        // Back into the pending queue
+        user.appealCount = (user.appealCount || 0) + 1;
+        user.appealMessage = message.trim();
+        user.appealedAt = new Date();
+        user.rejectedAt = undefined;
+        user.verificationRequestedAt = Date.now();
+        if (emailChanged) {
+            user.email = lowerEmail;
+            user.emailVerified = false;
+            user.emailVerifiedAt = undefined;
+        }
+        await user.save(); // Rejection reason is kept so admins see what was wrong before
+
+        if (emailChanged) await startEmailVerification(user, lowerEmail);
+
+        res.status(200).json({
+            success: true,
+            message: 'Your appeal was submitted. Your registration is pending review again.'
+        });
+    } catch (error) {
+        console.error('Appeal Rejection Error:', error);
+        next(error);
+    }
+};
+
+
+/**
+ * @desc    Exchange a refresh token for a new access token (the refresh token is rotated)
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires a valid refresh token)
+ * @expects JSON body: { refreshToken }
+ */
+exports.refreshToken = async (req, res, next) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        const err = new Error('Refresh token is required.');
+        err.statusCode = 400;
+        return next(err);
+    }
+
+    try {
+        // Throws a 401 error if the token is invalid, expired, revoked or was already used
+        const tokens = await rotateRefreshToken(refreshToken, req);
+
+        res.status(200).json({
+            success: true,
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresIn: authConfig.accessTokenTtl
+        });
+
+    } catch (error) {
+        console.error('Refresh Token Controller Error:', error.message);
+        next(error);
+    }
+};
+
+
+/**
+ * @desc    Log out of the current session (revokes its refresh token)
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+exports.logout = async (req, res, next) => {
+    try {
+        await revokeSession(req.sessionId, 'logout', req.user.id);
+
+        res.status(200).json({ success: true, message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Logout Controller Error:', error);
+        next(error);
+    }
+};
+
+
+/**
+ * @desc    List the active sessions (logged-in devices) of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+    try {
+        const sessions = await Session.find({ user: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+                                      .select('deviceName ip userAgent lastUsedAt createdAt expiresAt')
+                                      .sort({ lastUsedAt: -1 })
+                                      .lean();
+
+        res.status(200).json({
+            success: true,
+            count: sessions.length,
+            sessions: sessions.map(session => ({
+                ...session,
+                current: session._id.toString() === req.sessionId // Lets the app label "This device"
+            }))
+        });
+    } catch (error) {
+        console.error('Get Sessions Controller Error:', error);
+        next(error);
+    }
+};
+
+
+/**
+ * @desc    Revoke one of the current user's sessions (e.g. a lost phone)
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private
+ */
+exports.deleteSession = async (req, res, next) => {
+    try {
+        // Only sessions owned by the logged-in user can be revoked
+        const session = await revokeSession(req.params.sessionId, 'revoked_by_user', req.user.id);
+
+        if (!session) {
+            const err = new Error('Session not found.');
+            err.statusCode = 404;
+            return next(err);
+        }
+
+        res.status(200).json({ success: true, message: `Session on ${session.deviceName} revoked.` });
+    } catch (error) {
+        console.error('Delete Session Controller Error:', error);
+        next(error);
+    }
+};
+
+
+
+/**
+ * @desc    Request a password reset link by email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ * @expects JSON body: { email }
+ */
+exports.forgotPassword = async (req, res, next) => {
+    const { email } = req.body;
+
+    if (!email) {
+        const err = new Error('Please provide your email address.');
+        err.statusCode = 400;
+        return next(err);
+    }
+
+    // Same response whether or not the email exists, so the endpoint can't be used to discover accounts
+    const genericResponse = {
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent.'
+    };
+
+    try {
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+        if (!user) return res.status(200).json(genericResponse);
+
+        // --- Store only the hash of a single-use, expiring token ---
+        const { token, hash } = createRandomToken();
+        user.passwordResetToken = hash;
+        user.passwordResetExpires = new Date(Date.now() + authConfig.passwordResetTtlMinutes * 60 * 1000);
+        await user.save();
+
+        try {
+            await sendPasswordResetEmail(user, token, authConfig.passwordResetTtlMinutes);
+        } catch (mailError) {
+            // Log but keep the generic response; the user can simply request another link
+            console.error('Non-fatal: Failed to send password reset email:', mailError);
+        }
+
+        res.status(200).json(genericResponse);
+
+    } catch (error) {
+        console.error('Forgot Password Controller Error:', error);
+        next(error);
+    }
+};
+
+
+/**
+ * @desc    Set a new password using the emailed reset token (logs out every device)
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ * @expects JSON body: { token, password }
+ */
+exports.resetPassword = async (req, res, next) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        const err = new Error('Reset token and new password are required.');
+        err.statusCode = 400;
+        return next(err);
+    }
+
+    try {
+        const user = await User.findOne({
+            passwordResetToken: hashToken(token),
+            passwordResetExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            const err = new Error('Password reset link is invalid or has expired.');
+            err.statusCode = 400;
+            return next(err);
+        }
+
+        // --- Update password and burn the token (single use) ---
+        user.password = password; // Hashed by the pre-save hook
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        user.passwordChangedAt = new Date();
+        await user.save(); // Mongoose validation (e.g. minimum length) runs here
+
+        // Whoever had access before the reset must not keep it
+        await revokeUserSessions(user._id, 'password_reset');
+
+        try {
+            await sendPasswordChangedEmail(user);
+        } catch (mailError) {
+            console.error('Non-fatal: Failed to send password changed email:', mailError);
+        }
+
+        res.status(200).json({ success: true, message: 'Password has been reset. Please log in with your new password.' });
+
+    } catch (error) {
+        console.error('Reset Password Controller Error:', error);
+        next(error);
+    }
+};
+
+
+
+/**
+ * @desc    Confirm an email address using the emailed token (signup or email change)
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ * @expects JSON body: { token }
+ */
+exports.verifyEmail = async (req, res, next) => {
+    const { token } = req.body;
+
+    if (!token) {
+        const err = new Error('Verification token is required.');
+        err.statusCode = 400;
+        return next(err);
+    }
+
+    try {
+        const user = await User.findOne({
+            emailVerificationToken: hashToken(token),
+            emailVerificationExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            const err = new Error('Email verification link is invalid or has expired.');
+            err.statusCode = 400;
+            return next(err);
+        }
+
+        // --- Email change: switch to the new address only now that it is confirmed ---
+        const oldEmail = user.email;
+        if (user.pendingEmail) {
+            const emailTaken = await User.findOne({ email: user.pendingEmail, _id: { $ne: user._id } });
+            if (emailTaken) {
+                user.pendingEmail = undefined;
+                user.emailVerificationToken = undefined;
+                user.emailVerificationExpires = undefined;
+                await user.save();
+                const err = new Error('This email address is already in use by another account.');
+                err.statusCode = 400;
+                return next(err);
+            }
+            user.email = user.pendingEmail;
+            user.pendingEmail = undefined;
+        }
+
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        user.emailVerificationToken = undefined; // Single use
+        user.emailVerificationExpires = undefined;
+        await user.save();
+
+        if (oldEmail !== user.email) {
+            try {
+                await sendEmailChangedEmail(oldEmail, user);
+            } catch (mailError) {
+                console.error('Non-fatal: Failed to send email changed notice:', mailError);
+            }
+        }
+
+        res.status(200).json({ success: true, message: 'Email address confirmed.', email: user.email });
+
+    } catch (error) {
+        console.error('Verify Email Controller Error:', error);
+        next(error);
+    }
+};
+
+
+/**
+ * @desc    Send a new email confirmation link
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Public
+ * @expects JSON body: { email } (the registered email, or the pending new email)
+ */
+exports.resendVerificationEmail = async (req, res, next) => {
+    const { email } = req.body;
+
+    if (!email) {
+        const err = new Error('Please provide your email address.');
+        err.statusCode = 400;
+        return next(err);
+    }
+
+    // Same response whether or not anything was sent, so the endpoint can't be used to discover accounts
+    const genericResponse = {
+        success: true,
+        message: 'If that email is waiting for confirmation, a new link has been sent.'
+    };
+
+    try {
+        const lowerEmail = String(email).toLowerCase().trim();
+        const user = await User.findOne({ $or: [{ email: lowerEmail }, { pendingEmail: lowerEmail }] });
+        if (!user) return res.status(200).json(genericResponse);
+
+        // A pending change takes priority, otherwise re-send only if the current email is unconfirmed
+        if (user.pendingEmail) {
+            await startEmailVerification(user, user.pendingEmail);
+        } else if (!user.emailVerified) {
+            await startEmailVerification(user, user.email);
+        }
+
+        res.status(200).json(genericResponse);
+
+    } catch (error) {
+        console.error('Resend Verification Email Controller Error:', error);
+        next(error);
+    }
+};
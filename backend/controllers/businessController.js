@@ -3,6 +3,8 @@ const Business = require('../models/Business');
 const User = require('../models/User'); // For potential auth checks
 const mongoose = require('mongoose');
 const { uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('./cloudinaryHelper'); // Import helper
+const { hasPermission } = require('../config/permissions');
+const { recordAudit } = require('./auditHelper');
 
 /**
  * @desc    Create a new business listing
@@ -161,13 +163,13 @@ exports.getBusinessById = async (req, res, next) => {
 /**
  * @desc    Update a business listing
  * @route   PUT /api/businesses/:businessId
- * @access  Private (Owner or Admin)
+ * @access  Private (Owner or 'businesses:update:any')
  * @expects Multipart/form-data
  */
 exports.updateBusiness = async (req, res, next) => {
      const businessId = req.params.businessId;
      const userId = req.user.id;
-     const isAdmin = req.user.isAdmin;
+     const canUpdateAny = hasPermission(req.user, 'businesses:update:any');
      const businessImageFile = req.file;
      const { name, description, category, address, phone, website, email } = req.body;
 
@@ -178,9 +180,10 @@ exports.updateBusiness = async (req, res, next) => {
          if (!business) { const err = new Error('Business listing not found.'); err.statusCode = 404; return next(err); }
 
          // --- Authorization Check ---
-         if (!business.owner.equals(userId) && !isAdmin) { const err = new Error('Forbidden: Not authorized.'); err.statusCode = 403; return next(err); }
+         if (!business.owner.equals(userId) && !canUpdateAny) { const err = new Error('Forbidden: Not authorized.'); err.statusCode = 403; return next(err); }
 
          const oldImagePublicId = business.imagePublicId;
+         const before = business.toObject(); // For the audit log (owner override)
 
          // --- Update fields ---
          if (name) business.name = name.trim();
@@ -210,6 +213,9 @@ exports.updateBusiness = async (req, res, next) => {
 
          // --- Save updated business ---
         const updatedBusiness = await business.save(); // Mongoose validation runs
+        if (!business.owner.equals(userId)) {
+            await recordAudit(req, { action: 'business.update', targetType: 'Business', targetId: business._id, before, after: updatedBusiness });
+        }
 
          // Populate owner for response
          const populatedBusiness = await Business.findById(updatedBusiness._id)
@@ -231,12 +237,12 @@ exports.updateBusiness = async (req, res, next) => {
 /**
  * @desc    Delete a business listing
  * @route   DELETE /api/businesses/:businessId
- * @access  Private (Owner or Admin)
+ * @access  Private (Owner or 'businesses:delete:any')
  */
 exports.deleteBusiness = async (req, res, next) => {
     const businessId = req.params.businessId;
      const userId = req.user.id;
-     const isAdmin = req.user.isAdmin;
+     const canDeleteAny = hasPermission(req.user, 'businesses:delete:any');
 
      if (!mongoose.Types.ObjectId.isValid(businessId)) return next(new Error('Invalid business ID format.'));
 
@@ -245,7 +251,7 @@ exports.deleteBusiness = async (req, res, next) => {
         if (!business) { const err = new Error('Business listing not found.'); err.statusCode = 404; return next(err); }
 
         // --- Authorization Check ---
-         if (!business.owner.equals(userId) && !isAdmin) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
+         if (!business.owner.equals(userId) && !canDeleteAny) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
 
         // --- Delete from Cloudinary ---
          const publicIdToDelete = business.imagePublicId;
@@ -257,6 +263,9 @@ exports.deleteBusiness = async (req, res, next) => {
 
         // --- Delete from DB ---
         await Business.findByIdAndDelete(businessId); // Use this for simplicity vs .deleteOne() on instance
+        if (!business.owner.equals(userId)) {
+            await recordAudit(req, { action: 'business.delete', targetType: 'Business', targetId: business._id, before: business });
+        }
 
         res.status(200).json({
             success: true,
@@ -267,4 +276,38 @@ exports.deleteBusiness = async (req, res, next) => {
         console.error("Delete Business Controller Error:", error);
         next(error);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Mark a business listing as verified (or remove the mark)
+ * @route   POST /api/businesses/:businessId/verify   (verify)
+ * @route   DELETE /api/businesses/:businessId/verify (unverify)
+ * @access  Private ('businesses:verify')
+ */
+exports.setBusinessVerification = async (req, res, next) => {
+    const businessId = req.params.businessId;
+    const verify = req.method === 'POST';
+
+    if (!mongoose.Types.ObjectId.isValid(businessId)) return next(new Error('Invalid business ID format.'));
+
+    try {
+        const update = verify
+            ? { $set: { verified: true, verifiedBy: req.user.id, verifiedAt: new Date() } }
+            : { $set: { verified: false }, $unset: { verifiedBy: '', verifiedAt: '' } };
+
+        const business = await Business.findByIdAndUpdate(businessId, update, { new: true })
+                                       .populate('owner', 'username fullname profilePic _id');
+        if (!business) { const err = new Error('Business listing not found.'); err.statusCode = 404; return next(err); }
+
+        await recordAudit(req, { action: verify ? 'business.verify' : 'business.unverify', targetType: 'Business', targetId: business._id, after: business });
+
+        res.status(200).json({
+            success: true,
+            message: verify ? 'Business listing verified.' : 'Business verification removed.',
+            business
+        });
+    } catch (error) {
+        console.error("Set Business Verification Error:", error);
+        next(error);
+    }
+};
@@ -46,6 +46,57 @@ const uploadToCloudinary = (file, folder) => {
     });
 };
 
+/**
+ * Uploads a file buffer to Cloudinary as a private ('authenticated') asset.
+ * The returned asset has no public URL; use getPrivateDownloadUrl to hand out temporary links.
+ * @param {object} file - The file object from multer. Must contain 'buffer' and 'originalname'.
+ * @param {string} folder - The Cloudinary folder name (e.g., 'patwa_toli/verification').
+ * @returns {Promise<object|null>} { public_id, resource_type, format } or null if no file.
+ * @throws {Error} If formatting or upload fails.
+ */
+const uploadPrivateToCloudinary = (file, folder) => {
+    return new Promise((resolve, reject) => {
+        if (!file) return resolve(null); // No file provided
+
+        const dataUri = formatBufferToDataURI(file);
+        if (!dataUri?.content) {
+            console.error("Failed to create data URI from buffer for file:", file.originalname);
+            return reject(new Error('Failed to process file buffer.'));
+        }
+
+        console.log(`Uploading private ${file.mimetype} to Cloudinary folder: ${folder}`);
+        cloudinary.uploader.upload(dataUri.content, {
+                folder: folder,
+                type: 'authenticated', // Not reachable through a public delivery URL
+                resource_type: 'auto',
+            })
+            .then(result => {
+                console.log('Cloudinary Private Upload Success:', result.public_id);
+                resolve({ public_id: result.public_id, resource_type: result.resource_type, format: result.format });
+            })
+            .catch(error => {
+                console.error('Cloudinary Private Upload Error:', error);
+                reject(new Error(`Cloudinary upload failed: ${error.message}`));
+            });
+    });
+};
+
+/**
+ * Builds a signed, expiring download link for a private ('authenticated') asset.
+ * @param {string} publicId - The public_id of the asset.
+ * @param {string} format - File format/extension (e.g., 'jpg', 'pdf').
+ * @param {string} resourceType - 'image', 'video' or 'raw'.
+ * @param {number} ttlMinutes - How long the link stays valid.
+ * @returns {string} Signed URL.
+ */
+const getPrivateDownloadUrl = (publicId, format, resourceType = 'image', ttlMinutes = 10) => {
+    return cloudinary.utils.private_download_url(publicId, format, {
+        resource_type: resourceType,
+        type: 'authenticated',
+        expires_at: Math.floor(Date.now() / 1000) + ttlMinutes * 60
+    });
+};
+
 /**
  * Extracts the public_id from a Cloudinary URL.
  * @param {string} url - The Cloudinary media URL.
@@ -82,15 +133,16 @@ const getPublicIdFromUrl = (url) => {
  * Deletes a resource from Cloudinary using its public_id.
  * @param {string} publicId - The public_id of the resource to delete.
  * @param {string} resourceType - Optional: 'image', 'video', or 'raw'. Defaults to 'image'.
+ * @param {string} deliveryType - Optional: 'upload' (public, default) or 'authenticated' (private assets).
  * @returns {Promise<object|null>} Cloudinary deletion result or null if no publicId.
  * @throws {Error} If deletion fails.
  */
-const deleteFromCloudinary = (publicId, resourceType = 'auto') => { // Default to auto-detect based on public ID? Might need adjustment.
+const deleteFromCloudinary = (publicId, resourceType = 'auto', deliveryType = 'upload') => { // Default to auto-detect based on public ID? Might need adjustment.
     return new Promise((resolve, reject) => {
         if (!publicId) return resolve({ result: 'ok', message: 'No publicId provided.' }); // Resolve successfully if nothing to delete
 
         console.log(`Deleting from Cloudinary: ${publicId} (type: ${resourceType})`);
-        cloudinary.uploader.destroy(publicId, { resource_type: resourceType })
+        cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: deliveryType })
             .then(result => {
                 console.log('Cloudinary Deletion Result:', result);
                  if (result.result !== 'ok' && result.result !== 'not found') { // Handle 'not found' gracefully
@@ -112,6 +164,8 @@ const deleteFromCloudinary = (publicId, resourceType = 'auto') => { // Default t
 
 module.exports = {
     uploadToCloudinary,
+    uploadPrivateToCloudinary,
+    getPrivateDownloadUrl,
     deleteFromCloudinary,
     getPublicIdFromUrl,
     formatBufferToDataURI // Keep if needed directly, though usually internal to uploadToCloudinary
@@ -0,0 +1,284 @@
+// backend/controllers/commentController.js
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const mongoose = require('mongoose');
+const { hasPermission } = require('../config/permissions');
+const { getBlockedUserIds, isBlockedBetween, canViewPost } = require('./visibilityHelper');
+const { recordAudit } = require('./auditHelper');
+const { notify, retractNotification } = require('./notificationHelper');
+const { publish, postRoom } = require('./realtimeHelper');
+const { resolveMentions, notifyMentions } = require('./tagHelper');
+
+const AUTHOR_FIELDS = 'username fullname profilePic _id';
+
+// Loads a post the current user may see (404 otherwise, so hidden posts can't be probed)
+const findViewablePost = async (postId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        const err = new Error('Invalid post ID.'); err.statusCode = 400; throw err;
+    }
+    const post = await Post.findById(postId).select('user visibility').populate('user', 'isPrivate');
+    if (!post?.user || !(await canViewPost(userId, post))) {
+        const err = new Error('Post not found.'); err.statusCode = 404; throw err;
+    }
+    return post;
+};
+
+// Loads a comment of the given post
+const findPostComment = async (postId, commentId) => {
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+        const err = new Error('Invalid comment ID.'); err.statusCode = 400; throw err;
+    }
+    const comment = await Comment.findOne({ _id: commentId, post: postId });
+    if (!comment) {
+        const err = new Error('Comment not found.'); err.statusCode = 404; throw err;
+    }
+    return comment;
+};
+
+// Shapes a (lean) comment for the viewer: like count and own like instead of the full likes array
+const formatComment = (comment, userId) => {
+    const { likes, ...rest } = comment;
+    return {
+        ...rest,
+        likeCount: likes?.length || 0,
+        likedByMe: (likes || []).some(id => id.equals(userId))
+    };
+};
+
+// One page of comments (newest first) matching `filter`, without members on either side of a block
+const listComments = async (req, res, filter) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    if (req.query.before) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.before)) { const err = new Error('Invalid cursor.'); err.statusCode = 400; throw err; }
+        filter._id = { $lt: req.query.before };
+    }
+    filter.user = { $nin: await getBlockedUserIds(req.user._id) };
+
+    const comments = await Comment.find(filter)
+                                  .sort({ _id: -1 })
+                                  .limit(limit + 1)
+                                  .populate('user', AUTHOR_FIELDS)
+                                  .lean();
+
+    const hasMore = comments.length > limit;
+    const page = hasMore ? comments.slice(0, limit) : comments;
+
+    res.status(200).json({
+        success: true,
+        count: page.length,
+        pagination: { hasMore, nextCursor: hasMore ? page[page.length - 1]._id : null },
+        comments: page.map(comment => formatComment(comment, req.user._id))
+    });
+};
+
+/**
+ * @desc    Top-level comments of a post (newest first, cursor paginated); replies via /:commentId/replies
+ * @route   GET /api/posts/:postId/comments
+ * @access  Private
+ * @query   limit (default 20, max 50), before - `nextCursor` from the previous page
+ */
+exports.getComments = async (req, res, next) => {
+    try {
+        const post = await findViewablePost(req.params.postId, req.user._id);
+        await listComments(req, res, { post: post._id, parent: null });
+    } catch (error) { console.error('Get Comments Error:', error); next(error); }
+};
+
+/**
+ * @desc    Replies to a comment (newest first, cursor paginated)
+ * @route   GET /api/posts/:postId/comments/:commentId/replies
+ * @access  Private
+ * @query   limit (default 20, max 50), before - `nextCursor` from the previous page
+ */
+exports.getReplies = async (req, res, next) => {
+    try {
+        const post = await findViewablePost(req.params.postId, req.user._id);
+        const comment = await findPostComment(post._id, req.params.commentId);
+        await listComments(req, res, { post: post._id, parent: comment._id });
+    } catch (error) { console.error('Get Replies Error:', error); next(error); }
+};
+
+// Throws a 400 unless the comment text is a non-empty string
+const assertCommentText = (text) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        const err = new Error('Comment text cannot be empty.'); err.statusCode = 400; throw err;
+    }
+};
+
+/**
+ * @desc    Add a comment to a post, or a reply to one of its comments
+ * @route   POST /api/posts/:postId/comments
+ * @access  Private
+ * @expects JSON body: { text, parentId? }
+ */
+exports.addComment = async (req, res, next) => {
+    const { text, parentId } = req.body;
+    const userId = req.user._id;
+
+    try {
+        assertCommentText(text);
+        const post = await findViewablePost(req.params.postId, userId);
+        if (await isBlockedBetween(userId, post.user._id)) { const err = new Error('You cannot comment on this post.'); err.statusCode = 403; return next(err); }
+
+        // Replies are one level deep: replying to a reply attaches to its top-level comment
+        let parent = null;
+        if (parentId) {
+            parent = await findPostComment(post._id, parentId);
+            if (parent.parent) parent = await findPostComment(post._id, parent.parent);
+            if (await isBlockedBetween(userId, parent.user)) { const err = new Error('You cannot reply to this comment.'); err.statusCode = 403; return next(err); }
+        }
+
+        const comment = await Comment.create({ post: post._id, user: userId, parent: parent?._id || null, text: text.trim(), mentions: await resolveMentions(text) });
+        await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+        if (parent) await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+
+        await comment.populate('user', AUTHOR_FIELDS);
+        const formatted = formatComment(comment.toObject(), userId);
+
+        await notify({ recipient: post.user._id, actor: userId, type: 'comment', subjectType: 'Post', subjectId: post._id, preview: comment.text });
+        if (parent && !parent.user.equals(post.user._id)) {
+            await notify({ recipient: parent.user, actor: userId, type: 'reply', subjectType: 'Post', subjectId: post._id, preview: comment.text });
+        }
+        await notifyMentions({
+            mentionIds: comment.mentions, actor: userId, type: 'comment_mention', subjectType: 'Post', subjectId: post._id,
+            preview: comment.text, canSee: (mentionedId) => canViewPost(mentionedId, post)
+        });
+        publish(postRoom(post._id), 'comment:new', { postId: post._id, comment: formatted });
+
+        res.status(201).json({ success: true, message: parent ? 'Reply added.' : 'Comment added.', comment: formatted });
+    } catch (error) { console.error('Add Comment Error:', error); next(error); }
+};
+
+/**
+ * @desc    Edit a comment
+ * @route   PUT /api/posts/:postId/comments/:commentId
+ * @access  Private (Comment author)
+ * @expects JSON body: { text }
+ */
+exports.editComment = async (req, res, next) => {
+    const { text } = req.body;
+    try {
+        assertCommentText(text);
+        const post = await findViewablePost(req.params.postId, req.user._id);
+        const comment = await findPostComment(post._id, req.params.commentId);
+        if (!comment.user.equals(req.user._id)) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
+
+        const previousMentionIds = [...comment.mentions];
+        comment.text = text.trim();
+        comment.mentions = await resolveMentions(comment.text);
+        comment.editedAt = new Date();
+        await comment.save();
+
+        await notifyMentions({
+            mentionIds: comment.mentions, previousMentionIds, actor: req.user._id, type: 'comment_mention', subjectType: 'Post',
+            subjectId: post._id, preview: comment.text, canSee: (mentionedId) => canViewPost(mentionedId, post)
+        });
+
+        publish(postRoom(post._id), 'comment:updated', { postId: post._id, commentId: comment._id, text: comment.text, editedAt: comment.editedAt });
+        res.status(200).json({ success: true, message: 'Comment updated.', text: comment.text, editedAt: comment.editedAt });
+    } catch (error) { console.error('Edit Comment Error:', error); next(error); }
+};
+
+// Notifications are grouped per post, so a deleted comment's 'comment' notification (to the post owner)
+// goes away with its author's last comment on the post, and a 'reply' notification with the author's
+// last reply to the same member. `removed`: [{ user, parentAuthor }] (parentAuthor null for top-level comments)
+const retractCommentNotifications = async (post, removed) => {
+    const authorIds = [...new Set(removed.map(entry => entry.user.toString()))];
+    for (const authorId of authorIds) {
+        if (!(await Comment.exists({ post: post._id, user: authorId }))) {
+            await retractNotification({ recipient: post.user, actor: authorId, type: 'comment', subjectType: 'Post', subjectId: post._id });
+        }
+    }
+
+    const replyPairs = new Map(removed.filter(entry => entry.parentAuthor).map(entry => [`${entry.user}:${entry.parentAuthor}`, entry]));
+    for (const { user, parentAuthor } of replyPairs.values()) {
+        const parentIds = await Comment.find({ post: post._id, user: parentAuthor, parent: null }).distinct('_id');
+        if (!(await Comment.exists({ user, parent: { $in: parentIds } }))) {
+            await retractNotification({ recipient: parentAuthor, actor: user, type: 'reply', subjectType: 'Post', subjectId: post._id });
+        }
+    }
+};
+
+/**
+ * @desc    Delete a comment (with its replies)
+ * @route   DELETE /api/posts/:postId/comments/:commentId
+ * @access  Private (Comment author, post owner or 'comments:delete:any')
+ */
+exports.deleteComment = async (req, res, next) => {
+    const userId = req.user._id;
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.postId)) { const err = new Error('Invalid post ID.'); err.statusCode = 400; return next(err); }
+        const post = await Post.findById(req.params.postId).select('user');
+        if (!post) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
+        const comment = await findPostComment(post._id, req.params.commentId);
+
+        const isAuthor = comment.user.equals(userId);
+        const isPostOwner = post.user.equals(userId);
+        if (!isAuthor && !isPostOwner && !hasPermission(req.user, 'comments:delete:any')) {
+            const err = new Error('Forbidden.'); err.statusCode = 403; return next(err);
+        }
+
+        const replies = await Comment.find({ parent: comment._id }).select('user');
+        const { deletedCount: repliesDeleted } = await Comment.deleteMany({ parent: comment._id });
+        await comment.deleteOne();
+        await Post.updateOne({ _id: post._id }, { $inc: { commentCount: -(1 + repliesDeleted) } });
+        if (comment.parent) await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+
+        // Deleting someone else's comment on someone else's post is a moderation action
+        if (!isAuthor && !isPostOwner) {
+            await recordAudit(req, { action: 'comment.delete', targetType: 'Comment', targetId: comment._id, before: comment });
+        }
+        const parentAuthor = comment.parent ? (await Comment.findById(comment.parent).select('user'))?.user : null;
+        await retractCommentNotifications(post, [
+            { user: comment.user, parentAuthor },
+            ...replies.map(reply => ({ user: reply.user, parentAuthor: comment.user }))
+        ]);
+
+        publish(postRoom(post._id), 'comment:deleted', { postId: post._id, commentId: comment._id, parentId: comment.parent });
+        res.status(200).json({ success: true, message: 'Comment deleted.', deletedCount: 1 + repliesDeleted });
+    } catch (error) { console.error('Delete Comment Error:', error); next(error); }
+};
+
+/**
+ * @desc    Like a comment
+ * @route   POST /api/posts/:postId/comments/:commentId/like
+ * @access  Private
+ */
+exports.likeComment = async (req, res, next) => {
+    const userId = req.user._id;
+
+    try {
+        const post = await findViewablePost(req.params.postId, userId);
+        const comment = await findPostComment(post._id, req.params.commentId);
+        if (await isBlockedBetween(userId, comment.user)) { const err = new Error('You cannot interact with this comment.'); err.statusCode = 403; return next(err); }
+
+        const updated = await Comment.findByIdAndUpdate(comment._id, { $addToSet: { likes: userId } }, { new: true }).select('likes');
+
+        await notify({ recipient: comment.user, actor: userId, type: 'comment_like', subjectType: 'Post', subjectId: post._id, preview: comment.text });
+        publish(postRoom(post._id), 'comment:likes', { postId: post._id, commentId: comment._id, likeCount: updated.likes.length });
+
+        res.status(200).json({ success: true, message: 'Comment liked.', likeCount: updated.likes.length });
+    } catch (error) { console.error('Like Comment Error:', error); next(error); }
+};
+
+/**
+ * @desc    Unlike a comment
+ * @route   DELETE /api/posts/:postId/comments/:commentId/like
+ * @access  Private
+ */
+exports.unlikeComment = async (req, res, next) => {
+    const userId = req.user._id;
+
+    try {
+        const post = await findViewablePost(req.params.postId, userId);
+        const comment = await findPostComment(post._id, req.params.commentId);
+
+        const updated = await Comment.findByIdAndUpdate(comment._id, { $pull: { likes: userId } }, { new: true }).select('likes');
+
+        await retractNotification({ recipient: comment.user, actor: userId, type: 'comment_like', subjectType: 'Post', subjectId: post._id });
+        publish(postRoom(post._id), 'comment:likes', { postId: post._id, commentId: comment._id, likeCount: updated.likes.length });
+
+        res.status(200).json({ success: true, message: 'Comment unliked.', likeCount: updated.likes.length });
+    } catch (error) { console.error('Unlike Comment Error:', error); next(error); }
+};
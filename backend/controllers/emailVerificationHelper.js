@@ -0,0 +1,34 @@
+// backend/controllers/emailVerificationHelper.js
+const { createRandomToken } = require('./tokenHelper');
+const { sendEmailVerificationEmail } = require('./mailHelper');
+const authConfig = require('../config/auth');
+
+/**
+ * Issues a new confirmation link for `address` and emails it.
+ * If `address` differs from the user's current email it is stored as `pendingEmail`
+ * (the current email stays active until the new one is confirmed).
+ * Any previously issued link for this user stops working.
+ * @param {object} user - User document (saved by this function).
+ * @param {string} address - Lowercased email address to confirm.
+ * @returns {Promise<boolean>} Whether the email was handed to the mail transport.
+ */
+const startEmailVerification = async (user, address) => {
+    const { token, hash } = createRandomToken();
+    user.emailVerificationToken = hash;
+    user.emailVerificationExpires = new Date(Date.now() + authConfig.emailVerificationTtlHours * 60 * 60 * 1000);
+    user.pendingEmail = address !== user.email ? address : undefined;
+    await user.save();
+
+    try {
+        await sendEmailVerificationEmail(user, address, token, authConfig.emailVerificationTtlHours);
+        return true;
+    } catch (mailError) {
+        // Don't fail the surrounding request - the user can ask for the link again
+        console.error('Non-fatal: Failed to send email verification link:', mailError);
+        return false;
+    }
+};
+
+module.exports = {
+    startEmailVerification
+};
@@ -2,12 +2,19 @@
 const Event = require('../models/Event');
 const mongoose = require('mongoose');
 const { uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('./cloudinaryHelper'); // Import helper
+const { hasPermission } = require('../config/permissions');
+const { getBannedUserIds, getBlockedUserIds } = require('./visibilityHelper');
+const { recordAudit } = require('./auditHelper');
+const { notify, retractNotification, removeNotificationsForSubject } = require('./notificationHelper');
+const { createEventGroup, syncEventGroupMember, detachEventGroup } = require('./groupChatHelper');
 
 // @desc    Create a new event
 // @route   POST /api/events
 // @access  Private
+// Send createChatGroup=true to also open a group chat for the attendees
 exports.createEvent = async (req, res, next) => {
     const { title, description, category, eventDate, location } = req.body;
+    const createChatGroup = req.body.createChatGroup === true || req.body.createChatGroup === 'true'; // Multipart sends strings
     const organizerId = req.user.id;
     const eventImageFile = req.file; // File from memory storage
 
@@ -35,6 +42,7 @@ exports.createEvent = async (req, res, next) => {
 
         const event = new Event(newEventData);
         const savedEvent = await event.save();
+        if (createChatGroup) await createEventGroup(savedEvent);
         const populatedEvent = await Event.findById(savedEvent._id).populate('organizer', 'username fullname profilePic');
 
         res.status(201).json({ success: true, message: "Event created.", event: populatedEvent });
@@ -53,8 +61,9 @@ exports.createEvent = async (req, res, next) => {
 exports.getEvents = async (req, res, next) => {
     // ... (Keep refined pagination/filtering logic from previous step) ...
      const now = new Date(); const page = parseInt(req.query.page) || 1; const limit = parseInt(req.query.limit) || 12; const skip = (page - 1) * limit;
-     try { const eventsQuery = Event.find({ eventDate: { $gte: now } }).populate('organizer', 'username fullname profilePic').sort({ eventDate: 1 }).skip(skip).limit(limit);
-         const [events, totalEvents] = await Promise.all([ eventsQuery.exec(), Event.countDocuments({ eventDate: { $gte: now } }) ]);
+     try { const filter = { eventDate: { $gte: now }, organizer: { $nin: await getBannedUserIds() } }; // Hide events of banned organizers
+         const eventsQuery = Event.find(filter).populate('organizer', 'username fullname profilePic').sort({ eventDate: 1 }).skip(skip).limit(limit);
+         const [events, totalEvents] = await Promise.all([ eventsQuery.exec(), Event.countDocuments(filter) ]);
          const totalPages = Math.ceil(totalEvents / limit);
          res.status(200).json({ success: true, count: events.length, pagination: { currentPage: page, totalPages, totalEvents }, events: events });
      } catch (error) { console.error("Get Events Error:", error); next(error); }
@@ -66,16 +75,20 @@ exports.getEvents = async (req, res, next) => {
 exports.getEventById = async (req, res, next) => {
      // ... (Keep refined logic from previous step) ...
       const eventId = req.params.eventId; if (!mongoose.Types.ObjectId.isValid(eventId)) return next(new Error('Invalid ID.'));
-      try { const event = await Event.findById(eventId).populate('organizer', 'username fullname profilePic email').populate('attendees', 'username fullname profilePic'); if (!event) { const err = new Error('Event not found.'); err.statusCode = 404; return next(err); } res.status(200).json({ success: true, event: event }); } catch (error) { console.error("Get Event By ID Error:", error); next(error); }
+      try { const event = await Event.findById(eventId).populate('organizer', 'username fullname profilePic email').populate('attendees', 'username fullname profilePic'); if (!event) { const err = new Error('Event not found.'); err.statusCode = 404; return next(err); }
+            // Blocks hide RSVPs both ways
+            const blockedIds = req.user ? await getBlockedUserIds(req.user._id) : [];
+            const eventData = event.toObject(); eventData.attendees = eventData.attendees.filter(attendee => attendee && !blockedIds.some(id => id.equals(attendee._id))); // Deleted accounts populate as null
+            res.status(200).json({ success: true, event: eventData }); } catch (error) { console.error("Get Event By ID Error:", error); next(error); }
 };
 
 // @desc    Update an event
 // @route   PUT /api/events/:eventId
-// @access  Private (Organizer or Admin)
+// @access  Private (Organizer or 'events:update:any')
 exports.updateEvent = async (req, res, next) => {
     const eventId = req.params.eventId;
     const userId = req.user.id;
-    const isAdmin = req.user.isAdmin;
+    const canUpdateAny = hasPermission(req.user, 'events:update:any');
     const eventImageFile = req.file; // New image file?
     const { title, description, category, eventDate, location } = req.body;
 
@@ -84,9 +97,10 @@ exports.updateEvent = async (req, res, next) => {
     try {
         const event = await Event.findById(eventId);
         if (!event) { const err = new Error('Event not found.'); err.statusCode = 404; return next(err); }
-        if (!event.organizer.equals(userId) && !isAdmin) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
+        if (!event.organizer.equals(userId) && !canUpdateAny) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
 
         const oldImagePublicId = event.imagePublicId; // Store old public ID
+        const before = event.toObject(); // For the audit log (owner override)
 
         // Update fields
         if (title) event.title = title.trim();
@@ -109,6 +123,9 @@ exports.updateEvent = async (req, res, next) => {
         }
 
         const updatedEvent = await event.save();
+        if (!event.organizer.equals(userId)) {
+            await recordAudit(req, { action: 'event.update', targetType: 'Event', targetId: event._id, before, after: updatedEvent });
+        }
         const populatedEvent = await Event.findById(updatedEvent._id).populate('organizer', 'username fullname profilePic');
 
         res.status(200).json({ success: true, message: "Event updated.", event: populatedEvent });
@@ -122,18 +139,18 @@ exports.updateEvent = async (req, res, next) => {
 
 // @desc    Delete an event
 // @route   DELETE /api/events/:eventId
-// @access  Private (Organizer or Admin)
+// @access  Private (Organizer or 'events:delete:any')
 exports.deleteEvent = async (req, res, next) => {
     const eventId = req.params.eventId;
     const userId = req.user.id;
-    const isAdmin = req.user.isAdmin;
+    const canDeleteAny = hasPermission(req.user, 'events:delete:any');
 
     if (!mongoose.Types.ObjectId.isValid(eventId)) return next(new Error('Invalid event ID.'));
 
     try {
         const event = await Event.findById(eventId);
         if (!event) { const err = new Error('Event not found.'); err.statusCode = 404; return next(err); }
-        if (!event.organizer.equals(userId) && !isAdmin) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
+        if (!event.organizer.equals(userId) && !canDeleteAny) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
 
         // --- Delete from Cloudinary ---
          const publicId = event.imagePublicId;
@@ -143,6 +160,11 @@ exports.deleteEvent = async (req, res, next) => {
 
         // --- Delete from DB ---
         await event.deleteOne();
+        await removeNotificationsForSubject('Event', event._id);
+        if (event.chatGroup) await detachEventGroup(event._id);
+        if (!event.organizer.equals(userId)) {
+            await recordAudit(req, { action: 'event.delete', targetType: 'Event', targetId: event._id, before: event });
+        }
         res.status(200).json({ success: true, message: 'Event deleted.' });
 
     } catch (error) {
@@ -157,7 +179,10 @@ exports.deleteEvent = async (req, res, next) => {
 exports.attendEvent = async (req, res, next) => {
      // ... (Keep refined logic using $addToSet from previous step) ...
       const eventId = req.params.eventId; const userId = req.user.id; if (!mongoose.Types.ObjectId.isValid(eventId)) return next(new Error('Invalid ID.'));
-      try { const updatedEvent = await Event.findByIdAndUpdate(eventId, { $addToSet: { attendees: userId } }, { new: true }).select('attendees'); if (!updatedEvent) return next(new Error('Event not found.')); res.status(200).json({ success: true, message: 'Attending.', attendees: updatedEvent.attendees }); } catch (error) { console.error("Attend Event Err:", error); next(error); }
+      try { const updatedEvent = await Event.findByIdAndUpdate(eventId, { $addToSet: { attendees: userId } }, { new: true }).select('attendees organizer chatGroup'); if (!updatedEvent) return next(new Error('Event not found.'));
+            await notify({ recipient: updatedEvent.organizer, actor: userId, type: 'rsvp', subjectType: 'Event', subjectId: updatedEvent._id });
+            await syncEventGroupMember(updatedEvent, userId, true);
+            res.status(200).json({ success: true, message: 'Attending.', attendees: updatedEvent.attendees }); } catch (error) { console.error("Attend Event Err:", error); next(error); }
 };
 
 // @desc    Unattend an event
@@ -166,5 +191,28 @@ exports.attendEvent = async (req, res, next) => {
 exports.unattendEvent = async (req, res, next) => {
       // ... (Keep refined logic using $pull from previous step) ...
        const eventId = req.params.eventId; const userId = req.user.id; if (!mongoose.Types.ObjectId.isValid(eventId)) return next(new Error('Invalid ID.'));
-       try { const updatedEvent = await Event.findByIdAndUpdate( eventId, { $pull: { attendees: userId } }, { new: true } ).select('attendees'); if (!updatedEvent) return next(new Error('Event not found.')); res.status(200).json({ success: true, message: 'Removed from attendees.', attendees: updatedEvent.attendees }); } catch (error) { console.error("Unattend Event Err:", error); next(error); }
-};
\ No newline at end of file
+       try { const updatedEvent = await Event.findByIdAndUpdate( eventId, { $pull: { attendees: userId } }, { new: true } ).select('attendees organizer chatGroup'); if (!updatedEvent) return next(new Error('Event not found.'));
+             await retractNotification({ recipient: updatedEvent.organizer, actor: userId, type: 'rsvp', subjectType: 'Event', subjectId: updatedEvent._id });
+             await syncEventGroupMember(updatedEvent, userId, false);
+             res.status(200).json({ success: true, message: 'Removed from attendees.', attendees: updatedEvent.attendees }); } catch (error) { console.error("Unattend Event Err:", error); next(error); }
+};
+// @desc    Open the attendees' group chat of an existing event
+// @route   POST /api/events/:eventId/chat-group
+// @access  Private (Organizer)
+exports.createEventChatGroup = async (req, res, next) => {
+    const eventId = req.params.eventId;
+    if (!mongoose.Types.ObjectId.isValid(eventId)) return next(new Error('Invalid event ID.'));
+
+    try {
+        const event = await Event.findById(eventId);
+        if (!event) { const err = new Error('Event not found.'); err.statusCode = 404; return next(err); }
+        if (!event.organizer.equals(req.user.id)) { const err = new Error('Only the organizer can open the event chat.'); err.statusCode = 403; return next(err); }
+        if (event.chatGroup) { const err = new Error('This event already has a group chat.'); err.statusCode = 400; return next(err); }
+
+        const conversation = await createEventGroup(event);
+        res.status(201).json({ success: true, message: 'Event group chat created.', conversationId: conversation._id });
+    } catch (error) {
+        console.error("Create Event Chat Group Error:", error);
+        next(error);
+    }
+};
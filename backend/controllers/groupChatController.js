@@ -0,0 +1,252 @@
+// backend/controllers/groupChatController.js
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { createRandomToken } = require('./tokenHelper');
+const { canMessage, getBlockedUserIds } = require('./visibilityHelper');
+const { MAX_GROUP_MEMBERS, publishGroupUpdate, addGroupMembers, removeGroupMember } = require('./groupChatHelper');
+
+const MEMBER_FIELDS = 'username fullname profilePic _id';
+
+// Loads a group the current user belongs to; with `adminOnly` the user must also be a group admin
+const findGroup = async (conversationId, userId, { adminOnly = false, select = '' } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+        const err = new Error('Invalid conversation ID.'); err.statusCode = 400; throw err;
+    }
+    const conversation = await Conversation.findOne({ _id: conversationId, type: 'group', 'members.user': userId }).select(select);
+    if (!conversation) {
+        const err = new Error('Group not found.'); err.statusCode = 404; throw err;
+    }
+    if (adminOnly && !conversation.isAdmin(userId)) {
+        const err = new Error('Only group admins can do this.'); err.statusCode = 403; throw err;
+    }
+    return conversation;
+};
+
+// Event groups mirror the event's RSVPs, so their membership can't be edited by hand (members may still leave)
+const rejectIfEventGroup = (conversation) => {
+    if (conversation.event) {
+        const err = new Error("Membership of an event group follows the event's RSVPs.");
+        err.statusCode = 400;
+        throw err;
+    }
+};
+
+// Keeps only IDs of verified, non-banned, non-blocked members the current user may message
+const filterInvitableUsers = async (currentUser, userIds) => {
+    const validIds = [...new Set((userIds || []).map(String))].filter(id => mongoose.Types.ObjectId.isValid(id));
+    const [users, blockedIds] = await Promise.all([
+        User.find({ _id: { $in: validIds } }).select('verified accountStatus'),
+        getBlockedUserIds(currentUser._id)
+    ]);
+    return users.filter(user => canMessage(currentUser, user, blockedIds).allowed).map(user => user._id);
+};
+
+/**
+ * @desc    Create a group conversation (the creator becomes its admin)
+ * @route   POST /api/messages/groups
+ * @access  Private
+ * @expects JSON body: { title, description?, memberIds: [..] }
+ */
+exports.createGroup = async (req, res, next) => {
+    const { title, description, memberIds } = req.body;
+
+    try {
+        if (typeof title !== 'string' || !title.trim()) { const err = new Error('Group name is required.'); err.statusCode = 400; return next(err); }
+        if (description !== undefined && typeof description !== 'string') {
+            const err = new Error('Group description must be text.'); err.statusCode = 400; return next(err);
+        }
+        const invitedIds = await filterInvitableUsers(req.user, memberIds);
+        if (invitedIds.length + 1 > MAX_GROUP_MEMBERS) {
+            const err = new Error(`A group can have at most ${MAX_GROUP_MEMBERS} members.`); err.statusCode = 400; return next(err);
+        }
+
+        const conversation = await Conversation.create({
+            type: 'group',
+            title: title.trim(),
+            description: description?.trim(),
+            createdBy: req.user._id,
+            members: [
+                { user: req.user._id, role: 'admin', lastReadAt: new Date() },
+                ...invitedIds.map(userId => ({ user: userId, role: 'member' }))
+            ]
+        });
+        publishGroupUpdate(conversation, { type: 'created' });
+
+        await conversation.populate('members.user', MEMBER_FIELDS);
+        res.status(201).json({ success: true, message: 'Group created.', conversation });
+    } catch (error) {
+        console.error('Create Group Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Rename a group or change its description
+ * @route   PUT /api/messages/groups/:conversationId
+ * @access  Private (group admins)
+ * @expects JSON body: { title?, description? }
+ */
+exports.updateGroup = async (req, res, next) => {
+    const { title, description } = req.body;
+
+    try {
+        if ((title !== undefined && typeof title !== 'string') || (description !== undefined && typeof description !== 'string')) {
+            const err = new Error('Group name and description must be text.'); err.statusCode = 400; return next(err);
+        }
+
+        const conversation = await findGroup(req.params.conversationId, req.user._id, { adminOnly: true });
+        if (title !== undefined) {
+            if (!title.trim()) { const err = new Error('Group name cannot be empty.'); err.statusCode = 400; return next(err); }
+            conversation.title = title.trim();
+        }
+        if (description !== undefined) conversation.description = description.trim();
+        await conversation.save();
+        publishGroupUpdate(conversation, { type: 'details' });
+
+        res.status(200).json({ success: true, message: 'Group updated.', title: conversation.title, description: conversation.description });
+    } catch (error) {
+        console.error('Update Group Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add members to a group
+ * @route   POST /api/messages/groups/:conversationId/members
+ * @access  Private (group admins)
+ * @expects JSON body: { userIds: [..] }
+ */
+exports.addMembers = async (req, res, next) => {
+    try {
+        const conversation = await findGroup(req.params.conversationId, req.user._id, { adminOnly: true });
+        rejectIfEventGroup(conversation);
+
+        const invitedIds = await filterInvitableUsers(req.user, req.body.userIds);
+        const added = await addGroupMembers(conversation, invitedIds);
+
+        res.status(200).json({ success: true, message: `${added.length} member(s) added.`, added });
+    } catch (error) {
+        console.error('Add Group Members Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove a member (admins) or leave the group (any member, with your own user ID)
+ * @route   DELETE /api/messages/groups/:conversationId/members/:userId
+ * @access  Private
+ */
+exports.removeMember = async (req, res, next) => {
+    const { userId } = req.params;
+    const leaving = userId === req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(userId)) { const err = new Error('Invalid user ID.'); err.statusCode = 400; return next(err); }
+
+    try {
+        const conversation = await findGroup(req.params.conversationId, req.user._id, { adminOnly: !leaving });
+        if (!leaving) rejectIfEventGroup(conversation); // Attendees may still leave an event's chat
+
+        const removed = await removeGroupMember(conversation, userId);
+        if (!removed) { const err = new Error('User is not a member of this group.'); err.statusCode = 404; return next(err); }
+
+        res.status(200).json({ success: true, message: leaving ? 'You left the group.' : 'Member removed.' });
+    } catch (error) {
+        console.error('Remove Group Member Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Make a member an admin or demote an admin
+ * @route   PUT /api/messages/groups/:conversationId/members/:userId/role
+ * @access  Private (group admins)
+ * @expects JSON body: { role: 'admin' | 'member' }
+ */
+exports.setMemberRole = async (req, res, next) => {
+    const { role } = req.body;
+    if (!['admin', 'member'].includes(role)) {
+        const err = new Error("Role must be 'admin' or 'member'."); err.statusCode = 400; return next(err);
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) { const err = new Error('Invalid user ID.'); err.statusCode = 400; return next(err); }
+
+    try {
+        const conversation = await findGroup(req.params.conversationId, req.user._id, { adminOnly: true });
+        const member = conversation.getMember(req.params.userId);
+        if (!member) { const err = new Error('User is not a member of this group.'); err.statusCode = 404; return next(err); }
+
+        const adminCount = conversation.members.filter(entry => entry.role === 'admin').length;
+        if (role === 'member' && member.role === 'admin' && adminCount === 1) {
+            const err = new Error('A group needs at least one admin.'); err.statusCode = 400; return next(err);
+        }
+
+        await Conversation.updateOne(
+            { _id: conversation._id, 'members.user': member.user },
+            { $set: { 'members.$.role': role } }
+        );
+        publishGroupUpdate(conversation, { type: 'role', userId: member.user, role });
+
+        res.status(200).json({ success: true, message: `Role changed to ${role}.` });
+    } catch (error) {
+        console.error('Set Group Role Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create (or replace) the group's invite link; the previous link stops working
+ * @route   POST /api/messages/groups/:conversationId/join-link
+ * @access  Private (group admins)
+ */
+exports.createJoinLink = async (req, res, next) => {
+    try {
+        const conversation = await findGroup(req.params.conversationId, req.user._id, { adminOnly: true });
+        rejectIfEventGroup(conversation);
+
+        const { token } = createRandomToken(12);
+        await Conversation.updateOne({ _id: conversation._id }, { $set: { joinCode: token } });
+
+        res.status(200).json({
+            success: true,
+            joinCode: token,
+            joinLink: `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}/groups/join/${token}`
+        });
+    } catch (error) {
+        console.error('Create Join Link Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Disable the group's invite link
+ * @route   DELETE /api/messages/groups/:conversationId/join-link
+ * @access  Private (group admins)
+ */
+exports.disableJoinLink = async (req, res, next) => {
+    try {
+        const conversation = await findGroup(req.params.conversationId, req.user._id, { adminOnly: true });
+        await Conversation.updateOne({ _id: conversation._id }, { $unset: { joinCode: '' } });
+        res.status(200).json({ success: true, message: 'Invite link disabled.' });
+    } catch (error) {
+        console.error('Disable Join Link Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Join a group through its invite link
+ * @route   POST /api/messages/groups/join/:joinCode
+ * @access  Private
+ */
+exports.joinGroup = async (req, res, next) => {
+    try {
+        const conversation = await Conversation.findOne({ type: 'group', joinCode: String(req.params.joinCode) });
+        if (!conversation) { const err = new Error('This invite link is invalid or has been disabled.'); err.statusCode = 404; return next(err); }
+
+        await addGroupMembers(conversation, [req.user._id]);
+
+        res.status(200).json({ success: true, message: `You joined ${conversation.title}.`, conversationId: conversation._id });
+    } catch (error) {
+        console.error('Join Group Error:', error);
+        next(error);
+    }
+};
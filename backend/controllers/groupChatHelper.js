@@ -0,0 +1,132 @@
+// backend/controllers/groupChatHelper.js
+// Group conversation membership shared by the group chat endpoints and event RSVPs.
+const Conversation = require('../models/Conversation');
+const { publishToUsers } = require('./realtimeHelper');
+
+const MAX_GROUP_MEMBERS = 500;
+
+// Tells all current members (plus `extraUserIds`, e.g. someone who was just removed) that the group changed
+const publishGroupUpdate = (conversation, change, extraUserIds = []) => {
+    const memberIds = conversation.members.map(member => member.user._id || member.user);
+    publishToUsers([...memberIds, ...extraUserIds], 'conversation:updated', { conversationId: conversation._id, change });
+};
+
+/**
+ * Adds members to a group (users who are already members are skipped). Atomic per user, so
+ * concurrent RSVPs don't overwrite each other.
+ * @param {object} conversation - Group conversation document.
+ * @param {Array} userIds - Users to add.
+ * @returns {Promise<Array>} IDs that were actually added.
+ */
+const addGroupMembers = async (conversation, userIds) => {
+    const added = [];
+    for (const userId of userIds) {
+        const result = await Conversation.updateOne(
+            {
+                _id: conversation._id,
+                'members.user': { $ne: userId },
+                [`members.${MAX_GROUP_MEMBERS - 1}`]: { $exists: false } // Group not full
+            },
+            { $push: { members: { user: userId, role: 'member', joinedAt: new Date() } } }
+        );
+        if (result.modifiedCount) added.push(userId);
+        else if (!(await Conversation.exists({ _id: conversation._id, 'members.user': userId }))) {
+            const err = new Error(`A group can have at most ${MAX_GROUP_MEMBERS} members.`); err.statusCode = 400; throw err;
+        }
+    }
+
+    if (added.length > 0) {
+        const updated = await Conversation.findById(conversation._id);
+        publishGroupUpdate(updated, { type: 'members_added', userIds: added });
+    }
+    return added;
+};
+
+/**
+ * Removes a member from a group. If the last admin leaves, the longest-standing member becomes admin.
+ * @param {object} conversation - Group conversation document.
+ * @param {string} userId - Member to remove.
+ * @returns {Promise<boolean>} Whether the user was a member.
+ */
+const removeGroupMember = async (conversation, userId) => {
+    const updated = await Conversation.findOneAndUpdate(
+        { _id: conversation._id, 'members.user': userId },
+        { $pull: { members: { user: userId } } },
+        { new: true }
+    );
+    if (!updated) return false;
+
+    if (updated.members.length > 0 && !updated.members.some(member => member.role === 'admin')) {
+        const successor = [...updated.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+        await Conversation.updateOne(
+            { _id: updated._id, 'members.user': successor.user },
+            { $set: { 'members.$.role': 'admin' } }
+        );
+    }
+    publishGroupUpdate(updated, { type: 'member_removed', userId }, [userId]);
+    return true;
+};
+
+/**
+ * Creates the attendee group of an event (organizer is admin, all current attendees are members)
+ * and links it to the event. Saves both documents.
+ * @param {object} event - Event document.
+ * @returns {Promise<object>} The group conversation.
+ */
+const createEventGroup = async (event) => {
+    const attendeeIds = event.attendees.map(id => id.toString());
+    const memberIds = [...new Set([event.organizer.toString(), ...attendeeIds])].slice(0, MAX_GROUP_MEMBERS);
+
+    const conversation = await Conversation.create({
+        type: 'group',
+        title: event.title.substring(0, 100),
+        description: `Attendees of ${event.title}`.substring(0, 500),
+        createdBy: event.organizer,
+        event: event._id,
+        members: memberIds.map(userId => ({ user: userId, role: userId === event.organizer.toString() ? 'admin' : 'member' }))
+    });
+
+    event.chatGroup = conversation._id;
+    await event.save();
+    publishGroupUpdate(conversation, { type: 'created' });
+    return conversation;
+};
+
+/**
+ * Keeps an event's attendee group in sync after an RSVP change. Never throws.
+ * The organizer always stays in the group.
+ * @param {object} event - Event document (needs chatGroup, organizer).
+ * @param {string} userId - The member who (un)registered.
+ * @param {boolean} attending - true after attendEvent, false after unattendEvent.
+ */
+const syncEventGroupMember = async (event, userId, attending) => {
+    if (!event.chatGroup) return;
+    try {
+        const conversation = await Conversation.findById(event.chatGroup);
+        if (!conversation) return;
+
+        if (attending) await addGroupMembers(conversation, [userId]);
+        else if (!event.organizer.equals(userId)) await removeGroupMember(conversation, userId);
+    } catch (error) {
+        console.error(`Non-fatal: Failed to sync event group ${event.chatGroup} for ${userId}:`, error);
+    }
+};
+
+// When an event is deleted its attendee group lives on as a normal group (admins manage members from then on)
+const detachEventGroup = async (eventId) => {
+    try {
+        await Conversation.updateOne({ event: eventId }, { $unset: { event: '' } });
+    } catch (error) {
+        console.error(`Non-fatal: Failed to detach the group of event ${eventId}:`, error);
+    }
+};
+
+module.exports = {
+    MAX_GROUP_MEMBERS,
+    publishGroupUpdate,
+    addGroupMembers,
+    removeGroupMember,
+    createEventGroup,
+    syncEventGroupMember,
+    detachEventGroup
+};
@@ -0,0 +1,117 @@
+// backend/controllers/loginThrottleHelper.js
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+const authConfig = require('../config/auth');
+
+const usernameKey = (username) => `username:${String(username).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Lock duration after `failures` failures for a key with the given limit (exponential backoff)
+const lockDurationMs = (failures, maxFailures) => {
+    if (failures < maxFailures) return 0;
+    const seconds = authConfig.lockoutBaseSeconds * 2 ** (failures - maxFailures);
+    return Math.min(seconds * 1000, authConfig.lockoutMaxMinutes * 60 * 1000);
+};
+
+// Increments the failure counter of one key (resetting it if the last failure is outside the window)
+const incrementKey = async (key, maxFailures) => {
+    const now = new Date();
+    const windowMs = authConfig.loginFailureWindowMinutes * 60 * 1000;
+    const windowStart = new Date(now.getTime() - windowMs);
+
+    // Pipeline update so the "reset if stale" check and the increment happen atomically
+    const throttle = await LoginThrottle.findOneAndUpdate(
+        { key },
+        [{
+            $set: {
+                key,
+                failures: { $cond: [{ $gt: ['$lastFailureAt', windowStart] }, { $add: ['$failures', 1] }, 1] },
+                lastFailureAt: now,
+                expiresAt: new Date(now.getTime() + windowMs)
+            }
+        }],
+        { upsert: true, new: true }
+    );
+
+    const lockMs = lockDurationMs(throttle.failures, maxFailures);
+    if (lockMs > 0) {
+        const lockedUntil = new Date(now.getTime() + lockMs);
+        await LoginThrottle.updateOne(
+            { _id: throttle._id },
+            { $set: { lockedUntil, expiresAt: new Date(lockedUntil.getTime() + windowMs) } }
+        );
+    }
+};
+
+/**
+ * Checks whether login attempts for this username / IP are currently locked.
+ * @param {string} username - Username as typed.
+ * @param {string} ip - Client IP address.
+ * @returns {Promise<{ locked: boolean, retryAfterSeconds: number }>}
+ */
+const getLoginLock = async (username, ip) => {
+    const now = new Date();
+    const locks = await LoginThrottle.find({
+        key: { $in: [usernameKey(username), ipKey(ip)] },
+        lockedUntil: { $gt: now }
+    }).select('lockedUntil').lean();
+
+    if (!locks.length) return { locked: false, retryAfterSeconds: 0 };
+
+    const latest = Math.max(...locks.map(lock => lock.lockedUntil.getTime()));
+    return { locked: true, retryAfterSeconds: Math.ceil((latest - now.getTime()) / 1000) };
+};
+
+/**
+ * Records a failed attempt against both the username and the IP counters.
+ * @param {string} username - Username as typed.
+ * @param {string} ip - Client IP address.
+ */
+const registerLoginFailure = async (username, ip) => {
+    await Promise.all([
+        incrementKey(usernameKey(username), authConfig.loginMaxFailuresPerUsername),
+        incrementKey(ipKey(ip), authConfig.loginMaxFailuresPerIp)
+    ]);
+};
+
+/**
+ * Resets the failure counter of a username (after a successful login or an admin unlock).
+ * The IP counter is left alone so logging into one's own account can't reset an attacker's IP budget,
+ * unless `ip` is passed explicitly (admin unlock).
+ * @param {string} username - Username to unlock.
+ * @param {string} ip - Optional: also reset this IP's counter.
+ * @returns {Promise<number>} Number of counters removed.
+ */
+const clearLoginFailures = async (username, ip = null) => {
+    const keys = [usernameKey(username)];
+    if (ip) keys.push(ipKey(ip));
+    const result = await LoginThrottle.deleteMany({ key: { $in: keys } });
+    return result.deletedCount;
+};
+
+/**
+ * Stores an entry in the login history. Never throws (history must not break logging in).
+ * @param {object} req - Express request (IP and user agent are recorded).
+ * @param {object} attempt - { username, user, success, reason }
+ */
+const recordLoginAttempt = async (req, { username, user, success, reason }) => {
+    try {
+        await LoginAttempt.create({
+            user: user?._id,
+            username,
+            ip: req.ip,
+            userAgent: req.headers['user-agent'],
+            success,
+            reason
+        });
+    } catch (error) {
+        console.error('Non-fatal: Failed to record login attempt:', error);
+    }
+};
+
+module.exports = {
+    getLoginLock,
+    registerLoginFailure,
+    clearLoginFailures,
+    recordLoginAttempt
+};
@@ -0,0 +1,114 @@
+// backend/controllers/mailHelper.js
+const mailer = require('../config/mailer');
+require('dotenv').config();
+
+// Base URL of the web app, used to build links in emails
+const appUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Sends an email through the configured transport.
+ * @param {object} message - { to, subject, text, html? }
+ * @returns {Promise<object>} Transport result.
+ * @throws {Error} If the transport fails.
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+    return mailer.getTransport().send({ from: mailer.from, to, subject, text, html });
+};
+
+/**
+ * Sends the "reset your password" link.
+ * @param {object} user - User document (needs email, fullname).
+ * @param {string} token - Raw (unhashed) reset token.
+ * @param {number} ttlMinutes - How long the link stays valid.
+ */
+const sendPasswordResetEmail = (user, token, ttlMinutes) => {
+    const link = `${appUrl()}/reset-password?token=${token}`;
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your Patwa.Toli password',
+        text: `Namaste ${user.fullname},\n\n`
+            + `We received a request to reset the password for your account (@${user.username}).\n`
+            + `Open the link below to choose a new password. It is valid for ${ttlMinutes} minutes and can be used once.\n\n`
+            + `${link}\n\n`
+            + `If you did not ask for this, you can ignore this email - your password will not change.`
+    });
+};
+
+/**
+ * Lets the user know their password was changed (security notice).
+ * @param {object} user - User document (needs email, fullname).
+ */
+const sendPasswordChangedEmail = (user) => {
+    return sendMail({
+        to: user.email,
+        subject: 'Your Patwa.Toli password was changed',
+        text: `Namaste ${user.fullname},\n\n`
+            + `The password for your account (@${user.username}) was just changed and other devices were logged out.\n`
+            + `If this was not you, reset your password immediately and contact an administrator.`
+    });
+};
+
+/**
+ * Sends the "confirm your email" link (after signup or when changing email).
+ * @param {object} user - User document (needs fullname, username).
+ * @param {string} address - The address being confirmed (may differ from user.email on change).
+ * @param {string} token - Raw (unhashed) confirmation token.
+ * @param {number} ttlHours - How long the link stays valid.
+ */
+const sendEmailVerificationEmail = (user, address, token, ttlHours) => {
+    const link = `${appUrl()}/verify-email?token=${token}`;
+    return sendMail({
+        to: address,
+        subject: 'Confirm your email for Patwa.Toli',
+        text: `Namaste ${user.fullname},\n\n`
+            + `Please confirm that ${address} belongs to you (@${user.username}) by opening the link below.\n`
+            + `The link is valid for ${ttlHours} hours.\n\n`
+            + `${link}\n\n`
+            + `If you did not register or change your email on Patwa.Toli, you can ignore this email.`
+    });
+};
+
+/**
+ * Tells the previous address that the account email was changed (security notice).
+ * @param {string} oldAddress - The address that is no longer used.
+ * @param {object} user - User document (already updated with the new email).
+ */
+const sendEmailChangedEmail = (oldAddress, user) => {
+    return sendMail({
+        to: oldAddress,
+        subject: 'Your Patwa.Toli email was changed',
+        text: `Namaste ${user.fullname},\n\n`
+            + `The email for your account (@${user.username}) was changed to ${user.email}.\n`
+            + `If this was not you, contact an administrator immediately.`
+    });
+};
+
+/**
+ * Tells an applicant their registration was rejected, why, and whether they can appeal.
+ * @param {object} user - User document (needs email, fullname, username).
+ * @param {string} reason - Human readable reason.
+ * @param {string} note - Optional note from the admin.
+ * @param {boolean} canAppeal - Whether an appeal is still possible.
+ */
+const sendRegistrationRejectedEmail = (user, reason, note, canAppeal) => {
+    return sendMail({
+        to: user.email,
+        subject: 'Your Patwa.Toli registration',
+        text: `Namaste ${user.fullname},\n\n`
+            + `Your registration (@${user.username}) was not approved.\n`
+            + `Reason: ${reason}\n`
+            + (note ? `Note from the admin: ${note}\n` : '')
+            + (canAppeal
+                ? `\nYou can correct your details and appeal once: ${appUrl()}/registration-status?username=${user.username}`
+                : '')
+    });
+};
+
+module.exports = {
+    sendMail,
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail,
+    sendEmailVerificationEmail,
+    sendEmailChangedEmail,
+    sendRegistrationRejectedEmail
+};
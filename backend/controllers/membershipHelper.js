@@ -0,0 +1,230 @@
+// backend/controllers/membershipHelper.js
+// Turning a pending registration into a verified member: vouches, documents and approval.
+const User = require('../models/User');
+const Vouch = require('../models/Vouch');
+const fs = require('fs');
+const path = require('path');
+const membershipConfig = require('../config/membership');
+const { recordAudit } = require('./auditHelper');
+const { getPrivateDownloadUrl, deleteFromCloudinary, getPublicIdFromUrl } = require('./cloudinaryHelper');
+const { sendRegistrationRejectedEmail } = require('./mailHelper');
+const { notify } = require('./notificationHelper');
+
+const DEFAULT_AVATAR_PATH = '/uploads/profile-pics/default_avatar.png';
+
+// Voucher fields needed to show a vouch and to decide whether it is trusted
+const VOUCHER_FIELDS = 'username fullname profilePic verified accountStatus roles createdAt';
+
+/**
+ * Whether a vouch from this member counts towards auto-approval.
+ * @param {object} voucher - User document (populated with VOUCHER_FIELDS).
+ * @returns {boolean}
+ */
+const isTrustedVoucher = (voucher) => {
+    if (!voucher || !voucher.verified || voucher.accountStatus !== 'active') return false;
+    if (voucher.isStaff) return true;
+    const minAgeMs = membershipConfig.trustedVoucherMinAgeDays * 24 * 60 * 60 * 1000;
+    return voucher.createdAt <= new Date(Date.now() - minAgeMs);
+};
+
+/**
+ * Marks a pending registration as a verified member. Saves the user.
+ * @param {object} user - User document.
+ * @param {string} method - 'admin' or 'vouches'.
+ */
+const approveMembership = async (user, method) => {
+    user.verified = true;
+    user.verificationRequestedAt = undefined; // Clear the request timestamp as it's processed
+    user.approvedAt = new Date();
+    user.approvalMethod = method;
+    // An appeal may have been approved: the earlier rejection no longer applies
+    user.rejectedAt = undefined;
+    user.rejectionReasonCode = undefined;
+    user.rejectionNote = undefined;
+    user.rejectedBy = undefined;
+    await user.save();
+
+    // Waiting in the app when the new member logs in for the first time
+    await notify({ recipient: user._id, type: 'approval', subjectType: 'User', subjectId: user._id });
+};
+
+/**
+ * Moves a pending registration to the rejected state (kept for the appeal/retention period). Saves the user
+ * and emails the applicant (non-fatal).
+ * @param {object} user - User document.
+ * @param {object} rejection - { reasonCode, note, rejectedBy }
+ */
+const rejectMembership = async (user, { reasonCode, note, rejectedBy }) => {
+    user.rejectedAt = new Date();
+    user.rejectionReasonCode = reasonCode;
+    user.rejectionNote = note?.trim() || undefined;
+    user.rejectedBy = rejectedBy;
+    user.verificationRequestedAt = undefined; // No longer in the pending queue
+    await user.save();
+
+    try {
+        await sendRegistrationRejectedEmail(user, membershipConfig.rejectionReasons[reasonCode], user.rejectionNote, canAppeal(user));
+    } catch (mailError) {
+        console.error(`Non-fatal: Failed to send rejection email to ${user.username}:`, mailError);
+    }
+};
+
+/**
+ * Whether a rejected applicant may still appeal.
+ * @param {object} user - User document.
+ * @returns {boolean}
+ */
+const canAppeal = (user) => Boolean(user.rejectedAt) && (user.appealCount || 0) < membershipConfig.maxAppeals;
+
+/**
+ * Describes the state of a registration for the applicant (used by GET /auth/status).
+ * @param {object} user - User document.
+ * @returns {object} { registrationStatus, rejection? }
+ */
+const describeRegistration = (user) => {
+    if (user.verified) return { registrationStatus: 'approved' };
+    if (!user.rejectedAt) return { registrationStatus: 'pending' };
+
+    const retentionMs = membershipConfig.rejectedRetentionDays * 24 * 60 * 60 * 1000;
+    return {
+        registrationStatus: 'rejected',
+        rejection: {
+            reasonCode: user.rejectionReasonCode,
+            reason: membershipConfig.rejectionReasons[user.rejectionReasonCode],
+            note: user.rejectionNote,
+            rejectedAt: user.rejectedAt,
+            canAppeal: canAppeal(user),
+            deleteAfter: new Date(user.rejectedAt.getTime() + retentionMs)
+        }
+    };
+};
+
+/**
+ * Loads the vouches for a set of applicants.
+ * @param {Array} applicantIds - User IDs.
+ * @returns {Promise<Map<string, {vouches: object[], trustedCount: number}>>} Keyed by applicant ID.
+ */
+const getVouchSummaries = async (applicantIds) => {
+    const vouches = await Vouch.find({ applicant: { $in: applicantIds } })
+                               .populate('voucher', VOUCHER_FIELDS)
+                               .sort({ createdAt: 1 });
+
+    const summaries = new Map(applicantIds.map(id => [id.toString(), { vouches: [], trustedCount: 0 }]));
+    vouches.forEach(vouch => {
+        const summary = summaries.get(vouch.applicant.toString());
+        if (!summary || !vouch.voucher) return; // Voucher account deleted
+        const trusted = isTrustedVoucher(vouch.voucher);
+        if (trusted) summary.trustedCount += 1;
+        summary.vouches.push({
+            _id: vouch._id,
+            relation: vouch.relation,
+            note: vouch.note,
+            createdAt: vouch.createdAt,
+            trusted,
+            voucher: {
+                _id: vouch.voucher._id,
+                username: vouch.voucher.username,
+                fullname: vouch.voucher.fullname,
+                profilePic: vouch.voucher.profilePic
+            }
+        });
+    });
+    return summaries;
+};
+
+/**
+ * Approves the applicant automatically if auto-approval is enabled and enough trusted vouches exist.
+ * Applicants must have confirmed their email address first.
+ * @param {object} req - Request of the member whose vouch triggered the check (audit actor).
+ * @param {object} applicant - User document.
+ * @returns {Promise<boolean>} Whether the applicant was approved.
+ */
+const maybeAutoApprove = async (req, applicant) => {
+    const threshold = membershipConfig.autoApproveVouchThreshold;
+    if (!threshold || applicant.verified || !applicant.emailVerified) return false;
+
+    const summary = (await getVouchSummaries([applicant._id])).get(applicant._id.toString());
+    if (summary.trustedCount < threshold) return false;
+
+    const before = applicant.toObject();
+    await approveMembership(applicant, 'vouches');
+    await recordAudit(req, { action: 'user.auto_approve', targetType: 'User', targetId: applicant._id, before, after: applicant });
+    console.log(`User ${applicant.username} auto-approved after ${summary.trustedCount} trusted vouches`);
+    return true;
+};
+
+/**
+ * Lists an applicant's documents with short-lived signed links (for admins only).
+ * @param {object} user - User selected with +verificationDocuments.
+ * @returns {object[]}
+ */
+const describeDocuments = (user) => (user.verificationDocuments || []).map(doc => ({
+    _id: doc._id,
+    originalName: doc.originalName,
+    format: doc.format,
+    uploadedAt: doc.uploadedAt,
+    url: getPrivateDownloadUrl(doc.publicId, doc.format, doc.resourceType, membershipConfig.documentLinkTtlMinutes)
+}));
+
+/**
+ * Removes the vouches and private documents of an applicant (call before deleting the user). Never throws.
+ * @param {object} user - User document.
+ */
+const removeApplicantEvidence = async (user) => {
+    try {
+        await Vouch.deleteMany({ applicant: user._id });
+        const { verificationDocuments = [] } = await User.findById(user._id).select('+verificationDocuments') || {};
+        await Promise.all(verificationDocuments.map(doc =>
+            deleteFromCloudinary(doc.publicId, doc.resourceType, 'authenticated')
+        ));
+    } catch (error) {
+        console.error(`Non-fatal: Failed to remove verification evidence for ${user.username}:`, error);
+    }
+};
+
+/**
+ * Deletes rejected registrations whose retention period has passed, together with their
+ * vouches, documents and profile picture. Never throws (runs from a timer).
+ * @returns {Promise<number>} Number of deleted registrations.
+ */
+const purgeRejectedRegistrations = async () => {
+    const cutoff = new Date(Date.now() - membershipConfig.rejectedRetentionDays * 24 * 60 * 60 * 1000);
+    let purged = 0;
+    try {
+        const expired = await User.find({ verified: false, rejectedAt: { $lte: cutoff } }).select('username profilePic');
+        for (const user of expired) {
+            await removeApplicantEvidence(user);
+
+            if (user.profilePic && user.profilePic !== DEFAULT_AVATAR_PATH) {
+                const publicId = getPublicIdFromUrl(user.profilePic);
+                if (publicId) {
+                    await deleteFromCloudinary(publicId, 'image').catch(err => console.error(`Non-fatal: Failed to delete profile picture of ${user.username}:`, err));
+                } else {
+                    fs.unlink(path.join(__dirname, '..', user.profilePic), (err) => {
+                        if (err && err.code !== 'ENOENT') console.error(`Non-fatal: Failed to delete profile picture of ${user.username}:`, err);
+                    });
+                }
+            }
+
+            await User.deleteOne({ _id: user._id, verified: false, rejectedAt: { $lte: cutoff } }); // Skip if approved meanwhile
+            purged += 1;
+        }
+        if (purged) console.log(`Purged ${purged} rejected registration(s) older than ${membershipConfig.rejectedRetentionDays} days`);
+    } catch (error) {
+        console.error('Non-fatal: Rejected registration purge failed:', error);
+    }
+    return purged;
+};
+
+module.exports = {
+    isTrustedVoucher,
+    approveMembership,
+    rejectMembership,
+    canAppeal,
+    describeRegistration,
+    purgeRejectedRegistrations,
+    getVouchSummaries,
+    maybeAutoApprove,
+    describeDocuments,
+    removeApplicantEvidence
+};
@@ -0,0 +1,309 @@
+// backend/controllers/messageController.js
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { uploadToCloudinary } = require('./cloudinaryHelper');
+const { canMessage, getBlockedUserIds } = require('./visibilityHelper');
+const { publishToUsers } = require('./realtimeHelper');
+
+const MEMBER_FIELDS = 'username fullname profilePic _id';
+
+// Loads a conversation the current user is a member of (404 otherwise, so IDs can't be probed)
+const findMemberConversation = async (conversationId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+        const err = new Error('Invalid conversation ID.'); err.statusCode = 400; throw err;
+    }
+    const conversation = await Conversation.findOne({ _id: conversationId, 'members.user': userId });
+    if (!conversation) {
+        const err = new Error('Conversation not found.'); err.statusCode = 404; throw err;
+    }
+    return conversation;
+};
+
+// Shapes a conversation for the current user (other members, own unread count, receipts)
+const formatConversation = (conversation, userId) => {
+    const me = conversation.members.find(member => (member.user._id || member.user).equals(userId));
+    const formatted = {
+        _id: conversation._id,
+        type: conversation.type,
+        members: conversation.members.map(member => ({ user: member.user, role: member.role, lastReadAt: member.lastReadAt })),
+        lastMessage: conversation.lastMessage,
+        lastMessageAt: conversation.lastMessageAt,
+        unreadCount: me?.unreadCount || 0,
+        mutedUntil: me?.mutedUntil > new Date() ? me.mutedUntil : null
+    };
+    if (conversation.type === 'group') {
+        Object.assign(formatted, { title: conversation.title, description: conversation.description, event: conversation.event, isAdmin: me?.role === 'admin' });
+    }
+    return formatted;
+};
+
+/**
+ * @desc    Send a message to a user (starts the direct conversation if needed) or to an existing conversation/group
+ * @route   POST /api/messages
+ * @access  Private
+ * @expects Multipart/form-data or JSON: { recipientId | conversationId, text?, image? (file) }
+ */
+exports.sendMessage = async (req, res, next) => {
+    const { recipientId, conversationId } = req.body;
+    const senderId = req.user._id;
+
+    try {
+        if (req.body.text !== undefined && typeof req.body.text !== 'string') {
+            const err = new Error('Message text must be a string.'); err.statusCode = 400; return next(err);
+        }
+        const text = req.body.text?.trim();
+        if (!text && !req.file) {
+            const err = new Error('Message must contain text or an image.'); err.statusCode = 400; return next(err);
+        }
+        if (!recipientId && !conversationId) {
+            const err = new Error('Provide recipientId or conversationId.'); err.statusCode = 400; return next(err);
+        }
+
+        let conversation;
+        if (conversationId) {
+            conversation = await findMemberConversation(conversationId, senderId);
+        } else {
+            if (!mongoose.Types.ObjectId.isValid(recipientId)) {
+                const err = new Error('Invalid recipient ID.'); err.statusCode = 400; return next(err);
+            }
+            conversation = await Conversation.findOne({ directKey: Conversation.buildDirectKey(senderId, recipientId) });
+        }
+
+        const recipientIds = conversation
+            ? conversation.members.map(member => member.user).filter(id => !id.equals(senderId))
+            : [recipientId];
+
+        // In a direct conversation the other member must still be reachable by the sender;
+        // in a group, membership is enough
+        if (conversation?.type !== 'group') {
+            const [recipient, blockedIds] = await Promise.all([
+                User.findById(recipientIds[0]).select('verified accountStatus'),
+                getBlockedUserIds(senderId)
+            ]);
+            const check = canMessage(req.user, recipient, blockedIds);
+            if (!check.allowed) { const err = new Error(check.reason); err.statusCode = check.statusCode; return next(err); }
+        }
+
+        if (!conversation) {
+            try {
+                conversation = await Conversation.create({
+                    type: 'direct',
+                    directKey: Conversation.buildDirectKey(senderId, recipientId),
+                    members: [{ user: senderId, lastReadAt: new Date() }, { user: recipientId }]
+                });
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+                // Both members started the conversation at the same moment
+                conversation = await Conversation.findOne({ directKey: Conversation.buildDirectKey(senderId, recipientId) });
+            }
+        }
+
+        // --- Upload the attachment (if any) ---
+        let uploadResult = null;
+        if (req.file) {
+            uploadResult = await uploadToCloudinary(req.file, 'patwa_toli/messages');
+        }
+
+        const message = await Message.create({
+            conversation: conversation._id,
+            sender: senderId,
+            text,
+            image: uploadResult?.secure_url,
+            imagePublicId: uploadResult?.public_id
+        });
+
+        // Update the list preview and everyone else's unread counter in one atomic write
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            {
+                $set: {
+                    lastMessage: { text: text ? text.substring(0, 100) : '', sender: senderId, hasImage: Boolean(message.image), createdAt: message.createdAt },
+                    lastMessageAt: message.createdAt,
+                    'members.$[me].lastReadAt': message.createdAt
+                },
+                $inc: { 'members.$[other].unreadCount': 1 }
+            },
+            { arrayFilters: [{ 'me.user': senderId }, { 'other.user': { $ne: senderId } }] }
+        );
+
+        const populatedMessage = await message.populate('sender', MEMBER_FIELDS);
+        // Members who muted the conversation still get the message, flagged so clients skip the alert
+        const now = new Date();
+        const mutedIds = conversation.members.filter(member => member.mutedUntil > now).map(member => member.user.toString());
+        const alertIds = recipientIds.filter(id => !mutedIds.includes(id.toString()));
+        const silentIds = recipientIds.filter(id => mutedIds.includes(id.toString()));
+        publishToUsers(alertIds, 'message:new', { conversationId: conversation._id, message: populatedMessage });
+        publishToUsers(silentIds, 'message:new', { conversationId: conversation._id, message: populatedMessage, silent: true });
+
+        res.status(201).json({ success: true, conversationId: conversation._id, message: populatedMessage });
+    } catch (error) {
+        console.error('Send Message Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    List the current user's conversations (most recent activity first)
+ * @route   GET /api/messages/conversations
+ * @access  Private
+ * @query   limit (default 20, max 50), before - `nextCursor` from the previous page
+ */
+exports.getConversations = async (req, res, next) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    try {
+        const filter = { 'members.user': req.user._id };
+        if (req.query.before) {
+            // "<lastMessageAt>_<conversationId>"; a bare date (older clients) pages by time only
+            const [at, id] = String(req.query.before).split('_');
+            const before = new Date(at);
+            if (isNaN(before.getTime()) || (id !== undefined && !mongoose.Types.ObjectId.isValid(id))) {
+                const err = new Error('Invalid cursor.'); err.statusCode = 400; return next(err);
+            }
+            filter.$or = id === undefined
+                ? [{ lastMessageAt: { $lt: before } }]
+                : [{ lastMessageAt: { $lt: before } }, { lastMessageAt: before, _id: { $lt: id } }];
+        }
+
+        const conversations = await Conversation.find(filter)
+                                                .sort({ lastMessageAt: -1, _id: -1 }) // _id breaks ties between equal times
+                                                .limit(limit + 1)
+                                                .populate('members.user', MEMBER_FIELDS)
+                                                .populate('lastMessage.sender', 'username fullname _id');
+
+        const hasMore = conversations.length > limit;
+        const page = hasMore ? conversations.slice(0, limit) : conversations;
+
+        res.status(200).json({
+            success: true,
+            count: page.length,
+            pagination: { hasMore, nextCursor: hasMore ? `${page[page.length - 1].lastMessageAt.toISOString()}_${page[page.length - 1]._id}` : null },
+            conversations: page.map(conversation => formatConversation(conversation, req.user._id))
+        });
+    } catch (error) {
+        console.error('Get Conversations Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Total unread messages over all conversations (for the badge)
+ * @route   GET /api/messages/unread-count
+ * @access  Private
+ */
+exports.getUnreadMessageCount = async (req, res, next) => {
+    try {
+        const [result] = await Conversation.aggregate([
+            { $match: { 'members.user': req.user._id } },
+            { $unwind: '$members' },
+            { $match: { 'members.user': req.user._id } },
+            { $group: { _id: null, unreadCount: { $sum: '$members.unreadCount' }, conversations: { $sum: { $cond: [{ $gt: ['$members.unreadCount', 0] }, 1, 0] } } } }
+        ]);
+        res.status(200).json({ success: true, unreadCount: result?.unreadCount || 0, unreadConversations: result?.conversations || 0 });
+    } catch (error) {
+        console.error('Get Unread Message Count Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Message history of a conversation (newest first, cursor paginated)
+ * @route   GET /api/messages/conversations/:conversationId
+ * @access  Private (members only)
+ * @query   limit (default 30, max 100), before - `nextCursor` (message ID) from the previous page
+ */
+exports.getConversationMessages = async (req, res, next) => {
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+
+    try {
+        const conversation = await findMemberConversation(req.params.conversationId, req.user._id);
+        await conversation.populate('members.user', MEMBER_FIELDS);
+
+        const filter = { conversation: conversation._id };
+        if (req.query.before) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.before)) { const err = new Error('Invalid cursor.'); err.statusCode = 400; return next(err); }
+            filter._id = { $lt: req.query.before };
+        }
+
+        const messages = await Message.find(filter)
+                                      .sort({ _id: -1 })
+                                      .limit(limit + 1)
+                                      .populate('sender', MEMBER_FIELDS);
+
+        const hasMore = messages.length > limit;
+        const page = hasMore ? messages.slice(0, limit) : messages;
+
+        res.status(200).json({
+            success: true,
+            conversation: formatConversation(conversation, req.user._id), // members[].lastReadAt = read receipts
+            count: page.length,
+            pagination: { hasMore, nextCursor: hasMore ? page[page.length - 1]._id : null },
+            messages: page
+        });
+    } catch (error) {
+        console.error('Get Conversation Messages Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark a conversation as read (sends a read receipt to the other members)
+ * @route   POST /api/messages/conversations/:conversationId/read
+ * @access  Private (members only)
+ */
+exports.markConversationRead = async (req, res, next) => {
+    try {
+        const conversation = await findMemberConversation(req.params.conversationId, req.user._id);
+        const readAt = new Date();
+
+        await Conversation.updateOne(
+            { _id: conversation._id, 'members.user': req.user._id },
+            { $set: { 'members.$.unreadCount': 0, 'members.$.lastReadAt': readAt } }
+        );
+
+        const otherIds = conversation.members.map(member => member.user).filter(id => !id.equals(req.user._id));
+        publishToUsers(otherIds, 'message:read', { conversationId: conversation._id, userId: req.user._id, readAt });
+        publishToUsers([req.user._id], 'message:read', { conversationId: conversation._id, userId: req.user._id, readAt }); // Other devices
+
+        res.status(200).json({ success: true, readAt });
+    } catch (error) {
+        console.error('Mark Conversation Read Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mute a conversation (messages still arrive, without alerts) or unmute it
+ * @route   PUT /api/messages/conversations/:conversationId/mute
+ * @access  Private (members only)
+ * @expects JSON body: { hours } (mute for N hours), { until } (ISO date), { forever: true } or { mute: false }
+ */
+exports.muteConversation = async (req, res, next) => {
+    const { hours, until, forever, mute } = req.body;
+
+    let mutedUntil = null;
+    if (mute !== false) {
+        if (forever) mutedUntil = new Date('9999-12-31T00:00:00Z');
+        else if (until) mutedUntil = new Date(until);
+        else if (hours) mutedUntil = new Date(Date.now() + parseFloat(hours) * 60 * 60 * 1000);
+
+        if (!mutedUntil || isNaN(mutedUntil.getTime()) || mutedUntil <= new Date()) {
+            const err = new Error('Provide hours, a future until date, forever: true or mute: false.'); err.statusCode = 400; return next(err);
+        }
+    }
+
+    try {
+        const conversation = await findMemberConversation(req.params.conversationId, req.user._id);
+        await Conversation.updateOne(
+            { _id: conversation._id, 'members.user': req.user._id },
+            mutedUntil ? { $set: { 'members.$.mutedUntil': mutedUntil } } : { $unset: { 'members.$.mutedUntil': '' } }
+        );
+
+        res.status(200).json({ success: true, message: mutedUntil ? 'Conversation muted.' : 'Conversation unmuted.', mutedUntil });
+    } catch (error) {
+        console.error('Mute Conversation Error:', error);
+        next(error);
+    }
+};
@@ -0,0 +1,169 @@
+// backend/controllers/notificationController.js
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { describeNotification } = require('./notificationHelper');
+const { publish, userRoom } = require('./realtimeHelper');
+const { NOTIFICATION_TYPES, TYPES } = require('../config/notifications');
+
+/**
+ * @desc    Get the current user's notifications (newest activity first) and the unread count
+ * @route   GET /api/notifications
+ * @access  Private
+ * @query   page, limit, unreadOnly=true
+ */
+exports.getNotifications = async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    try {
+        const recipient = new mongoose.Types.ObjectId(req.user.id);
+        const filter = { recipient };
+        if (req.query.unreadOnly === 'true') filter.read = false;
+
+        const [notifications, totalNotifications, unreadCount] = await Promise.all([
+            Notification.aggregate([
+                { $match: filter },
+                { $sort: { updatedAt: -1 } },
+                { $skip: skip },
+                { $limit: limit },
+                // Only the latest actors are needed to render "Ravi and 4 others"
+                { $addFields: { actorCount: { $size: '$actors' }, actors: { $slice: ['$actors', 3] } } }
+            ]),
+            Notification.countDocuments(filter),
+            Notification.countDocuments({ recipient, read: false })
+        ]);
+
+        await Notification.populate(notifications, [
+            { path: 'actors', select: 'username fullname profilePic _id' },
+            { path: 'subject', select: 'content title username caption' }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: notifications.length,
+            unreadCount,
+            pagination: { currentPage: page, totalPages: Math.ceil(totalNotifications / limit), totalNotifications },
+            notifications: notifications.map(notification => ({
+                ...notification,
+                message: describeNotification(notification, notification.actorCount)
+            }))
+        });
+    } catch (error) {
+        console.error('Get Notifications Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get the number of unread notifications (for the badge)
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = async (req, res, next) => {
+    try {
+        const unreadCount = await Notification.countDocuments({ recipient: req.user.id, read: false });
+        res.status(200).json({ success: true, unreadCount });
+    } catch (error) {
+        console.error('Get Unread Count Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark one notification as read
+ * @route   PUT /api/notifications/:notificationId/read
+ * @access  Private (recipient only)
+ */
+exports.markNotificationRead = async (req, res, next) => {
+    const { notificationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+        const err = new Error('Invalid notification ID.'); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        const notification = await Notification.findOne({ _id: notificationId, recipient: req.user.id });
+        if (!notification) { const err = new Error('Notification not found.'); err.statusCode = 404; return next(err); }
+
+        if (!notification.read) {
+            notification.read = true;
+            notification.readAt = new Date();
+            await notification.save();
+            publish(userRoom(req.user.id), 'notification:read', { notificationId: notification._id }); // Sync other devices
+        }
+
+        res.status(200).json({ success: true, message: 'Notification marked as read.' });
+    } catch (error) {
+        console.error('Mark Notification Read Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllNotificationsRead = async (req, res, next) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user.id, read: false },
+            { $set: { read: true, readAt: new Date() } }
+        );
+        publish(userRoom(req.user.id), 'notification:read', { all: true }); // Sync other devices
+        res.status(200).json({ success: true, message: 'All notifications marked as read.', updated: result.modifiedCount });
+    } catch (error) {
+        console.error('Mark All Notifications Read Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get notification preferences (every type with its current on/off value)
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+exports.getNotificationPreferences = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('notificationPreferences');
+        const preferences = TYPES.reduce((acc, type) => {
+            const value = user.notificationPreferences?.get(type);
+            acc[type] = value === undefined ? NOTIFICATION_TYPES[type].defaultEnabled : value;
+            return acc;
+        }, {});
+        res.status(200).json({ success: true, preferences });
+    } catch (error) {
+        console.error('Get Notification Preferences Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Switch notification types on/off
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ * @expects JSON body: { <type>: true|false, ... } e.g. { like: false }
+ */
+exports.updateNotificationPreferences = async (req, res, next) => {
+    const updates = req.body || {};
+    const invalid = Object.keys(updates).filter(type => !TYPES.includes(type) || typeof updates[type] !== 'boolean');
+    if (invalid.length > 0) {
+        const err = new Error(`Invalid preference(s): ${invalid.join(', ')}. Use { <type>: true|false } with types ${TYPES.join(', ')}.`);
+        err.statusCode = 400;
+        return next(err);
+    }
+
+    try {
+        const $set = Object.entries(updates).reduce((acc, [type, enabled]) => {
+            acc[`notificationPreferences.${type}`] = enabled;
+            return acc;
+        }, {});
+        if (Object.keys($set).length > 0) await User.updateOne({ _id: req.user.id }, { $set });
+
+        return exports.getNotificationPreferences(req, res, next);
+    } catch (error) {
+        console.error('Update Notification Preferences Error:', error);
+        next(error);
+    }
+};
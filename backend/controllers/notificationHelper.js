@@ -0,0 +1,108 @@
+// backend/controllers/notificationHelper.js
+// Creating, grouping and retracting notifications. Controllers call these after the action itself
+// succeeded; none of them throw, because a failed notification must not fail the action.
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+const { publish, userRoom } = require('./realtimeHelper');
+
+// Pushes the new unread count to the recipient's open connections
+const publishUnreadCount = async (recipient, type, notificationId = null) => {
+    const unreadCount = await Notification.countDocuments({ recipient, read: false });
+    publish(userRoom(recipient), type, { notificationId, unreadCount });
+};
+
+const buildGroupKey = (type, subjectType, subjectId) => `${type}:${subjectType}:${subjectId}`;
+
+// Whether the recipient wants this type of notification (types are on unless switched off)
+const wantsNotification = async (recipientId, type) => {
+    const recipient = await User.findById(recipientId).select('notificationPreferences');
+    if (!recipient) return false;
+    const preference = recipient.notificationPreferences?.get(type);
+    return preference === undefined ? NOTIFICATION_TYPES[type].defaultEnabled : preference;
+};
+
+/**
+ * Creates a notification or adds the actor to the recipient's unread group for the same subject.
+ * @param {object} params - { recipient, actor?, type, subjectType, subjectId, preview? }
+ *                          Without an actor it is a system notification (e.g. 'approval').
+ */
+const notify = async ({ recipient, actor = null, type, subjectType, subjectId, preview }) => {
+    try {
+        if (actor && recipient.toString() === actor.toString()) return; // No notifications for your own actions
+        if (!(await wantsNotification(recipient, type))) return;
+
+        const filter = { recipient, groupKey: buildGroupKey(type, subjectType, subjectId), read: false };
+        const update = {
+            $set: { type, subjectType, subject: subjectId, ...(preview && { preview: preview.substring(0, 140) }) }
+        };
+
+        if (actor) {
+            // Move the actor to the front (a repeated action shouldn't count twice)
+            await Notification.updateOne(filter, { $pull: { actors: actor } });
+            update.$push = { actors: { $each: [actor], $position: 0 } };
+        }
+
+        let notification;
+        try {
+            notification = await Notification.findOneAndUpdate(filter, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            // Two actions created the group at the same moment - the other insert won, update it instead
+            notification = await Notification.findOneAndUpdate(filter, update, { new: true });
+        }
+        await publishUnreadCount(recipient, 'notification:new', notification?._id);
+    } catch (error) {
+        console.error(`Non-fatal: Failed to create ${type} notification for ${recipient}:`, error);
+    }
+};
+
+/**
+ * Undoes `notify` when the action is undone (unlike, unfollow, un-RSVP): the actor is removed from
+ * the group and groups without actors are deleted.
+ * @param {object} params - { recipient, actor, type, subjectType, subjectId }
+ */
+const retractNotification = async ({ recipient, actor, type, subjectType, subjectId }) => {
+    try {
+        const filter = { recipient, groupKey: buildGroupKey(type, subjectType, subjectId) };
+        await Notification.updateMany(filter, { $pull: { actors: actor } });
+        const { deletedCount } = await Notification.deleteMany({ ...filter, actors: { $size: 0 } });
+        if (deletedCount) await publishUnreadCount(recipient, 'notification:removed');
+    } catch (error) {
+        console.error(`Non-fatal: Failed to retract ${type} notification for ${recipient}:`, error);
+    }
+};
+
+/**
+ * Deletes every notification about a subject (when the post/event itself is deleted).
+ * @param {string} subjectType - 'Post', 'Event', 'User' or 'Story'.
+ * @param {string} subjectId
+ */
+const removeNotificationsForSubject = async (subjectType, subjectId) => {
+    try {
+        await Notification.deleteMany({ subjectType, subject: subjectId });
+    } catch (error) {
+        console.error(`Non-fatal: Failed to remove notifications for ${subjectType} ${subjectId}:`, error);
+    }
+};
+
+/**
+ * Renders the sentence shown to the user, e.g. "Ravi and 4 others liked your post".
+ * @param {object} notification - Notification with `actors` populated (at least the first two).
+ * @param {number} actorCount - Total number of actors in the group.
+ * @returns {string}
+ */
+const describeNotification = (notification, actorCount) => {
+    const names = (notification.actors || []).map(actor => actor.fullname || actor.username);
+    let actors = names[0] || 'Someone';
+    if (actorCount === 2 && names[1]) actors = `${names[0]} and ${names[1]}`;
+    if (actorCount > 2) actors = `${names[0]} and ${actorCount - 1} others`;
+    return NOTIFICATION_TYPES[notification.type].template.replace('{actors}', actors);
+};
+
+module.exports = {
+    notify,
+    retractNotification,
+    removeNotificationsForSubject,
+    describeNotification
+};
@@ -0,0 +1,128 @@
+// backend/controllers/pollController.js
+const Post = require('../models/Post');
+const PollVote = require('../models/PollVote');
+const mongoose = require('mongoose');
+const { getBlockedUserIds, isBlockedBetween, canViewPost } = require('./visibilityHelper');
+const { isPollClosed, formatPoll, castVote, retractVote, closePoll } = require('./pollHelper');
+
+const VOTER_FIELDS = 'username fullname profilePic _id';
+
+// Loads a post with a poll the current user may see (404 otherwise, so hidden posts can't be probed)
+const findPollPost = async (postId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        const err = new Error('Invalid post ID.'); err.statusCode = 400; throw err;
+    }
+    const post = await Post.findById(postId).select('user visibility poll').populate('user', 'isPrivate');
+    if (!post?.user || !(await canViewPost(userId, post))) {
+        const err = new Error('Post not found.'); err.statusCode = 404; throw err;
+    }
+    if (!post.poll) {
+        const err = new Error('This post has no poll.'); err.statusCode = 404; throw err;
+    }
+    return post;
+};
+
+// Votes can only change while the poll is open, and not across a block with the author
+const assertCanVote = async (post, userId) => {
+    if (isPollClosed(post.poll)) {
+        const err = new Error('This poll is closed.'); err.statusCode = 400; throw err;
+    }
+    if (await isBlockedBetween(userId, post.user._id)) {
+        const err = new Error('You cannot interact with this post.'); err.statusCode = 403; throw err;
+    }
+};
+
+/**
+ * @desc    Vote in a post's poll (voting again replaces your earlier choice)
+ * @route   PUT /api/posts/:postId/poll/vote
+ * @access  Private
+ * @expects JSON body: { optionIds: [optionId] } (several only for multiple-choice polls) or { optionId }
+ */
+exports.votePoll = async (req, res, next) => {
+    const requested = Array.isArray(req.body.optionIds) ? req.body.optionIds : [req.body.optionId].filter(Boolean);
+    const optionIds = [...new Set(requested.map(String))];
+
+    try {
+        const post = await findPollPost(req.params.postId, req.user._id);
+        await assertCanVote(post, req.user._id);
+
+        const poll = await castVote(post, req.user._id, optionIds);
+        res.status(200).json({ success: true, message: 'Vote recorded.', poll: formatPoll(poll, optionIds) });
+    } catch (error) { console.error('Vote Poll Error:', error); next(error); }
+};
+
+/**
+ * @desc    Take back your vote while the poll is open
+ * @route   DELETE /api/posts/:postId/poll/vote
+ * @access  Private
+ */
+exports.retractPollVote = async (req, res, next) => {
+    try {
+        const post = await findPollPost(req.params.postId, req.user._id);
+        await assertCanVote(post, req.user._id);
+
+        const poll = await retractVote(post, req.user._id);
+        res.status(200).json({ success: true, message: 'Vote removed.', poll: formatPoll(poll) });
+    } catch (error) { console.error('Retract Poll Vote Error:', error); next(error); }
+};
+
+/**
+ * @desc    Close a poll before its closing time
+ * @route   POST /api/posts/:postId/poll/close
+ * @access  Private (Post author)
+ */
+exports.closePostPoll = async (req, res, next) => {
+    try {
+        const post = await findPollPost(req.params.postId, req.user._id);
+        if (!post.user._id.equals(req.user._id)) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
+        if (isPollClosed(post.poll)) { const err = new Error('This poll is already closed.'); err.statusCode = 400; return next(err); }
+
+        const poll = await closePoll(post);
+        res.status(200).json({ success: true, message: 'Poll closed.', poll: formatPoll(poll) });
+    } catch (error) { console.error('Close Poll Error:', error); next(error); }
+};
+
+/**
+ * @desc    Who voted in a named (non-anonymous) poll, newest first (cursor paginated)
+ * @route   GET /api/posts/:postId/poll/voters
+ * @access  Private
+ * @query   optionId (optional filter), limit (default 20, max 50), before - `nextCursor` from the previous page
+ */
+exports.getPollVoters = async (req, res, next) => {
+    const { optionId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    try {
+        const post = await findPollPost(req.params.postId, req.user._id);
+        if (post.poll.anonymous) { const err = new Error('Votes in this poll are anonymous.'); err.statusCode = 403; return next(err); }
+
+        // Members on either side of a block are left out of the list
+        const filter = { post: post._id, user: { $nin: await getBlockedUserIds(req.user._id) } };
+        if (optionId) {
+            if (!post.poll.options.some(option => option._id.toString() === String(optionId))) {
+                const err = new Error('Unknown poll option.'); err.statusCode = 400; return next(err);
+            }
+            filter.options = optionId;
+        }
+        if (req.query.before) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.before)) { const err = new Error('Invalid cursor.'); err.statusCode = 400; return next(err); }
+            filter._id = { $lt: req.query.before };
+        }
+
+        const votes = await PollVote.find(filter)
+                                    .sort({ _id: -1 })
+                                    .limit(limit + 1)
+                                    .select('user options createdAt')
+                                    .populate('user', VOTER_FIELDS);
+
+        const hasMore = votes.length > limit;
+        const page = hasMore ? votes.slice(0, limit) : votes;
+
+        res.status(200).json({
+            success: true,
+            count: page.length,
+            pagination: { hasMore, nextCursor: hasMore ? page[page.length - 1]._id : null },
+            votes: page
+        });
+    } catch (error) { console.error('Get Poll Voters Error:', error); next(error); }
+};
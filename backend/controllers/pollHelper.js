@@ -0,0 +1,167 @@
+// backend/controllers/pollHelper.js
+// Polls attached to posts: validating a new poll, recording votes (one per member) and shaping results.
+// Used by the post endpoints (create, feed, single post) and the poll endpoints.
+const PollVote = require('../models/PollVote');
+const Post = require('../models/Post');
+const mongoose = require('mongoose');
+const { pollMaxOptions, pollDefaultDurationHours, pollMaxDurationDays } = require('../config/posts');
+const { publish, postRoom } = require('./realtimeHelper');
+
+const badRequest = (message) => { const err = new Error(message); err.statusCode = 400; return err; };
+
+/**
+ * Validates the poll sent with a new post.
+ * @param {string|object} raw - JSON (multipart text field) or object:
+ *        { question?, options: [text], multipleChoice?, anonymous?, closesAt? (ISO date) | durationHours? }
+ * @returns {object|undefined} Poll data for Post.poll, or undefined if no poll was sent.
+ * @throws {Error} 400 on invalid input.
+ */
+const parsePollInput = (raw) => {
+    if (raw === undefined || raw === '') return undefined;
+    let input = raw;
+    if (typeof raw === 'string') {
+        try { input = JSON.parse(raw); } catch (error) { throw badRequest('poll must be a JSON object.'); }
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw badRequest('poll must be a JSON object.');
+
+    const rawOptions = Array.isArray(input.options) ? input.options : [];
+    if (rawOptions.length < 2 || rawOptions.length > pollMaxOptions) throw badRequest(`A poll needs between 2 and ${pollMaxOptions} options.`);
+    if (rawOptions.some(text => typeof text !== 'string')) throw badRequest('Poll options must be text.');
+    const options = rawOptions.map(text => text.trim());
+    if (options.some(text => !text)) throw badRequest('Poll options cannot be empty.');
+    if (new Set(options.map(text => text.toLowerCase())).size !== options.length) throw badRequest('Poll options must be different.');
+
+    const now = Date.now();
+    const closesAt = input.closesAt
+        ? new Date(input.closesAt)
+        : new Date(now + (parseFloat(input.durationHours) || pollDefaultDurationHours) * 60 * 60 * 1000);
+    if (isNaN(closesAt.getTime()) || closesAt <= now) throw badRequest('The poll must close in the future.');
+    if (closesAt > now + pollMaxDurationDays * 24 * 60 * 60 * 1000) throw badRequest(`A poll can stay open for at most ${pollMaxDurationDays} days.`);
+
+    return {
+        question: typeof input.question === 'string' ? input.question.trim() : undefined,
+        options: options.map(text => ({ text })),
+        multipleChoice: input.multipleChoice === true || input.multipleChoice === 'true',
+        anonymous: input.anonymous === true || input.anonymous === 'true',
+        closesAt
+    };
+};
+
+/**
+ * Whether voting has ended.
+ * @param {object} poll - Post.poll
+ * @returns {boolean}
+ */
+const isPollClosed = (poll) => new Date(poll.closesAt) <= new Date();
+
+/**
+ * Shapes a poll for the viewer: results plus whether it's closed and the viewer's own choices.
+ * @param {object} poll - Post.poll (document or lean).
+ * @param {Array} [myOptionIds] - The viewer's chosen option IDs (from getMyPollVotes), if they voted.
+ * @returns {object}
+ */
+const formatPoll = (poll, myOptionIds = null) => {
+    const plain = typeof poll.toObject === 'function' ? poll.toObject() : poll;
+    return { ...plain, isClosed: isPollClosed(plain), myVote: myOptionIds };
+};
+
+/**
+ * The viewer's poll choices on each of the given posts.
+ * @param {Array} postIds
+ * @param {string|ObjectId} userId
+ * @returns {Promise<Map<string, Array>>} postId -> chosen option IDs (posts without a vote are absent)
+ */
+const getMyPollVotes = async (postIds, userId) => {
+    const votes = await PollVote.find({ post: { $in: postIds }, user: userId }).select('post options').lean();
+    return new Map(votes.map(vote => [vote.post.toString(), vote.options]));
+};
+
+// Tells everyone viewing the post about the new results
+const publishPollResults = (postId, poll) => {
+    const { options, voterCount, closesAt, isClosed } = formatPoll(poll);
+    publish(postRoom(postId), 'poll:results', { postId, options, voterCount, closesAt, isClosed });
+};
+
+// Applies per-option vote changes ({ optionId: +1/-1 }) and the voter count change to the post
+const applyVoteCounts = async (postId, changes, voterChange) => {
+    const inc = {};
+    const arrayFilters = [];
+    Object.entries(changes).filter(([, change]) => change !== 0).forEach(([optionId, change], index) => {
+        inc[`poll.options.$[o${index}].voteCount`] = change;
+        arrayFilters.push({ [`o${index}._id`]: new mongoose.Types.ObjectId(optionId) });
+    });
+    if (voterChange) inc['poll.voterCount'] = voterChange;
+
+    const updated = Object.keys(inc).length
+        ? await Post.findByIdAndUpdate(postId, { $inc: inc }, { new: true, arrayFilters }).select('poll')
+        : await Post.findById(postId).select('poll');
+    publishPollResults(postId, updated.poll);
+    return updated.poll;
+};
+
+/**
+ * Records a member's vote, replacing their earlier vote in the same poll.
+ * @param {object} post - Post document with `poll`.
+ * @param {string|ObjectId} userId - The voting member.
+ * @param {Array<string>} optionIds - Chosen option IDs (validated against the poll here).
+ * @returns {Promise<object>} The post's updated poll.
+ * @throws {Error} 400 if the choice doesn't fit the poll.
+ */
+const castVote = async (post, userId, optionIds) => {
+    const chosen = [...new Set(optionIds.map(String))];
+    if (chosen.length === 0) throw badRequest('Choose at least one option.');
+    if (chosen.length > 1 && !post.poll.multipleChoice) throw badRequest('This poll allows only one choice.');
+    const validIds = post.poll.options.map(option => option._id.toString());
+    if (chosen.some(id => !validIds.includes(id))) throw badRequest('Unknown poll option.');
+
+    const filter = { post: post._id, user: userId };
+    let previous;
+    try {
+        previous = await PollVote.findOneAndUpdate(filter, { $set: { options: chosen } }, { upsert: true, new: false });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Two requests created the vote at the same moment - the other insert won, update it instead
+        previous = await PollVote.findOneAndUpdate(filter, { $set: { options: chosen } }, { new: false });
+    }
+
+    const changes = {};
+    chosen.forEach(id => { changes[id] = (changes[id] || 0) + 1; });
+    (previous?.options || []).forEach(id => { changes[id.toString()] = (changes[id.toString()] || 0) - 1; });
+    return applyVoteCounts(post._id, changes, previous ? 0 : 1);
+};
+
+/**
+ * Removes a member's vote from a poll.
+ * @param {object} post - Post document with `poll`.
+ * @param {string|ObjectId} userId
+ * @returns {Promise<object>} The post's updated poll.
+ */
+const retractVote = async (post, userId) => {
+    const removed = await PollVote.findOneAndDelete({ post: post._id, user: userId });
+    if (!removed) return post.poll;
+
+    const changes = {};
+    removed.options.forEach(id => { changes[id.toString()] = -1; });
+    return applyVoteCounts(post._id, changes, -1);
+};
+
+/**
+ * Ends voting now (author closing the poll early).
+ * @param {object} post - Post document with `poll`.
+ * @returns {Promise<object>} The post's updated poll.
+ */
+const closePoll = async (post) => {
+    const updated = await Post.findByIdAndUpdate(post._id, { $set: { 'poll.closesAt': new Date() } }, { new: true }).select('poll');
+    publishPollResults(post._id, updated.poll);
+    return updated.poll;
+};
+
+module.exports = {
+    parsePollInput,
+    isPollClosed,
+    formatPoll,
+    getMyPollVotes,
+    castVote,
+    retractVote,
+    closePoll
+};
@@ -1,72 +1,80 @@
 // backend/controllers/postController.js
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const PollVote = require('../models/PollVote');
 const User = require('../models/User');
 const mongoose = require('mongoose');
-const { uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('./cloudinaryHelper'); // Import helper
+const { hasPermission } = require('../config/permissions');
+const { excludeHiddenUsers, getBlockedUserIds, isBlockedBetween, canViewPost, buildFeedPostFilter, buildDiscoveryPostStages } = require('./visibilityHelper');
+const { visibilityLevels, maxRevisions, reactionTypes, maxMediaItems } = require('../config/posts');
+const { totalReactions, setReaction, removeReaction, getMyReactions, getLikers } = require('./reactionHelper');
+const { extractHashtags, resolveMentions, notifyMentions } = require('./tagHelper');
+const { getUploadedFiles, parseJsonArray, uploadMediaFiles, buildEditedMedia, deleteMediaItems } = require('./postMediaHelper');
+const { parsePollInput, formatPoll, getMyPollVotes } = require('./pollHelper');
+const { attachSharedPosts, getCollapsedFeedPage, handleOriginalDeleted, handleShareDeleted } = require('./shareHelper');
+const { recordAudit } = require('./auditHelper');
+const { removeNotificationsForSubject } = require('./notificationHelper');
 
 /**
  * @desc    Create a new post
  * @route   POST /api/posts
  * @access  Private
- * @expects Multipart/form-data
+ * @expects Multipart/form-data: content?, media (up to maxMediaItems image/video/audio files, in carousel order),
+ *          mediaDetails? (JSON array of { altText, caption } per file), visibility?,
+ *          poll? (JSON: { question?, options: [text], multipleChoice?, anonymous?, closesAt? | durationHours? })
  */
 exports.createPost = async (req, res, next) => {
-    const { content } = req.body;
+    const { content, visibility } = req.body;
     const userId = req.user.id;
-    const imageFile = req.files?.image?.[0];
-    const videoFile = req.files?.video?.[0];
+    const files = getUploadedFiles(req);
 
-    if (!content && !imageFile && !videoFile) {
-        return next(new Error('Post must contain text content or media.'));
+    if (!content && files.length === 0 && !req.body.poll) {
+        return next(new Error('Post must contain text content, media or a poll.'));
+    }
+    if (visibility && !visibilityLevels.includes(visibility)) {
+        const err = new Error(`Visibility must be one of: ${visibilityLevels.join(', ')}.`); err.statusCode = 400; return next(err);
+    }
+    if (files.length > maxMediaItems) {
+        const err = new Error(`A post can have at most ${maxMediaItems} media items.`); err.statusCode = 400; return next(err);
     }
 
     try {
-        let uploadResult = null;
-        let mediaUrl = null;
-        let mediaPublicId = null;
-        let postMediaType = null;
-
-        // Upload media to Cloudinary (prioritize image if both sent)
-        if (imageFile) {
-            postMediaType = 'image';
-            uploadResult = await uploadToCloudinary(imageFile, 'patwa_toli/posts');
-        } else if (videoFile) {
-            postMediaType = 'video';
-            uploadResult = await uploadToCloudinary(videoFile, 'patwa_toli/posts');
-        }
+        const mediaDetails = parseJsonArray(req.body.mediaDetails, 'mediaDetails') || [];
+        const poll = parsePollInput(req.body.poll);
 
-        // Check for successful upload if media was provided
-        if ((imageFile || videoFile) && (!uploadResult?.secure_url || !uploadResult?.public_id)) {
-             throw new Error(`Cloudinary upload failed for post ${postMediaType || 'media'}.`);
-        }
-
-        if (uploadResult) {
-            mediaUrl = uploadResult.secure_url;
-            mediaPublicId = uploadResult.public_id;
-            console.log(`Uploaded Post ${postMediaType || 'Media'}:`, mediaUrl);
-        }
+        // Upload media to Cloudinary (all or nothing)
+        const media = await uploadMediaFiles(files, mediaDetails);
 
         // Prepare post data for saving
         const newPostData = {
             user: userId,
             content: content || '',
-            image: postMediaType === 'image' ? mediaUrl : undefined,
-            video: postMediaType === 'video' ? mediaUrl : undefined,
-             // Storing public_id in DB simplifies deletion but increases storage.
-             // Alternatively, parse from URL during deletion. Let's store it for simplicity here.
-             mediaPublicId: mediaPublicId // Add this field to your Post model if you want to store it
+            media,
+            poll,
+            visibility: visibility || 'public',
+            hashtags: extractHashtags(content),
+            mentions: await resolveMentions(content)
         };
 
-         // *** IMPORTANT: Ensure your Post model schema includes `mediaPublicId: { type: String }` if you store it ***
-
-
         const post = new Post(newPostData);
-        const savedPost = await post.save(); // DB save
+        let savedPost;
+        try {
+            savedPost = await post.save(); // DB save
+        } catch (error) {
+            await deleteMediaItems(media); // Don't leave orphaned uploads behind (e.g. alt text too long)
+            throw error;
+        }
 
         // Populate user details for the response
         const populatedPost = await Post.findById(savedPost._id)
                                         .populate('user', 'username fullname profilePic _id');
 
+        await notifyMentions({
+            mentionIds: savedPost.mentions, actor: userId, type: 'mention', subjectType: 'Post', subjectId: savedPost._id,
+            preview: savedPost.content, canSee: (mentionedId) => canViewPost(mentionedId, { user: req.user, visibility: savedPost.visibility })
+        });
+
         res.status(201).json({
             success: true,
             message: "Post created successfully.",
@@ -74,13 +82,32 @@ exports.createPost = async (req, res, next) => {
         });
 
     } catch (error) {
-        console.error('Create Post Controller Error (Cloudinary):', error);
+        console.error('Create Post Controller Error:', error);
         // Note: No local file cleanup needed with memoryStorage
         next(error);
     }
 };
 
 
+// Manually adds likeCount (all reactions) since lean() disables virtuals, plus the viewer's own reaction
+// and poll vote, to lean posts and the originals embedded in their shares. Lists no longer carry every
+// liker: `likes` (kept for older clients) only holds the viewer's ID when they reacted with 'like'.
+const addViewerState = async (posts, userId) => {
+    const all = [...posts, ...posts.map(post => post.sharedPost).filter(Boolean)];
+    const [myReactions, myPollVotes] = await Promise.all([
+        getMyReactions(all.map(post => post._id), userId),
+        getMyPollVotes(all.filter(post => post.poll).map(post => post._id), userId)
+    ]);
+    const withState = (post) => ({
+        ...post,
+        likeCount: totalReactions(post.reactionCounts),
+        myReaction: myReactions.get(post._id.toString()) || null,
+        likes: myReactions.get(post._id.toString()) === 'like' ? [userId] : [],
+        ...(post.poll && { poll: formatPoll(post.poll, myPollVotes.get(post._id.toString())) })
+    });
+    return posts.map(post => withState({ ...post, ...(post.sharedPost && { sharedPost: withState(post.sharedPost) }) }));
+};
+
 /**
  * @desc    Get posts for the user's feed
  * @route   GET /api/posts/feed
@@ -88,34 +115,29 @@ exports.createPost = async (req, res, next) => {
  */
 exports.getFeedPosts = async (req, res, next) => {
     const currentUserId = req.user.id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.max(parseInt(req.query.limit) || 10, 1); // $skip/$limit reject negative values
     const skip = (page - 1) * limit;
 
     try {
         const currentUser = await User.findById(currentUserId).select('following');
         if (!currentUser) return next(new Error('User not found.'));
 
-        const feedUserIds = [currentUserId, ...(currentUser.following || [])];
+        // Banned members' posts are hidden from everyone's feed, blocked and muted members' from this one
+        const feedUserIds = await excludeHiddenUsers(currentUserId, [currentUserId, ...(currentUser.following || [])]);
 
-        const postsQuery = Post.find({ user: { $in: feedUserIds } })
-            .populate('user', 'username fullname profilePic _id')
-            .populate({ path: 'comments.user', select: 'username fullname profilePic _id' })
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
-
-        const [posts, totalPosts] = await Promise.all([
-            postsQuery.lean().exec(), // Use lean for potentially better performance on reads
-            Post.countDocuments({ user: { $in: feedUserIds } })
+        // Per-post visibility (ObjectIds: the filters go into an aggregation)
+        const [feedFilter, originalStages] = await Promise.all([
+            buildFeedPostFilter(req.user._id, feedUserIds.map(id => new mongoose.Types.ObjectId(id))),
+            buildDiscoveryPostStages(req.user._id, { includeMuted: false }) // Originals of reposts
         ]);
 
-        // Manually add likeCount and commentCount using virtual logic if lean() disables them
-         const postsWithCounts = posts.map(post => ({
-             ...post,
-             likeCount: post.likes?.length || 0,
-             commentCount: post.comments?.length || 0
-         }));
+        // Each reposted post is listed once, at its newest repost, across all pages
+        const { posts, total: totalPosts } = await getCollapsedFeedPage(feedFilter, originalStages, { skip, limit });
+
+        // Embed the originals of reposts/quote-posts
+        // (comments are loaded separately, page by page: GET /api/posts/:postId/comments)
+         const postsWithCounts = await addViewerState(await attachSharedPosts(posts, currentUserId), currentUserId);
 
         const totalPages = Math.ceil(totalPosts / limit);
 
@@ -139,111 +161,305 @@ exports.getPostById = async (req, res, next) => {
 
     try {
         const post = await Post.findById(postId)
-                                .populate('user', 'username fullname profilePic _id')
-                                .populate('likes', 'username fullname profilePic _id') // Users who liked
-                                .populate({ path: 'comments.user', select: 'username fullname profilePic _id' })
+                                .populate('user', 'username fullname profilePic _id accountStatus isPrivate')
                                 .lean(); // Use lean for performance
 
         if (!post) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
+        if (post.user?.accountStatus === 'banned' && !hasPermission(req.user, 'users:read')) {
+            const err = new Error('Post not found.'); err.statusCode = 404; return next(err);
+        }
+        // Per-post visibility (private accounts: followers only)
+        if (post.user && !hasPermission(req.user, 'users:read') && !(await canViewPost(req.user._id, post))) {
+            const err = new Error('Post not found.'); err.statusCode = 404; return next(err);
+        }
+        if (post.user) { delete post.user.accountStatus; delete post.user.isPrivate; } // Only needed for the checks above
+
+        // Blocks hide posts both ways
+        const blockedIds = await getBlockedUserIds(req.user.id);
+        if (post.user && blockedIds.some(id => id.equals(post.user._id)) && !hasPermission(req.user, 'users:read')) {
+            const err = new Error('Post not found.'); err.statusCode = 404; return next(err);
+        }
+
+         // Add virtual counts manually if using lean(), and the original of a repost/quote-post
+         // (comments: GET /api/posts/:postId/comments)
+         const [postWithState] = await addViewerState(await attachSharedPosts([post], req.user._id), req.user._id);
+         if (!postWithState) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); } // A repost of a post hidden from the viewer
 
-         // Add virtual counts manually if using lean()
-         post.likeCount = post.likes?.length || 0;
-         post.commentCount = post.comments?.length || 0;
+         // Recent likers for older clients, minus blocked members (who reacted, all types: GET /api/posts/:postId/reactions)
+         const likers = await getLikers(post._id, 'username fullname profilePic _id');
+         postWithState.likes = likers.filter(liker => !blockedIds.some(id => id.equals(liker._id)));
 
-        res.status(200).json({ success: true, post });
+        res.status(200).json({ success: true, post: postWithState });
     } catch (error) { console.error('Get Post By ID Error:', error); next(error); }
 };
 
+// Loads a post the current user may react to (404 if hidden from them, 403 across a block)
+const findReactablePost = async (postId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        const err = new Error('Invalid post ID.'); err.statusCode = 400; throw err;
+    }
+    const post = await Post.findById(postId).select('user visibility').populate('user', 'isPrivate');
+    if (!post?.user || !(await canViewPost(userId, post))) {
+        const err = new Error('Post not found.'); err.statusCode = 404; throw err;
+    }
+    if (await isBlockedBetween(userId, post.user._id)) {
+        const err = new Error('You cannot interact with this post.'); err.statusCode = 403; throw err;
+    }
+    return post;
+};
+
 /**
- * @desc    Like a post
- * @route   POST /api/posts/:postId/like
+ * @desc    React to a post (or change your reaction)
+ * @route   PUT /api/posts/:postId/reactions
  * @access  Private
+ * @expects JSON body: { type: 'like' | 'love' | 'celebrate' | 'pray' | 'sad' }
  */
-exports.likePost = async (req, res, next) => {
+exports.reactToPost = async (req, res, next) => {
+    const { type } = req.body;
+    if (!reactionTypes.includes(type)) {
+        const err = new Error(`Reaction must be one of: ${reactionTypes.join(', ')}.`); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        const post = await findReactablePost(req.params.postId, req.user._id);
+        const reactionCounts = await setReaction(post, req.user._id, type);
+        res.status(200).json({ success: true, myReaction: type, reactionCounts, likeCount: totalReactions(reactionCounts) });
+    } catch (error) { console.error('React To Post Error:', error); next(error); }
+};
+
+/**
+ * @desc    Remove your reaction from a post
+ * @route   DELETE /api/posts/:postId/reactions
+ * @access  Private
+ */
+exports.removePostReaction = async (req, res, next) => {
     const postId = req.params.postId;
-    const userId = req.user.id;
     if (!mongoose.Types.ObjectId.isValid(postId)) return next(new Error('Invalid post ID.'));
 
     try {
-        // Use findOneAndUpdate for atomic update
-        const updatedPost = await Post.findByIdAndUpdate(
-            postId,
-            { $addToSet: { likes: userId } }, // Add user ID only if not present
-            { new: true } // Return the modified document
-        ).select('likes'); // Select only likes field for response efficiency
+        const post = await Post.findById(postId).select('user');
+        if (!post) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
+
+        const reactionCounts = await removeReaction(post, req.user._id);
+        res.status(200).json({ success: true, myReaction: null, reactionCounts, likeCount: totalReactions(reactionCounts) });
+    } catch (error) { console.error('Remove Post Reaction Error:', error); next(error); }
+};
+
+/**
+ * @desc    Who reacted to a post (newest first, cursor paginated)
+ * @route   GET /api/posts/:postId/reactions
+ * @access  Private
+ * @query   type (optional filter), limit (default 20, max 50), before - `nextCursor` from the previous page
+ */
+exports.getPostReactions = async (req, res, next) => {
+    const { type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    if (type && !reactionTypes.includes(type)) {
+        const err = new Error(`Reaction must be one of: ${reactionTypes.join(', ')}.`); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        const post = await Post.findById(mongoose.Types.ObjectId.isValid(req.params.postId) ? req.params.postId : null)
+                               .select('user visibility reactionCounts')
+                               .populate('user', 'isPrivate');
+        if (!post?.user || !(await canViewPost(req.user._id, post))) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
+
+        // Members on either side of a block are left out of the list
+        const filter = { post: post._id, user: { $nin: await getBlockedUserIds(req.user._id) } };
+        if (type) filter.type = type;
+        if (req.query.before) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.before)) { const err = new Error('Invalid cursor.'); err.statusCode = 400; return next(err); }
+            filter._id = { $lt: req.query.before };
+        }
 
-        if (!updatedPost) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
+        const reactions = await Reaction.find(filter)
+                                        .sort({ _id: -1 })
+                                        .limit(limit + 1)
+                                        .select('user type createdAt')
+                                        .populate('user', 'username fullname profilePic _id');
 
-        // TODO: Create Activity/Notification (Consider if this should be async/queued)
+        const hasMore = reactions.length > limit;
+        const page = hasMore ? reactions.slice(0, limit) : reactions;
 
-        res.status(200).json({ success: true, message: 'Post liked.', likes: updatedPost.likes });
+        res.status(200).json({
+            success: true,
+            reactionCounts: post.reactionCounts,
+            count: page.length,
+            pagination: { hasMore, nextCursor: hasMore ? page[page.length - 1]._id : null },
+            reactions: page
+        });
+    } catch (error) { console.error('Get Post Reactions Error:', error); next(error); }
+};
+
+/**
+ * @desc    Like a post (kept for older clients: same as reacting with 'like')
+ * @route   POST /api/posts/:postId/like
+ * @access  Private
+ */
+exports.likePost = async (req, res, next) => {
+    try {
+        const post = await findReactablePost(req.params.postId, req.user._id);
+        const reactionCounts = await setReaction(post, req.user._id, 'like');
+        res.status(200).json({
+            success: true, message: 'Post liked.', myReaction: 'like', reactionCounts, likeCount: totalReactions(reactionCounts),
+            likes: await getLikers(post._id) // Liker IDs, as older clients expect
+        });
     } catch (error) { console.error('Like Post Error:', error); next(error); }
 };
 
 /**
- * @desc    Unlike a post
+ * @desc    Unlike a post (kept for older clients: removes your reaction, whatever its type)
  * @route   DELETE /api/posts/:postId/like
  * @access  Private
  */
 exports.unlikePost = async (req, res, next) => {
     const postId = req.params.postId;
-    const userId = req.user.id;
     if (!mongoose.Types.ObjectId.isValid(postId)) return next(new Error('Invalid post ID.'));
 
     try {
-        const updatedPost = await Post.findByIdAndUpdate(
-            postId,
-            { $pull: { likes: userId } }, // Remove user ID from likes array
-            { new: true }
-        ).select('likes');
-
-        if (!updatedPost) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
-
-        // TODO: Delete 'like' activity if needed
+        const post = await Post.findById(postId).select('user');
+        if (!post) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
 
-        res.status(200).json({ success: true, message: 'Post unliked.', likes: updatedPost.likes });
+        const reactionCounts = await removeReaction(post, req.user._id);
+        res.status(200).json({
+            success: true, message: 'Post unliked.', myReaction: null, reactionCounts, likeCount: totalReactions(reactionCounts),
+            likes: await getLikers(post._id) // Liker IDs, as older clients expect
+        });
     } catch (error) { console.error('Unlike Post Error:', error); next(error); }
 };
 
 /**
- * @desc    Add a comment to a post
- * @route   POST /api/posts/:postId/comments
- * @access  Private
+ * @desc    Edit a post: change the text and/or its media (add, remove, reorder, change alt text/captions).
+ *          The previous version is kept in the revision history.
+ * @route   PUT /api/posts/:postId
+ * @access  Private (Owner)
+ * @expects Multipart/form-data: content?, media? (new files), removeMedia? ('true'),
+ *          mediaLayout? (JSON array giving the final order: { id } for a current item or { file: n } for the
+ *          n-th new file, each with optional altText/caption). Without mediaLayout new files are appended.
  */
-exports.addComment = async (req, res, next) => {
-    const { text } = req.body;
+exports.editPost = async (req, res, next) => {
     const postId = req.params.postId;
-    const userId = req.user.id;
+    const { content } = req.body;
+    const removeMedia = req.body.removeMedia === true || req.body.removeMedia === 'true';
+    const files = getUploadedFiles(req);
 
-    if (!text?.trim()) return next(new Error('Comment text cannot be empty.'));
     if (!mongoose.Types.ObjectId.isValid(postId)) return next(new Error('Invalid post ID.'));
 
     try {
-        const newComment = { user: userId, text: text.trim() };
+        if (content !== undefined && typeof content !== 'string') {
+            const err = new Error('Post content must be text.'); err.statusCode = 400; return next(err);
+        }
+        const layout = parseJsonArray(req.body.mediaLayout, 'mediaLayout');
+        if (content === undefined && !removeMedia && files.length === 0 && !layout) {
+            const err = new Error('Nothing to update.'); err.statusCode = 400; return next(err);
+        }
+
+        const post = await Post.findById(postId).select('user content media mentions poll shareType');
+        if (!post) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
+        if (!post.user.equals(req.user.id)) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
+        if (post.shareType === 'repost') { const err = new Error('Reposts cannot be edited.'); err.statusCode = 400; return next(err); }
+
+        // --- Upload the new media first: if it fails, the post stays as it was ---
+        const uploadedItems = await uploadMediaFiles(files);
+        let removed;
+        let updatedPost;
+        try {
+            // Older clients replace the media by sending a single image/video/audio file
+            const replaceAll = !req.files?.media && files.length > 0;
+            const edited = buildEditedMedia(post.media, uploadedItems, { layout, removeMedia, replaceAll });
+            removed = edited.removed;
+
+            const newContent = content !== undefined ? content.trim() : post.content;
+            if (!newContent && edited.media.length === 0 && !post.poll) {
+                const err = new Error('Post must contain text content, media or a poll.'); err.statusCode = 400; throw err;
+            }
 
-        // Find post and push comment atomically
-        const updatedPost = await Post.findByIdAndUpdate(
-            postId,
-            { $push: { comments: newComment } },
-            { new: true, runValidators: true } // Run subdocument validators
-        ).populate({ path: 'comments.user', select: 'username fullname profilePic _id' }); // Populate user in the *last added* comment
+            const editedAt = new Date();
+            updatedPost = await Post.findByIdAndUpdate(postId, {
+                $set: { content: newContent, media: edited.media, editedAt, hashtags: extractHashtags(newContent), mentions: await resolveMentions(newContent) },
+                $push: {
+                    revisions: {
+                        $each: [{ content: post.content, media: post.media, editedAt }],
+                        $slice: -maxRevisions // Keep only the most recent versions
+                    }
+                }
+            }, { new: true, runValidators: true }).populate('user', 'username fullname profilePic _id');
+        } catch (error) {
+            await deleteMediaItems(uploadedItems); // The post wasn't changed, so the new uploads aren't used
+            throw error;
+        }
+
+        // --- Remove dropped media from Cloudinary only now that the post no longer points to it ---
+        await deleteMediaItems(removed);
 
-        if (!updatedPost) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
+        // Only members mentioned for the first time are notified
+        await notifyMentions({
+            mentionIds: updatedPost.mentions, previousMentionIds: post.mentions, actor: req.user._id, type: 'mention',
+            subjectType: 'Post', subjectId: updatedPost._id, preview: updatedPost.content,
+            canSee: (mentionedId) => canViewPost(mentionedId, { user: req.user, visibility: updatedPost.visibility })
+        });
 
-         // Find the newly added comment (it will be the last one in the array)
-         const addedComment = updatedPost.comments[updatedPost.comments.length - 1];
+        res.status(200).json({ success: true, message: 'Post updated.', post: updatedPost });
+    } catch (error) { console.error('Edit Post Error:', error); next(error); }
+};
+
+/**
+ * @desc    Edit history of a post (previous versions, oldest first)
+ * @route   GET /api/posts/:postId/revisions
+ * @access  Private (Owner or 'posts:revisions')
+ */
+exports.getPostRevisions = async (req, res, next) => {
+    const postId = req.params.postId;
+    if (!mongoose.Types.ObjectId.isValid(postId)) return next(new Error('Invalid post ID.'));
 
-        // TODO: Create Activity/Notification
+    try {
+        const post = await Post.findById(postId).select('user content media editedAt +revisions');
+        if (!post) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
+        if (!post.user.equals(req.user.id) && !hasPermission(req.user, 'posts:revisions')) {
+            const err = new Error('Forbidden.'); err.statusCode = 403; return next(err);
+        }
 
-        res.status(201).json({ success: true, message: "Comment added.", comment: addedComment });
-    } catch (error) { console.error('Add Comment Error:', error); next(error); }
+        res.status(200).json({
+            success: true,
+            current: { content: post.content, media: post.media, editedAt: post.editedAt },
+            count: post.revisions.length,
+            revisions: post.revisions
+        });
+    } catch (error) { console.error('Get Post Revisions Error:', error); next(error); }
 };
 
+/**
+ * @desc    Change who can see a post
+ * @route   PUT /api/posts/:postId/visibility
+ * @access  Private (Owner)
+ * @expects JSON body: { visibility: 'public' | 'followers' | 'close_friends' | 'only_me' }
+ */
+exports.updatePostVisibility = async (req, res, next) => {
+    const postId = req.params.postId;
+    const { visibility } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) return next(new Error('Invalid post ID.'));
+    if (!visibilityLevels.includes(visibility)) {
+        const err = new Error(`Visibility must be one of: ${visibilityLevels.join(', ')}.`); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        const post = await Post.findById(postId).select('user visibility');
+        if (!post) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
+        if (!post.user.equals(req.user.id)) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
+
+        post.visibility = visibility;
+        await post.save();
+
+        res.status(200).json({ success: true, message: 'Post visibility updated.', visibility: post.visibility });
+    } catch (error) { console.error('Update Post Visibility Error:', error); next(error); }
+};
 
 /**
  * @desc    Delete a post
  * @route   DELETE /api/posts/:postId
- * @access  Private (Owner or Admin)
+ * @access  Private (Owner or 'posts:delete:any')
  */
 exports.deletePost = async (req, res, next) => {
      const postId = req.params.postId;
@@ -253,33 +469,32 @@ exports.deletePost = async (req, res, next) => {
 
     try {
         // Find the post and select fields needed for deletion logic
-        const post = await Post.findById(postId).select('user image video mediaPublicId'); // Select fields needed
+        const post = await Post.findById(postId).select('user content media visibility sharedPost shareType sharedPostRemoved'); // Select fields needed
 
         if (!post) { const err = new Error('Post not found.'); err.statusCode = 404; return next(err); }
-        if (!post.user.equals(userId) && !req.user.isAdmin) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
-
-        // --- Delete from Cloudinary ---
-        // Prioritize deleting using stored publicId if available
-         const publicIdToDelete = post.mediaPublicId || getPublicIdFromUrl(post.image || post.video);
-
-        if (publicIdToDelete) {
-            try {
-                 let resourceType = 'image'; // Default
-                 if (post.video) resourceType = 'video'; // Set if video post
-                 await deleteFromCloudinary(publicIdToDelete, resourceType);
-                 console.log("Cloudinary media deleted for post:", publicIdToDelete);
-            } catch (cloudinaryError) {
-                console.error(`Non-fatal Cloudinary deletion error for post ${postId}:`, cloudinaryError);
-                // Log error but allow DB deletion to proceed
-            }
-        } else if (post.image || post.video) {
-            console.warn(`Could not determine publicId for media on post ${postId}. Manual Cloudinary cleanup might be needed.`);
-        }
+        if (!post.user.equals(userId) && !hasPermission(req.user, 'posts:delete:any')) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
+
+        // --- Delete from Cloudinary (failures are logged, the DB deletion proceeds) ---
+        await deleteMediaItems(post.media);
 
-        // --- Delete the Post Document from DB ---
+        // --- Delete the Post Document (and its comments, reactions and poll votes) from DB ---
         await Post.findByIdAndDelete(postId);
+        await Promise.all([
+            Comment.deleteMany({ post: post._id }),
+            Reaction.deleteMany({ post: post._id }),
+            PollVote.deleteMany({ post: post._id })
+        ]);
 
-         // TODO: Delete comments, likes, activities associated with the post? (Depends on requirements)
+        // Deleting someone else's post is a moderation action
+        if (!post.user.equals(userId)) {
+            await recordAudit(req, { action: 'post.delete', targetType: 'Post', targetId: post._id, before: post });
+        }
+
+        await removeNotificationsForSubject('Post', post._id);
+
+        // Reposts of this post go with it, quote-posts stay without it; a deleted share no longer counts
+        await handleOriginalDeleted(post._id);
+        await handleShareDeleted(post);
 
         res.status(200).json({ success: true, message: 'Post deleted successfully.' });
 
@@ -288,5 +503,3 @@ exports.deletePost = async (req, res, next) => {
         next(error);
     }
 };
-
-// Add editPost controller function if needed, handling text and potentially replacing media.
\ No newline at end of file
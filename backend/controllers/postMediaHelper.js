@@ -0,0 +1,137 @@
+// backend/controllers/postMediaHelper.js
+// Post media carousels: uploading the files of a create/edit request and building the ordered media list.
+const { uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('./cloudinaryHelper');
+const { maxMediaItems } = require('../config/posts');
+
+const badRequest = (message) => { const err = new Error(message); err.statusCode = 400; return err; };
+
+// 'image', 'video' or 'audio' from a file's MIME type
+const mediaTypeOf = (file) => file.mimetype.split('/')[0];
+
+// Cloudinary stores audio as the 'video' resource type
+const resourceTypeOf = (item) => (item.type === 'image' ? 'image' : 'video');
+
+/**
+ * Files of a create/edit request in upload order: the 'media' field first, then the single
+ * 'image', 'video' and 'audio' fields older clients send.
+ * @param {object} req - Request after the uploadPostMedia middleware.
+ * @returns {object[]} Multer files.
+ */
+const getUploadedFiles = (req) => ['media', 'image', 'video', 'audio'].flatMap(field => req.files?.[field] || []);
+
+/**
+ * Parses a JSON array sent as a multipart text field (e.g. mediaDetails, mediaLayout).
+ * @param {string|Array|undefined} raw
+ * @param {string} fieldName - Used in the error message.
+ * @returns {Array|undefined} undefined if the field wasn't sent.
+ * @throws {Error} 400 if it isn't a JSON array.
+ */
+const parseJsonArray = (raw, fieldName) => {
+    if (raw === undefined || raw === '') return undefined;
+    let parsed = raw;
+    if (typeof raw === 'string') {
+        try { parsed = JSON.parse(raw); } catch (error) { throw badRequest(`${fieldName} must be a JSON array.`); }
+    }
+    if (!Array.isArray(parsed)) throw badRequest(`${fieldName} must be a JSON array.`);
+    return parsed;
+};
+
+// Only the text fields an author may set on an item
+const pickDetails = (details = {}) => {
+    const picked = {};
+    if (typeof details.altText === 'string') picked.altText = details.altText.trim();
+    if (typeof details.caption === 'string') picked.caption = details.caption.trim();
+    return picked;
+};
+
+/**
+ * Uploads files to Cloudinary and returns them as media items. If one upload fails, the files
+ * already uploaded are deleted again and the error is rethrown.
+ * @param {object[]} files - Multer files, in carousel order.
+ * @param {object[]} [details] - Optional { altText, caption } per file (same order).
+ * @returns {Promise<object[]>} Media items { type, url, publicId, altText?, caption? }.
+ */
+const uploadMediaFiles = async (files, details = []) => {
+    const items = [];
+    try {
+        for (const [index, file] of files.entries()) {
+            const uploadResult = await uploadToCloudinary(file, 'patwa_toli/posts');
+            if (!uploadResult?.secure_url || !uploadResult?.public_id) {
+                throw new Error(`Cloudinary upload failed for post ${mediaTypeOf(file)}.`);
+            }
+            items.push({ type: mediaTypeOf(file), url: uploadResult.secure_url, publicId: uploadResult.public_id, ...pickDetails(details[index]) });
+        }
+    } catch (error) {
+        await deleteMediaItems(items);
+        throw error;
+    }
+    return items;
+};
+
+/**
+ * Builds the new media list of an edited post.
+ * - With a layout: the list is exactly the layout, each entry either { id } (an existing item, by its _id)
+ *   or { file: n } (the n-th uploaded file), optionally with new altText/caption. Unlisted items are removed.
+ * - Without a layout: existing items are kept (all dropped with removeMedia) and uploads are appended.
+ *   Older clients sending a single 'image'/'video'/'audio' file replace all media, as before.
+ * @param {object[]} currentItems - The post's current media items.
+ * @param {object[]} uploadedItems - Items from uploadMediaFiles, in upload order.
+ * @param {object} options - { layout?, removeMedia?, replaceAll? }
+ * @returns {{ media: object[], removed: object[] }} New list and the current items no longer in it.
+ * @throws {Error} 400 on an invalid layout.
+ */
+const buildEditedMedia = (currentItems, uploadedItems, { layout, removeMedia = false, replaceAll = false }) => {
+    let media;
+    if (layout) {
+        const usedIds = new Set();
+        const usedFiles = new Set();
+        media = layout.map(entry => {
+            if (entry?.id !== undefined) {
+                const existing = currentItems.find(item => item._id.toString() === String(entry.id));
+                if (!existing || usedIds.has(String(entry.id))) throw badRequest(`Unknown or repeated media item: ${entry.id}.`);
+                usedIds.add(String(entry.id));
+                return { ...existing.toObject(), ...pickDetails(entry) };
+            }
+            const fileIndex = Number(entry?.file);
+            if (!Number.isInteger(fileIndex) || !uploadedItems[fileIndex] || usedFiles.has(fileIndex)) {
+                throw badRequest('Each mediaLayout entry needs an existing item id or the index of an uploaded file.');
+            }
+            usedFiles.add(fileIndex);
+            return { ...uploadedItems[fileIndex], ...pickDetails(entry) };
+        });
+        if (usedFiles.size !== uploadedItems.length) throw badRequest('Every uploaded file must appear in mediaLayout.');
+    } else {
+        const kept = removeMedia || replaceAll ? [] : currentItems.map(item => item.toObject());
+        media = [...kept, ...uploadedItems];
+    }
+
+    if (media.length > maxMediaItems) throw badRequest(`A post can have at most ${maxMediaItems} media items.`);
+
+    const keptIds = new Set(media.filter(item => item._id).map(item => item._id.toString()));
+    const removed = currentItems.filter(item => !keptIds.has(item._id.toString()));
+    return { media, removed };
+};
+
+/**
+ * Deletes media items from Cloudinary. Never throws (failures are logged).
+ * @param {object[]} items - Media items (with publicId or a Cloudinary url).
+ */
+const deleteMediaItems = async (items) => {
+    for (const item of items) {
+        const publicId = item.publicId || getPublicIdFromUrl(item.url);
+        if (!publicId) continue;
+        try {
+            await deleteFromCloudinary(publicId, resourceTypeOf(item));
+        } catch (error) {
+            console.error(`Non-fatal: Failed to delete post media ${publicId}:`, error);
+        }
+    }
+};
+
+module.exports = {
+    getUploadedFiles,
+    parseJsonArray,
+    uploadMediaFiles,
+    buildEditedMedia,
+    deleteMediaItems
+};
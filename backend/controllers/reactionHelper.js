@@ -0,0 +1,116 @@
+// backend/controllers/reactionHelper.js
+// Setting and removing a member's reaction to a post. Keeps Post.reactionCounts, the author's
+// notification and the post's realtime room in step. Used by the reaction endpoints and the old like endpoints.
+const Reaction = require('../models/Reaction');
+const Post = require('../models/Post');
+const { reactionTypes, legacyLikesLimit } = require('../config/posts');
+const { notify, retractNotification } = require('./notificationHelper');
+const { publish, postRoom } = require('./realtimeHelper');
+
+// 'like' keeps its own notification wording; every other type is "reacted to your post"
+const notificationTypeFor = (reactionType) => (reactionType === 'like' ? 'like' : 'reaction');
+
+/**
+ * Total number of reactions of all types.
+ * @param {object} reactionCounts - Post.reactionCounts (missing on posts that were never reacted to).
+ * @returns {number}
+ */
+const totalReactions = (reactionCounts) => reactionTypes.reduce((sum, type) => sum + (reactionCounts?.[type] || 0), 0);
+
+// Tells everyone viewing the post about the new counts ('post:likes' is kept for older clients)
+const publishReactionCounts = (postId, reactionCounts) => {
+    const likeCount = totalReactions(reactionCounts);
+    publish(postRoom(postId), 'post:reactions', { postId, reactionCounts, likeCount });
+    publish(postRoom(postId), 'post:likes', { postId, likeCount });
+};
+
+/**
+ * Sets a member's reaction to a post, replacing a reaction of another type.
+ * @param {object} post - Post document (needs _id and user; user may be populated).
+ * @param {string|ObjectId} userId - The reacting member.
+ * @param {string} type - One of config/posts.js reactionTypes.
+ * @returns {Promise<object>} The post's updated reactionCounts.
+ */
+const setReaction = async (post, userId, type) => {
+    const authorId = post.user._id || post.user;
+    const filter = { post: post._id, user: userId };
+
+    let previous;
+    try {
+        previous = await Reaction.findOneAndUpdate(filter, { $set: { type } }, { upsert: true, new: false });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Two requests created the reaction at the same moment - the other insert won, update it instead
+        previous = await Reaction.findOneAndUpdate(filter, { $set: { type } }, { new: false });
+    }
+
+    if (previous?.type === type) {
+        const unchanged = await Post.findById(post._id).select('reactionCounts');
+        return unchanged.reactionCounts;
+    }
+
+    const inc = { [`reactionCounts.${type}`]: 1 };
+    if (previous) inc[`reactionCounts.${previous.type}`] = -1;
+    const updated = await Post.findByIdAndUpdate(post._id, { $inc: inc }, { new: true }).select('reactionCounts');
+
+    if (previous) {
+        await retractNotification({ recipient: authorId, actor: userId, type: notificationTypeFor(previous.type), subjectType: 'Post', subjectId: post._id });
+    }
+    await notify({ recipient: authorId, actor: userId, type: notificationTypeFor(type), subjectType: 'Post', subjectId: post._id });
+    publishReactionCounts(post._id, updated.reactionCounts);
+
+    return updated.reactionCounts;
+};
+
+/**
+ * Removes a member's reaction (of any type) from a post.
+ * @param {object} post - Post document (needs _id and user; user may be populated).
+ * @param {string|ObjectId} userId
+ * @returns {Promise<object>} The post's updated reactionCounts.
+ */
+const removeReaction = async (post, userId) => {
+    const removed = await Reaction.findOneAndDelete({ post: post._id, user: userId });
+    if (!removed) {
+        const unchanged = await Post.findById(post._id).select('reactionCounts');
+        return unchanged.reactionCounts;
+    }
+
+    const updated = await Post.findByIdAndUpdate(post._id, { $inc: { [`reactionCounts.${removed.type}`]: -1 } }, { new: true }).select('reactionCounts');
+
+    await retractNotification({ recipient: post.user._id || post.user, actor: userId, type: notificationTypeFor(removed.type), subjectType: 'Post', subjectId: post._id });
+    publishReactionCounts(post._id, updated.reactionCounts);
+
+    return updated.reactionCounts;
+};
+
+/**
+ * The viewer's own reaction on each of the given posts.
+ * @param {Array} postIds
+ * @param {string|ObjectId} userId
+ * @returns {Promise<Map<string, string>>} postId -> reaction type (posts without a reaction are absent)
+ */
+const getMyReactions = async (postIds, userId) => {
+    const reactions = await Reaction.find({ post: { $in: postIds }, user: userId }).select('post type').lean();
+    return new Map(reactions.map(reaction => [reaction.post.toString(), reaction.type]));
+};
+
+/**
+ * Members who reacted with 'like', newest first, for the `likes` field older clients still read
+ * (capped at legacyLikesLimit; the full "who reacted" list is GET /api/posts/:postId/reactions).
+ * @param {string|ObjectId} postId
+ * @param {string} [fields] - User fields to populate; without it, user IDs are returned.
+ * @returns {Promise<Array>} User IDs or populated users.
+ */
+const getLikers = async (postId, fields) => {
+    const query = Reaction.find({ post: postId, type: 'like' }).sort({ _id: -1 }).limit(legacyLikesLimit).select('user').lean();
+    if (fields) query.populate('user', fields);
+    return (await query).map(reaction => reaction.user).filter(Boolean);
+};
+
+module.exports = {
+    totalReactions,
+    setReaction,
+    removeReaction,
+    getMyReactions,
+    getLikers
+};
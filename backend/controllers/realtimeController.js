@@ -0,0 +1,166 @@
+// backend/controllers/realtimeController.js
+// Transports for the realtime push channel (see realtimeHelper for rooms and replay):
+//   WebSocket - ws(s)://<host>/api/v1/realtime/ws?access_token=<token>[&posts=<id,id>][&lastEventId=<id>]
+//               Client messages: { action: 'subscribe' | 'unsubscribe', room: 'post:<postId>' },
+//               { action: 'replay', lastEventId } (after re-subscribing rooms one by one)
+//   SSE       - GET /api/v1/realtime/events?posts=<id,id>  (Last-Event-ID header for replay)
+// Server messages are { id, room, type, data }. After a replay the server sends 'replay:done' with
+// { complete }; when complete is false the client should refetch through the REST API.
+const { WebSocketServer } = require('ws');
+const { authenticateAccessToken } = require('./sessionHelper');
+const realtime = require('./realtimeHelper');
+const realtimeConfig = require('../config/realtime');
+
+let wss = null;
+let heartbeatTimer = null;
+
+// Reads the access token from the upgrade request: ?access_token= (browsers can't set headers) or Authorization
+const getUpgradeToken = (req, query) => {
+    if (query.get('access_token')) return query.get('access_token');
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.split(' ')[1] : null;
+};
+
+// Handles one message from a WebSocket client
+const handleClientMessage = async (socket, client, raw) => {
+    let message;
+    try {
+        message = JSON.parse(raw.toString());
+    } catch (error) {
+        return socket.send(JSON.stringify({ type: 'error', data: { message: 'Messages must be JSON.' } }));
+    }
+
+    if (message.action === 'subscribe') {
+        const joined = await realtime.subscribe(client, message.room);
+        socket.send(JSON.stringify({ type: joined ? 'subscribed' : 'error', data: { room: message.room, ...(!joined && { message: 'Cannot subscribe to this room.' }) } }));
+    } else if (message.action === 'unsubscribe' && String(message.room).startsWith('post:')) {
+        realtime.leave(client, message.room);
+        socket.send(JSON.stringify({ type: 'unsubscribed', data: { room: message.room } }));
+    } else if (message.action === 'replay') {
+        const complete = realtime.replay(client, message.lastEventId);
+        socket.send(JSON.stringify({ type: 'replay:done', data: { complete } }));
+    } else if (message.action === 'ping') {
+        socket.send(JSON.stringify({ type: 'pong' }));
+    }
+};
+
+/**
+ * Attaches the WebSocket gateway to the HTTP server. Authenticates during the upgrade so
+ * unauthenticated sockets are never opened.
+ * @param {object} server - Node HTTP server returned by app.listen().
+ */
+exports.attachWebSocketGateway = (server) => {
+    wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        if (pathname !== realtimeConfig.websocketPath) return socket.destroy();
+
+        const auth = await authenticateAccessToken(getUpgradeToken(req, searchParams));
+        if (!auth) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return socket.destroy();
+        }
+
+        wss.handleUpgrade(req, socket, head, async (ws) => {
+            ws.isAlive = true;
+            const client = realtime.createClient(auth.user, (event) => {
+                if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+            }, { sessionId: auth.sessionId, close: () => ws.close(4001, 'Session ended') });
+
+            ws.on('pong', () => { ws.isAlive = true; });
+            ws.on('message', (raw) => handleClientMessage(ws, client, raw).catch(error => {
+                console.error('Realtime message error:', error);
+            }));
+            ws.on('close', () => realtime.disconnect(client));
+            ws.on('error', (error) => console.error('Realtime socket error:', error.message));
+
+            try {
+                // Restore the post rooms first, so the replay covers their missed events too
+                const postIds = String(searchParams.get('posts') || '').split(',').filter(Boolean);
+                for (const postId of postIds) await realtime.subscribe(client, realtime.postRoom(postId));
+            } catch (error) {
+                console.error('Realtime subscribe error:', error);
+            }
+            if (ws.readyState !== ws.OPEN) return; // Closed (or session revoked) while subscribing
+
+            ws.send(JSON.stringify({ type: 'ready', data: { userId: client.userId } }));
+            if (searchParams.get('lastEventId')) {
+                const complete = realtime.replay(client, searchParams.get('lastEventId'));
+                ws.send(JSON.stringify({ type: 'replay:done', data: { complete } }));
+            }
+        });
+    });
+
+    // Drop connections that stopped answering pings; forget expired replay buffers
+    heartbeatTimer = setInterval(() => {
+        wss.clients.forEach(ws => {
+            if (!ws.isAlive) return ws.terminate();
+            ws.isAlive = false;
+            ws.ping();
+        });
+        realtime.pruneHistory();
+    }, realtimeConfig.heartbeatSeconds * 1000);
+
+    console.log(`Realtime WebSocket gateway listening on ${realtimeConfig.websocketPath}`);
+};
+
+/**
+ * Closes all WebSocket connections (graceful shutdown).
+ */
+exports.closeWebSocketGateway = () => {
+    clearInterval(heartbeatTimer);
+    if (!wss) return;
+    wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+    wss.close();
+};
+
+/**
+ * @desc    Server-Sent Events stream (fallback for clients without WebSocket support)
+ * @route   GET /api/realtime/events
+ * @access  Private (Authorization header, or ?access_token= for EventSource)
+ * @query   posts - optional comma separated post IDs to watch
+ */
+exports.streamEvents = async (req, res, next) => {
+    try {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+        req.socket.setTimeout(0); // Long-lived response: not subject to server.timeout
+        res.flushHeaders();
+
+        const writeEvent = ({ id, room, type, data }) => {
+            if (id) res.write(`id: ${id}\n`);
+            res.write(`event: ${type}\n`);
+            res.write(`data: ${JSON.stringify({ room, data })}\n\n`);
+        };
+
+        let keepAlive = null;
+        const close = () => { clearInterval(keepAlive); res.end(); };
+        const client = realtime.createClient(req.user, writeEvent, { sessionId: req.sessionId, close });
+        const postIds = String(req.query.posts || '').split(',').filter(Boolean);
+        for (const postId of postIds) await realtime.subscribe(client, realtime.postRoom(postId));
+        if (res.writableEnded) return; // Session revoked while subscribing
+
+        res.write(`retry: 5000\n\n`); // Reconnect delay for EventSource
+        writeEvent({ type: 'ready', data: { userId: client.userId } });
+
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        if (lastEventId) writeEvent({ type: 'replay:done', data: { complete: realtime.replay(client, lastEventId) } });
+
+        // Comment lines keep proxies from closing an idle connection
+        keepAlive = setInterval(() => res.write(': keep-alive\n\n'), realtimeConfig.heartbeatSeconds * 1000);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            realtime.disconnect(client);
+        });
+    } catch (error) {
+        console.error('Realtime SSE Error:', error);
+        if (res.headersSent) return res.end();
+        next(error);
+    }
+};
@@ -0,0 +1,204 @@
+// backend/controllers/realtimeHelper.js
+// In-process pub/sub for realtime pushes. Every connection (WebSocket or SSE) is a "client" that joins rooms:
+//   user:<userId>  - joined automatically; notifications and story-feed changes for that member
+//   post:<postId>  - joined while the member is viewing a post; comment changes and reaction counts
+// Events get increasing ids and the last few per room are buffered, so a client that reconnects with the
+// id of the last event it saw receives what it missed.
+// NOTE: Rooms live in this process. Running several API instances would need a shared broker (e.g. Redis pub/sub).
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const realtimeConfig = require('../config/realtime');
+const { canViewPost } = require('./visibilityHelper');
+
+const rooms = new Map();   // room name -> Set of clients
+const history = new Map(); // room name -> { events (oldest first), droppedUpTo (newest id no longer buffered) }
+
+// Seeded with the start time so ids keep increasing across server restarts.
+// Events from before this process started can't be replayed.
+const firstEventId = Date.now();
+let lastEventId = firstEventId;
+
+const userRoom = (userId) => `user:${userId}`;
+const postRoom = (postId) => `post:${postId}`;
+
+const clients = new Set(); // Every open connection (so ended sessions can be closed)
+
+/**
+ * Creates a client for a connection.
+ * @param {object} user - Authenticated user document.
+ * @param {function} deliver - Called with every event for this client: ({ id, room, type, data, at }) => void
+ * @param {object} [options] - { sessionId, close } - the login session of the connection and a function
+ *                             that ends the connection (called when that session is revoked).
+ * @returns {object} Client handle (pass to join/leave/disconnect).
+ */
+const createClient = (user, deliver, { sessionId = null, close = null } = {}) => {
+    const client = { userId: user._id.toString(), user, sessionId: sessionId && sessionId.toString(), rooms: new Set(), deliver, close };
+    clients.add(client);
+    join(client, userRoom(client.userId));
+    return client;
+};
+
+const join = (client, room) => {
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    rooms.get(room).add(client);
+    client.rooms.add(room);
+};
+
+const leave = (client, room) => {
+    const members = rooms.get(room);
+    if (members) {
+        members.delete(client);
+        if (members.size === 0) rooms.delete(room);
+    }
+    client.rooms.delete(room);
+};
+
+const disconnect = (client) => {
+    [...client.rooms].forEach(room => leave(client, room));
+    clients.delete(client);
+};
+
+/**
+ * Closes the connections of ended sessions (logout, revocation, suspension, ban), so they stop
+ * receiving the member's messages and notifications.
+ * @param {object} params - { userId } for all of a member's connections, optionally with
+ *                          exceptSessionId, or { sessionId } for one session.
+ */
+const closeSessionConnections = ({ userId = null, sessionId = null, exceptSessionId = null }) => {
+    [...clients].forEach(client => {
+        const matches = sessionId
+            ? client.sessionId === sessionId.toString()
+            : client.userId === userId.toString() && client.sessionId !== (exceptSessionId && exceptSessionId.toString());
+        if (!matches) return;
+        disconnect(client);
+        try {
+            if (client.close) client.close();
+        } catch (error) {
+            console.error(`Non-fatal: Failed to close realtime connection of ${client.userId}:`, error);
+        }
+    });
+};
+
+/**
+ * Checks whether a client may watch a room and joins it. Only post rooms can be joined on request.
+ * @returns {Promise<boolean>} Whether the client joined.
+ */
+const subscribe = async (client, room) => {
+    const [kind, id] = String(room).split(':');
+    if (kind !== 'post' || !mongoose.Types.ObjectId.isValid(id)) return false;
+
+    const postRooms = [...client.rooms].filter(name => name.startsWith('post:'));
+    if (postRooms.length >= realtimeConfig.maxPostSubscriptions && !client.rooms.has(room)) return false;
+
+    const post = await Post.findById(id).select('user visibility').populate('user', 'isPrivate');
+    if (!post?.user || !(await canViewPost(client.userId, post))) return false; // Same visibility rules as the REST API
+
+    join(client, postRoom(id));
+    return true;
+};
+
+// Drops buffered events that are too old or beyond the buffer size
+const trimHistory = (buffer) => {
+    const minTime = Date.now() - realtimeConfig.replayMaxAgeMinutes * 60 * 1000;
+    const { events } = buffer;
+    while (events.length > realtimeConfig.replayBufferSize || (events.length && events[0].at < minTime)) {
+        buffer.droppedUpTo = events.shift().id;
+    }
+};
+
+/**
+ * Pushes an event to everyone in a room (and buffers it for replay).
+ * @param {string} room - e.g. 'user:<id>' or 'post:<id>'.
+ * @param {string} type - Event name, e.g. 'notification:new'.
+ * @param {object} data - JSON-serialisable payload.
+ */
+const publish = (room, type, data) => {
+    const event = { id: ++lastEventId, room, type, data, at: Date.now() };
+
+    if (!history.has(room)) history.set(room, { events: [], droppedUpTo: 0 });
+    const buffer = history.get(room);
+    buffer.events.push(event);
+    trimHistory(buffer);
+
+    (rooms.get(room) || new Set()).forEach(client => {
+        try {
+            client.deliver(event);
+        } catch (error) {
+            console.error(`Non-fatal: Realtime delivery to ${client.userId} failed:`, error);
+        }
+    });
+};
+
+/**
+ * Pushes an event to several members' personal rooms.
+ * @param {Array} userIds
+ * @param {string} type
+ * @param {object} data
+ */
+const publishToUsers = (userIds, type, data) => {
+    userIds.forEach(userId => publish(userRoom(userId), type, data));
+};
+
+/**
+ * Sends a reconnecting client the events it missed in its current rooms.
+ * @param {object} client
+ * @param {number} sinceEventId - Id of the last event the client received.
+ * @returns {boolean} false if some events are no longer buffered (client should refetch via the REST API).
+ */
+const replay = (client, sinceEventId) => {
+    const since = Number(sinceEventId);
+    if (!Number.isFinite(since)) return true;
+
+    // Ids from before this process started (or unknown ids) mean the server restarted in between
+    let complete = since >= firstEventId && since <= lastEventId;
+    const missed = [];
+    client.rooms.forEach(room => {
+        const buffer = history.get(room);
+        if (!buffer) return;
+        trimHistory(buffer);
+        if (since < buffer.droppedUpTo) complete = false; // Some missed events were already dropped
+        buffer.events.forEach(event => { if (event.id > since) missed.push(event); });
+    });
+
+    missed.sort((a, b) => a.id - b.id).forEach(event => client.deliver(event));
+    return complete;
+};
+
+/**
+ * Forgets replay buffers whose events have all expired (called periodically by the gateway).
+ */
+const pruneHistory = () => {
+    history.forEach((buffer, room) => {
+        trimHistory(buffer);
+        if (buffer.events.length === 0 && !rooms.has(room)) history.delete(room);
+    });
+};
+
+/**
+ * Number of open connections per room type (for the health endpoint / debugging).
+ * @returns {object}
+ */
+const getStats = () => {
+    let users = 0;
+    let posts = 0;
+    rooms.forEach((members, room) => {
+        if (room.startsWith('user:')) users += members.size;
+        else posts += members.size;
+    });
+    return { connections: users, postWatchers: posts, rooms: rooms.size };
+};
+
+module.exports = {
+    userRoom,
+    postRoom,
+    createClient,
+    subscribe,
+    leave,
+    disconnect,
+    closeSessionConnections,
+    publish,
+    publishToUsers,
+    replay,
+    pruneHistory,
+    getStats
+};
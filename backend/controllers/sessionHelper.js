@@ -0,0 +1,187 @@
+// backend/controllers/sessionHelper.js
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createRandomToken, hashToken } = require('./tokenHelper');
+const authConfig = require('../config/auth');
+const { closeSessionConnections } = require('./realtimeHelper');
+require('dotenv').config(); // Access JWT_SECRET
+
+const MAX_REMEMBERED_TOKENS = 20; // How many rotated refresh tokens to remember for reuse detection
+
+// Builds an Error carrying an HTTP status code (handled by the global error handler)
+const createError = (message, statusCode) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+};
+
+// Refresh tokens look like "<sessionId>.<random>" so the session can be found without a hash lookup
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+// Derive a readable device name from the client when the app did not send one
+const describeDevice = (req) => {
+    if (req.body?.deviceName) return String(req.body.deviceName).trim().substring(0, 100);
+    const userAgent = req.headers['user-agent'] || '';
+    if (/android/i.test(userAgent)) return 'Android device';
+    if (/iphone|ipad/i.test(userAgent)) return 'iOS device';
+    if (/windows/i.test(userAgent)) return 'Windows computer';
+    if (/macintosh|mac os/i.test(userAgent)) return 'Mac computer';
+    if (/linux/i.test(userAgent)) return 'Linux computer';
+    return 'Unknown device';
+};
+
+/**
+ * Signs a short-lived access token bound to a session.
+ * @param {string} userId - The user's ID.
+ * @param {string} sessionId - The session the token belongs to (checked by `protect`).
+ * @returns {string} Signed JWT.
+ */
+const generateAccessToken = (userId, sessionId) => {
+    // Keep the payload minimal - no sensitive information
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: authConfig.accessTokenTtl,
+    });
+};
+
+/**
+ * Starts a new session for a user (called after a successful login).
+ * @param {object} user - The authenticated user document.
+ * @param {object} req - Express request (device name, IP and user agent are recorded).
+ * @returns {Promise<{ accessToken: string, refreshToken: string, session: object }>}
+ */
+const createSession = async (user, req) => {
+    const { token, hash } = createRandomToken();
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: hash,
+        deviceName: describeDevice(req),
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+        accessToken: generateAccessToken(user._id, session._id),
+        refreshToken: buildRefreshToken(session._id, token),
+        session
+    };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair (rotation).
+ * Presenting a token that was already rotated revokes the whole session.
+ * @param {string} refreshToken - The refresh token sent by the client.
+ * @param {object} req - Express request (IP is updated on the session).
+ * @returns {Promise<{ accessToken: string, refreshToken: string, session: object }>}
+ * @throws {Error} 401 error if the token is invalid, expired, revoked or reused.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) throw createError('Invalid refresh token.', 401);
+
+    const presentedHash = hashToken(parsed.secret);
+    const { token, hash } = createRandomToken();
+    const now = new Date();
+
+    // Atomically swap the current token for a new one (fails if another request rotated it first)
+    const session = await Session.findOneAndUpdate(
+        { _id: parsed.sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: { tokenHash: hash, lastUsedAt: now, ip: req.ip },
+            $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_REMEMBERED_TOKENS } }
+        },
+        { new: true }
+    );
+
+    if (session) {
+        return {
+            accessToken: generateAccessToken(session.user, session._id),
+            refreshToken: buildRefreshToken(session._id, token),
+            session
+        };
+    }
+
+    // --- Rotation failed: check whether an old (already rotated) token is being replayed ---
+    const reused = await Session.findOneAndUpdate(
+        { _id: parsed.sessionId, previousTokenHashes: presentedHash, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    if (reused) {
+        console.warn(`Refresh token reuse detected for session ${parsed.sessionId} (user ${reused.user}). Session revoked.`);
+    }
+
+    throw createError('Invalid or expired refresh token. Please log in again.', 401);
+};
+
+/**
+ * Revokes a single session (and closes its realtime connections).
+ * @param {string} sessionId - The session to revoke.
+ * @param {string} reason - Stored for auditing (e.g. 'logout').
+ * @param {string} userId - Optional: only revoke if the session belongs to this user.
+ * @returns {Promise<object|null>} The revoked session or null if none matched.
+ */
+const revokeSession = async (sessionId, reason, userId = null) => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) filter.user = userId;
+    const session = await Session.findOneAndUpdate(filter, { $set: { revokedAt: new Date(), revokedReason: reason } }, { new: true });
+    if (session) closeSessionConnections({ sessionId: session._id });
+    return session;
+};
+
+/**
+ * Revokes every active session of a user, optionally keeping one (e.g. the current device).
+ * Realtime connections of the revoked sessions are closed.
+ * @param {string} userId - The user whose sessions are revoked.
+ * @param {string} reason - Stored for auditing.
+ * @param {string} exceptSessionId - Optional session ID to keep active.
+ * @returns {Promise<number>} Number of revoked sessions.
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    closeSessionConnections({ userId, exceptSessionId });
+    return result.modifiedCount;
+};
+
+/**
+ * Resolves an access token to its user, applying the same checks as the `protect` middleware
+ * (active session, existing user, not suspended/banned). Used where no Express middleware runs,
+ * e.g. the WebSocket upgrade.
+ * @param {string} token - Access token (JWT).
+ * @returns {Promise<{user: object, sessionId: string}|null>} null if the token is not acceptable.
+ */
+const authenticateAccessToken = async (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+        if (!session || !session.isActive() || !session.user.equals(decoded.id)) return null;
+
+        const user = await User.findById(decoded.id).select('-password');
+        if (!user || user.getRestriction()) return null;
+
+        return { user, sessionId: session._id.toString() };
+    } catch (error) {
+        return null; // Expired or malformed token
+    }
+};
+
+module.exports = {
+    generateAccessToken,
+    authenticateAccessToken,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions
+};
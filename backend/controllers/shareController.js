@@ -0,0 +1,144 @@
+// backend/controllers/shareController.js
+const Post = require('../models/Post');
+const mongoose = require('mongoose');
+const { visibilityLevels } = require('../config/posts');
+const { isBlockedBetween, canViewPost } = require('./visibilityHelper');
+const { notify, retractNotification } = require('./notificationHelper');
+const { extractHashtags, resolveMentions, notifyMentions } = require('./tagHelper');
+const { handleShareDeleted, deleteRepostActivity } = require('./shareHelper');
+
+const AUTHOR_FIELDS = 'username fullname profilePic _id';
+
+// Loads the post to share. Sharing a repost shares its original. Only public posts of public accounts
+// can be shared (a share must not show the post to people its author didn't choose), and not across a block.
+const findShareablePost = async (postId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        const err = new Error('Invalid post ID.'); err.statusCode = 400; throw err;
+    }
+    let post = await Post.findById(postId).select('user visibility shareType sharedPost').populate('user', 'isPrivate accountStatus');
+    if (post?.shareType === 'repost') {
+        post = await Post.findById(post.sharedPost).select('user visibility shareType sharedPost').populate('user', 'isPrivate accountStatus');
+    }
+    if (!post?.user || post.user.accountStatus === 'banned' || !(await canViewPost(userId, post))) {
+        const err = new Error('Post not found.'); err.statusCode = 404; throw err;
+    }
+    if (await isBlockedBetween(userId, post.user._id)) {
+        const err = new Error('You cannot interact with this post.'); err.statusCode = 403; throw err;
+    }
+    if (post.user.isPrivate || (post.visibility && post.visibility !== 'public')) {
+        const err = new Error('This post cannot be shared.'); err.statusCode = 403; throw err;
+    }
+    return post;
+};
+
+/**
+ * @desc    Repost a post to your followers (once per post)
+ * @route   POST /api/posts/:postId/repost
+ * @access  Private
+ * @expects JSON body: { visibility? } (who sees the repost, default 'public')
+ */
+exports.repostPost = async (req, res, next) => {
+    const { visibility } = req.body;
+    if (visibility && !visibilityLevels.includes(visibility)) {
+        const err = new Error(`Visibility must be one of: ${visibilityLevels.join(', ')}.`); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        const original = await findShareablePost(req.params.postId, req.user._id);
+        if (original.user._id.equals(req.user._id)) {
+            const err = new Error('You cannot repost your own post.'); err.statusCode = 400; return next(err);
+        }
+
+        let repost;
+        try {
+            repost = await Post.create({
+                user: req.user._id,
+                content: '',
+                sharedPost: original._id,
+                shareType: 'repost',
+                visibility: visibility || 'public'
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            const err = new Error('You already reposted this post.'); err.statusCode = 409; return next(err);
+        }
+
+        const updated = await Post.findByIdAndUpdate(original._id, { $inc: { shareCount: 1 } }, { new: true }).select('shareCount');
+        await notify({ recipient: original.user._id, actor: req.user._id, type: 'repost', subjectType: 'Post', subjectId: original._id });
+
+        await repost.populate('user', AUTHOR_FIELDS);
+        res.status(201).json({ success: true, message: 'Post reposted.', post: repost, shareCount: updated.shareCount });
+    } catch (error) { console.error('Repost Post Error:', error); next(error); }
+};
+
+/**
+ * @desc    Undo your repost of a post
+ * @route   DELETE /api/posts/:postId/repost (postId may be the original or a repost of it)
+ * @access  Private
+ */
+exports.undoRepost = async (req, res, next) => {
+    const postId = req.params.postId;
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        const err = new Error('Invalid post ID.'); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        // As when reposting, a repost stands for its original
+        const target = await Post.findById(postId).select('shareType sharedPost');
+        const originalId = target?.shareType === 'repost' ? target.sharedPost : postId;
+
+        const repost = await Post.findOneAndDelete({ user: req.user._id, sharedPost: originalId, shareType: 'repost' });
+        if (!repost) { const err = new Error('You have not reposted this post.'); err.statusCode = 404; return next(err); }
+
+        await deleteRepostActivity([repost._id]);
+        await handleShareDeleted(repost);
+        const original = await Post.findById(originalId).select('user shareCount');
+        if (original) {
+            await retractNotification({ recipient: original.user, actor: req.user._id, type: 'repost', subjectType: 'Post', subjectId: original._id });
+        }
+
+        res.status(200).json({ success: true, message: 'Repost removed.', shareCount: original?.shareCount || 0 });
+    } catch (error) { console.error('Undo Repost Error:', error); next(error); }
+};
+
+/**
+ * @desc    Share a post with your own comment on top (quote-post)
+ * @route   POST /api/posts/:postId/quote
+ * @access  Private
+ * @expects JSON body: { content, visibility? }
+ */
+exports.quotePost = async (req, res, next) => {
+    const { visibility } = req.body;
+
+    try {
+        const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+        if (!content) { const err = new Error('A quote-post needs text.'); err.statusCode = 400; return next(err); }
+        if (visibility && !visibilityLevels.includes(visibility)) {
+            const err = new Error(`Visibility must be one of: ${visibilityLevels.join(', ')}.`); err.statusCode = 400; return next(err);
+        }
+
+        const original = await findShareablePost(req.params.postId, req.user._id);
+
+        const quote = await Post.create({
+            user: req.user._id,
+            content,
+            sharedPost: original._id,
+            shareType: 'quote',
+            visibility: visibility || 'public',
+            hashtags: extractHashtags(content),
+            mentions: await resolveMentions(content)
+        });
+
+        const updated = await Post.findByIdAndUpdate(original._id, { $inc: { shareCount: 1 } }, { new: true }).select('shareCount');
+        if (!original.user._id.equals(req.user._id)) {
+            await notify({ recipient: original.user._id, actor: req.user._id, type: 'quote', subjectType: 'Post', subjectId: quote._id, preview: content });
+        }
+        await notifyMentions({
+            mentionIds: quote.mentions, actor: req.user._id, type: 'mention', subjectType: 'Post', subjectId: quote._id,
+            preview: content, canSee: (mentionedId) => canViewPost(mentionedId, { user: req.user, visibility: quote.visibility })
+        });
+
+        await quote.populate('user', AUTHOR_FIELDS);
+        res.status(201).json({ success: true, message: 'Post quoted.', post: quote, shareCount: updated.shareCount });
+    } catch (error) { console.error('Quote Post Error:', error); next(error); }
+};
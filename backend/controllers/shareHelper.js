@@ -0,0 +1,154 @@
+// backend/controllers/shareHelper.js
+// Reposts and quote-posts: embedding the original post in listings (only when the viewer may see it),
+// grouping duplicate reposts in feeds and cleaning up when an original or a share is deleted.
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const User = require('../models/User');
+const { canViewPost, getBlockedUserIds } = require('./visibilityHelper');
+const { totalReactions } = require('./reactionHelper');
+const { removeNotificationsForSubject } = require('./notificationHelper');
+
+const AUTHOR_FIELDS = 'username fullname profilePic _id';
+const ORIGINAL_AUTHOR_FIELDS = 'username fullname profilePic _id isPrivate accountStatus';
+
+/**
+ * Replaces the `sharedPost` ID of shares with the original post (author populated) when the viewer
+ * may see it. Otherwise `sharedPost` is null and `sharedPostUnavailable` is true; plain reposts
+ * have nothing else to show, so they are dropped from the list.
+ * @param {object[]} posts - Lean posts.
+ * @param {string|ObjectId} viewerId - The viewing member.
+ * @returns {Promise<object[]>} The posts that remain, in the same order.
+ */
+const attachSharedPosts = async (posts, viewerId) => {
+    const sharedIds = [...new Set(posts.filter(post => post.sharedPost).map(post => post.sharedPost.toString()))];
+    if (sharedIds.length === 0) return posts;
+
+    const [originals, blockedIds] = await Promise.all([
+        Post.find({ _id: { $in: sharedIds } }).select('-revisions').populate('user', ORIGINAL_AUTHOR_FIELDS).lean(),
+        getBlockedUserIds(viewerId)
+    ]);
+    const blocked = new Set(blockedIds.map(id => id.toString()));
+
+    const visible = new Map();
+    for (const original of originals) {
+        const author = original.user;
+        if (!author || author.accountStatus === 'banned' || blocked.has(author._id.toString())) continue;
+        if (!(await canViewPost(viewerId, original))) continue;
+        delete author.accountStatus; delete author.isPrivate; // Only needed for the checks above
+        visible.set(original._id.toString(), { ...original, likeCount: totalReactions(original.reactionCounts) });
+    }
+
+    return posts
+        .map(post => {
+            if (!post.sharedPost) return post;
+            const original = visible.get(post.sharedPost.toString()) || null;
+            return { ...post, sharedPost: original, sharedPostUnavailable: !original };
+        })
+        .filter(post => !(post.shareType === 'repost' && post.sharedPostUnavailable));
+};
+
+/**
+ * One page of a feed in which each original is listed once. Reposts of the same post (and the post
+ * itself) are grouped in the query, so pages stay full and a post doesn't come back on later pages.
+ * A group is listed at its newest item, which gets `repostedBy` (the reposting authors, newest first).
+ * Reposts of originals the viewer can't find (see `originalStages`) are left out. Quote-posts have their own text and are never grouped.
+ * @param {object} filter - Post filter of the feed (with ObjectIds: it is used in an aggregation).
+ * @param {object[]} originalStages - Aggregation stages keeping the originals the viewer may see.
+ * @param {object} options - { skip, limit }
+ * @returns {Promise<{ posts: object[], total: number }>} Lean posts (`user` and `repostedBy` populated)
+ *          and the number of entries in the whole feed.
+ */
+const getCollapsedFeedPage = async (filter, originalStages, { skip, limit }) => {
+    const isRepost = { $eq: ['$shareType', 'repost'] };
+    const [result] = await Post.aggregate([
+        { $match: filter },
+        { $project: { revisions: 0 } }, // select: false in the schema
+        {
+            $lookup: {
+                from: Post.collection.name,
+                let: { sharedPost: '$sharedPost' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$_id', '$$sharedPost'] } } },
+                    ...originalStages,
+                    { $project: { _id: 1 } }
+                ],
+                as: 'visibleOriginal'
+            }
+        },
+        { $match: { $or: [{ shareType: { $ne: 'repost' } }, { 'visibleOriginal.0': { $exists: true } }] } },
+        { $project: { visibleOriginal: 0 } },
+        { $sort: { createdAt: -1, _id: -1 } },
+        {
+            $group: {
+                _id: { $cond: [isRepost, '$sharedPost', '$_id'] },
+                post: { $first: '$$ROOT' },
+                repostedBy: { $push: { $cond: [isRepost, '$user', '$$REMOVE'] } }
+            }
+        },
+        { $sort: { 'post.createdAt': -1, 'post._id': -1 } },
+        { $facet: { page: [{ $skip: skip }, { $limit: limit }], total: [{ $count: 'count' }] } }
+    ]).allowDiskUse(true);
+
+    const posts = result.page.map(({ post, repostedBy }) => ({ ...post, repostedBy }));
+    const reposterIds = posts.flatMap(post => post.repostedBy);
+    const [reposters] = await Promise.all([
+        User.find({ _id: { $in: reposterIds } }).select(AUTHOR_FIELDS).lean(),
+        Post.populate(posts, { path: 'user', select: AUTHOR_FIELDS })
+    ]);
+    const reposterById = new Map(reposters.map(user => [user._id.toString(), user]));
+    posts.forEach(post => { post.repostedBy = post.repostedBy.map(id => reposterById.get(id.toString())).filter(Boolean); });
+
+    return { posts, total: result.total[0]?.count || 0 };
+};
+
+/**
+ * Deletes what hangs off deleted reposts: their comments, reactions and notifications.
+ * @param {Array<string|ObjectId>} repostIds - The deleted reposts.
+ */
+const deleteRepostActivity = async (repostIds) => {
+    await Promise.all([
+        Comment.deleteMany({ post: { $in: repostIds } }),
+        Reaction.deleteMany({ post: { $in: repostIds } }),
+        ...repostIds.map(id => removeNotificationsForSubject('Post', id))
+    ]);
+};
+
+/**
+ * Cleans up after an original post was deleted: its reposts are deleted (with their comments and
+ * reactions) and its quote-posts are marked as having lost their original. Never throws.
+ * @param {string|ObjectId} postId - The deleted original.
+ */
+const handleOriginalDeleted = async (postId) => {
+    try {
+        const repostIds = await Post.find({ sharedPost: postId, shareType: 'repost' }).distinct('_id');
+        if (repostIds.length > 0) {
+            await Post.deleteMany({ _id: { $in: repostIds } });
+            await deleteRepostActivity(repostIds);
+        }
+        await Post.updateMany({ sharedPost: postId, shareType: 'quote' }, { $set: { sharedPostRemoved: true } });
+    } catch (error) {
+        console.error(`Non-fatal: Failed to clean up shares of deleted post ${postId}:`, error);
+    }
+};
+
+/**
+ * Keeps the original's shareCount in step after a repost or quote-post was deleted. Never throws.
+ * @param {object} share - The deleted post (needs sharedPost, sharedPostRemoved).
+ */
+const handleShareDeleted = async (share) => {
+    if (!share.sharedPost || share.sharedPostRemoved) return;
+    try {
+        await Post.updateOne({ _id: share.sharedPost, shareCount: { $gt: 0 } }, { $inc: { shareCount: -1 } });
+    } catch (error) {
+        console.error(`Non-fatal: Failed to update the share count of post ${share.sharedPost}:`, error);
+    }
+};
+
+module.exports = {
+    attachSharedPosts,
+    getCollapsedFeedPage,
+    deleteRepostActivity,
+    handleOriginalDeleted,
+    handleShareDeleted
+};
@@ -3,6 +3,28 @@ const Story = require('../models/Story');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 const { uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('./cloudinaryHelper'); // Import helper
+const { hasPermission } = require('../config/permissions');
+const { excludeHiddenUsers } = require('./visibilityHelper');
+const { recordAudit } = require('./auditHelper');
+const { publishToUsers } = require('./realtimeHelper');
+const { removeNotificationsForSubject } = require('./notificationHelper');
+const { resolveMentions, notifyMentions } = require('./tagHelper');
+
+// Stories only reach the author and their followers (see getStoryFeed), so only they are notified of mentions
+const canSeeStories = async (viewerId, authorId) => {
+    if (authorId.equals(viewerId)) return true;
+    return Boolean(await User.exists({ _id: authorId, followers: viewerId }));
+};
+
+// Tells the author's followers (and the author's other devices) that their story feed changed
+const publishStoryFeedChange = async (authorId, type, storyId) => {
+    try {
+        const author = await User.findById(authorId).select('followers');
+        publishToUsers([authorId, ...(author?.followers || [])], type, { storyId, userId: authorId });
+    } catch (error) {
+        console.error('Non-fatal: Failed to publish story feed change:', error);
+    }
+};
 
 // @desc    Create a new story
 // @route   POST /api/stories
@@ -37,11 +59,17 @@ exports.createStory = async (req, res, next) => {
             mediaUrl: uploadResult.secure_url, // Store Cloudinary URL
             publicId: uploadResult.public_id, // Store public_id for deletion
             caption: caption || '',
+            mentions: await resolveMentions(caption),
             expiresAt
         });
 
         const savedStory = await newStory.save();
         const populatedStory = await Story.findById(savedStory._id).populate('user', 'username profilePic');
+        await publishStoryFeedChange(savedStory.user, 'story:new', savedStory._id);
+        await notifyMentions({
+            mentionIds: savedStory.mentions, actor: savedStory.user, type: 'story_mention', subjectType: 'Story',
+            subjectId: savedStory._id, preview: savedStory.caption, canSee: (mentionedId) => canSeeStories(mentionedId, savedStory.user)
+        });
 
         res.status(201).json({ success: true, message: 'Story created.', story: populatedStory });
 
@@ -59,7 +87,7 @@ exports.getStoryFeed = async (req, res, next) => {
     // ... (Keep the refined logic from previous step that groups by user)
      const currentUserId = req.user.id; const now = new Date();
      try { const currentUser = await User.findById(currentUserId).select('following'); if (!currentUser) return next(new Error('User not found.'));
-         const feedUserIds = [currentUserId, ...(currentUser.following || [])];
+         const feedUserIds = await excludeHiddenUsers(currentUserId, [currentUserId, ...(currentUser.following || [])]); // Banned, blocked and muted members' stories are hidden
          const stories = await Story.find({ user: { $in: feedUserIds }, expiresAt: { $gt: now } }) .populate('user', 'username fullname profilePic') .sort({ createdAt: -1 });
          const groupedStories = stories.reduce((acc, story) => { if (!story?.user?._id) return acc; const userIdStr = story.user._id.toString(); if (!acc[userIdStr]) acc[userIdStr] = { user: { _id: story.user._id, username: story.user.username, fullname: story.user.fullname, profilePic: story.user.profilePic }, stories: [] }; acc[userIdStr].stories.push({ _id: story._id, mediaType: story.mediaType, mediaUrl: story.mediaUrl, publicId: story.publicId, caption: story.caption, createdAt: story.createdAt }); return acc; }, {});
          res.status(200).json({ success: true, storyFeed: Object.values(groupedStories) });
@@ -68,7 +96,7 @@ exports.getStoryFeed = async (req, res, next) => {
 
 // @desc    Delete a story
 // @route   DELETE /api/stories/:storyId
-// @access  Private (Owner only)
+// @access  Private (Owner or 'stories:delete:any')
 exports.deleteStory = async (req, res, next) => {
     const storyId = req.params.storyId;
     const userId = req.user.id;
@@ -78,7 +106,7 @@ exports.deleteStory = async (req, res, next) => {
     try {
         const story = await Story.findById(storyId);
         if (!story) { const err = new Error('Story not found.'); err.statusCode = 404; return next(err); }
-        if (!story.user.equals(userId)) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
+        if (!story.user.equals(userId) && !hasPermission(req.user, 'stories:delete:any')) { const err = new Error('Forbidden.'); err.statusCode = 403; return next(err); }
 
         // --- Delete from Cloudinary using stored publicId ---
         const publicId = story.publicId;
@@ -96,6 +124,13 @@ exports.deleteStory = async (req, res, next) => {
 
         // --- Delete from DB ---
         await story.deleteOne();
+        await publishStoryFeedChange(story.user, 'story:deleted', story._id);
+        await removeNotificationsForSubject('Story', story._id);
+
+        // Deleting someone else's story is a moderation action
+        if (!story.user.equals(userId)) {
+            await recordAudit(req, { action: 'story.delete', targetType: 'Story', targetId: story._id, before: story });
+        }
 
         res.status(200).json({ success: true, message: 'Story deleted.' });
 
@@ -0,0 +1,116 @@
+// backend/controllers/tagController.js
+const Post = require('../models/Post');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { trendingWindowHours, trendingMaxWindowHours } = require('../config/posts');
+const { buildDiscoveryPostStages, visibilityCondition } = require('./visibilityHelper');
+const { normalizeTag } = require('./tagHelper');
+const { totalReactions, getMyReactions } = require('./reactionHelper');
+const { formatPoll, getMyPollVotes } = require('./pollHelper');
+const { attachSharedPosts } = require('./shareHelper');
+
+/**
+ * @desc    Posts with a hashtag the current user may see (newest first, cursor paginated)
+ * @route   GET /api/tags/:tag/posts
+ * @access  Private
+ * @query   limit (default 20, max 50), before - `nextCursor` (post ID) from the previous page
+ */
+exports.getTagPosts = async (req, res, next) => {
+    const tag = normalizeTag(req.params.tag);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    if (!tag) { const err = new Error('Tag is required.'); err.statusCode = 400; return next(err); }
+
+    try {
+        const match = { hashtags: tag };
+        if (req.query.before) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.before)) { const err = new Error('Invalid cursor.'); err.statusCode = 400; return next(err); }
+            match._id = { $lt: new mongoose.Types.ObjectId(req.query.before) };
+        }
+
+        const posts = await Post.aggregate([
+            { $match: match },
+            { $sort: { _id: -1 } },
+            ...(await buildDiscoveryPostStages(req.user._id)),
+            { $limit: limit + 1 },
+            { $project: { revisions: 0 } } // select: false in the schema
+        ]);
+        await Post.populate(posts, { path: 'user', select: 'username fullname profilePic _id' });
+
+        const hasMore = posts.length > limit;
+        const nextCursor = hasMore ? posts[limit - 1]._id : null;
+        const page = await attachSharedPosts(hasMore ? posts.slice(0, limit) : posts, req.user._id); // Originals of quote-posts
+        const postIds = page.map(post => post._id);
+        const [myReactions, myPollVotes] = await Promise.all([
+            getMyReactions(postIds, req.user._id),
+            getMyPollVotes(postIds.filter((id, index) => page[index].poll), req.user._id)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            tag,
+            count: page.length,
+            pagination: { hasMore, nextCursor },
+            posts: page.map(post => ({
+                ...post,
+                likeCount: totalReactions(post.reactionCounts),
+                myReaction: myReactions.get(post._id.toString()) || null,
+                ...(post.poll && { poll: formatPoll(post.poll, myPollVotes.get(post._id.toString())) })
+            }))
+        });
+    } catch (error) {
+        console.error('Get Tag Posts Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Most used hashtags over a recent time window. Ranked by the number of different authors
+ *          (so one member repeating a tag can't push it up), then by post count.
+ *          Only public posts of public accounts count.
+ * @route   GET /api/tags/trending
+ * @access  Private
+ * @query   hours (default from config, max trendingMaxWindowHours), limit (default 10, max 50)
+ */
+exports.getTrendingTags = async (req, res, next) => {
+    const hours = Math.min(parseFloat(req.query.hours) || trendingWindowHours, trendingMaxWindowHours);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (hours <= 0) { const err = new Error('hours must be positive.'); err.statusCode = 400; return next(err); }
+
+    try {
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+        const tags = await Post.aggregate([
+            {
+                $match: {
+                    createdAt: { $gte: since },
+                    'hashtags.0': { $exists: true },
+                    visibility: visibilityCondition(['public'])
+                }
+            },
+            // Only authors with public, non-banned accounts (looked up per post)
+            {
+                $lookup: {
+                    from: User.collection.name,
+                    let: { author: '$user' },
+                    pipeline: [
+                        { $match: { $expr: { $eq: ['$_id', '$$author'] }, isPrivate: { $ne: true }, accountStatus: { $ne: 'banned' } } },
+                        { $project: { _id: 1 } }
+                    ],
+                    as: 'author'
+                }
+            },
+            { $match: { 'author.0': { $exists: true } } },
+            { $unwind: '$hashtags' },
+            { $group: { _id: '$hashtags', postCount: { $sum: 1 }, authors: { $addToSet: '$user' } } },
+            { $project: { _id: 0, tag: '$_id', postCount: 1, authorCount: { $size: '$authors' } } },
+            { $sort: { authorCount: -1, postCount: -1, tag: 1 } },
+            { $limit: limit }
+        ]);
+
+        res.status(200).json({ success: true, windowHours: hours, since, count: tags.length, tags });
+    } catch (error) {
+        console.error('Get Trending Tags Error:', error);
+        next(error);
+    }
+};
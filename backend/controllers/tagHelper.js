@@ -0,0 +1,67 @@
+// backend/controllers/tagHelper.js
+// Parsing #hashtags and @mentions out of post, comment and story texts, and notifying mentioned members.
+const User = require('../models/User');
+const { maxHashtags, maxMentions } = require('../config/posts');
+const { getBlockedUserIds } = require('./visibilityHelper');
+const { notify } = require('./notificationHelper');
+
+// A tag/mention starts the text or follows a character that can't be part of a word or URL fragment
+// (so "a#b" and "mail@example.com" don't count). Hashtags may use any script, e.g. #होली (\p{M} keeps vowel signs).
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{M}\p{N}_&/])#([\p{L}\p{M}\p{N}_]{1,50})/gu;
+const MENTION_PATTERN = /(?:^|[^\p{L}\p{N}_.@/])@([a-z0-9_]{3,30})/giu;
+
+/**
+ * Normalises a hashtag for storage and lookups ("#Diwali2024" -> "diwali2024").
+ * @param {string} tag - With or without the leading '#'.
+ * @returns {string}
+ */
+const normalizeTag = (tag) => String(tag || '').replace(/^#/, '').trim().toLowerCase();
+
+/**
+ * Unique hashtags in a text, normalised, in order of first appearance.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const extractHashtags = (text) => {
+    const tags = [...String(text || '').matchAll(HASHTAG_PATTERN)].map(match => normalizeTag(match[1]));
+    return [...new Set(tags)].slice(0, maxHashtags);
+};
+
+/**
+ * IDs of the verified, non-banned members @mentioned in a text (unknown usernames are ignored).
+ * @param {string} text
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+const resolveMentions = async (text) => {
+    const usernames = [...new Set([...String(text || '').matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()))].slice(0, maxMentions);
+    if (usernames.length === 0) return [];
+    return User.find({ username: { $in: usernames }, verified: true, accountStatus: { $ne: 'banned' } }).distinct('_id');
+};
+
+/**
+ * Notifies members that were mentioned. Members mentioned before (on edit), the author, members on
+ * either side of a block with the author and members rejected by `canSee` are skipped. Never throws.
+ * @param {object} params - { mentionIds, previousMentionIds?, actor, type, subjectType, subjectId, preview, canSee? }
+ *                          `canSee(userId)` - optional async check that the member may see the content.
+ */
+const notifyMentions = async ({ mentionIds, previousMentionIds = [], actor, type, subjectType, subjectId, preview, canSee }) => {
+    try {
+        const previous = new Set(previousMentionIds.map(id => id.toString()));
+        const blocked = new Set((await getBlockedUserIds(actor)).map(id => id.toString()));
+        for (const userId of mentionIds) {
+            const key = userId.toString();
+            if (previous.has(key) || blocked.has(key) || key === actor.toString()) continue;
+            if (canSee && !(await canSee(userId))) continue;
+            await notify({ recipient: userId, actor, type, subjectType, subjectId, preview });
+        }
+    } catch (error) {
+        console.error(`Non-fatal: Failed to send ${type} notifications for ${subjectType} ${subjectId}:`, error);
+    }
+};
+
+module.exports = {
+    normalizeTag,
+    extractHashtags,
+    resolveMentions,
+    notifyMentions
+};
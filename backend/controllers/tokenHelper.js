@@ -0,0 +1,27 @@
+// backend/controllers/tokenHelper.js
+const crypto = require('crypto');
+
+/**
+ * Hashes an opaque token (refresh token, reset link token, ...) for storage.
+ * Only the hash is ever saved to the DB so a leaked database cannot be replayed.
+ * @param {string} token - The raw token.
+ * @returns {string} Hex encoded SHA-256 hash.
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Creates a random URL-safe token together with its hash.
+ * @param {number} bytes - Number of random bytes (default 32).
+ * @returns {{ token: string, hash: string }} Raw token (send to the client) and hash (store in DB).
+ */
+const createRandomToken = (bytes = 32) => {
+    const token = crypto.randomBytes(bytes).toString('hex');
+    return { token, hash: hashToken(token) };
+};
+
+module.exports = {
+    hashToken,
+    createRandomToken
+};
@@ -0,0 +1,147 @@
+// backend/controllers/totpHelper.js
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator, Authy, etc.
+const crypto = require('crypto');
+const { hashToken } = require('./tokenHelper');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+// Encodes a buffer as RFC 4648 base32 (no padding) - the format authenticator apps expect
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character in secret.');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) for a given counter value
+const generateCode = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** CODE_DIGITS);
+    return binary.toString().padStart(CODE_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TIME_STEP_SECONDS);
+
+/**
+ * Generates a new random TOTP secret.
+ * @returns {string} Base32 encoded secret (160 bits).
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read (usually shown as a QR code).
+ * @param {string} secret - Base32 secret.
+ * @param {string} accountName - Label shown in the app (e.g. the username).
+ * @param {string} issuer - Service name shown in the app.
+ * @returns {string} otpauth URI.
+ */
+const buildOtpAuthUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(CODE_DIGITS),
+        period: String(TIME_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Verifies a TOTP code, allowing one time step of clock drift either way.
+ * @param {string} secret - Base32 secret.
+ * @param {string} code - Code typed by the user.
+ * @param {number} lastUsedStep - Optional: time step of the last accepted code (prevents replay).
+ * @returns {number|null} The matched time step, or null if the code is invalid.
+ */
+const verifyTotp = (secret, code, lastUsedStep = null) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized) || !secret) return null;
+
+    const step = currentStep();
+    for (const candidate of [step - 1, step, step + 1]) {
+        if (lastUsedStep !== null && lastUsedStep !== undefined && candidate <= lastUsedStep) continue;
+        const expected = generateCode(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return candidate;
+    }
+    return null;
+};
+
+/**
+ * Generates single-use recovery codes for when the authenticator device is lost.
+ * @param {number} count - Number of codes (default 10).
+ * @returns {{ codes: string[], hashes: string[] }} Codes to show once, hashes to store.
+ */
+const generateRecoveryCodes = (count = 10) => {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex'); // 10 hex chars
+        return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hashToken(code)) };
+};
+
+/**
+ * Checks a second factor (TOTP code or recovery code) for a user with 2FA enabled.
+ * On success the user document is updated (replay step / consumed recovery code) - the caller must save it.
+ * @param {object} user - User selected with +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep.
+ * @param {object} factor - { code } or { recoveryCode }.
+ * @returns {boolean} Whether the factor was accepted.
+ */
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+        if (step === null) return false;
+        user.twoFactorLastUsedStep = step;
+        return true;
+    }
+
+    if (recoveryCode) {
+        const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+        const index = (user.twoFactorRecoveryCodes || []).indexOf(hash);
+        if (index === -1) return false;
+        user.twoFactorRecoveryCodes.splice(index, 1); // Each recovery code works once
+        return true;
+    }
+
+    return false;
+};
+
+module.exports = {
+    generateSecret,
+    buildOtpAuthUri,
+    verifyTotp,
+    generateRecoveryCodes,
+    checkSecondFactor
+};
@@ -0,0 +1,138 @@
+// backend/controllers/twoFactorController.js
+const User = require('../models/User');
+const { generateSecret, buildOtpAuthUri, verifyTotp, generateRecoveryCodes, checkSecondFactor } = require('./totpHelper');
+const authConfig = require('../config/auth');
+
+/**
+ * @desc    Start 2FA enrolment: generate a secret and the otpauth URI for the authenticator app
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) { const err = new Error('User not found.'); err.statusCode = 404; return next(err); }
+        if (user.twoFactorEnabled) {
+            const err = new Error('Two-factor authentication is already enabled.'); err.statusCode = 400; return next(err);
+        }
+
+        // Stored as pending until the user proves the app was set up correctly (POST /2fa/enable)
+        const secret = generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code (or enter the secret) in your authenticator app, then confirm with a code.',
+            secret,
+            otpauthUri: buildOtpAuthUri(secret, user.username, authConfig.twoFactorIssuer)
+        });
+    } catch (error) { console.error('Setup 2FA Error:', error); next(error); }
+};
+
+/**
+ * @desc    Finish 2FA enrolment with a code from the app; returns recovery codes (shown once)
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ * @expects JSON body: { code }
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+    const { code } = req.body;
+    if (!code) { const err = new Error('Authentication code is required.'); err.statusCode = 400; return next(err); }
+
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+        if (!user) { const err = new Error('User not found.'); err.statusCode = 404; return next(err); }
+        if (user.twoFactorEnabled) {
+            const err = new Error('Two-factor authentication is already enabled.'); err.statusCode = 400; return next(err);
+        }
+        if (!user.twoFactorPendingSecret) {
+            const err = new Error('Start the setup first (POST /api/v1/auth/2fa/setup).'); err.statusCode = 400; return next(err);
+        }
+
+        const step = verifyTotp(user.twoFactorPendingSecret, code);
+        if (step === null) { const err = new Error('Invalid authentication code.'); err.statusCode = 400; return next(err); }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorRecoveryCodes = hashes;
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorEnabled = true;
+        user.twoFactorEnabledAt = new Date();
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they are shown only once.',
+            recoveryCodes: codes
+        });
+    } catch (error) { console.error('Enable 2FA Error:', error); next(error); }
+};
+
+/**
+ * @desc    Turn off 2FA (requires the password and a current code or recovery code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ * @expects JSON body: { password, code } or { password, recoveryCode }
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+        const err = new Error('Password and an authentication code are required.'); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        const user = await User.findById(req.user.id)
+                               .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+        if (!user) { const err = new Error('User not found.'); err.statusCode = 404; return next(err); }
+        if (!user.twoFactorEnabled) {
+            const err = new Error('Two-factor authentication is not enabled.'); err.statusCode = 400; return next(err);
+        }
+        if (user.isStaff && authConfig.requireAdminTwoFactor) {
+            const err = new Error('Two-factor authentication is mandatory for admin and staff accounts.'); err.statusCode = 403; return next(err);
+        }
+
+        const isMatch = await user.comparePassword(password);
+        if (!isMatch || !checkSecondFactor(user, { code, recoveryCode })) {
+            const err = new Error('Invalid password or authentication code.'); err.statusCode = 401; return next(err);
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorEnabledAt = undefined;
+        user.twoFactorSecret = undefined;
+        user.twoFactorRecoveryCodes = [];
+        user.twoFactorLastUsedStep = undefined;
+        await user.save();
+
+        res.status(200).json({ success: true, message: 'Two-factor authentication disabled.' });
+    } catch (error) { console.error('Disable 2FA Error:', error); next(error); }
+};
+
+/**
+ * @desc    Replace all recovery codes (requires a current code); returns the new codes once
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ * @expects JSON body: { code }
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+    const { code } = req.body;
+    if (!code) { const err = new Error('Authentication code is required.'); err.statusCode = 400; return next(err); }
+
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactorSecret +twoFactorLastUsedStep');
+        if (!user) { const err = new Error('User not found.'); err.statusCode = 404; return next(err); }
+        if (!user.twoFactorEnabled) {
+            const err = new Error('Two-factor authentication is not enabled.'); err.statusCode = 400; return next(err);
+        }
+        if (!checkSecondFactor(user, { code })) {
+            const err = new Error('Invalid authentication code.'); err.statusCode = 401; return next(err);
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactorRecoveryCodes = hashes; // Old codes stop working
+        await user.save();
+
+        res.status(200).json({ success: true, message: 'New recovery codes generated.', recoveryCodes: codes });
+    } catch (error) { console.error('Regenerate Recovery Codes Error:', error); next(error); }
+};
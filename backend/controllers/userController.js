@@ -1,10 +1,34 @@
 // backend/controllers/userController.js
 const User = require('../models/User');
 const Post = require('../models/Post');
+const LoginAttempt = require('../models/LoginAttempt');
 const mongoose = require('mongoose');
 const { uploadToCloudinary, deleteFromCloudinary, getPublicIdFromUrl } = require('./cloudinaryHelper'); // Import helper
+const { revokeUserSessions } = require('./sessionHelper');
+const { sendPasswordChangedEmail } = require('./mailHelper');
+const { startEmailVerification } = require('./emailVerificationHelper');
+const { hasPermission, getUserPermissions } = require('../config/permissions');
+const { notify, retractNotification } = require('./notificationHelper');
+const { maxCloseFriends } = require('../config/posts');
+const { getBlockedUserIds, getHiddenUserIds, isBlockedBetween, canViewMemberContent, getVisiblePostLevels, visibilityCondition } = require('./visibilityHelper');
+const { totalReactions } = require('./reactionHelper');
+const { attachSharedPosts } = require('./shareHelper');
 const DEFAULT_AVATAR_PATH = '/uploads/profile-pics/default_avatar.png'; // Relative path served by backend
 
+// Turns pending follow requests to `ownerId` into follows and tells each requester
+const acceptFollowRequests = async (ownerId, requesterIds) => {
+    if (requesterIds.length === 0) return;
+    await User.updateOne(
+        { _id: ownerId },
+        { $pull: { followRequests: { user: { $in: requesterIds } } }, $addToSet: { followers: { $each: requesterIds } } }
+    );
+    await User.updateMany({ _id: { $in: requesterIds } }, { $addToSet: { following: ownerId } });
+    for (const requesterId of requesterIds) {
+        await retractNotification({ recipient: ownerId, actor: requesterId, type: 'follow_request', subjectType: 'User', subjectId: ownerId });
+        await notify({ recipient: requesterId, actor: ownerId, type: 'follow_accept', subjectType: 'User', subjectId: ownerId });
+    }
+};
+
 /**
  * @desc    Get the profile of the currently logged-in user
  * @route   GET /api/users/me
@@ -19,7 +43,7 @@ exports.getMyProfile = async (req, res, next) => {
                                      .populate('following', 'username fullname profilePic _id'); // Include _id
         if (!userProfile) { const err = new Error('User profile not found.'); err.statusCode = 404; return next(err); }
         const postCount = await Post.countDocuments({ user: req.user.id });
-        res.status(200).json({ success: true, ...userProfile.toObject(), postCount });
+        res.status(200).json({ success: true, ...userProfile.toObject(), postCount, permissions: getUserPermissions(userProfile) });
     } catch (error) { console.error('Get My Profile Error:', error); next(error); }
 };
 
@@ -30,7 +54,7 @@ exports.getMyProfile = async (req, res, next) => {
  * @expects Multipart/form-data
  */
 exports.updateMyProfile = async (req, res, next) => {
-    const { fullname, fathername, dob, address, phone, email, bio } = req.body;
+    const { fullname, fathername, dob, address, phone, email, bio, isPrivate } = req.body;
     const userId = req.user.id;
     const profilePicFile = req.file; // From memory storage
 
@@ -49,14 +73,25 @@ exports.updateMyProfile = async (req, res, next) => {
         user.phone = phone ?? user.phone;
         user.bio = bio !== undefined ? bio : user.bio;
 
+        // --- Private account setting (multipart sends strings) ---
+        const wasPrivate = user.isPrivate;
+        if (isPrivate !== undefined) user.isPrivate = isPrivate === true || isPrivate === 'true';
+
         // --- Handle Email Change (Check Uniqueness) ---
-        const newEmailLower = email ? email.toLowerCase() : null;
+        // The new address is only stored as pendingEmail; `email` switches once the link is confirmed
+        const newEmailLower = email ? email.toLowerCase().trim() : null;
+        let emailChangeRequested = false;
         if (newEmailLower && newEmailLower !== user.email) {
             const emailExists = await User.findOne({ email: newEmailLower, _id: { $ne: userId } });
             if (emailExists) {
                  const err = new Error('Email already in use.'); err.statusCode = 400; return next(err);
             }
-            user.email = newEmailLower;
+            emailChangeRequested = newEmailLower !== user.pendingEmail; // Don't re-send for an unchanged pending address
+        } else if (newEmailLower && user.pendingEmail) {
+            // Switching back to the current address cancels the pending change
+            user.pendingEmail = undefined;
+            user.emailVerificationToken = undefined;
+            user.emailVerificationExpires = undefined;
         }
 
         // --- Handle Profile Picture Update ---
@@ -85,6 +120,15 @@ exports.updateMyProfile = async (req, res, next) => {
         // --- Save User ---
         const updatedUser = await user.save(); // Mongoose validation runs here
 
+        // --- Send confirmation link to the new email address ---
+        if (emailChangeRequested) await startEmailVerification(updatedUser, newEmailLower);
+
+        // --- Going public accepts everyone who was waiting ---
+        if (wasPrivate && !updatedUser.isPrivate) {
+            const pending = await User.findById(userId).select('+followRequests');
+            await acceptFollowRequests(userId, pending.followRequests.map(request => request.user));
+        }
+
         // --- Fetch Updated Profile for Response ---
         // Re-fetch to get populated fields correctly after save
          const responseProfile = await User.findById(updatedUser._id)
@@ -97,7 +141,9 @@ exports.updateMyProfile = async (req, res, next) => {
         // --- Respond ---
         res.status(200).json({
             success: true,
-            message: 'Profile updated successfully',
+            message: emailChangeRequested
+                ? 'Profile updated. Confirm your new email address using the link we sent to it.'
+                : 'Profile updated successfully',
             ...responseProfile.toObject(), // Use toObject for virtuals like followerCount
             postCount
         });
@@ -110,6 +156,79 @@ exports.updateMyProfile = async (req, res, next) => {
 };
 
 
+/**
+ * @desc    Change the password of the currently logged-in user (logs out other devices)
+ * @route   PUT /api/users/me/password
+ * @access  Private
+ * @expects JSON body: { currentPassword, newPassword }
+ */
+exports.changePassword = async (req, res, next) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        const err = new Error('Current password and new password are required.'); err.statusCode = 400; return next(err);
+    }
+    if (currentPassword === newPassword) {
+        const err = new Error('New password must be different from the current password.'); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        // Password is excluded by default, select it explicitly for the comparison
+        const user = await User.findById(req.user.id).select('+password');
+        if (!user) { const err = new Error('User not found.'); err.statusCode = 404; return next(err); }
+
+        const isMatch = await user.comparePassword(currentPassword);
+        if (!isMatch) { const err = new Error('Current password is incorrect.'); err.statusCode = 401; return next(err); }
+
+        user.password = newPassword; // Hashed by the pre-save hook
+        user.passwordChangedAt = new Date();
+        await user.save(); // Mongoose validation (e.g. minimum length) runs here
+
+        // Keep this device logged in, sign out everywhere else
+        const revokedCount = await revokeUserSessions(user._id, 'password_changed', req.sessionId);
+
+        try {
+            await sendPasswordChangedEmail(user);
+        } catch (mailError) {
+            console.error('Non-fatal: Failed to send password changed email:', mailError);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully.',
+            revokedSessions: revokedCount
+        });
+    } catch (error) { console.error('Change Password Error:', error); next(error); }
+};
+
+
+/**
+ * @desc    Get the login history (successful and failed attempts) of the current user
+ * @route   GET /api/users/me/login-history
+ * @access  Private
+ */
+exports.getLoginHistory = async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    try {
+        const [attempts, totalAttempts] = await Promise.all([
+            LoginAttempt.find({ user: req.user.id })
+                        .select('ip userAgent success reason createdAt')
+                        .sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+            LoginAttempt.countDocuments({ user: req.user.id })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            attempts,
+            pagination: { currentPage: page, totalPages: Math.ceil(totalAttempts / limit), totalAttempts }
+        });
+    } catch (error) { console.error('Get Login History Error:', error); next(error); }
+};
+
+
 /**
  * @desc    Get another user's profile by their username
  * @route   GET /api/users/:username
@@ -127,17 +246,46 @@ exports.getUserProfile = async (req, res, next) => {
                                .populate('followers', 'username fullname profilePic _id')
                                .populate('following', 'username fullname profilePic _id');
         if (!user) { const err = new Error('User not found.'); err.statusCode = 404; return next(err); }
-        if (!user.verified && (!req.user || !req.user.isAdmin)) { const err = new Error('User profile not available.'); err.statusCode = 404; return next(err); }
+        if ((!user.verified || user.accountStatus === 'banned') && !hasPermission(req.user, 'users:read')) { const err = new Error('User profile not available.'); err.statusCode = 404; return next(err); }
 
-        const postCount = await Post.countDocuments({ user: user._id });
-        const posts = await Post.find({ user: user._id })
-                                .sort({ createdAt: -1 }).limit(15)
-                                .populate('user', 'username fullname profilePic'); // Populate post author
+        // Blocks hide profiles both ways, and blocked members are left out of follower lists
+        const blockedIds = loggedInUserId ? (await getBlockedUserIds(loggedInUserId)).map(id => id.toString()) : [];
+        if (blockedIds.includes(user._id.toString()) && !hasPermission(req.user, 'users:read')) { const err = new Error('User profile not available.'); err.statusCode = 404; return next(err); }
+        const profile = user.toObject();
+        profile.followers = profile.followers.filter(follower => !blockedIds.includes(follower._id.toString()));
+        profile.following = profile.following.filter(followed => !blockedIds.includes(followed._id.toString()));
+
+        // Only posts whose visibility includes the viewer are listed and counted
+        const isStaffViewer = hasPermission(req.user, 'users:read');
+        const postFilter = { user: user._id };
+        if (!isStaffViewer) postFilter.visibility = visibilityCondition(await getVisiblePostLevels(loggedInUserId, user));
+        const postCount = await Post.countDocuments(postFilter);
 
         let isFollowing = false;
-        if (loggedInUserId) isFollowing = user.followers.some(follower => follower._id.equals(loggedInUserId));
+        let isMuted = false;
+        let followRequested = false;
+        if (loggedInUserId) {
+            isFollowing = user.followers.some(follower => follower._id.equals(loggedInUserId));
+            isMuted = Boolean(await User.exists({ _id: loggedInUserId, mutedUsers: user._id }));
+            if (user.isPrivate && !isFollowing) followRequested = Boolean(await User.exists({ _id: user._id, 'followRequests.user': loggedInUserId }));
+        }
+
+        // Private accounts show non-followers only the profile header (counts, no lists or posts)
+        const canViewContent = isStaffViewer || await canViewMemberContent(loggedInUserId, user);
+        let posts = [];
+        if (canViewContent) {
+            posts = await Post.find(postFilter)
+                              .sort({ createdAt: -1 }).limit(15)
+                              .populate('user', 'username fullname profilePic') // Populate post author
+                              .lean();
+            // Originals of reposts/quote-posts the viewer may see; likeCount by hand since lean() disables virtuals
+            posts = (await attachSharedPosts(posts, loggedInUserId)).map(post => ({ ...post, likeCount: totalReactions(post.reactionCounts) }));
+        } else {
+            profile.followers = [];
+            profile.following = [];
+        }
 
-        res.status(200).json({ success: true, ...user.toObject(), postCount, posts, isFollowing });
+        res.status(200).json({ success: true, ...profile, postCount, posts, isFollowing, isMuted, followRequested, canViewContent });
     } catch (error) { console.error('Get User Profile Error:', error); next(error); }
 };
 
@@ -156,11 +304,24 @@ exports.followUser = async (req, res, next) => {
 
     try {
         const [userToFollow, currentUser] = await Promise.all([
-            User.findById(userIdToFollow).select('followers username verified'), // Select needed fields
+            User.findById(userIdToFollow).select('followers username verified isPrivate'), // Select needed fields
             User.findById(currentUserId).select('following')
         ]);
         if (!userToFollow || !currentUser) { const err = new Error('User not found.'); err.statusCode = 404; return next(err); }
         if (!userToFollow.verified) return next(new Error('Cannot follow an unverified user.')); // Optional check
+        if (await isBlockedBetween(currentUserId, userIdToFollow)) { const err = new Error('You cannot follow this member.'); err.statusCode = 403; return next(err); }
+
+        // --- Private accounts: the follow waits for the owner's approval ---
+        if (userToFollow.isPrivate && !userToFollow.followers.some(id => id.equals(currentUserId))) {
+            const result = await User.updateOne(
+                { _id: userIdToFollow, 'followRequests.user': { $ne: currentUserId } },
+                { $push: { followRequests: { user: currentUserId, requestedAt: new Date() } } }
+            );
+            if (result.modifiedCount) {
+                await notify({ recipient: userToFollow._id, actor: currentUserId, type: 'follow_request', subjectType: 'User', subjectId: userToFollow._id });
+            }
+            return res.status(200).json({ success: true, requested: true, message: `Follow request sent to ${userToFollow.username}.` });
+        }
 
         // --- Use $addToSet for atomic and idempotent update ---
         const updatedCurrentUser = await User.findByIdAndUpdate(currentUserId,
@@ -174,9 +335,11 @@ exports.followUser = async (req, res, next) => {
         const nowFollowing = updatedCurrentUser.following.includes(userIdToFollow);
         if (!nowFollowing) console.warn(`Follow operation: ${currentUserId} already following ${userIdToFollow}.`); // Should ideally not happen if frontend disables button
 
-        // TODO: Create Activity/Notification
+        if (nowFollowing) {
+            await notify({ recipient: userToFollow._id, actor: currentUserId, type: 'follow', subjectType: 'User', subjectId: userToFollow._id });
+        }
 
-        res.status(200).json({ success: true, message: `Followed ${userToFollow.username}.` });
+        res.status(200).json({ success: true, requested: false, message: `Followed ${userToFollow.username}.` });
     } catch (error) { console.error('Follow User Error:', error); next(error); }
 };
 
@@ -205,7 +368,7 @@ exports.unfollowUser = async (req, res, next) => {
             { $pull: { following: userIdToUnfollow } }, { new: true }
         );
          const updatedTargetUser = await User.findByIdAndUpdate(userIdToUnfollow,
-             { $pull: { followers: currentUserId } }, { new: true }
+             { $pull: { followers: currentUserId, followRequests: { user: currentUserId } } }, { new: true } // Also cancels a pending request
          );
 
         // Check if user was actually in the list (optional)
@@ -213,7 +376,8 @@ exports.unfollowUser = async (req, res, next) => {
         if (stillFollowing) console.warn(`Unfollow op: ${currentUserId} failed to remove ${userIdToUnfollow} (or already removed).`);
 
 
-        // TODO: Remove Activity/Notification if needed
+        await retractNotification({ recipient: userToUnfollow._id, actor: currentUserId, type: 'follow', subjectType: 'User', subjectId: userToUnfollow._id });
+        await retractNotification({ recipient: userToUnfollow._id, actor: currentUserId, type: 'follow_request', subjectType: 'User', subjectId: userToUnfollow._id });
 
         res.status(200).json({ success: true, message: `Unfollowed ${userToUnfollow.username}.` });
     } catch (error) { console.error('Unfollow User Error:', error); next(error); }
@@ -233,10 +397,11 @@ exports.getUserSuggestions = async (req, res, next) => {
         const currentUser = await User.findById(currentUserId).select('following');
         if (!currentUser) return next(new Error('Current user not found.'));
 
-        const excludeIds = [currentUserId, ...(currentUser.following || [])];
+        const hiddenIds = await getHiddenUserIds(currentUserId); // Banned, blocked (either way) and muted members
+        const excludeIds = [currentUserId, ...(currentUser.following || []), ...hiddenIds];
 
         // Find verified users not followed, limit, select needed fields
-        const suggestions = await User.find({ _id: { $nin: excludeIds }, verified: true })
+        const suggestions = await User.find({ _id: { $nin: excludeIds }, verified: true, accountStatus: { $ne: 'banned' } })
             .limit(limit)
              // Add more sophisticated suggestion logic here later (e.g., common connections)
              .sort({ createdAt: -1 }) // Example sort: newest users first? Maybe random? .aggregate([{ $sample: { size: limit } }])
@@ -244,4 +409,220 @@ exports.getUserSuggestions = async (req, res, next) => {
 
         res.status(200).json({ success: true, suggestions });
     } catch (error) { console.error('Get Suggestions Error:', error); next(error); }
-};
\ No newline at end of file
+};
+
+
+/**
+ * @desc    Block a user: removes follows in both directions and hides each of you from the other
+ * @route   POST /api/users/:userId/block
+ * @access  Private
+ */
+exports.blockUser = async (req, res, next) => {
+    const userIdToBlock = req.params.userId;
+    const currentUserId = req.user.id;
+
+    if (userIdToBlock === currentUserId) return next(new Error('Cannot block yourself.'));
+    if (!mongoose.Types.ObjectId.isValid(userIdToBlock)) return next(new Error('Invalid user ID.'));
+
+    try {
+        const userToBlock = await User.findById(userIdToBlock).select('username');
+        if (!userToBlock) { const err = new Error('User not found.'); err.statusCode = 404; return next(err); }
+
+        await Promise.all([
+            User.findByIdAndUpdate(currentUserId, {
+                $addToSet: { blockedUsers: userIdToBlock },
+                $pull: { following: userIdToBlock, followers: userIdToBlock, mutedUsers: userIdToBlock, closeFriends: userIdToBlock, followRequests: { user: userIdToBlock } }
+            }),
+            User.findByIdAndUpdate(userIdToBlock, { $pull: { following: currentUserId, followers: currentUserId, closeFriends: currentUserId, followRequests: { user: currentUserId } } })
+        ]);
+
+        // Follow notifications between the two would point at a relationship that no longer exists
+        await retractNotification({ recipient: userIdToBlock, actor: currentUserId, type: 'follow', subjectType: 'User', subjectId: userIdToBlock });
+        await retractNotification({ recipient: currentUserId, actor: userIdToBlock, type: 'follow', subjectType: 'User', subjectId: currentUserId });
+        await retractNotification({ recipient: userIdToBlock, actor: currentUserId, type: 'follow_request', subjectType: 'User', subjectId: userIdToBlock });
+        await retractNotification({ recipient: currentUserId, actor: userIdToBlock, type: 'follow_request', subjectType: 'User', subjectId: currentUserId });
+
+        res.status(200).json({ success: true, message: `Blocked ${userToBlock.username}.` });
+    } catch (error) { console.error('Block User Error:', error); next(error); }
+};
+
+/**
+ * @desc    Unblock a user (follows removed by the block are not restored)
+ * @route   DELETE /api/users/:userId/block
+ * @access  Private
+ */
+exports.unblockUser = async (req, res, next) => {
+    const userIdToUnblock = req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(userIdToUnblock)) return next(new Error('Invalid user ID.'));
+
+    try {
+        await User.findByIdAndUpdate(req.user.id, { $pull: { blockedUsers: userIdToUnblock } });
+        res.status(200).json({ success: true, message: 'User unblocked.' });
+    } catch (error) { console.error('Unblock User Error:', error); next(error); }
+};
+
+/**
+ * @desc    Mute a user: their posts and stories no longer appear in your feeds (they are not told)
+ * @route   POST /api/users/:userId/mute
+ * @access  Private
+ */
+exports.muteUser = async (req, res, next) => {
+    const userIdToMute = req.params.userId;
+    const currentUserId = req.user.id;
+
+    if (userIdToMute === currentUserId) return next(new Error('Cannot mute yourself.'));
+    if (!mongoose.Types.ObjectId.isValid(userIdToMute)) return next(new Error('Invalid user ID.'));
+
+    try {
+        const userToMute = await User.findById(userIdToMute).select('username');
+        if (!userToMute) { const err = new Error('User not found.'); err.statusCode = 404; return next(err); }
+
+        await User.findByIdAndUpdate(currentUserId, { $addToSet: { mutedUsers: userIdToMute } });
+        res.status(200).json({ success: true, message: `Muted ${userToMute.username}.` });
+    } catch (error) { console.error('Mute User Error:', error); next(error); }
+};
+
+/**
+ * @desc    Unmute a user
+ * @route   DELETE /api/users/:userId/mute
+ * @access  Private
+ */
+exports.unmuteUser = async (req, res, next) => {
+    const userIdToUnmute = req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(userIdToUnmute)) return next(new Error('Invalid user ID.'));
+
+    try {
+        await User.findByIdAndUpdate(req.user.id, { $pull: { mutedUsers: userIdToUnmute } });
+        res.status(200).json({ success: true, message: 'User unmuted.' });
+    } catch (error) { console.error('Unmute User Error:', error); next(error); }
+};
+
+/**
+ * @desc    Members the current user has blocked or muted
+ * @route   GET /api/users/me/blocks
+ * @access  Private
+ */
+exports.getMyBlocks = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id)
+                               .select('+blockedUsers +mutedUsers')
+                               .populate('blockedUsers', 'username fullname profilePic _id')
+                               .populate('mutedUsers', 'username fullname profilePic _id');
+
+        res.status(200).json({ success: true, blocked: user.blockedUsers, muted: user.mutedUsers });
+    } catch (error) { console.error('Get Blocks Error:', error); next(error); }
+};
+
+/**
+ * @desc    Pending follow requests to the current user's (private) account, newest first
+ * @route   GET /api/users/me/follow-requests
+ * @access  Private
+ */
+exports.getFollowRequests = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id)
+                               .select('+followRequests')
+                               .populate('followRequests.user', 'username fullname profilePic _id');
+
+        const requests = user.followRequests
+                             .filter(request => request.user) // Requester deleted since
+                             .sort((a, b) => b.requestedAt - a.requestedAt);
+
+        res.status(200).json({ success: true, count: requests.length, requests });
+    } catch (error) { console.error('Get Follow Requests Error:', error); next(error); }
+};
+
+/**
+ * @desc    Approve a follow request
+ * @route   POST /api/users/me/follow-requests/:userId
+ * @access  Private
+ */
+exports.approveFollowRequest = async (req, res, next) => {
+    const requesterId = req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(requesterId)) return next(new Error('Invalid user ID.'));
+
+    try {
+        const hasRequest = await User.exists({ _id: req.user.id, 'followRequests.user': requesterId });
+        if (!hasRequest) { const err = new Error('Follow request not found.'); err.statusCode = 404; return next(err); }
+
+        await acceptFollowRequests(req.user._id, [new mongoose.Types.ObjectId(requesterId)]);
+        res.status(200).json({ success: true, message: 'Follow request approved.' });
+    } catch (error) { console.error('Approve Follow Request Error:', error); next(error); }
+};
+
+/**
+ * @desc    Decline a follow request (the requester is not told)
+ * @route   DELETE /api/users/me/follow-requests/:userId
+ * @access  Private
+ */
+exports.declineFollowRequest = async (req, res, next) => {
+    const requesterId = req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(requesterId)) return next(new Error('Invalid user ID.'));
+
+    try {
+        const result = await User.updateOne({ _id: req.user.id }, { $pull: { followRequests: { user: requesterId } } });
+        if (!result.modifiedCount) { const err = new Error('Follow request not found.'); err.statusCode = 404; return next(err); }
+
+        await retractNotification({ recipient: req.user._id, actor: requesterId, type: 'follow_request', subjectType: 'User', subjectId: req.user._id });
+        res.status(200).json({ success: true, message: 'Follow request declined.' });
+    } catch (error) { console.error('Decline Follow Request Error:', error); next(error); }
+};
+
+/**
+ * @desc    The current user's close-friends list (they see 'close_friends' posts)
+ * @route   GET /api/users/me/close-friends
+ * @access  Private
+ */
+exports.getCloseFriends = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id)
+                               .select('+closeFriends')
+                               .populate('closeFriends', 'username fullname profilePic _id');
+
+        res.status(200).json({ success: true, count: user.closeFriends.length, closeFriends: user.closeFriends });
+    } catch (error) { console.error('Get Close Friends Error:', error); next(error); }
+};
+
+/**
+ * @desc    Add a member to the close-friends list (they are not told)
+ * @route   POST /api/users/me/close-friends/:userId
+ * @access  Private
+ */
+exports.addCloseFriend = async (req, res, next) => {
+    const friendId = req.params.userId;
+    const currentUserId = req.user.id;
+
+    if (friendId === currentUserId) return next(new Error('Cannot add yourself.'));
+    if (!mongoose.Types.ObjectId.isValid(friendId)) return next(new Error('Invalid user ID.'));
+
+    try {
+        const friend = await User.findById(friendId).select('username verified');
+        if (!friend || !friend.verified) { const err = new Error('User not found.'); err.statusCode = 404; return next(err); }
+        if (await isBlockedBetween(currentUserId, friendId)) { const err = new Error('You cannot add this member.'); err.statusCode = 403; return next(err); }
+
+        const result = await User.updateOne(
+            { _id: currentUserId, [`closeFriends.${maxCloseFriends - 1}`]: { $exists: false } }, // List not full
+            { $addToSet: { closeFriends: friendId } }
+        );
+        if (!result.matchedCount) {
+            const err = new Error(`You can have at most ${maxCloseFriends} close friends.`); err.statusCode = 400; return next(err);
+        }
+
+        res.status(200).json({ success: true, message: `${friend.username} added to close friends.` });
+    } catch (error) { console.error('Add Close Friend Error:', error); next(error); }
+};
+
+/**
+ * @desc    Remove a member from the close-friends list
+ * @route   DELETE /api/users/me/close-friends/:userId
+ * @access  Private
+ */
+exports.removeCloseFriend = async (req, res, next) => {
+    const friendId = req.params.userId;
+    if (!mongoose.Types.ObjectId.isValid(friendId)) return next(new Error('Invalid user ID.'));
+
+    try {
+        await User.updateOne({ _id: req.user.id }, { $pull: { closeFriends: friendId } });
+        res.status(200).json({ success: true, message: 'Removed from close friends.' });
+    } catch (error) { console.error('Remove Close Friend Error:', error); next(error); }
+};
@@ -0,0 +1,216 @@
+// backend/controllers/visibilityHelper.js
+// Shared rules for what a member is allowed to see (used by feeds, profiles and listings)
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { visibilityLevels } = require('../config/posts');
+
+/**
+ * IDs of all banned members. Their posts, stories and events are hidden from feeds and listings.
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+const getBannedUserIds = async () => {
+    return User.find({ accountStatus: 'banned' }).distinct('_id');
+};
+
+/**
+ * Removes banned members from a list of user IDs (e.g. the authors of a feed).
+ * @param {Array<string|ObjectId>} userIds - Candidate user IDs.
+ * @returns {Promise<Array<string|ObjectId>>} The IDs that are not banned.
+ */
+const excludeBannedUsers = async (userIds) => {
+    const bannedIds = new Set((await getBannedUserIds()).map(id => id.toString()));
+    return userIds.filter(id => !bannedIds.has(id.toString()));
+};
+
+/**
+ * IDs of members on the other side of a block with `userId`, in either direction: people the user
+ * blocked and people who blocked the user. Blocking makes both sides invisible to each other.
+ * @param {string|ObjectId} userId - The viewing member.
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+const getBlockedUserIds = async (userId) => {
+    const [user, blockedBy] = await Promise.all([
+        User.findById(userId).select('+blockedUsers'),
+        User.find({ blockedUsers: userId }).distinct('_id')
+    ]);
+    return [...(user?.blockedUsers || []), ...blockedBy];
+};
+
+/**
+ * IDs the viewer should not see in their feeds: banned members, blocks in either direction and,
+ * unless `includeMuted` is false, the members the viewer muted.
+ * @param {string|ObjectId} userId - The viewing member.
+ * @param {object} [options] - { includeMuted = true }
+ * @returns {Promise<Set<string>>} Hidden user IDs as strings.
+ */
+const getHiddenUserIds = async (userId, { includeMuted = true } = {}) => {
+    const [bannedIds, blockedIds, viewer] = await Promise.all([
+        getBannedUserIds(),
+        getBlockedUserIds(userId),
+        includeMuted ? User.findById(userId).select('+mutedUsers') : null
+    ]);
+    return new Set([...bannedIds, ...blockedIds, ...(viewer?.mutedUsers || [])].map(id => id.toString()));
+};
+
+/**
+ * Removes everyone the viewer should not see from a list of user IDs (see getHiddenUserIds).
+ * @param {string|ObjectId} viewerId - The viewing member.
+ * @param {Array<string|ObjectId>} userIds - Candidate user IDs.
+ * @param {object} [options] - Passed to getHiddenUserIds.
+ * @returns {Promise<Array<string|ObjectId>>}
+ */
+const excludeHiddenUsers = async (viewerId, userIds, options) => {
+    const hiddenIds = await getHiddenUserIds(viewerId, options);
+    return userIds.filter(id => !hiddenIds.has(id.toString()));
+};
+
+/**
+ * Whether either member has blocked the other.
+ * @returns {Promise<boolean>}
+ */
+const isBlockedBetween = async (userIdA, userIdB) => {
+    const match = await User.exists({
+        $or: [{ _id: userIdA, blockedUsers: userIdB }, { _id: userIdB, blockedUsers: userIdA }]
+    });
+    return Boolean(match);
+};
+
+/**
+ * Whether the viewer may see a member's posts, stories and follower lists. Private accounts only
+ * show them to the owner and approved followers.
+ * @param {string|ObjectId} viewerId - The viewing member.
+ * @param {object} owner - User document or populated user (needs _id, isPrivate).
+ * @returns {Promise<boolean>}
+ */
+const canViewMemberContent = async (viewerId, owner) => {
+    if (!owner.isPrivate || owner._id.equals(viewerId)) return true;
+    return Boolean(await User.exists({ _id: owner._id, followers: viewerId }));
+};
+
+/**
+ * Post visibility levels of `author` the viewer may see (empty if none).
+ * @param {string|ObjectId} viewerId - The viewing member.
+ * @param {object} author - User document or populated user (needs _id, isPrivate).
+ * @returns {Promise<string[]>}
+ */
+const getVisiblePostLevels = async (viewerId, author) => {
+    if (author._id.equals(viewerId)) return visibilityLevels;
+
+    const [isFollower, isCloseFriend] = await Promise.all([
+        User.exists({ _id: author._id, followers: viewerId }),
+        User.exists({ _id: author._id, closeFriends: viewerId })
+    ]);
+    if (author.isPrivate && !isFollower) return [];
+
+    const levels = ['public'];
+    if (isFollower) levels.push('followers');
+    if (isCloseFriend) levels.push('close_friends');
+    return levels;
+};
+
+/**
+ * Mongo condition on Post.visibility matching the given levels. Posts created before visibility
+ * existed have no value and count as public.
+ * @param {string[]} levels
+ * @returns {object}
+ */
+const visibilityCondition = (levels) => ({ $in: levels.includes('public') ? [...levels, null] : levels });
+
+/**
+ * Whether the viewer may see a post.
+ * @param {string|ObjectId} viewerId - The viewing member.
+ * @param {object} post - Post with `visibility` and `user` populated with at least _id and isPrivate.
+ * @returns {Promise<boolean>}
+ */
+const canViewPost = async (viewerId, post) => {
+    const levels = await getVisiblePostLevels(viewerId, post.user);
+    return levels.includes(post.visibility || 'public');
+};
+
+/**
+ * Post filter for a feed built from the viewer and authors the viewer follows.
+ * @param {string|ObjectId} viewerId - The viewing member (their own posts are always included).
+ * @param {Array<string|ObjectId>} authorIds - Followed authors (already filtered for bans/blocks).
+ * @returns {Promise<object>} Mongo filter for Post.find.
+ */
+const buildFeedPostFilter = async (viewerId, authorIds) => {
+    const otherIds = authorIds.filter(id => id.toString() !== viewerId.toString());
+    const closeFriendOf = await User.find({ _id: { $in: otherIds }, closeFriends: viewerId }).distinct('_id');
+    return {
+        $or: [
+            { user: viewerId },
+            { user: { $in: otherIds }, visibility: visibilityCondition(['public', 'followers']) },
+            { user: { $in: closeFriendOf }, visibility: 'close_friends' }
+        ]
+    };
+};
+
+/**
+ * Aggregation stages keeping the posts a viewer may find beyond their own feed (e.g. tag pages):
+ * everything buildFeedPostFilter allows for followed authors, plus public posts of other public
+ * accounts. Hidden members are left out. Whether an author's account is private is looked up per
+ * post, so this works without loading the IDs of all private accounts.
+ * @param {ObjectId} viewerId - The viewing member.
+ * @param {object} [options] - Passed to getHiddenUserIds.
+ * @returns {Promise<object[]>} Stages for Post.aggregate.
+ */
+const buildDiscoveryPostStages = async (viewerId, options) => {
+    const [viewer, hiddenIds] = await Promise.all([
+        User.findById(viewerId).select('following'),
+        getHiddenUserIds(viewerId, options)
+    ]);
+    const followedIds = (viewer?.following || []).filter(id => !hiddenIds.has(id.toString()));
+    const feedFilter = await buildFeedPostFilter(viewerId, followedIds);
+    return [
+        {
+            $match: {
+                $or: [
+                    ...feedFilter.$or,
+                    { user: { $nin: [...hiddenIds].map(id => new mongoose.Types.ObjectId(id)) }, visibility: visibilityCondition(['public']) }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: User.collection.name,
+                let: { author: '$user' },
+                pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$author'] } } }, { $project: { isPrivate: 1 } }],
+                as: 'discoveryAuthor'
+            }
+        },
+        // Public posts outside the viewer's feed only from public accounts
+        { $match: { $or: [...feedFilter.$or, { 'discoveryAuthor.isPrivate': { $ne: true } }] } },
+        { $project: { discoveryAuthor: 0 } }
+    ];
+};
+
+/**
+ * Whether `sender` may send a direct message to `recipient`.
+ * @param {object} sender - User document of the sender.
+ * @param {object} recipient - User document of the recipient (needs verified, accountStatus).
+ * @param {Array<string|ObjectId>} [blockedIds] - getBlockedUserIds(sender._id); blocked members can't be messaged.
+ * @returns {{ allowed: boolean, statusCode?: number, reason?: string }} statusCode is 404 for a missing or unverified recipient, else 403.
+ */
+const canMessage = (sender, recipient, blockedIds = []) => {
+    if (!recipient || !recipient.verified) return { allowed: false, statusCode: 404, reason: 'User not found.' };
+    if (sender._id.equals(recipient._id)) return { allowed: false, statusCode: 403, reason: 'You cannot message yourself.' };
+    if (recipient.accountStatus === 'banned') return { allowed: false, statusCode: 403, reason: 'This member can no longer receive messages.' };
+    if (blockedIds.some(id => recipient._id.equals(id))) return { allowed: false, statusCode: 403, reason: 'You cannot message this member.' };
+    return { allowed: true };
+};
+
+module.exports = {
+    getBannedUserIds,
+    excludeBannedUsers,
+    getBlockedUserIds,
+    getHiddenUserIds,
+    excludeHiddenUsers,
+    isBlockedBetween,
+    canViewMemberContent,
+    getVisiblePostLevels,
+    visibilityCondition,
+    canViewPost,
+    buildFeedPostFilter,
+    buildDiscoveryPostStages,
+    canMessage
+};
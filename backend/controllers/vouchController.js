@@ -0,0 +1,117 @@
+// backend/controllers/vouchController.js
+const User = require('../models/User');
+const Vouch = require('../models/Vouch');
+const { isTrustedVoucher, maybeAutoApprove } = require('./membershipHelper');
+const { vouchRelations } = require('../config/membership');
+
+// Loads a pending applicant by username (404 for unknown or already verified accounts)
+const findApplicant = async (username) => {
+    const applicant = await User.findOne({
+        username: String(username).toLowerCase(),
+        verified: false,
+        verificationRequestedAt: { $ne: null }
+    });
+    if (!applicant) {
+        const err = new Error('No pending registration found for this username.');
+        err.statusCode = 404;
+        throw err;
+    }
+    return applicant;
+};
+
+/**
+ * @desc    Look up a pending applicant before vouching for them
+ * @route   GET /api/users/applicants/:username
+ * @access  Private
+ */
+exports.getApplicant = async (req, res, next) => {
+    try {
+        const applicant = await findApplicant(req.params.username);
+        const [vouchCount, myVouch] = await Promise.all([
+            Vouch.countDocuments({ applicant: applicant._id }),
+            Vouch.findOne({ applicant: applicant._id, voucher: req.user.id }).select('relation note createdAt')
+        ]);
+
+        res.status(200).json({
+            success: true,
+            applicant: {
+                _id: applicant._id,
+                username: applicant.username,
+                fullname: applicant.fullname,
+                profilePic: applicant.profilePic,
+                verificationRequestedAt: applicant.verificationRequestedAt
+            },
+            vouchCount,
+            myVouch,
+            relations: vouchRelations
+        });
+    } catch (error) {
+        console.error('Get Applicant Error:', error);
+        next(error);
+    }
+};
+
+/**
+ * @desc    Vouch that a pending applicant belongs to the community
+ * @route   POST /api/users/applicants/:username/vouch
+ * @access  Private (verified members)
+ * @expects JSON body: { relation, note? }
+ */
+exports.vouchForApplicant = async (req, res, next) => {
+    const { relation, note } = req.body;
+
+    if (!vouchRelations.includes(relation)) {
+        const err = new Error(`Relation must be one of: ${vouchRelations.join(', ')}.`); err.statusCode = 400; return next(err);
+    }
+
+    try {
+        const applicant = await findApplicant(req.params.username);
+        if (applicant._id.equals(req.user.id)) {
+            const err = new Error('You cannot vouch for yourself.'); err.statusCode = 400; return next(err);
+        }
+
+        const existing = await Vouch.findOne({ applicant: applicant._id, voucher: req.user.id });
+        if (existing) {
+            const err = new Error('You have already vouched for this applicant.'); err.statusCode = 400; return next(err);
+        }
+
+        const vouch = await Vouch.create({ applicant: applicant._id, voucher: req.user.id, relation, note });
+        const autoApproved = await maybeAutoApprove(req, applicant);
+
+        res.status(201).json({
+            success: true,
+            message: autoApproved
+                ? `Thank you! ${applicant.username} now has enough vouches and has been approved.`
+                : `You vouched for ${applicant.username}.`,
+            vouch,
+            trusted: isTrustedVoucher(req.user),
+            autoApproved
+        });
+    } catch (error) {
+        console.error('Vouch Error:', error);
+        if (error.code === 11000) { // Double submit racing the check above
+            const err = new Error('You have already vouched for this applicant.'); err.statusCode = 400; return next(err);
+        }
+        next(error);
+    }
+};
+
+/**
+ * @desc    Withdraw a vouch (only while the applicant is still pending)
+ * @route   DELETE /api/users/applicants/:username/vouch
+ * @access  Private
+ */
+exports.withdrawVouch = async (req, res, next) => {
+    try {
+        const applicant = await findApplicant(req.params.username);
+        const result = await Vouch.deleteOne({ applicant: applicant._id, voucher: req.user.id });
+        if (result.deletedCount === 0) {
+            const err = new Error('You have not vouched for this applicant.'); err.statusCode = 404; return next(err);
+        }
+
+        res.status(200).json({ success: true, message: `Vouch for ${applicant.username} withdrawn.` });
+    } catch (error) {
+        console.error('Withdraw Vouch Error:', error);
+        next(error);
+    }
+};
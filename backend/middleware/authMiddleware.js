@@ -1,6 +1,10 @@
 // middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const authConfig = require('../config/auth');
+const { hasPermission } = require('../config/permissions');
+const { authenticateAccessToken } = require('../controllers/sessionHelper');
 require('dotenv').config(); // Access JWT_SECRET
 
 // Middleware to protect routes requiring authentication
@@ -19,6 +23,13 @@ const protect = async (req, res, next) => {
             // Verify the token using the secret
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Access tokens are bound to a session so logout/revocation takes effect immediately.
+            // Tokens without a session ID (issued before sessions existed) are no longer accepted.
+            const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+            if (!session || !session.isActive() || !session.user.equals(decoded.id)) {
+                return res.status(401).json({ message: 'Not authorized, session expired or revoked' });
+            }
+
             // Find the user associated with the token ID
             // IMPORTANT: Exclude the password field from the user object attached to the request
             req.user = await User.findById(decoded.id).select('-password');
@@ -29,6 +40,20 @@ const protect = async (req, res, next) => {
                 // Alternative: Throw an error to be caught by the error handler
                 // throw new Error('Not authorized, user not found');
             }
+
+            // Suspended/banned members are locked out immediately, even with a still-valid token
+            const restriction = req.user.getRestriction();
+            if (restriction) {
+                return res.status(403).json({
+                    message: restriction.status === 'banned' ? 'Account banned' : 'Account suspended',
+                    accountStatus: restriction.status,
+                    reason: restriction.reason,
+                    until: restriction.until
+                });
+            }
+
+            req.sessionId = session._id.toString(); // Current session (used by logout / session management)
+
             // User is valid, proceed to the next middleware or route handler
             next();
 
@@ -51,17 +76,56 @@ const protect = async (req, res, next) => {
     }
 };
 
-// Middleware to restrict routes to admin users
+// Middleware for public routes that show more (or less) to logged-in members:
+// sets req.user when a valid token is sent, but never rejects the request
+const optionalAuth = async (req, res, next) => {
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer')) {
+        const auth = await authenticateAccessToken(header.split(' ')[1]);
+        if (auth) {
+            req.user = auth.user;
+            req.sessionId = auth.sessionId;
+        }
+    }
+    next();
+};
+
+// Staff accounts may be required to use 2FA before any privileged action (REQUIRE_ADMIN_2FA=true)
+const rejectWithoutTwoFactor = (req, res) => {
+    if (authConfig.requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+        res.status(403).json({
+            message: 'Forbidden: Enable two-factor authentication to use admin features',
+            twoFactorSetupRequired: true
+        });
+        return true;
+    }
+    return false;
+};
+
+// Middleware to restrict routes to staff users (anyone holding a role, see config/permissions.js)
 const admin = (req, res, next) => {
     // This middleware MUST run AFTER the 'protect' middleware
     // because it relies on req.user being populated.
-    if (req.user && req.user.isAdmin) {
-        next(); // User is admin, proceed
+    if (req.user && req.user.isStaff) {
+        if (rejectWithoutTwoFactor(req, res)) return;
+        next(); // User is staff, proceed
     } else {
         res.status(403).json({ message: 'Forbidden: Not authorized as an admin' });
          // Alternative: next(new Error('Forbidden: Not authorized as an admin'));
     }
 };
 
+// Middleware factory: only let users through who hold ALL of the given permissions
+// Usage: router.delete('/:postId', protect, requirePermission('posts:delete:any'), handler)
+const requirePermission = (...permissions) => (req, res, next) => {
+    // Must run AFTER 'protect'
+    const missing = permissions.find(permission => !hasPermission(req.user, permission));
+    if (!req.user || missing) {
+        return res.status(403).json({ message: `Forbidden: Missing permission '${missing || permissions[0]}'` });
+    }
+    if (rejectWithoutTwoFactor(req, res)) return;
+    next();
+};
+
 
-module.exports = { protect, admin };
\ No newline at end of file
+module.exports = { protect, optionalAuth, admin, requirePermission };
\ No newline at end of file
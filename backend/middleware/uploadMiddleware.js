@@ -1,5 +1,6 @@
 // backend/middleware/uploadMiddleware.js
 const multer = require('multer');
+const { maxMediaItems } = require('../config/posts');
 
 // Use memory storage - files will be available as Buffer objects in req.file.buffer / req.files.[fieldname][0].buffer
 const storage = multer.memoryStorage();
@@ -22,6 +23,22 @@ const mediaFileFilter = (req, file, cb) => { // Allows Images and Videos
     }
 };
 
+const postMediaFileFilter = (req, file, cb) => { // Allows Images, Videos and Audio (post carousels)
+    if (['image/', 'video/', 'audio/'].some(prefix => file.mimetype.startsWith(prefix))) {
+        cb(null, true);
+    } else {
+        cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'Only image, video or audio files are allowed!'), false);
+    }
+};
+
+const documentFileFilter = (req, file, cb) => { // Allows Images and PDFs (verification documents)
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+        cb(null, true);
+    } else {
+        cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'Only image or PDF files are allowed!'), false);
+    }
+};
+
 // --- Define File Size Limits (Example values - check Cloudinary free tier limits) ---
 const FIVE_MB = 5 * 1024 * 1024;
 const FIFTY_MB = 50 * 1024 * 1024; // Might be too large for free tier video
@@ -37,14 +54,17 @@ const uploadProfilePic = multer({
     limits: { fileSize: FIVE_MB }
 }).single('profilePic');
 
-// For post media (image OR video), field names 'image' and 'video'
+// For post media: up to maxMediaItems files in 'media' (carousel order = upload order).
+// The single 'image', 'video' and 'audio' fields of older clients are still accepted.
 const uploadPostMedia = multer({
     storage: storage,
-    fileFilter: mediaFileFilter,
-    limits: { fileSize: FIFTY_MB } // Be cautious with video size limit
+    fileFilter: postMediaFileFilter,
+    limits: { fileSize: FIFTY_MB, files: maxMediaItems } // Be cautious with video size limit
 }).fields([
+    { name: 'media', maxCount: maxMediaItems },
     { name: 'image', maxCount: 1 },
-    { name: 'video', maxCount: 1 }
+    { name: 'video', maxCount: 1 },
+    { name: 'audio', maxCount: 1 }
 ]);
 
 // For single story media file (image or video), field name 'storyMedia'
@@ -68,6 +88,20 @@ const uploadBusinessImage = multer({
     limits: { fileSize: TEN_MB }
 }).single('businessImage');
 
+// For applicant verification documents (ID card, address proof...), field name 'documents'
+const uploadVerificationDocuments = multer({
+    storage: storage,
+    fileFilter: documentFileFilter,
+    limits: { fileSize: TEN_MB, files: 5 }
+}).array('documents', 5);
+
+// For a direct message image attachment, field name 'image'
+const uploadMessageImage = multer({
+    storage: storage,
+    fileFilter: imageFileFilter,
+    limits: { fileSize: TEN_MB }
+}).single('image');
+
 
 // Export all configured middleware instances
 module.exports = {
@@ -75,5 +109,7 @@ module.exports = {
     uploadPostMedia,
     uploadStoryMedia,
     uploadEventImage,
-    uploadBusinessImage
+    uploadBusinessImage,
+    uploadVerificationDocuments,
+    uploadMessageImage
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+// backend/models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Append-only record of privileged actions (admin actions and owner overrides).
+// Entries are never updated or deleted - the hooks below reject any attempt to do so.
+const AuditLogSchema = new mongoose.Schema({
+    actor: { // Staff member who performed the action
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    actorUsername: { // Snapshot, so the entry stays readable if the account is deleted later
+        type: String
+    },
+    action: { // e.g. 'user.approve', 'role.grant', 'post.delete'
+        type: String,
+        required: true,
+        index: true
+    },
+    targetType: {
+        type: String,
+        enum: ['User', 'Post', 'Comment', 'Story', 'Event', 'Business'],
+        required: true
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    before: { // State of the target before the action (null for creations)
+        type: mongoose.Schema.Types.Mixed
+    },
+    after: { // State of the target after the action (null for deletions)
+        type: mongoose.Schema.Types.Mixed
+    },
+    meta: { // Request metadata
+        ip: String,
+        userAgent: String,
+        method: String,
+        path: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    },
+}, {
+    versionKey: false
+});
+
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// --- APPEND-ONLY ENFORCEMENT ---
+const rejectChange = function (next) {
+    next(new Error('Audit log entries are append-only and cannot be modified or deleted.'));
+};
+
+AuditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectChange(next);
+    next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+ 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+    AuditLogSchema.pre(operation, rejectChange);
+});
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
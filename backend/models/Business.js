@@ -50,6 +50,18 @@ const BusinessSchema = new mongoose.Schema({
     imagePublicId: { // Cloudinary Public ID
         type: String
     },
+    verified: { // Checked by a business verifier (see 'businesses:verify' permission)
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    verifiedAt: {
+        type: Date
+    },
 }, {
     timestamps: true
 });
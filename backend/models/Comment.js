@@ -0,0 +1,58 @@
+// backend/models/Comment.js
+const mongoose = require('mongoose');
+
+// A comment on a post. Top-level comments have no parent; replies point to a top-level comment
+// (one level of threading - replying to a reply attaches to the same top-level comment).
+// Comments used to be embedded in Post.comments; see scripts/migrateEmbeddedComments.js.
+const CommentSchema = new mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    parent: { // Top-level comment this is a reply to (null for top-level comments)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    text: {
+        type: String,
+        required: [true, 'Comment text cannot be empty'],
+        trim: true,
+        maxlength: [500, 'Comment cannot exceed 500 characters']
+    },
+    mentions: [{ // Members @mentioned in `text`
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    likes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    replyCount: { // Denormalised so comment lists don't have to count replies
+        type: Number,
+        default: 0
+    },
+    editedAt: { // "edited" marker; absent if the comment was never edited
+        type: Date
+    },
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Comments of a post and replies of a comment are both read newest first, page by page (cursor = _id)
+CommentSchema.index({ post: 1, parent: 1, _id: -1 });
+CommentSchema.index({ parent: 1, _id: -1 });
+
+CommentSchema.virtual('likeCount').get(function () {
+    return this.likes ? this.likes.length : 0;
+});
+
+module.exports = mongoose.model('Comment', CommentSchema);
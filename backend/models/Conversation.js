@@ -0,0 +1,91 @@
+// backend/models/Conversation.js
+const mongoose = require('mongoose');
+
+// Per-member state of a conversation (role, read position, unread counter, mute)
+const ConversationMemberSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['admin', 'member'], default: 'member' }, // Only meaningful in groups
+    unreadCount: { type: Number, default: 0 },
+    lastReadAt: { type: Date }, // Read receipts: messages created up to this time have been seen
+    mutedUntil: { type: Date }, // No push for new messages until then
+    joinedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const ConversationSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['direct', 'group'],
+        default: 'direct'
+    },
+    members: {
+        type: [ConversationMemberSchema],
+        validate: {
+            validator: function (members) {
+                return this.type === 'group' ? members.length >= 1 : members.length === 2;
+            },
+            message: 'A direct conversation needs exactly two members, a group at least one'
+        }
+    },
+    // --- Group only ---
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Group name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Group description cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    joinCode: { // Secret part of the invite link; unset when the link is disabled
+        type: String,
+        unique: true,
+        sparse: true,
+        select: false
+    },
+    event: { // Attendee group of an event: membership follows the event's RSVPs
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        unique: true,
+        sparse: true
+    },
+    directKey: { // Sorted member IDs of a direct conversation - guarantees one conversation per pair
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    lastMessage: { // Denormalised for the conversation list
+        text: String,
+        sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        hasImage: Boolean,
+        createdAt: Date
+    },
+    lastMessageAt: {
+        type: Date,
+        default: Date.now
+    },
+}, {
+    timestamps: true
+});
+
+ConversationSchema.index({ 'members.user': 1, lastMessageAt: -1, _id: -1 });
+
+// Key identifying the direct conversation between two members (order independent)
+ConversationSchema.statics.buildDirectKey = function (userIdA, userIdB) {
+    return [userIdA.toString(), userIdB.toString()].sort().join(':');
+};
+
+// Member entry of a user, or undefined if they are not part of the conversation
+ConversationSchema.methods.getMember = function (userId) {
+    return this.members.find(member => (member.user._id || member.user).equals(userId));
+};
+
+ConversationSchema.methods.isAdmin = function (userId) {
+    return this.getMember(userId)?.role === 'admin';
+};
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -43,6 +43,10 @@ const EventSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    chatGroup: { // Optional group conversation of the attendees (kept in sync with RSVPs)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation'
+    },
 }, {
     timestamps: true
 });
@@ -0,0 +1,40 @@
+// backend/models/LoginAttempt.js
+const mongoose = require('mongoose');
+
+// History of login attempts (successful and failed), shown to the user on their profile
+const LoginAttemptSchema = new mongoose.Schema({
+    user: { // Set when the username belongs to an existing account
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    username: { // As typed (lowercased), also kept for unknown usernames
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    ip: {
+        type: String,
+        index: true
+    },
+    userAgent: {
+        type: String
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['success', 'two_factor_required', 'invalid_credentials', 'invalid_2fa', 'not_verified', 'locked', 'restricted'],
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        // MongoDB TTL index: keep the history for 90 days
+        index: { expires: '90d' }
+    },
+});
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
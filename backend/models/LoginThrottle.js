@@ -0,0 +1,32 @@
+// backend/models/LoginThrottle.js
+const mongoose = require('mongoose');
+
+// Failed-login counter for one key: "username:<name>" or "ip:<address>".
+// Used for exponential backoff / temporary lockout on POST /auth/login.
+const LoginThrottleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: { // Consecutive failures within the failure window
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: {
+        type: Date
+    },
+    lockedUntil: { // No login attempts accepted for this key before this time
+        type: Date
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        // MongoDB TTL index: forget the counter once the window (and any lock) has passed
+        index: { expireAfterSeconds: 0 }
+    },
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
@@ -0,0 +1,41 @@
+// backend/models/Message.js
+const mongoose = require('mongoose');
+
+const MessageSchema = new mongoose.Schema({
+    conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    text: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Message cannot exceed 2000 characters']
+    },
+    image: { // Cloudinary URL of an attached image
+        type: String
+    },
+    imagePublicId: { // For deleting the image from Cloudinary
+        type: String
+    },
+}, {
+    timestamps: true
+});
+
+// History is read newest first, page by page (cursor = _id of the oldest message loaded)
+MessageSchema.index({ conversation: 1, _id: -1 });
+
+// A message needs text, an image, or both
+MessageSchema.pre('validate', function (next) {
+    if (!this.text && !this.image) {
+        this.invalidate('text', 'Message must contain text or an image');
+    }
+    next();
+});
+
+module.exports = mongoose.model('Message', MessageSchema);
@@ -0,0 +1,59 @@
+// backend/models/Notification.js
+const mongoose = require('mongoose');
+const { TYPES } = require('../config/notifications');
+
+// One notification per recipient and "group" (same type + same subject), e.g. all likes on one post.
+// New actions from other members are added to the unread group ("Ravi and 4 others liked your post");
+// once the group has been read, the next action starts a new group.
+const NotificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: TYPES,
+        required: true
+    },
+    groupKey: { // `${type}:${subjectType}:${subject}`
+        type: String,
+        required: true
+    },
+    subjectType: { // What the notification is about
+        type: String,
+        enum: ['Post', 'Event', 'User', 'Story'],
+        required: true
+    },
+    subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'subjectType',
+        required: true
+    },
+    actors: [{ // Members who caused it, most recent first (empty for system notifications)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    preview: { // Short excerpt, e.g. the latest comment text
+        type: String,
+        maxlength: 140
+    },
+    read: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    readAt: {
+        type: Date
+    },
+}, {
+    timestamps: true // updatedAt = time of the latest action in the group
+});
+
+NotificationSchema.index({ recipient: 1, updatedAt: -1 });
+NotificationSchema.index({ subjectType: 1, subject: 1 });
+// At most one unread group per recipient and key
+NotificationSchema.index({ recipient: 1, groupKey: 1 }, { unique: true, partialFilterExpression: { read: false } });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,30 @@
+// backend/models/PollVote.js
+const mongoose = require('mongoose');
+
+// A member's vote in the poll of a post (one per member and poll; voting again replaces it).
+// Per-option totals are kept on Post.poll.options[].voteCount. The voter is stored for anonymous
+// polls too (that's how one vote per member is enforced), but never shown for them.
+const PollVoteSchema = new mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    options: { // IDs of the chosen Post.poll.options (one unless the poll is multiple choice)
+        type: [mongoose.Schema.Types.ObjectId],
+        required: true
+    },
+}, {
+    timestamps: true
+});
+
+PollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+// Voter lists of named polls, newest first, optionally per option (cursor = _id)
+PollVoteSchema.index({ post: 1, options: 1, _id: -1 });
+
+module.exports = mongoose.model('PollVote', PollVoteSchema);
@@ -0,0 +1,35 @@
+// backend/models/Reaction.js
+const mongoose = require('mongoose');
+const { reactionTypes } = require('../config/posts');
+
+// A member's reaction to a post (one per member and post; reacting again changes the type).
+// Per-type totals are kept on Post.reactionCounts. Replaces the old Post.likes array,
+// see scripts/migrateLikesToReactions.js.
+const ReactionSchema = new mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: {
+            values: reactionTypes,
+            message: 'Invalid reaction: {VALUE}'
+        },
+        required: true
+    },
+}, {
+    timestamps: true
+});
+
+ReactionSchema.index({ post: 1, user: 1 }, { unique: true });
+// "Who reacted" lists, newest first, optionally per type (cursor = _id)
+ReactionSchema.index({ post: 1, type: 1, _id: -1 });
+
+module.exports = mongoose.model('Reaction', ReactionSchema);
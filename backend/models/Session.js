@@ -0,0 +1,60 @@
+// backend/models/Session.js
+const mongoose = require('mongoose');
+
+// One Session document per logged-in device.
+// It is also the refresh-token "family": every refresh rotates tokenHash, and presenting
+// any token that was already rotated out revokes the whole session.
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tokenHash: { // SHA-256 hash of the current refresh token
+        type: String,
+        required: true,
+        select: false
+    },
+    previousTokenHashes: { // Hashes of already rotated tokens (for reuse detection)
+        type: [String],
+        select: false
+    },
+    deviceName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Device name too long'],
+        default: 'Unknown device'
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: { // e.g. 'logout', 'revoked_by_user', 'token_reuse'
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        // MongoDB TTL index: remove the session document once the refresh token has expired
+        index: { expireAfterSeconds: 0 }
+    },
+}, {
+    timestamps: true
+});
+
+// A session is usable only if it was never revoked and has not expired yet
+SessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -26,6 +26,10 @@ const StorySchema = new mongoose.Schema({
         trim: true,
         maxlength: [200, 'Caption cannot exceed 200 characters']
     },
+    mentions: [{ // Members @mentioned in the caption
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
     expiresAt: {
         type: Date,
         required: true,
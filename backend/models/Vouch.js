@@ -0,0 +1,39 @@
+// backend/models/Vouch.js
+const mongoose = require('mongoose');
+const { vouchRelations } = require('../config/membership');
+
+// A verified member confirming that a pending applicant belongs to the community.
+// Each member can vouch for an applicant once; vouches are removed when the applicant is rejected.
+const VouchSchema = new mongoose.Schema({
+    applicant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    voucher: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    relation: { // How the voucher knows the applicant
+        type: String,
+        enum: {
+            values: vouchRelations,
+            message: 'Invalid relation: {VALUE}'
+        },
+        required: [true, 'Relation is required']
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Note cannot exceed 300 characters']
+    },
+}, {
+    timestamps: true
+});
+
+VouchSchema.index({ applicant: 1, voucher: 1 }, { unique: true });
+
+module.exports = mongoose.model('Vouch', VouchSchema);
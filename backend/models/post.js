@@ -1,23 +1,38 @@
 // models/Post.js
 const mongoose = require('mongoose');
+const { visibilityLevels, reactionTypes, maxMediaItems } = require('../config/posts');
 
-// Subdocument schema for comments
-const CommentSchema = new mongoose.Schema({
-    user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-    },
-    text: {
-        type: String,
-        required: [true, 'Comment text cannot be empty'],
-        trim: true,
-        maxlength: [500, 'Comment cannot exceed 500 characters']
-    },
-    // Timestamps for comments (createdAt, updatedAt) are handled within the parent Post's timestamps
-    // If specific comment timestamps are needed independent of post update, add { timestamps: true } here
-}, { _id: true, timestamps: true }); // Assign IDs and add timestamps to comments themselves
+// One item of a post's media carousel
+const PostMediaSchema = new mongoose.Schema({
+    type: { type: String, enum: ['image', 'video', 'audio'], required: true },
+    url: { type: String, required: true },
+    publicId: { type: String }, // Cloudinary public_id (for deletion); missing on migrated items not hosted on Cloudinary
+    altText: { type: String, trim: true, maxlength: [300, 'Alt text cannot exceed 300 characters'] }, // Description for screen readers
+    caption: { type: String, trim: true, maxlength: [300, 'Media caption cannot exceed 300 characters'] },
+});
 
+// A choice in a poll; voteCount is kept up to date by the vote endpoints (votes are in the PollVote collection)
+const PollOptionSchema = new mongoose.Schema({
+    text: { type: String, required: true, trim: true, maxlength: [100, 'Poll option cannot exceed 100 characters'] },
+    voteCount: { type: Number, default: 0 },
+});
+
+const PollSchema = new mongoose.Schema({
+    question: { type: String, trim: true, maxlength: [300, 'Poll question cannot exceed 300 characters'] }, // Optional: the post text can ask it
+    options: { type: [PollOptionSchema], required: true },
+    multipleChoice: { type: Boolean, default: false }, // Members may pick several options
+    anonymous: { type: Boolean, default: false }, // Nobody (not even the author) can see who voted for what
+    closesAt: { type: Date, required: true }, // Voting ends; set to now when the author closes the poll early
+    voterCount: { type: Number, default: 0 }, // Members who voted (with multiple choice this differs from the sum of voteCount)
+}, { _id: false });
+
+// Earlier version of a post, saved every time the author edits it.
+// Replaced media is deleted from Cloudinary, so old media URLs may no longer load.
+const PostRevisionSchema = new mongoose.Schema({
+    content: { type: String },
+    media: { type: [PostMediaSchema], default: undefined },
+    editedAt: { type: Date, default: Date.now }, // When this version was replaced
+}, { _id: false });
 
 const PostSchema = new mongoose.Schema({
     user: { // The author of the post
@@ -28,30 +43,61 @@ const PostSchema = new mongoose.Schema({
     },
     content: {
         type: String,
-        required: [true, 'Post content cannot be empty'],
+        // Not required with media, a poll or for a repost. Update validators (edits) have no document to look at, so editPost checks it itself.
+        required: [function () { return this instanceof mongoose.Document && !this.media?.length && !this.poll && this.shareType !== 'repost'; }, 'Post must contain text content, media or a poll'],
         trim: true,
         maxlength: [2000, 'Post content cannot exceed 2000 characters'] // Adjust limit as needed
     },
-    image: { // URL/path to an associated image
-        type: String,
+    media: { // Carousel items in display order (replaces the old single image/video/audio fields)
+        type: [PostMediaSchema],
+        validate: [items => items.length <= maxMediaItems, `A post can have at most ${maxMediaItems} media items`]
+    },
+    poll: { // Optional poll attached to the post (can't be changed once created)
+        type: PollSchema,
+        default: undefined
+    },
+    sharedPost: { // The original post of a repost or quote-post
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        index: true
     },
-    video: { // URL/path to an associated video
+    shareType: { // 'repost' shares the original as it is; 'quote' adds the sharer's own text (content)
         type: String,
+        enum: ['repost', 'quote']
     },
-    audio: { // URL/path to an associated audio file (optional)
-       type: String,
+    sharedPostRemoved: { // The original was deleted (quote-posts stay; reposts are deleted with the original)
+        type: Boolean
+    },
+    shareCount: { // Reposts and quote-posts of this post
+        type: Number,
+        default: 0
+    },
+    // Reactions per type, e.g. { like: 3, pray: 1, ... } (the reactions themselves are in the Reaction collection)
+    reactionCounts: Object.fromEntries(reactionTypes.map(type => [type, { type: Number, default: 0 }])),
+    hashtags: { // Normalised #tags parsed from `content` (lowercase, without '#')
+        type: [String],
+        index: true
+    },
+    mentions: { // Members @mentioned in `content`
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        index: true
+    },
+    commentCount: { // Comments and replies (stored in the Comment collection), kept up to date by the comment endpoints
+        type: Number,
+        default: 0
+    },
+    editedAt: { // Set on every edit ("edited" marker); absent if the post was never edited
+        type: Date,
+    },
+    revisions: { // Previous versions, oldest first (author and moderators only)
+        type: [PostRevisionSchema],
+        select: false
+    },
+    visibility: { // Who can see the post (see config/posts.js); posts from before this field count as public
+        type: String,
+        enum: visibilityLevels,
+        default: 'public'
     },
-    likes: [{ // Array of User IDs who liked the post
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-    }],
-    comments: [CommentSchema], // Array of comment subdocuments
-    // Optional: Add visibility settings (e.g., 'public', 'followers', 'private')
-    // visibility: {
-    //     type: String,
-    //     enum: ['public', 'followers', 'private'],
-    //     default: 'public'
-    // },
     // Optional: Add fields for location tagging
     // location: {
     //    type: { type: String, enum: ['Point'], default: 'Point' },
@@ -64,15 +110,17 @@ const PostSchema = new mongoose.Schema({
     toObject: { virtuals: true } // Ensure virtuals are included when converting to object
 });
 
+// One repost per member and original
+PostSchema.index({ user: 1, sharedPost: 1 }, { unique: true, partialFilterExpression: { shareType: 'repost' } });
+
+// Tag pages and trending tags
+PostSchema.index({ hashtags: 1, _id: -1 });
+PostSchema.index({ createdAt: -1, hashtags: 1 });
+
 // --- VIRTUALS ---
-// Example: Get like count without storing it separately
+// Total reactions of all types (older clients read this as the like count)
 PostSchema.virtual('likeCount').get(function() {
-    return this.likes ? this.likes.length : 0;
-});
-
-// Example: Get comment count
-PostSchema.virtual('commentCount').get(function() {
-    return this.comments ? this.comments.length : 0;
+    return reactionTypes.reduce((sum, type) => sum + (this.reactionCounts?.[type] || 0), 0);
 });
 
 // Optional: Add pre-remove hook to delete associated files from storage if needed
@@ -1,6 +1,33 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+const { rejectionReasons } = require('../config/membership');
+
+// Subdocument schema recording every role grant/revocation
+const RoleChangeSchema = new mongoose.Schema({
+    role: { type: String, enum: ROLES, required: true },
+    action: { type: String, enum: ['grant', 'revoke'], required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, trim: true, maxlength: [250, 'Reason cannot exceed 250 characters'] },
+    changedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Supporting document uploaded by an applicant. Stored privately on Cloudinary ('authenticated' type),
+// so it can only be viewed through short-lived signed links generated for admins.
+const VerificationDocumentSchema = new mongoose.Schema({
+    publicId: { type: String, required: true },
+    resourceType: { type: String, default: 'image' }, // 'image' (also used for PDFs) or 'raw'
+    format: { type: String },
+    originalName: { type: String, trim: true },
+    uploadedAt: { type: Date, default: Date.now },
+});
+
+// Someone waiting for a private account to accept their follow
+const FollowRequestSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    requestedAt: { type: Date, default: Date.now },
+}, { _id: false });
 
 const UserSchema = new mongoose.Schema({
     fullname: {
@@ -38,6 +65,31 @@ const UserSchema = new mongoose.Schema({
             'Please fill a valid email address'
         ],
     },
+    emailVerified: { // The registrant confirmed they own `email` (separate from admin approval in `verified`)
+        type: Boolean,
+        default: false,
+        index: true,
+    },
+    emailVerifiedAt: {
+        type: Date,
+    },
+    pendingEmail: { // New address waiting for confirmation; `email` stays active until then
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [
+            /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+            'Please fill a valid email address'
+        ],
+    },
+    emailVerificationToken: { // SHA-256 hash of the emailed confirmation token
+        type: String,
+        select: false,
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false,
+    },
     username: {
         type: String,
         required: [true, 'Username is required'],
@@ -75,15 +127,144 @@ const UserSchema = new mongoose.Schema({
         default: false,
         index: true, // Index for admin queries on pending users
     },
-    isAdmin: {
+    accountStatus: { // Moderation state of the account (independent of `verified`)
+        type: String,
+        enum: ['active', 'suspended', 'banned'],
+        default: 'active',
+        index: true,
+    },
+    statusReason: { // Why the account was suspended/banned (shown to the member)
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    suspendedUntil: { // End of a timed suspension
+        type: Date,
+    },
+    statusChangedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    statusChangedAt: {
+        type: Date,
+    },
+    roles: [{ // Staff roles (see config/permissions.js). Regular members have none.
+        type: String,
+        enum: ROLES,
+    }],
+    roleHistory: { // Every role grant/revocation, newest last
+        type: [RoleChangeSchema],
+        select: false,
+    },
+    notificationPreferences: { // Notification type -> on/off (types not listed use their default, see config/notifications.js)
+        type: Map,
+        of: Boolean,
+        default: {},
+    },
+    isPrivate: { // Posts, stories and follower lists are only shown to approved followers
         type: Boolean,
-        default: false,
+        default: false
+    },
+    followRequests: { // Pending follow requests to a private account
+        type: [FollowRequestSchema],
+        select: false
     },
     followers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    blockedUsers: { // Blocked in both directions: no follows, messages, comments or visibility either way
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        select: false,
+        index: true // "Who blocked me" lookups
+    },
+    closeFriends: { // Members who can see this member's 'close_friends' posts
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        select: false
+    },
+    mutedUsers: { // Hidden from this member's own feeds only; the muted member isn't affected
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        select: false
+    },
     verificationRequestedAt: { // Track when signup occurred for admin sorting
         type: Date,
     },
+    verificationDocuments: { // Private evidence for admins reviewing the registration
+        type: [VerificationDocumentSchema],
+        select: false,
+    },
+    approvedAt: {
+        type: Date,
+    },
+    approvalMethod: { // 'admin' decision or automatic 'vouches' approval
+        type: String,
+        enum: ['admin', 'vouches'],
+    },
+    rejectedAt: { // Set while the registration is rejected; purged after the retention period
+        type: Date,
+        index: true,
+    },
+    rejectionReasonCode: {
+        type: String,
+        enum: Object.keys(rejectionReasons),
+    },
+    rejectionNote: { // Optional explanation from the admin (shown to the applicant)
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters'],
+    },
+    rejectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    appealCount: { // Resubmissions after a rejection
+        type: Number,
+        default: 0,
+    },
+    appealMessage: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Appeal message cannot exceed 1000 characters'],
+    },
+    appealedAt: {
+        type: Date,
+    },
+    passwordResetToken: { // SHA-256 hash of the emailed reset token (single use)
+        type: String,
+        select: false,
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false,
+    },
+    passwordChangedAt: {
+        type: Date,
+    },
+    twoFactorEnabled: { // TOTP two-factor authentication switched on
+        type: Boolean,
+        default: false,
+    },
+    twoFactorEnabledAt: {
+        type: Date,
+    },
+    twoFactorSecret: { // Base32 TOTP secret of the enrolled authenticator app
+        type: String,
+        select: false,
+    },
+    twoFactorPendingSecret: { // Secret generated during setup, promoted once a valid code is entered
+        type: String,
+        select: false,
+    },
+    twoFactorRecoveryCodes: { // SHA-256 hashes of unused recovery codes
+        type: [String],
+        select: false,
+    },
+    twoFactorLastUsedStep: { // Time step of the last accepted code, so a code can't be replayed
+        type: Number,
+        select: false,
+    },
+    twoFactorChallengeHash: { // Hash of the pending login challenge's ID; cleared when it is used, so it works once
+        type: String,
+        select: false,
+    },
 }, {
     timestamps: true, // Adds createdAt and updatedAt fields automatically
     // Optionally add methods or virtuals here
@@ -102,6 +283,16 @@ UserSchema.virtual('followingCount').get(function() {
     return this.following ? this.following.length : 0;
 });
 
+// Kept for existing clients: the old isAdmin flag now means "holds the super-admin role"
+UserSchema.virtual('isAdmin').get(function() {
+    return this.roles ? this.roles.includes('super-admin') : false;
+});
+
+// Any staff role (moderator, event-manager, ...) gives access to the admin area
+UserSchema.virtual('isStaff').get(function() {
+    return this.roles ? this.roles.length > 0 : false;
+});
+
 
 // --- MIDDLEWARE (HOOKS) ---
 
@@ -122,6 +313,18 @@ UserSchema.pre('save', async function (next) {
 
 // --- METHODS ---
 
+// Returns the active restriction (suspension/ban) or null if the member may use the app.
+// A suspension whose end date has passed no longer counts, even before an admin reinstates the account.
+UserSchema.methods.getRestriction = function () {
+    if (this.accountStatus === 'banned') {
+        return { status: 'banned', reason: this.statusReason };
+    }
+    if (this.accountStatus === 'suspended' && (!this.suspendedUntil || this.suspendedUntil > new Date())) {
+        return { status: 'suspended', reason: this.statusReason, until: this.suspendedUntil };
+    }
+    return null;
+};
+
 // Method to compare entered password with hashed password in DB
 // We add this method to the schema so we can call it on user instances
 UserSchema.methods.comparePassword = async function (candidatePassword) {
@@ -4,36 +4,94 @@ const {
     getPendingUsers,
     approveUser,
     rejectUser,
-    getAllUsers
-    // Import other admin controllers if added (e.g., deleteUser, banUser)
+    getAllUsers,
+    bulkUserAction,
+    unlockUser,
+    getRoles,
+    grantRole,
+    revokeRole,
+    getRoleHistory,
+    suspendUser,
+    banUser,
+    reinstateUser,
+    getAuditLogs,
+    exportAuditLogs
+    // Import other admin controllers if added (e.g., deleteUser)
 } = require('../controllers/adminController');
-const { protect, admin } = require('../middleware/authMiddleware'); // Import BOTH middlewares
+const { protect, admin, requirePermission } = require('../middleware/authMiddleware'); // Import the auth middlewares
 
 const router = express.Router();
 
 // --- Apply Middleware to ALL routes in this file ---
 // Any request to a route defined below MUST first pass 'protect' (be logged in)
-// AND then pass 'admin' (the logged-in user must have isAdmin=true).
+// AND then pass 'admin' (the logged-in user must hold at least one staff role).
+// Each route additionally requires the specific permission it needs (see config/permissions.js).
 router.use(protect, admin);
 
 
 // --- Admin Routes ---
 
 // GET /api/admin/pending-users - List users awaiting verification
-router.get('/pending-users', getPendingUsers);
+router.get('/pending-users', requirePermission('users:read'), getPendingUsers);
 
 // POST /api/admin/users/:userId/approve - Approve a specific user's verification
-router.post('/users/:userId/approve', approveUser);
+router.post('/users/:userId/approve', requirePermission('users:approve'), approveUser);
 
-// DELETE /api/admin/users/:userId/reject - Reject (and delete) a specific user's registration
-router.delete('/users/:userId/reject', rejectUser);
+// POST /api/admin/users/:userId/reject - Reject a registration, JSON body { reasonCode, note? }
+// (DELETE kept for older clients, body optional with reasonCode 'other'; the record is kept as rejected until the retention period ends)
+router.route('/users/:userId/reject')
+    .post(requirePermission('users:approve'), rejectUser)
+    .delete(requirePermission('users:approve'), rejectUser);
 
-// GET /api/admin/users - Get a list of all users (for admin dashboard)
-router.get('/users', getAllUsers);
+// GET /api/admin/users - Search/filter/sort users, cursor paginated (for admin dashboard)
+router.get('/users', requirePermission('users:read'), getAllUsers);
 
-// Optional: Add routes for deleting verified users, banning, making admin, etc.
+// POST /api/admin/users/bulk - Approve, reject or suspend several users at once (per-user result report)
+// The permission depends on the action, so it is checked in the controller.
+router.post('/users/bulk', bulkUserAction);
+
+// POST /api/admin/users/:userId/unlock - Lift a login lockout (optional JSON body { ip } to also reset an IP)
+router.post('/users/:userId/unlock', requirePermission('users:unlock'), unlockUser);
+
+
+
+// --- Suspensions & Bans ---
+
+// POST /api/admin/users/:userId/suspend - Timed suspension, JSON body { reason, durationHours | until }
+router.post('/users/:userId/suspend', requirePermission('users:suspend'), suspendUser);
+
+// POST /api/admin/users/:userId/ban - Permanent ban, JSON body { reason }
+router.post('/users/:userId/ban', requirePermission('users:ban'), banUser);
+
+// POST /api/admin/users/:userId/reinstate - Lift a suspension or ban
+router.post('/users/:userId/reinstate', requirePermission('users:suspend'), reinstateUser);
+
+
+// --- Roles & Permissions ---
+
+// GET /api/admin/roles - The role/permission matrix
+router.get('/roles', getRoles);
+
+// GET  /api/admin/users/:userId/roles - Current roles and change history
+// POST /api/admin/users/:userId/roles - Grant a role, JSON body { role, reason? }
+router.route('/users/:userId/roles')
+    .get(requirePermission('roles:manage'), getRoleHistory)
+    .post(requirePermission('roles:manage'), grantRole);
+
+// DELETE /api/admin/users/:userId/roles/:role - Revoke a role
+router.delete('/users/:userId/roles/:role', requirePermission('roles:manage'), revokeRole);
+
+
+// --- Audit Log ---
+
+// GET /api/admin/audit - Browse the audit log (filters: actor, action, targetType, targetId, from, to, page, limit)
+router.get('/audit', requirePermission('audit:read'), getAuditLogs);
+
+// GET /api/admin/audit/export - Same filters, streamed as CSV
+router.get('/audit/export', requirePermission('audit:read'), exportAuditLogs);
+
+// Optional: Add routes for deleting verified users, etc.
 // Example: router.delete('/users/:userId', deleteUser);
-// Example: router.post('/users/:userId/ban', banUser);
 
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
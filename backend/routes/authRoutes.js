@@ -1,7 +1,29 @@
 // routes/authRoutes.js
 const express = require('express');
-const { signup, login, checkStatus } = require('../controllers/authController');
-const { uploadProfilePic } = require('../middleware/uploadMiddleware'); // For handling profile pic on signup
+const {
+    signup,
+    login,
+    checkStatus,
+    refreshToken,
+    logout,
+    getSessions,
+    deleteSession,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
+    loginTwoFactor,
+    uploadVerificationDocuments,
+    appealRejection
+} = require('../controllers/authController');
+const {
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const { protect } = require('../middleware/authMiddleware'); // For session management routes
+const { uploadProfilePic, uploadVerificationDocuments: uploadDocuments } = require('../middleware/uploadMiddleware'); // For handling profile pic on signup
 
 const router = express.Router();
 
@@ -15,12 +37,68 @@ router.post('/signup', uploadProfilePic, signup);
 // Expects JSON body { username, password }
 router.post('/login', login);
 
+// POST /api/auth/login/2fa
+// Second step when login answered { twoFactorRequired: true }. Expects JSON body { challengeToken, code | recoveryCode }
+router.post('/login/2fa', loginTwoFactor);
+
 // GET /api/auth/status/:username
-// Checks if a user account (identified by username) is verified
+// Checks if a user account (identified by username) is verified, pending or rejected (with the reason)
 router.get('/status/:username', checkStatus);
 
+// POST /api/auth/verification-documents
+// Multipart/form-data with username, password and 'documents' files. Private evidence for a pending registration
+router.post('/verification-documents', uploadDocuments, uploadVerificationDocuments);
+
+// POST /api/auth/appeal
+// Expects JSON body { username, password, message, ...corrected details }. One appeal per rejected registration
+router.post('/appeal', appealRejection);
+
+// POST /api/auth/refresh
+// Expects JSON body { refreshToken }. Returns a new access token and a rotated refresh token
+router.post('/refresh', refreshToken);
+
+// POST /api/auth/forgot-password
+// Expects JSON body { email }. Emails a single-use reset link (same response whether or not the email exists)
+router.post('/forgot-password', forgotPassword);
+
+// POST /api/auth/reset-password
+// Expects JSON body { token, password }
+router.post('/reset-password', resetPassword);
+
+// POST /api/auth/verify-email
+// Expects JSON body { token }. Confirms the signup email or a pending email change
+router.post('/verify-email', verifyEmail);
+
+// POST /api/auth/verify-email/resend
+// Expects JSON body { email }. Sends a fresh confirmation link
+router.post('/verify-email/resend', resendVerificationEmail);
+
+
+// --- Protected Routes (Session Management) ---
+
+// POST /api/auth/logout - Revoke the session used for this request
+router.post('/logout', protect, logout);
+
+// GET /api/auth/sessions - List the current user's logged-in devices
+router.get('/sessions', protect, getSessions);
+
+// DELETE /api/auth/sessions/:sessionId - Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', protect, deleteSession);
+
+
+// --- Protected Routes (Two-Factor Authentication) ---
+
+// POST /api/auth/2fa/setup - Generate a TOTP secret + otpauth URI
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+// POST /api/auth/2fa/enable - Confirm with a code, returns recovery codes
+router.post('/2fa/enable', protect, enableTwoFactor);
+
+// POST /api/auth/2fa/disable - Requires password + code
+router.post('/2fa/disable', protect, disableTwoFactor);
 
-// Optional: Add routes for password reset requests, email verification etc. later
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
 
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,9 @@
 // backend/routes/businessRoutes.js
 const express = require('express');
 const {
-    createBusiness, getBusinesses, getBusinessById, updateBusiness, deleteBusiness
+    createBusiness, getBusinesses, getBusinessById, updateBusiness, deleteBusiness, setBusinessVerification
 } = require('../controllers/businessController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 const { uploadBusinessImage } = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
@@ -17,4 +17,8 @@ router.route('/:businessId')
     .put(protect, uploadBusinessImage, updateBusiness) // Updating needs login & handles upload
     .delete(protect, deleteBusiness); // Deleting needs login (auth check in controller)
 
+router.route('/:businessId/verify')
+    .post(protect, requirePermission('businesses:verify'), setBusinessVerification) // Verify listing
+    .delete(protect, requirePermission('businesses:verify'), setBusinessVerification); // Remove verification
+
 module.exports = router;
\ No newline at end of file
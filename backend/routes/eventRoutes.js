@@ -1,9 +1,9 @@
 // backend/routes/eventRoutes.js
 const express = require('express');
 const {
-    createEvent, getEvents, getEventById, updateEvent, deleteEvent, attendEvent, unattendEvent
+    createEvent, getEvents, getEventById, updateEvent, deleteEvent, attendEvent, unattendEvent, createEventChatGroup
 } = require('../controllers/eventController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
 const { uploadEventImage } = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
@@ -15,7 +15,7 @@ router.route('/')
     .get(getEvents); // Listing can be public or add protect middleware
 
 router.route('/:eventId')
-    .get(getEventById) // Getting details can be public or add protect
+    .get(optionalAuth, getEventById) // Public; logged-in members don't see attendees they blocked (or who blocked them)
     .put(protect, uploadEventImage, updateEvent) // Updating needs login & handles upload
     .delete(protect, deleteEvent); // Deleting requires login (auth check in controller)
 
@@ -23,4 +23,6 @@ router.route('/:eventId/attend')
     .post(protect, attendEvent) // Attending requires login
     .delete(protect, unattendEvent); // Unattending requires login
 
+router.post('/:eventId/chat-group', protect, createEventChatGroup); // Organizer opens the attendees' group chat
+
 module.exports = router;
\ No newline at end of file
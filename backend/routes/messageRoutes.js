@@ -0,0 +1,71 @@
+// backend/routes/messageRoutes.js
+const express = require('express');
+const {
+    sendMessage,
+    getConversations,
+    getUnreadMessageCount,
+    getConversationMessages,
+    markConversationRead,
+    muteConversation
+} = require('../controllers/messageController');
+const {
+    createGroup,
+    updateGroup,
+    addMembers,
+    removeMember,
+    setMemberRole,
+    createJoinLink,
+    disableJoinLink,
+    joinGroup
+} = require('../controllers/groupChatController');
+const { protect } = require('../middleware/authMiddleware');
+const { uploadMessageImage } = require('../middleware/uploadMiddleware');
+
+const router = express.Router();
+
+router.use(protect); // All routes require login
+
+// POST /api/messages - Send a message { recipientId | conversationId, text?, image? (multipart file) }
+router.post('/', uploadMessageImage, sendMessage);
+
+// GET /api/messages/conversations - Conversation list with last message and unread counts (?before cursor)
+router.get('/conversations', getConversations);
+
+// GET /api/messages/unread-count - Total unread messages
+router.get('/unread-count', getUnreadMessageCount);
+
+// GET /api/messages/conversations/:conversationId - Message history (?before=<messageId>&limit)
+router.get('/conversations/:conversationId', getConversationMessages);
+
+// POST /api/messages/conversations/:conversationId/read - Mark as read (read receipt)
+router.post('/conversations/:conversationId/read', markConversationRead);
+
+// PUT /api/messages/conversations/:conversationId/mute - Mute { hours | until | forever } or unmute { mute: false }
+router.put('/conversations/:conversationId/mute', muteConversation);
+
+// --- Group conversations ---
+// POST /api/messages/groups - Create a group { title, description?, memberIds }
+router.post('/groups', createGroup);
+
+// POST /api/messages/groups/join/:joinCode - Join a group through its invite link
+router.post('/groups/join/:joinCode', joinGroup);
+
+// PUT /api/messages/groups/:conversationId - Rename / change description (admins)
+router.put('/groups/:conversationId', updateGroup);
+
+// POST /api/messages/groups/:conversationId/members - Add members { userIds } (admins)
+router.post('/groups/:conversationId/members', addMembers);
+
+// DELETE /api/messages/groups/:conversationId/members/:userId - Remove a member (admins) or leave (own ID)
+router.delete('/groups/:conversationId/members/:userId', removeMember);
+
+// PUT /api/messages/groups/:conversationId/members/:userId/role - Promote/demote { role } (admins)
+router.put('/groups/:conversationId/members/:userId/role', setMemberRole);
+
+// POST /api/messages/groups/:conversationId/join-link - Create or rotate the invite link (admins)
+router.post('/groups/:conversationId/join-link', createJoinLink);
+
+// DELETE /api/messages/groups/:conversationId/join-link - Disable the invite link (admins)
+router.delete('/groups/:conversationId/join-link', disableJoinLink);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// backend/routes/notificationRoutes.js
+const express = require('express');
+const {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(protect); // All routes require login
+
+// GET /api/notifications - Paginated list (?page, ?limit, ?unreadOnly=true) with the unread count
+router.get('/', getNotifications);
+
+// GET /api/notifications/unread-count - Badge count only
+router.get('/unread-count', getUnreadCount);
+
+// PUT /api/notifications/read-all - Mark everything as read
+router.put('/read-all', markAllNotificationsRead);
+
+// GET /api/notifications/preferences - Which notification types are on
+// PUT /api/notifications/preferences - JSON body { <type>: true|false }
+router.route('/preferences')
+    .get(getNotificationPreferences)
+    .put(updateNotificationPreferences);
+
+// PUT /api/notifications/:notificationId/read - Mark one notification as read
+router.put('/:notificationId/read', markNotificationRead);
+
+module.exports = router;
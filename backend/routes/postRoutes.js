@@ -6,18 +6,38 @@ const {
     getPostById,
     likePost,
     unlikePost,
-    addComment,
-    deletePost
-    // Import editPost controller if added
+    deletePost,
+    updatePostVisibility,
+    editPost,
+    getPostRevisions,
+    reactToPost,
+    removePostReaction,
+    getPostReactions
 } = require('../controllers/postController');
+const {
+    getComments,
+    getReplies,
+    addComment,
+    editComment,
+    deleteComment,
+    likeComment,
+    unlikeComment
+} = require('../controllers/commentController');
+const {
+    votePoll,
+    retractPollVote,
+    closePostPoll,
+    getPollVoters
+} = require('../controllers/pollController');
+const { repostPost, undoRepost, quotePost } = require('../controllers/shareController');
 const { protect } = require('../middleware/authMiddleware'); // Protect most post routes
-const { uploadPostMedia } = require('../middleware/uploadMiddleware'); // Handle optional image/video uploads
+const { uploadPostMedia } = require('../middleware/uploadMiddleware'); // Handle optional image/video/audio uploads
 
 const router = express.Router();
 
 // --- Protected Routes (Generally require login) ---
 
-// POST /api/posts - Create a new post (handles optional media upload)
+// POST /api/posts - Create a new post (handles optional media uploads: up to maxMediaItems 'media' files)
 router.post('/', protect, uploadPostMedia, createPost);
 
 // GET /api/posts/feed - Get the news feed for the logged-in user
@@ -33,24 +53,76 @@ router.get('/:postId', protect, getPostById);
 // DELETE /api/posts/:postId - Delete a post (authorization check in controller)
 router.delete('/:postId', protect, deletePost);
 
-// PUT /api/posts/:postId - Edit a post (if implemented)
-// router.put('/:postId', protect, /* Add optional media upload */, editPost);
+// PUT /api/posts/:postId/visibility - Change who can see a post { visibility } (owner only)
+router.put('/:postId/visibility', protect, updatePostVisibility);
+
+// PUT /api/posts/:postId - Edit a post: text, add/remove/reorder media (mediaLayout) or removeMedia=true (owner only)
+router.put('/:postId', protect, uploadPostMedia, editPost);
+
+// GET /api/posts/:postId/revisions - Edit history (owner or 'posts:revisions')
+router.get('/:postId/revisions', protect, getPostRevisions);
+
 
+// --- Routes for Reactions ---
+// GET    /api/posts/:postId/reactions - Who reacted (?type=pray&before=<reactionId>&limit)
+// PUT    /api/posts/:postId/reactions - React or change your reaction { type: like | love | celebrate | pray | sad }
+// DELETE /api/posts/:postId/reactions - Remove your reaction
+router.route('/:postId/reactions')
+    .get(protect, getPostReactions)
+    .put(protect, reactToPost)
+    .delete(protect, removePostReaction);
 
-// --- Routes for Liking ---
+// Older clients: like = the 'like' reaction, unlike = remove your reaction
 // POST   /api/posts/:postId/like - Like a specific post
 // DELETE /api/posts/:postId/like - Unlike a specific post
 router.route('/:postId/like')
     .post(protect, likePost)
     .delete(protect, unlikePost);
 
-// --- Route for Commenting ---
-// POST /api/posts/:postId/comments - Add a comment to a specific post
-router.post('/:postId/comments', protect, addComment);
+// --- Routes for Sharing (only public posts of public accounts) ---
+// POST   /api/posts/:postId/repost - Repost to your followers { visibility? } (once per post)
+// DELETE /api/posts/:postId/repost - Undo your repost (postId: the original or a repost of it)
+router.route('/:postId/repost')
+    .post(protect, repostPost)
+    .delete(protect, undoRepost);
+
+// POST /api/posts/:postId/quote - Quote-post: share with your own text { content, visibility? }
+router.post('/:postId/quote', protect, quotePost);
+
+// --- Routes for Polls ---
+// PUT    /api/posts/:postId/poll/vote - Vote or change your vote { optionIds } (while the poll is open)
+// DELETE /api/posts/:postId/poll/vote - Take back your vote (while the poll is open)
+router.route('/:postId/poll/vote')
+    .put(protect, votePoll)
+    .delete(protect, retractPollVote);
+
+// POST /api/posts/:postId/poll/close - Close the poll early (post author)
+router.post('/:postId/poll/close', protect, closePostPoll);
+
+// GET /api/posts/:postId/poll/voters - Who voted, named polls only (?optionId&before=<voteId>&limit)
+router.get('/:postId/poll/voters', protect, getPollVoters);
+
+// --- Routes for Commenting ---
+// GET  /api/posts/:postId/comments - Top-level comments, newest first (?before=<commentId>&limit)
+// POST /api/posts/:postId/comments - Add a comment, or a reply with { text, parentId }
+router.route('/:postId/comments')
+    .get(protect, getComments)
+    .post(protect, addComment);
+
+// PUT    /api/posts/:postId/comments/:commentId - Edit (comment author)
+// DELETE /api/posts/:postId/comments/:commentId - Delete with its replies (author, post owner or moderator)
+router.route('/:postId/comments/:commentId')
+    .put(protect, editComment)
+    .delete(protect, deleteComment);
+
+// GET /api/posts/:postId/comments/:commentId/replies - Replies to a comment (?before=<commentId>&limit)
+router.get('/:postId/comments/:commentId/replies', protect, getReplies);
 
-// Optional: Add routes for deleting/editing comments if needed
-// DELETE /api/posts/:postId/comments/:commentId
-// PUT    /api/posts/:postId/comments/:commentId
+// POST   /api/posts/:postId/comments/:commentId/like - Like a comment
+// DELETE /api/posts/:postId/comments/:commentId/like - Unlike a comment
+router.route('/:postId/comments/:commentId/like')
+    .post(protect, likeComment)
+    .delete(protect, unlikeComment);
 
 
 module.exports = router;
\ No newline at end of file
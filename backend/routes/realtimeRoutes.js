@@ -0,0 +1,21 @@
+// backend/routes/realtimeRoutes.js
+// The WebSocket endpoint is attached to the HTTP server directly (see server.js); this router only
+// serves the Server-Sent Events fallback.
+const express = require('express');
+const { streamEvents } = require('../controllers/realtimeController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// EventSource can't send headers, so accept the access token as ?access_token= on this route only
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// GET /api/realtime/events - SSE stream (?posts=<id,id> to also watch posts, Last-Event-ID header for replay)
+router.get('/events', tokenFromQuery, protect, streamEvents);
+
+module.exports = router;
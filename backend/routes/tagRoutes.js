@@ -0,0 +1,16 @@
+// backend/routes/tagRoutes.js
+const express = require('express');
+const { getTagPosts, getTrendingTags } = require('../controllers/tagController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(protect); // All routes require login
+
+// GET /api/tags/trending - Most used hashtags (?hours&limit)
+router.get('/trending', getTrendingTags);
+
+// GET /api/tags/:tag/posts - Posts with a hashtag (?before=<postId>&limit)
+router.get('/:tag/posts', getTagPosts);
+
+module.exports = router;
@@ -3,11 +3,25 @@ const express = require('express');
 const {
     getMyProfile,
     updateMyProfile,
+    changePassword,
+    getLoginHistory,
     getUserProfile,
     followUser,
     unfollowUser,
-    getUserSuggestions
+    getUserSuggestions,
+    blockUser,
+    unblockUser,
+    muteUser,
+    unmuteUser,
+    getMyBlocks,
+    getFollowRequests,
+    approveFollowRequest,
+    declineFollowRequest,
+    getCloseFriends,
+    addCloseFriend,
+    removeCloseFriend
 } = require('../controllers/userController');
+const { getApplicant, vouchForApplicant, withdrawVouch } = require('../controllers/vouchController');
 const { protect } = require('../middleware/authMiddleware'); // Middleware to ensure user is logged in
 const { uploadProfilePic } = require('../middleware/uploadMiddleware'); // For handling profile pic update
 
@@ -21,16 +35,64 @@ router.route('/me')
     .get(protect, getMyProfile)
     .put(protect, uploadProfilePic, updateMyProfile);
 
+// PUT /api/users/me/password - Change password (requires the current password, logs out other devices)
+router.put('/me/password', protect, changePassword);
+
+// GET /api/users/me/login-history - Recent login attempts on the current user's account
+router.get('/me/login-history', protect, getLoginHistory);
+
+// GET /api/users/me/blocks - Members the current user has blocked or muted
+router.get('/me/blocks', protect, getMyBlocks);
+
+// --- Follow requests to a private account ---
+// GET    /api/users/me/follow-requests         - Pending requests
+// POST   /api/users/me/follow-requests/:userId - Approve
+// DELETE /api/users/me/follow-requests/:userId - Decline
+router.get('/me/follow-requests', protect, getFollowRequests);
+router.route('/me/follow-requests/:userId')
+    .post(protect, approveFollowRequest)
+    .delete(protect, declineFollowRequest);
+
+// --- Close friends (audience of 'close_friends' posts) ---
+// GET    /api/users/me/close-friends         - The list
+// POST   /api/users/me/close-friends/:userId - Add a member
+// DELETE /api/users/me/close-friends/:userId - Remove a member
+router.get('/me/close-friends', protect, getCloseFriends);
+router.route('/me/close-friends/:userId')
+    .post(protect, addCloseFriend)
+    .delete(protect, removeCloseFriend);
+
 // GET /api/users/suggestions - Get suggested users to follow
 router.get('/suggestions', protect, getUserSuggestions);
 
+// --- Community vouching for pending registrations ---
+// GET    /api/users/applicants/:username       - Look up a pending applicant
+// POST   /api/users/applicants/:username/vouch - Vouch for them, JSON body { relation, note? }
+// DELETE /api/users/applicants/:username/vouch - Withdraw your vouch
+router.get('/applicants/:username', protect, getApplicant);
+router.route('/applicants/:username/vouch')
+    .post(protect, vouchForApplicant)
+    .delete(protect, withdrawVouch);
+
 // --- Routes for following/unfollowing ---
-// POST   /api/users/:userId/follow - Follow a user identified by userId
+// POST   /api/users/:userId/follow - Follow a user identified by userId (a request if their account is private)
 // DELETE /api/users/:userId/follow - Unfollow a user identified by userId
 router.route('/:userId/follow')
     .post(protect, followUser)
     .delete(protect, unfollowUser);
 
+// --- Block / mute ---
+// POST   /api/users/:userId/block - Block (both of you become invisible to each other, follows are removed)
+// DELETE /api/users/:userId/block - Unblock
+// POST   /api/users/:userId/mute  - Mute (hide their posts and stories from your feeds only)
+// DELETE /api/users/:userId/mute  - Unmute
+router.route('/:userId/block')
+    .post(protect, blockUser)
+    .delete(protect, unblockUser);
+router.route('/:userId/mute')
+    .post(protect, muteUser)
+    .delete(protect, unmuteUser);
+
 
 // GET /api/users/:username - Get a specific user's profile by their username
 // IMPORTANT: This route uses :username parameter. Keep it AFTER specific routes like '/me' or '/suggestions'
@@ -0,0 +1,36 @@
+// backend/scripts/migrateAdminRoles.js
+// One-off migration: converts the old `isAdmin: true` flag into the 'super-admin' role
+// and removes the isAdmin field from every user document.
+// Usage: npm run migrate:roles
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const migrate = async () => {
+    await connectDB();
+
+    // Use the raw collection: `isAdmin` is no longer a schema path (only a virtual)
+    const promoted = await User.collection.updateMany(
+        { isAdmin: true },
+        { $addToSet: { roles: 'super-admin' }, $push: { roleHistory: { role: 'super-admin', action: 'grant', reason: 'Migrated from isAdmin flag', changedAt: new Date() } } }
+    );
+    const cleaned = await User.collection.updateMany(
+        { isAdmin: { $exists: true } },
+        { $unset: { isAdmin: '' } }
+    );
+    const withoutRoles = await User.collection.updateMany(
+        { roles: { $exists: false } },
+        { $set: { roles: [] } }
+    );
+
+    console.log(`Promoted ${promoted.modifiedCount} admin(s) to super-admin.`);
+    console.log(`Removed isAdmin from ${cleaned.modifiedCount} user(s), initialised roles on ${withoutRoles.modifiedCount} user(s).`);
+};
+
+migrate()
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('Role migration failed:', error);
+        process.exit(1);
+    });
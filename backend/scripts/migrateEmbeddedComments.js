@@ -0,0 +1,58 @@
+// backend/scripts/migrateEmbeddedComments.js
+// One-off migration: moves comments embedded in Post.comments into the Comment collection,
+// stores each post's commentCount and removes the embedded array. Safe to re-run: posts that
+// no longer have a `comments` array are skipped.
+// Usage: npm run migrate:comments
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+const migrate = async () => {
+    await connectDB();
+
+    let migratedPosts = 0;
+    let migratedComments = 0;
+
+    // Use the raw collection: `comments` is no longer a schema path
+    const cursor = Post.collection.find({ comments: { $exists: true } }, { projection: { comments: 1 } });
+    for await (const post of cursor) {
+        const comments = (post.comments || []).filter(comment => comment.user && comment.text);
+        if (comments.length > 0) {
+            // Keep the original IDs and timestamps so existing links and ordering survive
+            await Comment.collection.insertMany(comments.map(comment => ({
+                _id: comment._id || new mongoose.Types.ObjectId(),
+                post: post._id,
+                user: comment.user,
+                parent: null,
+                text: comment.text,
+                likes: [],
+                replyCount: 0,
+                createdAt: comment.createdAt || post._id.getTimestamp(),
+                updatedAt: comment.updatedAt || comment.createdAt || post._id.getTimestamp()
+            })), { ordered: false }).catch((error) => {
+                if (error.code !== 11000) throw error; // Already copied by an interrupted earlier run
+            });
+        }
+
+        await Post.collection.updateOne(
+            { _id: post._id },
+            { $set: { commentCount: await Comment.countDocuments({ post: post._id }) }, $unset: { comments: '' } }
+        );
+        migratedPosts += 1;
+        migratedComments += comments.length;
+    }
+
+    const initialised = await Post.collection.updateMany({ commentCount: { $exists: false } }, { $set: { commentCount: 0 } });
+
+    console.log(`Moved ${migratedComments} comment(s) from ${migratedPosts} post(s) into the Comment collection.`);
+    console.log(`Initialised commentCount on ${initialised.modifiedCount} post(s) without comments.`);
+};
+
+migrate()
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('Comment migration failed:', error);
+        process.exit(1);
+    });
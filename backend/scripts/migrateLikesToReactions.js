@@ -0,0 +1,57 @@
+// backend/scripts/migrateLikesToReactions.js
+// One-off migration: turns every entry of the old Post.likes array into a 'like' reaction,
+// stores the per-type reactionCounts and removes the likes array. Safe to re-run: posts that
+// no longer have a `likes` array are skipped.
+// Usage: npm run migrate:reactions
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Post = require('../models/Post');
+const Reaction = require('../models/Reaction');
+const { reactionTypes } = require('../config/posts');
+
+const migrate = async () => {
+    await connectDB();
+    await Reaction.init(); // The unique {post, user} index must exist before inserting
+
+    let migratedPosts = 0;
+    let migratedLikes = 0;
+
+    // Use the raw collection: `likes` is no longer a schema path
+    const cursor = Post.collection.find({ likes: { $exists: true } }, { projection: { likes: 1, createdAt: 1 } });
+    for await (const post of cursor) {
+        const likerIds = [...new Set((post.likes || []).map(id => id.toString()))];
+        if (likerIds.length > 0) {
+            const createdAt = post.createdAt || post._id.getTimestamp(); // When each like happened wasn't recorded
+            await Reaction.collection.insertMany(likerIds.map(userId => ({
+                post: post._id,
+                user: new mongoose.Types.ObjectId(userId),
+                type: 'like',
+                createdAt,
+                updatedAt: createdAt
+            })), { ordered: false }).catch((error) => {
+                if (error.code !== 11000) throw error; // Already copied by an interrupted earlier run
+            });
+        }
+
+        // Recount from the Reaction collection so re-runs can't double count
+        const counts = await Reaction.aggregate([
+            { $match: { post: post._id } },
+            { $group: { _id: '$type', count: { $sum: 1 } } }
+        ]);
+        const reactionCounts = Object.fromEntries(reactionTypes.map(type => [type, counts.find(entry => entry._id === type)?.count || 0]));
+
+        await Post.collection.updateOne({ _id: post._id }, { $set: { reactionCounts }, $unset: { likes: '' } });
+        migratedPosts += 1;
+        migratedLikes += likerIds.length;
+    }
+
+    console.log(`Converted ${migratedLikes} like(s) on ${migratedPosts} post(s) into reactions.`);
+};
+
+migrate()
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('Reaction migration failed:', error);
+        process.exit(1);
+    });
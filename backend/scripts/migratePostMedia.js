@@ -0,0 +1,63 @@
+// backend/scripts/migratePostMedia.js
+// One-off migration: moves the old single Post.image / video / audio fields (and mediaPublicId) into the
+// Post.media array, and does the same for the image/video of saved revisions. Safe to re-run: posts
+// without the old fields are skipped, and media already in the array is kept in front.
+// Usage: npm run migrate:media
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Post = require('../models/Post');
+const { getPublicIdFromUrl } = require('../controllers/cloudinaryHelper');
+
+const LEGACY_FIELDS = ['image', 'video', 'audio'];
+
+// Old fields of a post/revision as media items (image first, as the app showed them)
+const toMediaItems = (doc, storedPublicId) => {
+    const fields = LEGACY_FIELDS.filter(field => doc[field]);
+    return fields.map(field => {
+        const item = { _id: new mongoose.Types.ObjectId(), type: field, url: doc[field] };
+        // Only one file was ever uploaded per post, so a stored public_id belongs to it
+        const publicId = (fields.length === 1 && storedPublicId) || getPublicIdFromUrl(doc[field]);
+        if (publicId) item.publicId = publicId;
+        return item;
+    });
+};
+
+const migrate = async () => {
+    await connectDB();
+
+    let migratedPosts = 0;
+    let migratedItems = 0;
+
+    // Use the raw collection: the old fields are no longer schema paths
+    const cursor = Post.collection.find(
+        { $or: [...LEGACY_FIELDS, 'mediaPublicId', 'revisions.image', 'revisions.video'].map(field => ({ [field]: { $exists: true } })) },
+        { projection: { image: 1, video: 1, audio: 1, mediaPublicId: 1, media: 1, revisions: 1 } }
+    );
+    for await (const post of cursor) {
+        const items = toMediaItems(post, post.mediaPublicId);
+        const update = {
+            $set: { media: [...(post.media || []), ...items] },
+            $unset: { image: '', video: '', audio: '', mediaPublicId: '' }
+        };
+        if (post.revisions?.length) {
+            update.$set.revisions = post.revisions.map(({ image, video, ...revision }) => ({
+                ...revision,
+                media: revision.media || toMediaItems({ image, video })
+            }));
+        }
+
+        await Post.collection.updateOne({ _id: post._id }, update);
+        migratedPosts += 1;
+        migratedItems += items.length;
+    }
+
+    console.log(`Moved ${migratedItems} media file(s) of ${migratedPosts} post(s) into media arrays.`);
+};
+
+migrate()
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('Post media migration failed:', error);
+        process.exit(1);
+    });
@@ -11,6 +11,8 @@ const xss = require('xss-clean');
 const hpp = require('hpp');
 const cookieParser = require('cookie-parser');
 const connectDB = require('./config/db');
+const { purgeRejectedRegistrations } = require('./controllers/membershipHelper');
+const membershipConfig = require('./config/membership');
 
 // Load Environment Variables
 dotenv.config();
@@ -26,6 +28,11 @@ const adminRoutes = require('./routes/adminRoutes');
 const storyRoutes = require('./routes/storyRoutes');
 const eventRoutes = require('./routes/eventRoutes');
 const businessRoutes = require('./routes/businessRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const realtimeRoutes = require('./routes/realtimeRoutes');
+const messageRoutes = require('./routes/messageRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const { attachWebSocketGateway, closeWebSocketGateway } = require('./controllers/realtimeController');
 
 const app = express();
 
@@ -50,7 +57,10 @@ const limiter = rateLimit({
     max: 100, // limit each IP to 100 requests per windowMs
     message: 'Too many requests from this IP, please try again after 15 minutes',
     standardHeaders: true,
-    legacyHeaders: false
+    legacyHeaders: false,
+    // The password step of login has its own per-username/per-IP failure tracking (see loginThrottleHelper),
+    // so many members sharing one NAT address aren't blocked from signing in. The 2FA step stays limited.
+    skip: (req) => req.path === '/v1/auth/login'
 });
 app.use('/api/', limiter);
 
@@ -143,6 +153,10 @@ apiRouter.use('/stories', storyRoutes);
 apiRouter.use('/events', eventRoutes);
 apiRouter.use('/businesses', businessRoutes);
 apiRouter.use('/admin', adminRoutes);
+apiRouter.use('/notifications', notificationRoutes);
+apiRouter.use('/realtime', realtimeRoutes);
+apiRouter.use('/messages', messageRoutes);
+apiRouter.use('/tags', tagRoutes);
 
 app.use('/api/v1', apiRouter);
 
@@ -252,6 +266,7 @@ ${process.env.NODE_ENV === 'development' ? `Stack: ${err.stack}` : ''}
 // Server Initialization
 const PORT = process.env.PORT || 5000;
 let server;
+let purgeTimer;
 
 const startServer = async () => {
     try {
@@ -270,6 +285,12 @@ API Health Check: http://localhost:${PORT}/health
         server.keepAliveTimeout = 65000;
         server.headersTimeout = 66000;
 
+        // Realtime push channel (WebSocket upgrades on the same HTTP server)
+        attachWebSocketGateway(server);
+
+        // Background job: delete rejected registrations once their retention period is over
+        purgeTimer = setInterval(purgeRejectedRegistrations, membershipConfig.purgeIntervalHours * 60 * 60 * 1000);
+
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
@@ -289,6 +310,9 @@ const gracefulShutdown = async (signal) => {
     }, 30000);
     
     try {
+        clearInterval(purgeTimer);
+        closeWebSocketGateway();
+
         // Close server
         if (server) {
             await new Promise((resolve) => server.close(resolve));
@@ -0,0 +1,131 @@
+// backend/tests/adminUsers.test.js
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { getAllUsers, bulkUserAction } = require('../controllers/adminController');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const moderator = makeUser({ roles: ['moderator'] });
+const app = buildApp(app => {
+    app.get('/users', getAllUsers);
+    app.post('/users/bulk', bulkUserAction);
+}, { user: moderator });
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Serves `users` from User.find and returns the spy (the filter is in find.mock.calls[0][0])
+const serveUsers = (users, total = users.length) => {
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(total);
+    return jest.spyOn(User, 'find').mockClear().mockReturnValue(mockQuery(users));
+};
+
+describe('GET /admin/users', () => {
+    it('searches with the query escaped, and combines the filters', async () => {
+        const find = serveUsers([]);
+
+        const res = await request(app).get('/users').query({ q: 'a.b+', status: 'suspended', role: 'moderator' });
+
+        expect(res.status).toBe(200);
+        const [search, status, role] = find.mock.calls[0][0].$and;
+        expect(search.$or[0].fullname).toEqual(/a\.b\+/i);
+        expect(status).toEqual({ accountStatus: 'suspended' });
+        expect(role).toEqual({ roles: 'moderator' });
+    });
+
+    it('ignores a search that is not text', async () => {
+        const find = serveUsers([]);
+        expect((await request(app).get('/users?q[$ne]=x')).status).toBe(200);
+        expect(find.mock.calls[0][0]).toEqual({});
+    });
+
+    it('answers 400 for an unknown status, role or date', async () => {
+        expect((await request(app).get('/users').query({ status: 'deleted' })).status).toBe(400);
+        expect((await request(app).get('/users').query({ role: 'admin' })).status).toBe(400);
+        expect((await request(app).get('/users').query({ joinedFrom: 'last week' })).status).toBe(400);
+    });
+
+    it('hands out a cursor that continues strictly after the last user of the page', async () => {
+        const users = [makeUser({ createdAt: new Date('2024-03-02') }), makeUser({ createdAt: new Date('2024-03-01') }), makeUser()];
+        serveUsers(users, 10);
+
+        const first = await request(app).get('/users').query({ limit: 2 });
+
+        expect(first.body.count).toBe(2);
+        expect(first.body.pagination).toMatchObject({ totalUsers: 10, hasMore: true });
+
+        const find = serveUsers([], 10);
+        await request(app).get('/users').query({ limit: 2, cursor: first.body.pagination.nextCursor });
+
+        const after = find.mock.calls[0][0].$and[0].$or;
+        expect(after).toEqual([
+            { createdAt: new Date('2024-03-01'), _id: { $lt: users[1]._id } },
+            { createdAt: { $lt: new Date('2024-03-01') } },
+            { createdAt: null }
+        ]);
+    });
+
+    it('pages through users without a sort value', async () => {
+        const id = objectId();
+        const desc = serveUsers([]);
+        await request(app).get('/users').query({ sortBy: 'verificationRequestedAt', cursor: encode({ v: null, id }) });
+        expect(desc.mock.calls[0][0].$and[0].$or).toEqual([{ verificationRequestedAt: null, _id: { $lt: id } }]);
+
+        const asc = serveUsers([]);
+        await request(app).get('/users').query({ sortBy: 'verificationRequestedAt', order: 'asc', cursor: encode({ v: null, id }) });
+        expect(asc.mock.calls[0][0].$and[0].$or).toEqual([
+            { verificationRequestedAt: null, _id: { $gt: id } },
+            { verificationRequestedAt: { $ne: null } }
+        ]);
+    });
+
+    it.each([
+        ['not base64 JSON', 'garbage!'],
+        ['an operator as the value', encode({ v: { $ne: null }, id: objectId() })],
+        ['an operator as the ID', encode({ v: 'x', id: { $gt: '' } })],
+        ['an invalid ID', encode({ v: 'x', id: 'nope' })],
+        ['an invalid date', encode({ v: 'not a date', id: objectId() })]
+    ])('answers 400 for a cursor with %s', async (label, cursor) => {
+        const find = serveUsers([]);
+        const res = await request(app).get('/users').query({ cursor });
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Invalid cursor.');
+        expect(find).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /admin/users/bulk', () => {
+    beforeEach(() => {
+        jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+        jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    });
+
+    it('reports the outcome per user', async () => {
+        const member = makeUser();
+        const staff = makeUser({ roles: ['event-manager'] });
+        jest.spyOn(member, 'save').mockResolvedValue(member);
+        jest.spyOn(User, 'find').mockResolvedValue([member, staff]);
+        const missing = objectId().toString();
+
+        const res = await request(app).post('/users/bulk').send({
+            action: 'suspend', reason: 'Spam wave', durationHours: 2,
+            userIds: [member._id, member._id, staff._id, missing, 'not-an-id']
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body.summary).toEqual({ requested: 4, succeeded: 1, failed: 3 });
+        expect(res.body.results.map(result => result.statusCode || 200)).toEqual([200, 403, 404, 404]);
+        expect(member.accountStatus).toBe('suspended');
+    });
+
+    it('checks the permission of the action and the batch size', async () => {
+        const ban = await request(app).post('/users/bulk').send({ action: 'ban', userIds: [objectId()] });
+        expect(ban.status).toBe(400);
+
+        const tooMany = await request(app).post('/users/bulk').send({ action: 'approve', userIds: Array.from({ length: 101 }, objectId) });
+        expect(tooMany.status).toBe(400);
+
+        const eventManager = buildApp(app => app.post('/users/bulk', bulkUserAction), { user: makeUser({ roles: ['event-manager'] }) });
+        expect((await request(eventManager).post('/users/bulk').send({ action: 'approve', userIds: [objectId()] })).status).toBe(403);
+    });
+});
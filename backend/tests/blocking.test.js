@@ -0,0 +1,115 @@
+// backend/tests/blocking.test.js
+const request = require('supertest');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const { getHiddenUserIds, isBlockedBetween } = require('../controllers/visibilityHelper');
+const { blockUser, muteUser, followUser } = require('../controllers/userController');
+const { getEventById } = require('../controllers/eventController');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const me = makeUser();
+const app = buildApp(app => {
+    app.post('/users/:userId/block', blockUser);
+    app.post('/users/:userId/mute', muteUser);
+    app.post('/users/:userId/follow', followUser);
+    app.get('/events/:eventId', getEventById);
+}, { user: me });
+
+// Serves the hidden-user lookups: banned members, my block list, who blocked me and my mute list
+const serveRelations = ({ banned = [], blocked = [], blockedBy = [], muted = [] }) => {
+    jest.spyOn(User, 'find').mockImplementation(filter => mockQuery(filter.accountStatus === 'banned' ? banned : blockedBy));
+    jest.spyOn(User, 'findById').mockImplementation(() => mockQuery({ blockedUsers: blocked, mutedUsers: muted }));
+};
+
+describe('getHiddenUserIds', () => {
+    it('hides banned members, blocks in both directions and muted members', async () => {
+        const [banned, blocked, blockedBy, muted] = [objectId(), objectId(), objectId(), objectId()];
+        serveRelations({ banned: [banned], blocked: [blocked], blockedBy: [blockedBy], muted: [muted] });
+
+        const hidden = await getHiddenUserIds(me._id);
+        expect([...hidden].sort()).toEqual([banned, blocked, blockedBy, muted].map(String).sort());
+
+        const withoutMuted = await getHiddenUserIds(me._id, { includeMuted: false });
+        expect(withoutMuted.has(muted.toString())).toBe(false);
+    });
+});
+
+describe('isBlockedBetween', () => {
+    it('checks both directions', async () => {
+        const other = objectId();
+        const exists = jest.spyOn(User, 'exists').mockResolvedValue({ _id: other });
+
+        expect(await isBlockedBetween(me._id, other)).toBe(true);
+        expect(exists.mock.calls[0][0]).toEqual({ $or: [{ _id: me._id, blockedUsers: other }, { _id: other, blockedUsers: me._id }] });
+    });
+});
+
+describe('POST /users/:userId/block', () => {
+    it('removes follows, requests and close-friend entries in both directions and retracts follow notifications', async () => {
+        const other = makeUser();
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(other));
+        const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+        jest.spyOn(Notification, 'updateMany').mockResolvedValue({});
+        const retract = jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+        const res = await request(app).post(`/users/${other._id}/block`);
+
+        expect(res.status).toBe(200);
+        const [[myId, mine], [theirId, theirs]] = update.mock.calls;
+        expect(myId).toBe(me.id);
+        expect(mine.$addToSet).toEqual({ blockedUsers: other.id });
+        expect(Object.keys(mine.$pull)).toEqual(['following', 'followers', 'mutedUsers', 'closeFriends', 'followRequests']);
+        expect(theirId).toBe(other.id);
+        expect(Object.keys(theirs.$pull)).toEqual(['following', 'followers', 'closeFriends', 'followRequests']);
+        expect(retract.mock.calls.map(([filter]) => filter.groupKey)).toEqual([
+            `follow:User:${other.id}`, `follow:User:${me.id}`, `follow_request:User:${other.id}`, `follow_request:User:${me.id}`
+        ]);
+    });
+
+    it('answers 404 for unknown members', async () => {
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(null));
+        const update = jest.spyOn(User, 'findByIdAndUpdate');
+        expect((await request(app).post(`/users/${objectId()}/block`)).status).toBe(404);
+        expect(update).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /users/:userId/mute', () => {
+    it('only changes your own mute list', async () => {
+        const other = makeUser();
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(other));
+        const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+
+        expect((await request(app).post(`/users/${other._id}/mute`)).status).toBe(200);
+        expect(update).toHaveBeenCalledTimes(1);
+        expect(update).toHaveBeenCalledWith(me.id, { $addToSet: { mutedUsers: other.id } });
+    });
+});
+
+describe('POST /users/:userId/follow', () => {
+    it('refuses to follow across a block', async () => {
+        const other = makeUser();
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(other));
+        jest.spyOn(User, 'exists').mockResolvedValue({ _id: other._id });
+        const update = jest.spyOn(User, 'findByIdAndUpdate');
+
+        expect((await request(app).post(`/users/${other._id}/follow`)).status).toBe(403);
+        expect(update).not.toHaveBeenCalled();
+    });
+});
+
+describe('GET /events/:eventId', () => {
+    it('leaves out blocked attendees and accounts that no longer exist', async () => {
+        const visible = { _id: objectId(), username: 'ravi' };
+        const blocked = { _id: objectId(), username: 'troll' };
+        const eventData = { _id: objectId(), title: 'Holi', attendees: [visible, null, blocked] };
+        jest.spyOn(Event, 'findById').mockReturnValue(mockQuery({ toObject: () => ({ ...eventData }) }));
+        serveRelations({ blocked: [blocked._id] });
+
+        const res = await request(app).get(`/events/${eventData._id}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.event.attendees.map(attendee => attendee.username)).toEqual(['ravi']);
+    });
+});
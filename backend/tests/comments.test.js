@@ -0,0 +1,223 @@
+// backend/tests/comments.test.js
+const request = require('supertest');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const { getComments, addComment, editComment, deleteComment, likeComment } = require('../controllers/commentController');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const owner = makeUser();
+const commenter = makeUser();
+const appFor = (user) => buildApp(app => {
+    app.get('/posts/:postId/comments', getComments);
+    app.post('/posts/:postId/comments', addComment);
+    app.put('/posts/:postId/comments/:commentId', editComment);
+    app.delete('/posts/:postId/comments/:commentId', deleteComment);
+    app.post('/posts/:postId/comments/:commentId/like', likeComment);
+}, { user });
+const app = appFor(commenter);
+
+const postId = objectId();
+
+// A public post by `owner` that nobody has blocked anyone over; notifications are recorded
+beforeEach(() => {
+    jest.spyOn(Post, 'findById').mockReturnValue(mockQuery({ _id: postId, user: { _id: owner._id, isPrivate: false }, visibility: 'public' }));
+    jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(makeUser()));
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue({ _id: objectId() });
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Notification, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+});
+
+// A saved-looking comment on the post, served to Comment.findOne
+const serveComment = (fields = {}) => {
+    const comment = new Comment({ post: postId, user: commenter._id, text: 'Nice one', ...fields });
+    jest.spyOn(Comment, 'findOne').mockReturnValue(mockQuery(comment));
+    return comment;
+};
+
+// Group keys of the notifications that were created or extended
+const notifiedGroups = () => Notification.findOneAndUpdate.mock.calls.map(([filter]) => filter.groupKey);
+
+describe('GET /posts/:postId/comments', () => {
+    it('returns one page of top-level comments with like counts instead of the likes', async () => {
+        const comments = [0, 1, 2].map(() => ({ _id: objectId(), text: 'Hi', likes: [commenter._id, objectId()] }));
+        const find = jest.spyOn(Comment, 'find').mockReturnValue(mockQuery(comments));
+
+        const res = await request(app).get(`/posts/${postId}/comments?limit=2`);
+
+        expect(res.status).toBe(200);
+        expect(find.mock.calls[0][0]).toMatchObject({ post: postId, parent: null, user: { $nin: [] } });
+        expect(res.body.count).toBe(2);
+        expect(res.body.pagination).toEqual({ hasMore: true, nextCursor: comments[1]._id.toString() });
+        expect(res.body.comments[0]).toMatchObject({ likeCount: 2, likedByMe: true });
+        expect(res.body.comments[0].likes).toBeUndefined();
+    });
+
+    it('answers 400 for a malformed cursor and 404 for a post the member may not see', async () => {
+        expect((await request(app).get(`/posts/${postId}/comments?before=nope`)).status).toBe(400);
+
+        Post.findById.mockReturnValue(mockQuery({ _id: postId, user: { _id: owner._id, isPrivate: false }, visibility: 'close_friends' }));
+        expect((await request(app).get(`/posts/${postId}/comments`)).status).toBe(404);
+    });
+});
+
+describe('POST /posts/:postId/comments', () => {
+    // Comment.create hands back a document whose populate() needs no database
+    const serveCreate = () => jest.spyOn(Comment, 'create').mockImplementation(async (fields) => {
+        const comment = new Comment(fields);
+        comment.populate = jest.fn().mockResolvedValue(comment);
+        return comment;
+    });
+
+    it.each([
+        ['a number', { text: 42 }],
+        ['an object', { text: { $gt: '' } }],
+        ['blank', { text: '   ' }],
+        ['missing', {}]
+    ])('answers 400 when the text is %s', async (label, body) => {
+        const create = serveCreate();
+        const res = await request(app).post(`/posts/${postId}/comments`).send(body);
+        expect(res.status).toBe(400);
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('adds a top-level comment, counts it on the post and notifies the post owner', async () => {
+        const create = serveCreate();
+
+        const res = await request(app).post(`/posts/${postId}/comments`).send({ text: '  Lovely  ' });
+
+        expect(res.status).toBe(201);
+        expect(create.mock.calls[0][0]).toMatchObject({ post: postId, user: commenter._id, parent: null, text: 'Lovely' });
+        expect(Post.updateOne).toHaveBeenCalledWith({ _id: postId }, { $inc: { commentCount: 1 } });
+        expect(notifiedGroups()).toEqual([`comment:Post:${postId}`]);
+    });
+
+    it('attaches a reply to a reply to the top-level comment and notifies its author', async () => {
+        const create = serveCreate();
+        const topLevel = new Comment({ post: postId, user: objectId(), text: 'Top' });
+        const reply = new Comment({ post: postId, user: objectId(), parent: topLevel._id, text: 'Reply' });
+        jest.spyOn(Comment, 'findOne').mockReturnValueOnce(mockQuery(reply)).mockReturnValueOnce(mockQuery(topLevel));
+        const bumpReplies = jest.spyOn(Comment, 'updateOne').mockResolvedValue({});
+
+        const res = await request(app).post(`/posts/${postId}/comments`).send({ text: 'Agreed', parentId: reply._id });
+
+        expect(res.status).toBe(201);
+        expect(res.body.message).toBe('Reply added.');
+        expect(create.mock.calls[0][0].parent).toEqual(topLevel._id);
+        expect(bumpReplies).toHaveBeenCalledWith({ _id: topLevel._id }, { $inc: { replyCount: 1 } });
+        expect(notifiedGroups()).toEqual([`comment:Post:${postId}`, `reply:Post:${postId}`]);
+    });
+
+    it('refuses comments across a block with the post owner', async () => {
+        const create = serveCreate();
+        User.exists.mockResolvedValue({ _id: owner._id });
+        expect((await request(app).post(`/posts/${postId}/comments`).send({ text: 'Hi' })).status).toBe(403);
+        expect(create).not.toHaveBeenCalled();
+    });
+});
+
+describe('PUT /posts/:postId/comments/:commentId', () => {
+    it('lets the author change the text and marks the comment as edited', async () => {
+        const comment = serveComment();
+        const save = jest.spyOn(comment, 'save').mockResolvedValue(comment);
+
+        const res = await request(app).put(`/posts/${postId}/comments/${comment._id}`).send({ text: ' Even nicer ' });
+
+        expect(res.status).toBe(200);
+        expect(save).toHaveBeenCalled();
+        expect(comment.text).toBe('Even nicer');
+        expect(comment.editedAt).toBeInstanceOf(Date);
+    });
+
+    it.each([
+        ['a number', { text: 7 }],
+        ['an array', { text: ['a'] }],
+        ['blank', { text: '' }]
+    ])('answers 400 when the text is %s', async (label, body) => {
+        const comment = serveComment();
+        const save = jest.spyOn(comment, 'save');
+        expect((await request(app).put(`/posts/${postId}/comments/${comment._id}`).send(body)).status).toBe(400);
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    it('is for the author only', async () => {
+        const comment = serveComment();
+        const res = await request(appFor(owner)).put(`/posts/${postId}/comments/${comment._id}`).send({ text: 'Mine now' });
+        expect(res.status).toBe(403);
+        expect(comment.text).toBe('Nice one');
+    });
+});
+
+describe('DELETE /posts/:postId/comments/:commentId', () => {
+    // Post.findById without populate: the owner is a plain ObjectId here
+    const serveDeletion = ({ replies = [], remaining = null } = {}) => {
+        Post.findById.mockReturnValue(mockQuery({ _id: postId, user: owner._id }));
+        const comment = serveComment();
+        jest.spyOn(comment, 'deleteOne').mockResolvedValue({});
+        jest.spyOn(Comment, 'find').mockReturnValue(mockQuery(replies));
+        jest.spyOn(Comment, 'deleteMany').mockResolvedValue({ deletedCount: replies.length });
+        jest.spyOn(Comment, 'exists').mockResolvedValue(remaining);
+        jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+        return comment;
+    };
+
+    it('lets the post owner remove a comment with its replies and retracts the notifications', async () => {
+        const comment = serveDeletion({ replies: [{ user: objectId() }, { user: objectId() }] });
+
+        const res = await request(appFor(owner)).delete(`/posts/${postId}/comments/${comment._id}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.deletedCount).toBe(3);
+        expect(Comment.deleteMany).toHaveBeenCalledWith({ parent: comment._id });
+        expect(Post.updateOne).toHaveBeenCalledWith({ _id: postId }, { $inc: { commentCount: -3 } });
+        // The author has no comments left on the post: their 'comment' notification to the owner goes away
+        expect(Notification.updateMany).toHaveBeenCalledWith(
+            { recipient: owner._id, groupKey: `comment:Post:${postId}` }, { $pull: { actors: commenter._id.toString() } }
+        );
+        expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('keeps the comment notification while the author still has another comment on the post', async () => {
+        const comment = serveDeletion({ remaining: { _id: objectId() } });
+        expect((await request(app).delete(`/posts/${postId}/comments/${comment._id}`)).status).toBe(200);
+        expect(Notification.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('records a moderator deletion in the audit log and refuses other members', async () => {
+        const comment = serveDeletion();
+
+        expect((await request(appFor(makeUser())).delete(`/posts/${postId}/comments/${comment._id}`)).status).toBe(403);
+        expect(comment.deleteOne).not.toHaveBeenCalled();
+
+        const res = await request(appFor(makeUser({ roles: ['moderator'] }))).delete(`/posts/${postId}/comments/${comment._id}`);
+        expect(res.status).toBe(200);
+        expect(AuditLog.create.mock.calls[0][0]).toMatchObject({ action: 'comment.delete', targetType: 'Comment', targetId: comment._id });
+    });
+
+    it('answers 400 for malformed IDs', async () => {
+        serveDeletion();
+        expect((await request(app).delete(`/posts/nope/comments/${objectId()}`)).status).toBe(400);
+        expect((await request(app).delete(`/posts/${postId}/comments/nope`)).status).toBe(400);
+    });
+});
+
+describe('POST /posts/:postId/comments/:commentId/like', () => {
+    it('adds the like once and notifies the comment author', async () => {
+        const comment = serveComment({ user: owner._id });
+        const update = jest.spyOn(Comment, 'findByIdAndUpdate').mockReturnValue(mockQuery({ likes: [commenter._id] }));
+
+        const res = await request(app).post(`/posts/${postId}/comments/${comment._id}/like`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.likeCount).toBe(1);
+        expect(update.mock.calls[0][1]).toEqual({ $addToSet: { likes: commenter._id } });
+        expect(notifiedGroups()).toEqual([`comment_like:Post:${postId}`]);
+    });
+});
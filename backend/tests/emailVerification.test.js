@@ -0,0 +1,78 @@
+// backend/tests/emailVerification.test.js
+const request = require('supertest');
+const User = require('../models/User');
+const mailer = require('../config/mailer');
+const { verifyEmail } = require('../controllers/authController');
+const { startEmailVerification } = require('../controllers/emailVerificationHelper');
+const { hashToken } = require('../controllers/tokenHelper');
+const { makeUser, buildApp } = require('./helpers');
+
+let sentMails;
+beforeEach(() => {
+    sentMails = [];
+    mailer.setTransport({ name: 'test', send: async (message) => { sentMails.push(message); return {}; } });
+});
+
+describe('startEmailVerification', () => {
+    it('keeps the current address active while a new one waits for confirmation', async () => {
+        const user = makeUser({ email: 'old@example.com', emailVerified: true });
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+
+        expect(await startEmailVerification(user, 'new@example.com')).toBe(true);
+
+        const token = sentMails[0].text.match(/token=([a-f0-9]+)/)[1];
+        expect(sentMails[0].to).toBe('new@example.com');
+        expect(user.email).toBe('old@example.com');
+        expect(user.pendingEmail).toBe('new@example.com');
+        expect(user.emailVerificationToken).toBe(hashToken(token));
+    });
+});
+
+describe('POST /auth/verify-email', () => {
+    const app = buildApp(app => app.post('/verify-email', verifyEmail));
+
+    it('confirms the signup address with a valid token (single use)', async () => {
+        const user = makeUser({ email: 'ravi@example.com', emailVerified: false, emailVerificationToken: hashToken('tok') });
+        const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(user);
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+
+        const res = await request(app).post('/verify-email').send({ token: 'tok' });
+
+        expect(res.status).toBe(200);
+        expect(findOne.mock.calls[0][0].emailVerificationToken).toBe(hashToken('tok'));
+        expect(user.emailVerified).toBe(true);
+        expect(user.emailVerificationToken).toBeUndefined();
+        expect(sentMails).toHaveLength(0); // Address unchanged, no notice
+    });
+
+    it('switches to a confirmed new address and tells the old one', async () => {
+        const user = makeUser({ email: 'old@example.com', pendingEmail: 'new@example.com' });
+        jest.spyOn(User, 'findOne').mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+
+        const res = await request(app).post('/verify-email').send({ token: 'tok' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.email).toBe('new@example.com');
+        expect(user.pendingEmail).toBeUndefined();
+        expect(sentMails[0].to).toBe('old@example.com');
+    });
+
+    it('refuses a new address another account took in the meantime', async () => {
+        const user = makeUser({ email: 'old@example.com', pendingEmail: 'taken@example.com' });
+        jest.spyOn(User, 'findOne').mockResolvedValueOnce(user).mockResolvedValueOnce(makeUser());
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+
+        const res = await request(app).post('/verify-email').send({ token: 'tok' });
+
+        expect(res.status).toBe(400);
+        expect(user.email).toBe('old@example.com');
+        expect(user.pendingEmail).toBeUndefined();
+    });
+
+    it('rejects an invalid or expired token', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+        const res = await request(app).post('/verify-email').send({ token: 'nope' });
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,137 @@
+// backend/tests/groupChats.test.js
+const request = require('supertest');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const groupChat = require('../controllers/groupChatController');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const owner = makeUser();
+const appFor = (user) => buildApp(app => {
+    app.post('/groups', groupChat.createGroup);
+    app.put('/groups/:conversationId', groupChat.updateGroup);
+    app.delete('/groups/:conversationId/members/:userId', groupChat.removeMember);
+    app.put('/groups/:conversationId/members/:userId/role', groupChat.setMemberRole);
+    app.post('/groups/join/:joinCode', groupChat.joinGroup);
+}, { user });
+const app = appFor(owner);
+
+// A group with `owner` as admin plus the given members; served to findGroup
+const serveGroup = (members = [], fields = {}) => {
+    const group = new Conversation({
+        type: 'group',
+        title: 'Family',
+        members: [{ user: owner._id, role: 'admin', joinedAt: new Date('2024-01-01') }, ...members],
+        ...fields
+    });
+    jest.spyOn(group, 'save').mockResolvedValue(group);
+    jest.spyOn(Conversation, 'findOne').mockReturnValue(mockQuery(group));
+    return group;
+};
+
+describe('POST /messages/groups', () => {
+    it('creates the group with the creator as admin, leaving out members that cannot be messaged', async () => {
+        const friend = makeUser();
+        const pending = makeUser({ verified: false });
+        jest.spyOn(User, 'find').mockImplementation((filter) => mockQuery(filter.blockedUsers ? [] : [friend, pending]));
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ blockedUsers: [] }));
+        const create = jest.spyOn(Conversation, 'create').mockImplementation(async (doc) => {
+            const group = new Conversation(doc);
+            group.populate = async () => group;
+            return group;
+        });
+
+        const res = await request(app).post('/groups').send({ title: ' Family ', memberIds: [friend._id, pending._id, 'junk'] });
+
+        expect(res.status).toBe(201);
+        const { title, members } = create.mock.calls[0][0];
+        expect(title).toBe('Family');
+        expect(members.map(member => [member.user.toString(), member.role])).toEqual([
+            [owner._id.toString(), 'admin'],
+            [friend._id.toString(), 'member']
+        ]);
+    });
+
+    it.each([
+        ['a missing title', { memberIds: [] }],
+        ['a blank title', { title: '  ' }],
+        ['a title that is not text', { title: { $ne: null } }],
+        ['a description that is not text', { title: 'Family', description: 7 }]
+    ])('answers 400 for %s', async (label, body) => {
+        const create = jest.spyOn(Conversation, 'create');
+        expect((await request(app).post('/groups').send(body)).status).toBe(400);
+        expect(create).not.toHaveBeenCalled();
+    });
+});
+
+describe('PUT /messages/groups/:conversationId', () => {
+    it('lets admins rename the group', async () => {
+        const group = serveGroup();
+        const res = await request(app).put(`/groups/${group._id}`).send({ title: ' Cousins ', description: 'All of us' });
+        expect(res.status).toBe(200);
+        expect(group).toMatchObject({ title: 'Cousins', description: 'All of us' });
+    });
+
+    it.each([
+        ['a number', { title: 5 }],
+        ['a list', { description: ['x'] }],
+        ['empty', { title: ' ' }]
+    ])('answers 400 when the title or description is %s', async (label, body) => {
+        const group = serveGroup();
+        expect((await request(app).put(`/groups/${group._id}`).send(body)).status).toBe(400);
+        expect(group.save).not.toHaveBeenCalled();
+    });
+
+    it('is for admins only', async () => {
+        const member = makeUser();
+        const group = serveGroup([{ user: member._id, role: 'member' }]);
+        expect((await request(appFor(member)).put(`/groups/${group._id}`).send({ title: 'Mine' })).status).toBe(403);
+    });
+});
+
+describe('group membership', () => {
+    it('hands the admin role to the longest-standing member when the last admin leaves', async () => {
+        const early = objectId();
+        const late = objectId();
+        const group = serveGroup();
+        jest.spyOn(Conversation, 'findOneAndUpdate').mockResolvedValue(new Conversation({
+            _id: group._id,
+            type: 'group',
+            members: [{ user: late, role: 'member', joinedAt: new Date('2024-03-01') }, { user: early, role: 'member', joinedAt: new Date('2024-02-01') }]
+        }));
+        const promote = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({});
+
+        const res = await request(app).delete(`/groups/${group._id}/members/${owner._id}`);
+
+        expect(res.status).toBe(200);
+        expect(promote).toHaveBeenCalledWith({ _id: group._id, 'members.user': early }, { $set: { 'members.$.role': 'admin' } });
+    });
+
+    it('lets attendees leave an event group, but not be removed by hand', async () => {
+        const attendee = makeUser();
+        const group = serveGroup([{ user: attendee._id, role: 'member' }], { event: objectId() });
+        jest.spyOn(Conversation, 'findOneAndUpdate').mockResolvedValue(new Conversation({ _id: group._id, type: 'group', members: [group.members[0]] }));
+
+        expect((await request(app).delete(`/groups/${group._id}/members/${attendee._id}`)).status).toBe(400);
+        expect((await request(appFor(attendee)).delete(`/groups/${group._id}/members/${attendee._id}`)).status).toBe(200);
+    });
+
+    it('keeps at least one admin', async () => {
+        const group = serveGroup([{ user: objectId(), role: 'member' }]);
+        const res = await request(app).put(`/groups/${group._id}/members/${owner._id}/role`).send({ role: 'member' });
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('A group needs at least one admin.');
+    });
+
+    it('joins through an invite link, refusing full groups', async () => {
+        const group = new Conversation({ type: 'group', title: 'Family', members: [{ user: owner._id, role: 'admin' }] });
+        jest.spyOn(Conversation, 'findOne').mockResolvedValue(group);
+        jest.spyOn(Conversation, 'findById').mockResolvedValue(group);
+        const push = jest.spyOn(Conversation, 'updateOne').mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+        jest.spyOn(Conversation, 'exists').mockResolvedValue(null);
+        const joiner = makeUser();
+
+        expect((await request(appFor(joiner)).post('/groups/join/abc123')).status).toBe(200);
+        expect(push.mock.calls[0][0]).toMatchObject({ 'members.user': { $ne: joiner._id }, 'members.499': { $exists: false } });
+        expect((await request(appFor(makeUser())).post('/groups/join/abc123')).status).toBe(400);
+    });
+});
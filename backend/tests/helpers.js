@@ -0,0 +1,71 @@
+// backend/tests/helpers.js
+// Shared helpers for the controller tests: stand-ins for Mongoose queries and a small Express app.
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * Chainable stand-in for a Mongoose query: query methods return the chain, awaiting it (or exec())
+ * resolves to `result` and cursor() iterates over it.
+ * Use with jest.spyOn(Model, 'find').mockReturnValue(mockQuery([...])).
+ * @param {*} result - What the query resolves to.
+ * @returns {object}
+ */
+const mockQuery = (result) => {
+    const query = {};
+    ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'session', 'allowDiskUse', 'distinct'].forEach(method => {
+        query[method] = jest.fn(() => query);
+    });
+    query.exec = jest.fn(() => Promise.resolve(result));
+    query.cursor = jest.fn(() => (async function* () { yield* [].concat(result ?? []); })());
+    query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    query.catch = (reject) => Promise.resolve(result).catch(reject);
+    return query;
+};
+
+// A fresh ObjectId
+const objectId = () => new mongoose.Types.ObjectId();
+
+/**
+ * An unsaved User document, as `protect` puts it on req.user.
+ * @param {object} [fields] - Overrides (e.g. { roles: ['admin'] }).
+ * @returns {object} User document.
+ */
+const makeUser = (fields = {}) => new User({
+    username: `member${Math.floor(Math.random() * 1e6)}`,
+    fullname: 'Test Member',
+    email: `member${Math.floor(Math.random() * 1e6)}@example.com`,
+    verified: true,
+    accountStatus: 'active',
+    ...fields
+});
+
+/**
+ * Express app for one test: JSON body parsing, `req.user` set to `user` (as after `protect`)
+ * and an error handler that answers like server.js (statusCode, else 500).
+ * @param {function} mount - (app) => registers the routes under test.
+ * @param {object} [options] - { user, sessionId }
+ * @returns {object} Express app (for supertest).
+ */
+const buildApp = (mount, { user, sessionId } = {}) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        if (user) req.user = user;
+        if (sessionId) req.sessionId = sessionId;
+        next();
+    });
+    mount(app);
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => {
+        res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    });
+    return app;
+};
+
+module.exports = {
+    mockQuery,
+    objectId,
+    makeUser,
+    buildApp
+};
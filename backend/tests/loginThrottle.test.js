@@ -0,0 +1,118 @@
+// backend/tests/loginThrottle.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+const { getLoginLock, registerLoginFailure } = require('../controllers/loginThrottleHelper');
+const { login, loginTwoFactor } = require('../controllers/authController');
+const { hashToken } = require('../controllers/tokenHelper');
+const authConfig = require('../config/auth');
+const { mockQuery, makeUser, buildApp } = require('./helpers');
+
+beforeEach(() => {
+    jest.spyOn(LoginAttempt, 'create').mockResolvedValue({});
+});
+
+describe('registerLoginFailure', () => {
+    const failWith = async (failures) => {
+        jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockClear().mockImplementation(async ({ key }) => ({ _id: key, failures }));
+        const lock = jest.spyOn(LoginThrottle, 'updateOne').mockClear().mockResolvedValue({});
+        await registerLoginFailure('Ravi', '10.0.0.1');
+        return lock.mock.calls.map(([filter, update]) => ({ key: filter._id, seconds: Math.round((update.$set.lockedUntil - Date.now()) / 1000) }));
+    };
+
+    it('counts failures per username and per IP without locking below the limit', async () => {
+        expect(await failWith(authConfig.loginMaxFailuresPerUsername - 1)).toEqual([]);
+        const keys = LoginThrottle.findOneAndUpdate.mock.calls.map(([filter]) => filter.key);
+        expect(keys).toEqual(['username:ravi', 'ip:10.0.0.1']);
+    });
+
+    it('locks the username at the limit and doubles the lock with every further failure', async () => {
+        const base = authConfig.lockoutBaseSeconds;
+        expect(await failWith(authConfig.loginMaxFailuresPerUsername)).toEqual([{ key: 'username:ravi', seconds: base }]);
+        expect(await failWith(authConfig.loginMaxFailuresPerUsername + 2)).toEqual([{ key: 'username:ravi', seconds: base * 4 }]);
+    });
+
+    it('caps the lock at lockoutMaxMinutes', async () => {
+        const locks = await failWith(authConfig.loginMaxFailuresPerIp + 50);
+        expect(locks.every(lock => lock.seconds === authConfig.lockoutMaxMinutes * 60)).toBe(true);
+    });
+});
+
+describe('getLoginLock', () => {
+    it('reports the latest lock of the username or IP', async () => {
+        jest.spyOn(LoginThrottle, 'find').mockReturnValue(mockQuery([
+            { lockedUntil: new Date(Date.now() + 30 * 1000) },
+            { lockedUntil: new Date(Date.now() + 90 * 1000) }
+        ]));
+        expect(await getLoginLock('ravi', '10.0.0.1')).toEqual({ locked: true, retryAfterSeconds: 90 });
+    });
+});
+
+describe('POST /auth/login', () => {
+    const app = buildApp(app => app.post('/login', login));
+
+    it('answers 429 with Retry-After while locked, without checking the password', async () => {
+        jest.spyOn(LoginThrottle, 'find').mockReturnValue(mockQuery([{ lockedUntil: new Date(Date.now() + 60 * 1000) }]));
+        const findUser = jest.spyOn(User, 'findOne');
+
+        const res = await request(app).post('/login').send({ username: 'ravi', password: 'secret123' });
+
+        expect(res.status).toBe(429);
+        expect(res.headers['retry-after']).toBe('60');
+        expect(findUser).not.toHaveBeenCalled();
+    });
+
+    it('counts a wrong password (and an unknown username) as a failure', async () => {
+        jest.spyOn(LoginThrottle, 'find').mockReturnValue(mockQuery([]));
+        jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(null));
+        const increment = jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockResolvedValue({ failures: 1 });
+
+        const res = await request(app).post('/login').send({ username: 'nobody', password: 'secret123' });
+
+        expect(res.status).toBe(401);
+        expect(increment).toHaveBeenCalledTimes(2);
+        expect(LoginAttempt.create.mock.calls[0][0]).toMatchObject({ username: 'nobody', success: false, reason: 'invalid_credentials' });
+    });
+});
+
+describe('POST /auth/login/2fa', () => {
+    const app = buildApp(app => app.post('/login/2fa', loginTwoFactor));
+    const challengeFor = (user, jti = 'challenge-1') =>
+        jwt.sign({ id: user._id, purpose: '2fa_challenge' }, process.env.JWT_SECRET, { expiresIn: '5m', jwtid: jti });
+
+    beforeEach(() => {
+        jest.spyOn(LoginThrottle, 'find').mockReturnValue(mockQuery([]));
+    });
+
+    it('consumes the challenge on use, so it cannot be replayed', async () => {
+        const user = makeUser({ twoFactorEnabled: true, twoFactorSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' });
+        const consume = jest.spyOn(User, 'findOneAndUpdate')
+            .mockReturnValueOnce(mockQuery(user))
+            .mockReturnValueOnce(mockQuery(null)); // Already consumed
+        jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockResolvedValue({ failures: 1 });
+        const token = challengeFor(user);
+
+        const first = await request(app).post('/login/2fa').send({ challengeToken: token, code: '000000' });
+        const replay = await request(app).post('/login/2fa').send({ challengeToken: token, code: '000000' });
+
+        expect(first.status).toBe(401);
+        expect(first.body.message).toMatch(/Invalid authentication code/);
+        expect(consume.mock.calls[0][0]).toEqual({ _id: user._id.toString(), twoFactorChallengeHash: hashToken('challenge-1') });
+        expect(consume.mock.calls[0][1]).toEqual({ $unset: { twoFactorChallengeHash: 1 } });
+        expect(replay.status).toBe(401);
+        expect(replay.body.message).toMatch(/already used/);
+    });
+
+    it('rejects challenge tokens without an ID and tokens made for other purposes', async () => {
+        const user = makeUser();
+        const consume = jest.spyOn(User, 'findOneAndUpdate');
+        const noId = jwt.sign({ id: user._id, purpose: '2fa_challenge' }, process.env.JWT_SECRET);
+        const accessToken = jwt.sign({ id: user._id, sid: 'x' }, process.env.JWT_SECRET, { jwtid: 'x' });
+
+        expect((await request(app).post('/login/2fa').send({ challengeToken: noId, code: '123456' })).status).toBe(401);
+        expect((await request(app).post('/login/2fa').send({ challengeToken: accessToken, code: '123456' })).status).toBe(401);
+        expect(consume).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,156 @@
+// backend/tests/messages.test.js
+const request = require('supertest');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { canMessage } = require('../controllers/visibilityHelper');
+const { sendMessage, getConversations, muteConversation } = require('../controllers/messageController');
+const { createClient, disconnect } = require('../controllers/realtimeHelper');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const sender = makeUser();
+const app = buildApp(app => {
+    app.post('/messages', sendMessage);
+    app.get('/conversations', getConversations);
+    app.put('/conversations/:conversationId/mute', muteConversation);
+}, { user: sender });
+
+// Serves users by ID to User.findById (the sender gets `blockedUsers`) and nobody as "blocked by"
+const serveUsers = (users, blockedUsers = []) => {
+    jest.spyOn(User, 'findById').mockImplementation(id => mockQuery(
+        sender._id.equals(id) ? { blockedUsers } : users.find(user => user._id.equals(id)) || null
+    ));
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+};
+
+describe('canMessage', () => {
+    it('allows verified members who are not blocked', () => {
+        const recipient = makeUser();
+        expect(canMessage(sender, recipient)).toEqual({ allowed: true });
+        expect(canMessage(sender, recipient, [recipient._id])).toMatchObject({ allowed: false, statusCode: 403 });
+        expect(canMessage(sender, sender)).toMatchObject({ allowed: false, statusCode: 403 });
+        expect(canMessage(sender, makeUser({ accountStatus: 'banned' }))).toMatchObject({ allowed: false, statusCode: 403 });
+    });
+
+    it('answers like a missing member for unverified recipients', () => {
+        expect(canMessage(sender, makeUser({ verified: false }))).toMatchObject({ allowed: false, statusCode: 404 });
+        expect(canMessage(sender, null)).toMatchObject({ allowed: false, statusCode: 404 });
+    });
+});
+
+describe('POST /messages', () => {
+    beforeEach(() => {
+        jest.spyOn(Conversation, 'updateOne').mockResolvedValue({});
+        jest.spyOn(Message, 'create').mockImplementation(async (doc) => {
+            const message = new Message(doc);
+            message.populate = async () => message;
+            return message;
+        });
+    });
+
+    it('starts the direct conversation, bumps the unread counter and pushes the message', async () => {
+        const recipient = makeUser();
+        serveUsers([recipient]);
+        jest.spyOn(Conversation, 'findOne').mockResolvedValue(null);
+        const create = jest.spyOn(Conversation, 'create').mockImplementation(async (doc) => new Conversation(doc));
+        const events = [];
+        const client = createClient(recipient, event => events.push(event));
+
+        const res = await request(app).post('/messages').send({ recipientId: recipient._id, text: '  Namaste  ' });
+        disconnect(client);
+
+        expect(res.status).toBe(201);
+        expect(create.mock.calls[0][0].directKey).toBe(Conversation.buildDirectKey(sender._id, recipient._id));
+        expect(Message.create.mock.calls[0][0].text).toBe('Namaste');
+        const [, update, options] = Conversation.updateOne.mock.calls[0];
+        expect(update.$inc).toEqual({ 'members.$[other].unreadCount': 1 });
+        expect(options.arrayFilters[1]).toEqual({ 'other.user': { $ne: sender._id } });
+        expect(events[0]).toMatchObject({ type: 'message:new' });
+        expect(events[0].data.silent).toBeUndefined();
+    });
+
+    it.each([
+        ['a number', 42],
+        ['an object', { $gt: '' }],
+        ['a list', ['hi']]
+    ])('answers 400 when the text is %s', async (label, text) => {
+        const findConversation = jest.spyOn(Conversation, 'findOne');
+        const res = await request(app).post('/messages').send({ recipientId: objectId(), text });
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Message text must be a string.');
+        expect(findConversation).not.toHaveBeenCalled();
+    });
+
+    it('answers 400 for an empty message and 404 for an unknown recipient', async () => {
+        expect((await request(app).post('/messages').send({ recipientId: objectId(), text: '   ' })).status).toBe(400);
+
+        serveUsers([]);
+        jest.spyOn(Conversation, 'findOne').mockResolvedValue(null);
+        const missing = await request(app).post('/messages').send({ recipientId: objectId(), text: 'Hi' });
+        expect(missing.status).toBe(404);
+    });
+
+    it('refuses to message a blocked member', async () => {
+        const recipient = makeUser();
+        serveUsers([recipient], [recipient._id]);
+        jest.spyOn(Conversation, 'findOne').mockResolvedValue(null);
+        const create = jest.spyOn(Conversation, 'create');
+
+        expect((await request(app).post('/messages').send({ recipientId: recipient._id, text: 'Hi' })).status).toBe(403);
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('delivers silently to members who muted the conversation', async () => {
+        const recipient = makeUser();
+        serveUsers([recipient]);
+        jest.spyOn(Conversation, 'findOne').mockResolvedValue(new Conversation({
+            type: 'direct',
+            members: [{ user: sender._id }, { user: recipient._id, mutedUntil: new Date(Date.now() + 60000) }]
+        }));
+        const events = [];
+        const client = createClient(recipient, event => events.push(event));
+
+        await request(app).post('/messages').send({ recipientId: recipient._id, text: 'Hi' });
+        disconnect(client);
+
+        expect(events[0].data.silent).toBe(true);
+    });
+});
+
+describe('GET /messages/conversations', () => {
+    it('pages by last activity with the conversation ID as tiebreaker', async () => {
+        const at = new Date('2024-05-01T10:00:00Z');
+        const conversations = [0, 1, 2].map(() => new Conversation({ type: 'direct', lastMessageAt: at, members: [{ user: sender._id }, { user: objectId() }] }));
+        const find = jest.spyOn(Conversation, 'find').mockReturnValue(mockQuery(conversations));
+
+        const first = await request(app).get('/conversations').query({ limit: 2 });
+        expect(first.body.pagination).toEqual({ hasMore: true, nextCursor: `${at.toISOString()}_${conversations[1]._id}` });
+
+        find.mockClear().mockReturnValue(mockQuery([]));
+        await request(app).get('/conversations').query({ before: first.body.pagination.nextCursor });
+        expect(find.mock.calls[0][0].$or).toEqual([
+            { lastMessageAt: { $lt: at } },
+            { lastMessageAt: at, _id: { $lt: conversations[1]._id.toString() } }
+        ]);
+    });
+
+    it('answers 400 for a malformed cursor', async () => {
+        const find = jest.spyOn(Conversation, 'find');
+        expect((await request(app).get('/conversations').query({ before: 'yesterday' })).status).toBe(400);
+        expect((await request(app).get('/conversations').query({ before: `${new Date().toISOString()}_nope` })).status).toBe(400);
+        expect(find).not.toHaveBeenCalled();
+    });
+});
+
+describe('PUT /messages/conversations/:conversationId/mute', () => {
+    it('mutes for a number of hours and rejects mutes in the past', async () => {
+        const conversation = new Conversation({ type: 'direct', members: [{ user: sender._id }, { user: objectId() }] });
+        jest.spyOn(Conversation, 'findOne').mockResolvedValue(conversation);
+        const update = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({});
+
+        expect((await request(app).put(`/conversations/${conversation._id}/mute`).send({ hours: 8 })).status).toBe(200);
+        expect(update.mock.calls[0][1].$set['members.$.mutedUntil'].getTime()).toBeCloseTo(Date.now() + 8 * 60 * 60 * 1000, -4);
+
+        expect((await request(app).put(`/conversations/${conversation._id}/mute`).send({ until: '2000-01-01' })).status).toBe(400);
+    });
+});
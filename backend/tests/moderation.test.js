@@ -0,0 +1,122 @@
+// backend/tests/moderation.test.js
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { suspendUser, banUser, reinstateUser } = require('../controllers/adminController');
+const { protect } = require('../middleware/authMiddleware');
+const { mockQuery, makeUser, buildApp } = require('./helpers');
+
+const moderator = makeUser({ roles: ['moderator'] });
+const superAdmin = makeUser({ roles: ['super-admin'] });
+
+const appFor = (actor) => buildApp(app => {
+    app.post('/users/:userId/suspend', suspendUser);
+    app.post('/users/:userId/ban', banUser);
+    app.post('/users/:userId/reinstate', reinstateUser);
+}, { user: actor });
+
+// Serves `target` from User.findById and keeps saves in memory
+const serve = (target) => {
+    jest.spyOn(User, 'findById').mockResolvedValue(target);
+    jest.spyOn(target, 'save').mockResolvedValue(target);
+    return target;
+};
+
+beforeEach(() => {
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+});
+
+describe('POST /admin/users/:userId/suspend', () => {
+    it('suspends for the given hours and revokes every session', async () => {
+        const target = serve(makeUser());
+
+        const res = await request(appFor(moderator)).post(`/users/${target._id}/suspend`).send({ reason: '  Spam  ', durationHours: 24 });
+
+        expect(res.status).toBe(200);
+        expect(target.accountStatus).toBe('suspended');
+        expect(target.statusReason).toBe('Spam');
+        expect(target.suspendedUntil.getTime()).toBeCloseTo(Date.now() + 24 * 60 * 60 * 1000, -4);
+        expect(Session.updateMany.mock.calls[0][0]).toEqual({ user: target._id, revokedAt: null });
+        expect(Session.updateMany.mock.calls[0][1].$set.revokedReason).toBe('suspended');
+    });
+
+    it('rejects past dates and missing durations', async () => {
+        const target = serve(makeUser());
+        const app = appFor(moderator);
+        expect((await request(app).post(`/users/${target._id}/suspend`).send({ reason: 'Spam', until: '2000-01-01' })).status).toBe(400);
+        expect((await request(app).post(`/users/${target._id}/suspend`).send({ reason: 'Spam' })).status).toBe(400);
+        expect(target.save).not.toHaveBeenCalled();
+    });
+
+    it('does not let moderators act on staff or on themselves', async () => {
+        const staff = serve(makeUser({ roles: ['event-manager'] }));
+        expect((await request(appFor(moderator)).post(`/users/${staff._id}/suspend`).send({ reason: 'Spam', durationHours: 1 })).status).toBe(403);
+
+        serve(moderator);
+        expect((await request(appFor(moderator)).post(`/users/${moderator._id}/suspend`).send({ reason: 'Spam', durationHours: 1 })).status).toBe(400);
+    });
+});
+
+describe('POST /admin/users/:userId/ban', () => {
+    it('bans with a reason and revokes every session', async () => {
+        const target = serve(makeUser({ accountStatus: 'suspended', suspendedUntil: new Date(Date.now() + 60000) }));
+
+        const res = await request(appFor(superAdmin)).post(`/users/${target._id}/ban`).send({ reason: 'Harassment' });
+
+        expect(res.status).toBe(200);
+        expect(target.accountStatus).toBe('banned');
+        expect(target.suspendedUntil).toBeUndefined();
+        expect(Session.updateMany.mock.calls[0][1].$set.revokedReason).toBe('banned');
+        expect(AuditLog.create.mock.calls[0][0]).toMatchObject({ action: 'user.ban', before: { accountStatus: 'suspended' }, after: { accountStatus: 'banned' } });
+    });
+
+    it.each([
+        ['missing', {}],
+        ['blank', { reason: '   ' }],
+        ['not text', { reason: { $ne: null } }],
+        ['a number', { reason: 5 }]
+    ])('answers 400 when the reason is %s', async (label, body) => {
+        const findUser = jest.spyOn(User, 'findById');
+        const res = await request(appFor(superAdmin)).post(`/users/${makeUser()._id}/ban`).send(body);
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('A reason is required.');
+        expect(findUser).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /admin/users/:userId/reinstate', () => {
+    it('needs users:ban to lift a ban', async () => {
+        const target = serve(makeUser({ accountStatus: 'banned', statusReason: 'Spam' }));
+
+        expect((await request(appFor(moderator)).post(`/users/${target._id}/reinstate`)).status).toBe(403);
+        expect((await request(appFor(superAdmin)).post(`/users/${target._id}/reinstate`)).status).toBe(200);
+        expect(target.accountStatus).toBe('active');
+        expect(target.statusReason).toBeUndefined();
+    });
+});
+
+describe('getRestriction', () => {
+    it('treats expired suspensions as lifted', () => {
+        expect(makeUser({ accountStatus: 'suspended', suspendedUntil: new Date(Date.now() - 1000) }).getRestriction()).toBeNull();
+        expect(makeUser({ accountStatus: 'suspended', suspendedUntil: new Date(Date.now() + 1000), statusReason: 'Spam' }).getRestriction())
+            .toMatchObject({ status: 'suspended', reason: 'Spam' });
+        expect(makeUser({ accountStatus: 'banned' }).getRestriction()).toMatchObject({ status: 'banned' });
+    });
+
+    it('makes protect refuse a banned member whose token is still valid', async () => {
+        const user = makeUser({ accountStatus: 'banned', statusReason: 'Harassment' });
+        const session = new Session({ user: user._id, tokenHash: 'x', expiresAt: new Date(Date.now() + 60000) });
+        jest.spyOn(Session, 'findById').mockResolvedValue(session);
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+
+        const app = buildApp(app => app.get('/me', protect, (req, res) => res.json({ ok: true })));
+        const token = jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET);
+        const res = await request(app).get('/me').set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(403);
+        expect(res.body).toMatchObject({ accountStatus: 'banned', reason: 'Harassment' });
+    });
+});
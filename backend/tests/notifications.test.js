@@ -0,0 +1,127 @@
+// backend/tests/notifications.test.js
+const request = require('supertest');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { notify, retractNotification, describeNotification } = require('../controllers/notificationHelper');
+const { updateNotificationPreferences } = require('../controllers/notificationController');
+const { createClient, disconnect } = require('../controllers/realtimeHelper');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+// Serves the recipient's preferences to notify()
+const withPreferences = (preferences = {}) =>
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(makeUser({ notificationPreferences: preferences })));
+
+describe('notify', () => {
+    const recipient = objectId();
+    const postId = objectId();
+
+    beforeEach(() => {
+        jest.spyOn(Notification, 'countDocuments').mockResolvedValue(3);
+        jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    });
+
+    it("adds the actor to the front of the recipient's unread group for the subject", async () => {
+        withPreferences();
+        const upsert = jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue({ _id: objectId() });
+        const actor = objectId();
+
+        await notify({ recipient, actor, type: 'like', subjectType: 'Post', subjectId: postId, preview: 'x'.repeat(200) });
+
+        const filter = { recipient, groupKey: `like:Post:${postId}`, read: false };
+        expect(Notification.updateOne).toHaveBeenCalledWith(filter, { $pull: { actors: actor } });
+        const [upsertFilter, update, options] = upsert.mock.calls[0];
+        expect(upsertFilter).toEqual(filter);
+        expect(update.$push).toEqual({ actors: { $each: [actor], $position: 0 } });
+        expect(update.$set.preview).toHaveLength(140);
+        expect(options).toMatchObject({ upsert: true });
+    });
+
+    it('pushes the new unread count to the open connections of the recipient', async () => {
+        withPreferences();
+        jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue({ _id: objectId() });
+        const events = [];
+        const client = createClient({ _id: recipient }, event => events.push(event));
+
+        await notify({ recipient, actor: objectId(), type: 'comment', subjectType: 'Post', subjectId: postId });
+        disconnect(client);
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ type: 'notification:new', data: { unreadCount: 3 } });
+    });
+
+    it('skips your own actions and switched-off types', async () => {
+        const upsert = jest.spyOn(Notification, 'findOneAndUpdate');
+
+        await notify({ recipient, actor: recipient, type: 'like', subjectType: 'Post', subjectId: postId });
+        withPreferences({ like: false });
+        await notify({ recipient, actor: objectId(), type: 'like', subjectType: 'Post', subjectId: postId });
+
+        expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it('joins the group another request created at the same moment', async () => {
+        withPreferences();
+        const duplicate = Object.assign(new Error('E11000'), { code: 11000 });
+        const upsert = jest.spyOn(Notification, 'findOneAndUpdate').mockRejectedValueOnce(duplicate).mockResolvedValueOnce({ _id: objectId() });
+
+        await notify({ recipient, actor: objectId(), type: 'like', subjectType: 'Post', subjectId: postId });
+
+        expect(upsert).toHaveBeenCalledTimes(2);
+        expect(upsert.mock.calls[1][2]).toEqual({ new: true });
+    });
+
+    it('never throws', async () => {
+        jest.spyOn(User, 'findById').mockImplementation(() => { throw new Error('db down'); });
+        await expect(notify({ recipient, actor: objectId(), type: 'like', subjectType: 'Post', subjectId: postId })).resolves.toBeUndefined();
+    });
+});
+
+describe('retractNotification', () => {
+    it('removes the actor and deletes groups that are left without actors', async () => {
+        const recipient = objectId();
+        const actor = objectId();
+        const pull = jest.spyOn(Notification, 'updateMany').mockResolvedValue({});
+        const remove = jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+        await retractNotification({ recipient, actor, type: 'follow', subjectType: 'User', subjectId: recipient });
+
+        const filter = { recipient, groupKey: `follow:User:${recipient}` };
+        expect(pull).toHaveBeenCalledWith(filter, { $pull: { actors: actor } });
+        expect(remove).toHaveBeenCalledWith({ ...filter, actors: { $size: 0 } });
+    });
+});
+
+describe('describeNotification', () => {
+    const actors = [{ fullname: 'Ravi' }, { fullname: 'Sita' }, { username: 'mohan' }];
+
+    it('names one or two actors and counts the rest', () => {
+        expect(describeNotification({ type: 'like', actors: actors.slice(0, 1) }, 1)).toBe('Ravi liked your post');
+        expect(describeNotification({ type: 'like', actors: actors.slice(0, 2) }, 2)).toBe('Ravi and Sita liked your post');
+        expect(describeNotification({ type: 'comment', actors }, 5)).toBe('Ravi and 4 others commented on your post');
+        expect(describeNotification({ type: 'approval', actors: [] }, 0)).toMatch(/^Your membership was approved/);
+    });
+});
+
+describe('PUT /notifications/preferences', () => {
+    const member = makeUser();
+    const app = buildApp(app => app.put('/preferences', updateNotificationPreferences), { user: member });
+
+    it('switches types on and off and returns every type', async () => {
+        const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(makeUser({ notificationPreferences: { like: false } })));
+
+        const res = await request(app).put('/preferences').send({ like: false });
+
+        expect(res.status).toBe(200);
+        expect(update).toHaveBeenCalledWith({ _id: member.id }, { $set: { 'notificationPreferences.like': false } });
+        expect(res.body.preferences).toMatchObject({ like: false, comment: true });
+    });
+
+    it('answers 400 for unknown types and non-boolean values', async () => {
+        const update = jest.spyOn(User, 'updateOne');
+        const res = await request(app).put('/preferences').send({ like: 'no', poke: true });
+        expect(res.status).toBe(400);
+        expect(res.body.message).toMatch(/like, poke/);
+        expect(update).not.toHaveBeenCalled();
+    });
+});
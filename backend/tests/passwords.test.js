@@ -0,0 +1,98 @@
+// backend/tests/passwords.test.js
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const mailer = require('../config/mailer');
+const { forgotPassword, resetPassword } = require('../controllers/authController');
+const { changePassword } = require('../controllers/userController');
+const { hashToken } = require('../controllers/tokenHelper');
+const { mockQuery, makeUser, buildApp, objectId } = require('./helpers');
+
+let sentMails;
+beforeEach(() => {
+    sentMails = [];
+    mailer.setTransport({ name: 'test', send: async (message) => { sentMails.push(message); return { accepted: [message.to] }; } });
+});
+
+describe('POST /auth/forgot-password', () => {
+    const app = buildApp(app => app.post('/forgot-password', forgotPassword));
+
+    it('answers the same for unknown addresses and sends nothing', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+        const res = await request(app).post('/forgot-password').send({ email: 'nobody@example.com' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toMatch(/If an account exists/);
+        expect(sentMails).toHaveLength(0);
+    });
+
+    it('stores only the hash of the emailed token', async () => {
+        const user = makeUser({ email: 'ravi@example.com' });
+        jest.spyOn(User, 'findOne').mockResolvedValue(user);
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+
+        const res = await request(app).post('/forgot-password').send({ email: 'Ravi@Example.com ' });
+
+        expect(res.status).toBe(200);
+        const token = sentMails[0].text.match(/token=([a-f0-9]+)/)[1];
+        expect(sentMails[0].to).toBe('ravi@example.com');
+        expect(user.passwordResetToken).toBe(hashToken(token));
+        expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+});
+
+describe('POST /auth/reset-password', () => {
+    const app = buildApp(app => app.post('/reset-password', resetPassword));
+
+    it('rejects an unknown or expired token', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+        const res = await request(app).post('/reset-password').send({ token: 'abc', password: 'new-password-1' });
+        expect(res.status).toBe(400);
+    });
+
+    it('sets the password, burns the token and logs out every device', async () => {
+        const user = makeUser({ passwordResetToken: hashToken('abc'), passwordResetExpires: new Date(Date.now() + 60000) });
+        const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(user);
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+        const revoke = jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+        const res = await request(app).post('/reset-password').send({ token: 'abc', password: 'new-password-1' });
+
+        expect(res.status).toBe(200);
+        expect(findOne.mock.calls[0][0].passwordResetToken).toBe(hashToken('abc'));
+        expect(user.passwordResetToken).toBeUndefined();
+        expect(user.password).toBe('new-password-1'); // Hashed by the pre-save hook
+        expect(revoke.mock.calls[0][0]).toEqual({ user: user._id, revokedAt: null });
+        expect(sentMails[0].subject).toMatch(/password was changed/);
+    });
+});
+
+describe('PUT /users/me/password', () => {
+    it('keeps the current session and revokes the others', async () => {
+        const sessionId = objectId().toString();
+        const user = makeUser();
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+        jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+        const revoke = jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+        const app = buildApp(app => app.put('/me/password', changePassword), { user, sessionId });
+
+        const res = await request(app).put('/me/password').send({ currentPassword: 'old-password', newPassword: 'new-password-1' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.revokedSessions).toBe(3);
+        expect(revoke.mock.calls[0][0]).toEqual({ user: user._id, revokedAt: null, _id: { $ne: sessionId } });
+    });
+
+    it('refuses a wrong current password', async () => {
+        const user = makeUser();
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+        jest.spyOn(user, 'comparePassword').mockResolvedValue(false);
+        const app = buildApp(app => app.put('/me/password', changePassword), { user });
+
+        const res = await request(app).put('/me/password').send({ currentPassword: 'wrong', newPassword: 'new-password-1' });
+
+        expect(res.status).toBe(401);
+    });
+});
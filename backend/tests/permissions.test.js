@@ -0,0 +1,112 @@
+// backend/tests/permissions.test.js
+const request = require('supertest');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { ROLE_PERMISSIONS, PERMISSIONS, getUserPermissions, hasPermission } = require('../config/permissions');
+const authConfig = require('../config/auth');
+const { requirePermission, admin } = require('../middleware/authMiddleware');
+const { grantRole, revokeRole } = require('../controllers/adminController');
+const { mockQuery, makeUser, buildApp } = require('./helpers');
+
+describe('permission matrix', () => {
+    it('only grants permissions that exist', () => {
+        Object.values(ROLE_PERMISSIONS).flat().forEach(permission => expect(PERMISSIONS).toContain(permission));
+    });
+
+    it('combines the permissions of all roles a user holds', () => {
+        const user = { roles: ['moderator', 'event-manager'] };
+        expect(hasPermission(user, 'posts:delete:any')).toBe(true);
+        expect(hasPermission(user, 'events:update:any')).toBe(true);
+        expect(hasPermission(user, 'roles:manage')).toBe(false);
+        expect(getUserPermissions(user)).toHaveLength(new Set(getUserPermissions(user)).size);
+    });
+
+    it('gives regular members and unknown roles nothing', () => {
+        expect(hasPermission({ roles: [] }, 'users:read')).toBe(false);
+        expect(hasPermission({ roles: ['admin'] }, 'users:read')).toBe(false);
+        expect(hasPermission(undefined, 'users:read')).toBe(false);
+    });
+});
+
+describe('requirePermission', () => {
+    const appFor = (user, ...permissions) =>
+        buildApp(app => app.get('/guarded', requirePermission(...permissions), (req, res) => res.json({ ok: true })), { user });
+
+    afterEach(() => {
+        authConfig.requireAdminTwoFactor = false;
+    });
+
+    it('lets users through who hold every listed permission', async () => {
+        const res = await request(appFor(makeUser({ roles: ['moderator'] }), 'users:read', 'users:suspend')).get('/guarded');
+        expect(res.status).toBe(200);
+    });
+
+    it('names the first missing permission in the 403', async () => {
+        const res = await request(appFor(makeUser({ roles: ['moderator'] }), 'users:read', 'users:ban')).get('/guarded');
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe("Forbidden: Missing permission 'users:ban'");
+    });
+
+    it('rejects anonymous requests', async () => {
+        expect((await request(appFor(undefined, 'users:read')).get('/guarded')).status).toBe(403);
+    });
+
+    it('asks staff without 2FA to set it up when REQUIRE_ADMIN_2FA is on', async () => {
+        authConfig.requireAdminTwoFactor = true;
+        const res = await request(appFor(makeUser({ roles: ['moderator'] }), 'users:read')).get('/guarded');
+        expect(res.status).toBe(403);
+        expect(res.body.twoFactorSetupRequired).toBe(true);
+    });
+
+    it('keeps the plain admin check working for any staff role', async () => {
+        const staff = buildApp(app => app.get('/staff', admin, (req, res) => res.json({ ok: true })), { user: makeUser({ roles: ['event-manager'] }) });
+        const member = buildApp(app => app.get('/staff', admin, (req, res) => res.json({ ok: true })), { user: makeUser() });
+        expect((await request(staff).get('/staff')).status).toBe(200);
+        expect((await request(member).get('/staff')).status).toBe(403);
+    });
+});
+
+describe('role management', () => {
+    const superAdmin = makeUser({ roles: ['super-admin'] });
+    const app = buildApp(app => {
+        app.post('/users/:userId/roles', grantRole);
+        app.delete('/users/:userId/roles/:role', revokeRole);
+    }, { user: superAdmin });
+
+    beforeEach(() => {
+        jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    });
+
+    it('grants a role, records it in the role history and the audit log', async () => {
+        const target = makeUser();
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(target));
+        const update = jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue(mockQuery({ username: target.username, roles: ['moderator'] }));
+
+        const res = await request(app).post(`/users/${target._id}/roles`).send({ role: 'moderator', reason: 'Helps with reports' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.roles).toEqual(['moderator']);
+        expect(update.mock.calls[0][1].$push.roleHistory).toMatchObject({ role: 'moderator', action: 'grant', reason: 'Helps with reports' });
+        expect(AuditLog.create.mock.calls[0][0]).toMatchObject({ action: 'role.grant', targetType: 'User' });
+    });
+
+    it('rejects unknown roles and unverified members', async () => {
+        const unknown = await request(app).post(`/users/${makeUser()._id}/roles`).send({ role: 'admin' });
+        expect(unknown.status).toBe(400);
+
+        const pending = makeUser({ verified: false });
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(pending));
+        expect((await request(app).post(`/users/${pending._id}/roles`).send({ role: 'moderator' })).status).toBe(400);
+    });
+
+    it('refuses to revoke the last super-admin', async () => {
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(superAdmin));
+        jest.spyOn(User, 'countDocuments').mockResolvedValue(1);
+        const update = jest.spyOn(User, 'findByIdAndUpdate');
+
+        const res = await request(app).delete(`/users/${superAdmin._id}/roles/super-admin`);
+
+        expect(res.status).toBe(400);
+        expect(update).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,198 @@
+// backend/tests/polls.test.js
+const request = require('supertest');
+const Post = require('../models/Post');
+const PollVote = require('../models/PollVote');
+const User = require('../models/User');
+const { parsePollInput, isPollClosed, formatPoll, castVote, retractVote } = require('../controllers/pollHelper');
+const { votePoll, closePostPoll, getPollVoters } = require('../controllers/pollController');
+const { pollMaxOptions, pollDefaultDurationHours, pollMaxDurationDays } = require('../config/posts');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// A post with an open poll (options get their _ids from the schema)
+const pollPost = (poll = {}) => new Post({
+    user: objectId(),
+    content: 'Which date for the puja?',
+    poll: { options: [{ text: 'Saturday' }, { text: 'Sunday' }, { text: 'Monday' }], closesAt: new Date(Date.now() + HOUR), ...poll }
+});
+
+describe('parsePollInput', () => {
+    it('reads a poll sent as a multipart JSON field, with the default duration', () => {
+        const before = Date.now();
+        const poll = parsePollInput(JSON.stringify({ question: ' When? ', options: [' Sat ', 'Sun'], multipleChoice: 'true' }));
+
+        expect(poll).toMatchObject({ question: 'When?', options: [{ text: 'Sat' }, { text: 'Sun' }], multipleChoice: true, anonymous: false });
+        expect(poll.closesAt.getTime()).toBeGreaterThanOrEqual(before + pollDefaultDurationHours * HOUR);
+        expect(parsePollInput(undefined)).toBeUndefined();
+    });
+
+    it.each([
+        ['not JSON', '{options'],
+        ['an array', '["a","b"]'],
+        ['a single option', { options: ['Only'] }],
+        ['too many options', { options: Array.from({ length: pollMaxOptions + 1 }, (_, index) => `Option ${index}`) }],
+        ['options that are not text', { options: [{ $gt: '' }, 'Sun'] }],
+        ['an empty option', { options: ['Sat', '  '] }],
+        ['repeated options', { options: ['Sat', 'sat'] }],
+        ['a closing time in the past', { options: ['Sat', 'Sun'], closesAt: new Date(Date.now() - HOUR).toISOString() }],
+        ['an unreadable closing time', { options: ['Sat', 'Sun'], closesAt: 'soon' }],
+        ['a closing time too far ahead', { options: ['Sat', 'Sun'], durationHours: (pollMaxDurationDays + 1) * 24 }]
+    ])('throws a 400 for %s', (label, raw) => {
+        expect(() => parsePollInput(raw)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
+
+describe('isPollClosed and formatPoll', () => {
+    it("reports whether voting ended and adds the viewer's own choice", () => {
+        const open = pollPost().poll;
+        const closed = pollPost({ closesAt: new Date(Date.now() - 1000) }).poll;
+        const myVote = [open.options[1]._id];
+
+        expect(isPollClosed(open)).toBe(false);
+        expect(isPollClosed(closed)).toBe(true);
+        expect(formatPoll(open, myVote)).toMatchObject({ isClosed: false, myVote, options: [{ text: 'Saturday' }, { text: 'Sunday' }, { text: 'Monday' }] });
+        expect(formatPoll(closed).myVote).toBeNull();
+    });
+});
+
+describe('castVote', () => {
+    beforeEach(() => {
+        jest.spyOn(Post, 'findByIdAndUpdate').mockReturnValue(mockQuery({ poll: pollPost().poll }));
+    });
+
+    const incrementOf = () => {
+        const [, update, options] = Post.findByIdAndUpdate.mock.calls[0];
+        // { optionId: change } from the $inc paths and their array filters
+        const changes = {};
+        options.arrayFilters.forEach((filter, index) => {
+            changes[Object.values(filter)[0].toString()] = update.$inc[`poll.options.$[o${index}].voteCount`];
+        });
+        return { changes, voterChange: update.$inc['poll.voterCount'] };
+    };
+
+    it('counts a first vote for the option and the voter', async () => {
+        const post = pollPost();
+        const sunday = post.poll.options[1]._id.toString();
+        jest.spyOn(PollVote, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await castVote(post, objectId(), [sunday]);
+
+        expect(incrementOf()).toEqual({ changes: { [sunday]: 1 }, voterChange: 1 });
+    });
+
+    it('moves a changed vote between options without counting the voter twice', async () => {
+        const post = pollPost();
+        const [saturday, sunday] = post.poll.options.map(option => option._id.toString());
+        jest.spyOn(PollVote, 'findOneAndUpdate').mockResolvedValue({ options: [post.poll.options[0]._id] });
+
+        await castVote(post, objectId(), [sunday]);
+
+        expect(incrementOf()).toEqual({ changes: { [sunday]: 1, [saturday]: -1 }, voterChange: undefined });
+    });
+
+    it.each([
+        ['no option', () => []],
+        ['several options in a single-choice poll', (post) => post.poll.options.slice(0, 2).map(option => option._id.toString())],
+        ['an option of another poll', () => [objectId().toString()]]
+    ])('throws a 400 for %s', async (label, choose) => {
+        const post = pollPost();
+        const upsert = jest.spyOn(PollVote, 'findOneAndUpdate');
+        await expect(castVote(post, objectId(), choose(post))).rejects.toMatchObject({ statusCode: 400 });
+        expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it('accepts several options in a multiple-choice poll', async () => {
+        const post = pollPost({ multipleChoice: true });
+        const [saturday, sunday] = post.poll.options.map(option => option._id.toString());
+        jest.spyOn(PollVote, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await castVote(post, objectId(), [saturday, sunday, saturday]);
+
+        expect(PollVote.findOneAndUpdate.mock.calls[0][1]).toEqual({ $set: { options: [saturday, sunday] } });
+        expect(incrementOf()).toEqual({ changes: { [saturday]: 1, [sunday]: 1 }, voterChange: 1 });
+    });
+});
+
+describe('retractVote', () => {
+    it('takes the vote back from its options and the voter count', async () => {
+        const post = pollPost();
+        jest.spyOn(PollVote, 'findOneAndDelete').mockResolvedValue({ options: [post.poll.options[2]._id] });
+        jest.spyOn(Post, 'findByIdAndUpdate').mockReturnValue(mockQuery({ poll: post.poll }));
+
+        await retractVote(post, objectId());
+
+        const [, update] = Post.findByIdAndUpdate.mock.calls[0];
+        expect(update.$inc).toEqual({ 'poll.options.$[o0].voteCount': -1, 'poll.voterCount': -1 });
+    });
+});
+
+describe('poll endpoints', () => {
+    const author = makeUser();
+    const voter = makeUser();
+    const appFor = (user) => buildApp(app => {
+        app.put('/posts/:postId/poll/vote', votePoll);
+        app.post('/posts/:postId/poll/close', closePostPoll);
+        app.get('/posts/:postId/poll/voters', getPollVoters);
+    }, { user });
+
+    // Serves a public post of `author` with the given poll; nobody has blocked anyone
+    const servePoll = (poll = {}) => {
+        const post = pollPost(poll);
+        jest.spyOn(Post, 'findById').mockReturnValue(mockQuery({ _id: post._id, user: { _id: author._id, isPrivate: false }, visibility: 'public', poll: post.poll }));
+        jest.spyOn(User, 'exists').mockResolvedValue(null);
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(makeUser()));
+        jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+        return post;
+    };
+
+    it("records a vote and answers with the results and the voter's choice", async () => {
+        const post = servePoll();
+        const sunday = post.poll.options[1]._id.toString();
+        jest.spyOn(PollVote, 'findOneAndUpdate').mockResolvedValue(null);
+        jest.spyOn(Post, 'findByIdAndUpdate').mockReturnValue(mockQuery({ poll: post.poll }));
+
+        const res = await request(appFor(voter)).put(`/posts/${post._id}/poll/vote`).send({ optionId: sunday });
+
+        expect(res.status).toBe(200);
+        expect(res.body.poll).toMatchObject({ isClosed: false, myVote: [sunday] });
+    });
+
+    it('answers 400 once the poll is closed and 403 across a block with the author', async () => {
+        const closed = servePoll({ closesAt: new Date(Date.now() - 1000) });
+        const upsert = jest.spyOn(PollVote, 'findOneAndUpdate');
+        expect((await request(appFor(voter)).put(`/posts/${closed._id}/poll/vote`).send({ optionId: closed.poll.options[0]._id })).status).toBe(400);
+
+        const open = servePoll();
+        User.exists.mockResolvedValue({ _id: author._id });
+        expect((await request(appFor(voter)).put(`/posts/${open._id}/poll/vote`).send({ optionId: open.poll.options[0]._id })).status).toBe(403);
+        expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it('lets only the author close the poll early', async () => {
+        const post = servePoll();
+        const close = jest.spyOn(Post, 'findByIdAndUpdate').mockReturnValue(mockQuery({ poll: { ...post.poll.toObject(), closesAt: new Date() } }));
+
+        expect((await request(appFor(voter)).post(`/posts/${post._id}/poll/close`)).status).toBe(403);
+        const res = await request(appFor(author)).post(`/posts/${post._id}/poll/close`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.poll.isClosed).toBe(true);
+        expect(close).toHaveBeenCalledTimes(1);
+    });
+
+    it('lists voters of named polls by option, and keeps anonymous polls anonymous', async () => {
+        const named = servePoll();
+        const find = jest.spyOn(PollVote, 'find').mockReturnValue(mockQuery([{ _id: objectId(), user: voter._id }]));
+        const optionId = named.poll.options[0]._id.toString();
+
+        const res = await request(appFor(author)).get(`/posts/${named._id}/poll/voters?optionId=${optionId}`);
+        expect(res.status).toBe(200);
+        expect(find.mock.calls[0][0]).toMatchObject({ post: named._id, options: optionId });
+
+        expect((await request(appFor(author)).get(`/posts/${named._id}/poll/voters?optionId=${objectId()}`)).status).toBe(400);
+
+        const anonymous = servePoll({ anonymous: true });
+        expect((await request(appFor(author)).get(`/posts/${anonymous._id}/poll/voters`)).status).toBe(403);
+    });
+});
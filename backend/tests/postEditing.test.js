@@ -0,0 +1,89 @@
+// backend/tests/postEditing.test.js
+const request = require('supertest');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { editPost, getPostRevisions } = require('../controllers/postController');
+const { maxRevisions } = require('../config/posts');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const author = makeUser();
+const appFor = (user) => buildApp(app => {
+    app.put('/posts/:postId', editPost);
+    app.get('/posts/:postId/revisions', getPostRevisions);
+}, { user });
+const app = appFor(author);
+
+// Serves `post` to Post.findById and records the edit
+const servePost = (fields = {}) => {
+    const post = new Post({ user: author._id, content: 'First #draft', ...fields });
+    jest.spyOn(Post, 'findById').mockReturnValue(mockQuery(post));
+    const update = jest.spyOn(Post, 'findByIdAndUpdate').mockImplementation((id, change) => mockQuery(new Post({ _id: post._id, user: author._id, ...change.$set })));
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([])); // No mentioned members
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ blockedUsers: [] }));
+    return { post, update };
+};
+
+describe('PUT /posts/:postId', () => {
+    it('updates the text and keeps the previous version in the capped revision history', async () => {
+        const { post, update } = servePost();
+
+        const res = await request(app).put(`/posts/${post._id}`).send({ content: '  Final #Holi  ' });
+
+        expect(res.status).toBe(200);
+        const [, change, options] = update.mock.calls[0];
+        expect(change.$set).toMatchObject({ content: 'Final #Holi', hashtags: ['holi'] });
+        expect(change.$set.editedAt).toBeInstanceOf(Date);
+        expect(change.$push.revisions.$each[0]).toMatchObject({ content: 'First #draft', editedAt: change.$set.editedAt });
+        expect(change.$push.revisions.$slice).toBe(-maxRevisions);
+        expect(options).toMatchObject({ new: true, runValidators: true });
+    });
+
+    it.each([
+        ['a number', { content: 5 }],
+        ['an object', { content: { $set: 'x' } }],
+        ['missing, with no media change', {}]
+    ])('answers 400 when the content is %s', async (label, body) => {
+        const { post, update } = servePost();
+        const res = await request(app).put(`/posts/${post._id}`).send(body);
+        expect(res.status).toBe(400);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('refuses to empty a post that has no media or poll', async () => {
+        const { post, update } = servePost();
+        const res = await request(app).put(`/posts/${post._id}`).send({ content: '   ' });
+        expect(res.status).toBe(400);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('is for the author only, and reposts cannot be edited', async () => {
+        const { post } = servePost();
+        expect((await request(appFor(makeUser({ roles: ['super-admin'] }))).put(`/posts/${post._id}`).send({ content: 'Hacked' })).status).toBe(403);
+
+        const repost = servePost({ shareType: 'repost', sharedPost: objectId(), content: '' }).post;
+        expect((await request(app).put(`/posts/${repost._id}`).send({ content: 'Hi' })).status).toBe(400);
+    });
+});
+
+describe('GET /posts/:postId/revisions', () => {
+    const withRevisions = () => {
+        const post = new Post({ user: author._id, content: 'Now', editedAt: new Date(), revisions: [{ content: 'Before', editedAt: new Date() }] });
+        jest.spyOn(Post, 'findById').mockReturnValue(mockQuery(post));
+        return post;
+    };
+
+    it('shows the history to the author and to moderators', async () => {
+        const post = withRevisions();
+
+        const own = await request(app).get(`/posts/${post._id}/revisions`);
+        expect(own.status).toBe(200);
+        expect(own.body).toMatchObject({ current: { content: 'Now' }, count: 1, revisions: [{ content: 'Before' }] });
+
+        expect((await request(appFor(makeUser({ roles: ['moderator'] }))).get(`/posts/${post._id}/revisions`)).status).toBe(200);
+    });
+
+    it('hides it from other members', async () => {
+        const post = withRevisions();
+        expect((await request(appFor(makeUser())).get(`/posts/${post._id}/revisions`)).status).toBe(403);
+    });
+});
@@ -0,0 +1,169 @@
+// backend/tests/postMedia.test.js
+const request = require('supertest');
+const cloudinary = require('../config/cloudinary');
+const Post = require('../models/Post');
+const { getUploadedFiles, parseJsonArray, uploadMediaFiles, buildEditedMedia } = require('../controllers/postMediaHelper');
+const { createPost } = require('../controllers/postController');
+const { maxMediaItems } = require('../config/posts');
+const { mockQuery, makeUser, buildApp } = require('./helpers');
+
+// A multer memory-storage file
+const file = (mimetype, name = 'file') => ({ mimetype, originalname: `${name}.${mimetype.split('/')[1]}`, buffer: Buffer.from(name) });
+
+// Cloudinary answers every upload with a public ID derived from the file name; deletions succeed
+const serveCloudinary = () => {
+    const upload = jest.spyOn(cloudinary.uploader, 'upload').mockImplementation(async (dataUri, options) => ({
+        secure_url: `https://res.cloudinary.com/test/${options.folder}/${upload.mock.calls.length}`,
+        public_id: `${options.folder}/${upload.mock.calls.length}`
+    }));
+    const destroy = jest.spyOn(cloudinary.uploader, 'destroy').mockResolvedValue({ result: 'ok' });
+    return { upload, destroy };
+};
+
+// The media items of a post as Mongoose subdocuments (with _id and toObject)
+const currentMedia = () => new Post({
+    user: makeUser()._id,
+    media: [
+        { type: 'image', url: 'https://res.cloudinary.com/test/a.jpg', publicId: 'a', altText: 'Lamp' },
+        { type: 'audio', url: 'https://res.cloudinary.com/test/b.mp3', publicId: 'b' }
+    ]
+}).media;
+
+describe('getUploadedFiles', () => {
+    it("puts the 'media' files first, then the single fields of older clients", () => {
+        const [media, image, audio] = [file('image/png', 'm'), file('image/jpeg', 'i'), file('audio/mpeg', 'a')];
+        expect(getUploadedFiles({ files: { audio: [audio], image: [image], media: [media] } })).toEqual([media, image, audio]);
+        expect(getUploadedFiles({})).toEqual([]);
+    });
+});
+
+describe('parseJsonArray', () => {
+    it('accepts a JSON array string or an array, and treats a missing field as undefined', () => {
+        expect(parseJsonArray('[{"altText":"Diya"}]', 'mediaDetails')).toEqual([{ altText: 'Diya' }]);
+        expect(parseJsonArray([{ id: 'x' }], 'mediaLayout')).toEqual([{ id: 'x' }]);
+        expect(parseJsonArray(undefined, 'mediaDetails')).toBeUndefined();
+        expect(parseJsonArray('', 'mediaDetails')).toBeUndefined();
+    });
+
+    it.each([
+        ['invalid JSON', '[{'],
+        ['a JSON object', '{"altText":"x"}'],
+        ['a number', 3]
+    ])('throws a 400 for %s', (label, raw) => {
+        expect(() => parseJsonArray(raw, 'mediaDetails')).toThrow(expect.objectContaining({ statusCode: 400, message: 'mediaDetails must be a JSON array.' }));
+    });
+});
+
+describe('uploadMediaFiles', () => {
+    it('uploads in carousel order with the alt text and caption given for each file', async () => {
+        serveCloudinary();
+
+        const items = await uploadMediaFiles(
+            [file('image/jpeg'), file('audio/mpeg')],
+            [{ altText: ' Aarti ', caption: 'Evening', publicId: 'forged' }, { caption: 'Bhajan' }]
+        );
+
+        expect(items).toEqual([
+            { type: 'image', url: expect.any(String), publicId: 'patwa_toli/posts/1', altText: 'Aarti', caption: 'Evening' },
+            { type: 'audio', url: expect.any(String), publicId: 'patwa_toli/posts/2', caption: 'Bhajan' }
+        ]);
+    });
+
+    it('deletes the files already uploaded when a later upload fails', async () => {
+        const { upload, destroy } = serveCloudinary();
+        upload.mockImplementationOnce(async () => ({ secure_url: 'https://res.cloudinary.com/test/v', public_id: 'first' }))
+              .mockImplementationOnce(async () => { throw new Error('Network down'); });
+
+        await expect(uploadMediaFiles([file('video/mp4'), file('image/png')])).rejects.toThrow('Network down');
+        expect(destroy).toHaveBeenCalledWith('first', { resource_type: 'video', type: 'upload' });
+    });
+});
+
+describe('buildEditedMedia', () => {
+    const uploaded = [{ type: 'video', url: 'https://res.cloudinary.com/test/new.mp4', publicId: 'new' }];
+
+    it('follows the layout: reorders, updates details, places uploads and reports removed items', () => {
+        const current = currentMedia();
+
+        const { media, removed } = buildEditedMedia(current, uploaded, {
+            layout: [{ file: 0, caption: 'Procession' }, { id: current[0]._id.toString(), altText: 'Diya' }]
+        });
+
+        expect(media).toEqual([
+            { ...uploaded[0], caption: 'Procession' },
+            expect.objectContaining({ _id: current[0]._id, publicId: 'a', altText: 'Diya' })
+        ]);
+        expect(removed).toEqual([current[1]]);
+    });
+
+    it.each([
+        ['an unknown item id', () => [{ id: 'nope' }, { file: 0 }]],
+        ['a repeated item id', (current) => [{ id: current[0]._id }, { id: current[0]._id }, { file: 0 }]],
+        ['a file index without an upload', () => [{ file: 0 }, { file: 1 }]],
+        ['an entry without id or file', () => [{ file: 0 }, { caption: 'x' }]],
+        ['an upload left out', () => []]
+    ])('throws a 400 for a layout with %s', (label, layoutFor) => {
+        const current = currentMedia();
+        expect(() => buildEditedMedia(current, uploaded, { layout: layoutFor(current) })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('without a layout appends uploads, or replaces everything on removeMedia', () => {
+        const current = currentMedia();
+
+        const appended = buildEditedMedia(current, uploaded, {});
+        expect(appended.media.map(item => item.publicId)).toEqual(['a', 'b', 'new']);
+        expect(appended.removed).toEqual([]);
+
+        const replaced = buildEditedMedia(current, uploaded, { removeMedia: true });
+        expect(replaced.media).toEqual(uploaded);
+        expect(replaced.removed).toHaveLength(2);
+    });
+
+    it(`refuses more than ${maxMediaItems} items`, () => {
+        const many = Array.from({ length: maxMediaItems - 1 }, (_, index) => ({ type: 'image', url: `https://x/${index}`, publicId: `${index}` }));
+        expect(() => buildEditedMedia(currentMedia(), many, {})).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
+
+describe('POST /posts', () => {
+    const author = makeUser();
+    // Stands in for the uploadPostMedia middleware
+    const appWithFiles = (files) => buildApp(app => {
+        app.post('/posts', (req, res, next) => { req.files = files; next(); }, createPost);
+    }, { user: author });
+
+    it('creates a carousel post with every uploaded file in order', async () => {
+        serveCloudinary();
+        const save = jest.spyOn(Post.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+        jest.spyOn(Post, 'findById').mockReturnValue(mockQuery({}));
+        const files = { media: [file('image/jpeg'), file('video/mp4')], audio: [file('audio/mpeg')] };
+
+        const res = await request(appWithFiles(files)).post('/posts')
+                                                     .send({ content: 'Jagran tonight', mediaDetails: JSON.stringify([{ altText: 'Stage' }]) });
+
+        expect(res.status).toBe(201);
+        const saved = save.mock.instances[0];
+        expect(saved.media.map(item => item.type)).toEqual(['image', 'video', 'audio']);
+        expect(saved.media[0].altText).toBe('Stage');
+    });
+
+    it('answers 400 before uploading anything for too many files or malformed mediaDetails', async () => {
+        const { upload } = serveCloudinary();
+        const tooMany = { media: Array.from({ length: maxMediaItems + 1 }, () => file('image/png')) };
+        expect((await request(appWithFiles(tooMany)).post('/posts').send({ content: 'Hi' })).status).toBe(400);
+
+        const res = await request(appWithFiles({ media: [file('image/png')] })).post('/posts').send({ content: 'Hi', mediaDetails: 'not json' });
+        expect(res.status).toBe(400);
+        expect(upload).not.toHaveBeenCalled();
+    });
+
+    it('deletes the uploads again when the post cannot be saved', async () => {
+        const { destroy } = serveCloudinary();
+        jest.spyOn(Post.prototype, 'save').mockRejectedValue(new Error('Validation failed'));
+
+        const res = await request(appWithFiles({ media: [file('audio/mpeg')] })).post('/posts').send({ content: 'Bhajan' });
+
+        expect(res.status).toBe(500);
+        expect(destroy).toHaveBeenCalledWith('patwa_toli/posts/1', { resource_type: 'video', type: 'upload' });
+    });
+});
@@ -0,0 +1,112 @@
+// backend/tests/postVisibility.test.js
+const request = require('supertest');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const { getVisiblePostLevels, visibilityCondition, canViewPost, buildFeedPostFilter } = require('../controllers/visibilityHelper');
+const { getPostById, updatePostVisibility } = require('../controllers/postController');
+const { addCloseFriend } = require('../controllers/userController');
+const { maxCloseFriends } = require('../config/posts');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const me = makeUser();
+const app = buildApp(app => {
+    app.get('/posts/:postId', getPostById);
+    app.put('/posts/:postId/visibility', updatePostVisibility);
+    app.post('/me/close-friends/:userId', addCloseFriend);
+}, { user: me });
+
+// Answers the follower / close-friend lookups of getVisiblePostLevels
+const relation = ({ follower = false, closeFriend = false }) =>
+    jest.spyOn(User, 'exists').mockImplementation(async (filter) => ((filter.followers && follower) || (filter.closeFriends && closeFriend) ? { _id: objectId() } : null));
+
+describe('getVisiblePostLevels', () => {
+    it.each([
+        ['a stranger of a public account', {}, {}, ['public']],
+        ['a follower', {}, { follower: true }, ['public', 'followers']],
+        ['a close friend who follows', {}, { follower: true, closeFriend: true }, ['public', 'followers', 'close_friends']],
+        ['a close friend who does not follow', {}, { closeFriend: true }, ['public', 'close_friends']],
+        ['a stranger of a private account', { isPrivate: true }, { closeFriend: true }, []]
+    ])('gives %s the right levels', async (label, authorFields, relations, levels) => {
+        relation(relations);
+        expect(await getVisiblePostLevels(me._id, makeUser(authorFields))).toEqual(levels);
+    });
+
+    it('shows authors all their own posts, including only_me', async () => {
+        expect(await getVisiblePostLevels(me._id, me)).toContain('only_me');
+    });
+});
+
+describe('visibilityCondition', () => {
+    it('counts posts from before visibility existed as public', () => {
+        expect(visibilityCondition(['public'])).toEqual({ $in: ['public', null] });
+        expect(visibilityCondition(['close_friends'])).toEqual({ $in: ['close_friends'] });
+    });
+
+    it('makes canViewPost treat a missing visibility as public', async () => {
+        relation({});
+        expect(await canViewPost(me._id, { user: makeUser() })).toBe(true);
+        expect(await canViewPost(me._id, { user: makeUser(), visibility: 'followers' })).toBe(false);
+    });
+});
+
+describe('buildFeedPostFilter', () => {
+    it('shows close_friends posts only of authors who listed the viewer', async () => {
+        const [friend, other] = [objectId(), objectId()];
+        jest.spyOn(User, 'find').mockReturnValue(mockQuery([friend]));
+
+        const filter = await buildFeedPostFilter(me._id, [me._id, friend, other]);
+
+        expect(User.find).toHaveBeenCalledWith({ _id: { $in: [friend, other] }, closeFriends: me._id });
+        expect(filter.$or).toEqual([
+            { user: me._id },
+            { user: { $in: [friend, other] }, visibility: { $in: ['public', 'followers', null] } },
+            { user: { $in: [friend] }, visibility: 'close_friends' }
+        ]);
+    });
+});
+
+describe('GET /posts/:postId', () => {
+    it('answers 404 for posts the viewer may not see', async () => {
+        const author = makeUser();
+        jest.spyOn(Post, 'findById').mockReturnValue(mockQuery({ _id: objectId(), user: author.toObject(), visibility: 'close_friends' }));
+        relation({ follower: true });
+
+        const res = await request(app).get(`/posts/${objectId()}`);
+
+        expect(res.status).toBe(404);
+        expect(res.body.message).toBe('Post not found.');
+    });
+});
+
+describe('PUT /posts/:postId/visibility', () => {
+    it('lets the author change it and nobody else', async () => {
+        const post = new Post({ user: me._id, content: 'Hi' });
+        jest.spyOn(post, 'save').mockResolvedValue(post);
+        jest.spyOn(Post, 'findById').mockReturnValue(mockQuery(post));
+
+        expect((await request(app).put(`/posts/${post._id}/visibility`).send({ visibility: 'only_me' })).status).toBe(200);
+        expect(post.visibility).toBe('only_me');
+
+        post.user = objectId();
+        expect((await request(app).put(`/posts/${post._id}/visibility`).send({ visibility: 'public' })).status).toBe(403);
+    });
+
+    it('answers 400 for unknown levels', async () => {
+        const res = await request(app).put(`/posts/${objectId()}/visibility`).send({ visibility: 'friends_of_friends' });
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('POST /users/me/close-friends/:userId', () => {
+    it('stops at the maximum list size', async () => {
+        const friend = makeUser();
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(friend));
+        jest.spyOn(User, 'exists').mockResolvedValue(null);
+        const add = jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+
+        const res = await request(app).post(`/me/close-friends/${friend._id}`);
+
+        expect(res.status).toBe(400);
+        expect(add.mock.calls[0][0]).toEqual({ _id: me.id, [`closeFriends.${maxCloseFriends - 1}`]: { $exists: false } });
+    });
+});
@@ -0,0 +1,98 @@
+// backend/tests/privateAccounts.test.js
+const request = require('supertest');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Notification = require('../models/Notification');
+const { canViewMemberContent } = require('../controllers/visibilityHelper');
+const userController = require('../controllers/userController');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const me = makeUser();
+const app = buildApp(app => {
+    app.post('/users/:userId/follow', userController.followUser);
+    app.post('/me/follow-requests/:userId', userController.approveFollowRequest);
+    app.delete('/me/follow-requests/:userId', userController.declineFollowRequest);
+    app.get('/users/:username', userController.getUserProfile);
+}, { user: me });
+
+beforeEach(() => {
+    jest.spyOn(Notification, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue({ _id: objectId() });
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(0);
+});
+
+describe('canViewMemberContent', () => {
+    it('shows private accounts only to the owner and approved followers', async () => {
+        const owner = makeUser({ isPrivate: true });
+        const exists = jest.spyOn(User, 'exists').mockResolvedValueOnce({ _id: owner._id }).mockResolvedValueOnce(null);
+
+        expect(await canViewMemberContent(me._id, makeUser())).toBe(true);
+        expect(await canViewMemberContent(owner._id, owner)).toBe(true);
+        expect(await canViewMemberContent(me._id, owner)).toBe(true);
+        expect(await canViewMemberContent(me._id, owner)).toBe(false);
+        expect(exists).toHaveBeenCalledWith({ _id: owner._id, followers: me._id });
+    });
+});
+
+describe('following a private account', () => {
+    it('sends a follow request instead of following', async () => {
+        const owner = makeUser({ isPrivate: true });
+        jest.spyOn(User, 'findById').mockImplementation(id => mockQuery(owner._id.equals(id) ? owner : me));
+        jest.spyOn(User, 'exists').mockResolvedValue(null); // Not blocked
+        const push = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(User, 'findByIdAndUpdate');
+
+        const res = await request(app).post(`/users/${owner._id}/follow`);
+
+        expect(res.body).toMatchObject({ success: true, requested: true });
+        expect(push.mock.calls[0][0]).toEqual({ _id: owner.id, 'followRequests.user': { $ne: me.id } });
+        expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+        expect(Notification.findOneAndUpdate.mock.calls[0][0].groupKey).toBe(`follow_request:User:${owner._id}`);
+    });
+
+    it('turns an approved request into a follow and tells the requester', async () => {
+        const requester = objectId();
+        jest.spyOn(User, 'exists').mockResolvedValue({ _id: me._id });
+        const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+        const follow = jest.spyOn(User, 'updateMany').mockResolvedValue({});
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(makeUser()));
+
+        const res = await request(app).post(`/me/follow-requests/${requester}`);
+
+        expect(res.status).toBe(200);
+        expect(update.mock.calls[0][1]).toEqual({
+            $pull: { followRequests: { user: { $in: [requester] } } },
+            $addToSet: { followers: { $each: [requester] } }
+        });
+        expect(follow).toHaveBeenCalledWith({ _id: { $in: [requester] } }, { $addToSet: { following: me._id } });
+        expect(Notification.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ recipient: requester, groupKey: `follow_accept:User:${me._id}` });
+    });
+
+    it('answers 404 when approving or declining a request that does not exist', async () => {
+        jest.spyOn(User, 'exists').mockResolvedValue(null);
+        jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+        expect((await request(app).post(`/me/follow-requests/${objectId()}`)).status).toBe(404);
+        expect((await request(app).delete(`/me/follow-requests/${objectId()}`)).status).toBe(404);
+    });
+});
+
+describe('GET /users/:username of a private account', () => {
+    it('shows non-followers the header only, with the request state', async () => {
+        const owner = makeUser({ isPrivate: true, followers: [objectId()], following: [objectId()] });
+        jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(owner));
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ blockedUsers: [] }));
+        jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+        jest.spyOn(User, 'exists').mockImplementation(async (filter) => (filter['followRequests.user'] ? { _id: owner._id } : null));
+        jest.spyOn(Post, 'countDocuments').mockResolvedValue(4);
+        const posts = jest.spyOn(Post, 'find');
+
+        const res = await request(app).get(`/users/${owner.username}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ canViewContent: false, followRequested: true, isFollowing: false, followers: [], following: [], posts: [] });
+        expect(Post.countDocuments.mock.calls[0][0].visibility).toEqual({ $in: [] });
+        expect(posts).not.toHaveBeenCalled();
+    });
+});
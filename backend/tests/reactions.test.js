@@ -0,0 +1,175 @@
+// backend/tests/reactions.test.js
+const request = require('supertest');
+const Reaction = require('../models/Reaction');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { totalReactions, setReaction, removeReaction, getLikers } = require('../controllers/reactionHelper');
+const { reactToPost, getPostReactions, likePost } = require('../controllers/postController');
+const { legacyLikesLimit } = require('../config/posts');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const author = objectId();
+const member = objectId();
+const post = { _id: objectId(), user: author };
+
+// The post's counts after an update, and the notifications that were created or retracted
+beforeEach(() => {
+    jest.spyOn(Post, 'findByIdAndUpdate').mockReturnValue(mockQuery({ reactionCounts: { like: 1 } }));
+    jest.spyOn(Post, 'findById').mockReturnValue(mockQuery({ reactionCounts: { like: 1 } }));
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(makeUser()));
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue({ _id: objectId() });
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Notification, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+});
+
+const notifiedGroups = () => Notification.findOneAndUpdate.mock.calls.map(([filter]) => filter.groupKey);
+const retractedGroups = () => Notification.updateMany.mock.calls.map(([filter]) => filter.groupKey);
+
+describe('totalReactions', () => {
+    it('adds up every reaction type and treats missing counts as zero', () => {
+        expect(totalReactions({ like: 2, pray: 3, sad: 1 })).toBe(6);
+        expect(totalReactions(undefined)).toBe(0);
+    });
+});
+
+describe('setReaction', () => {
+    it("counts a first reaction and notifies the author with the type's wording", async () => {
+        jest.spyOn(Reaction, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await setReaction(post, member, 'pray');
+
+        expect(Reaction.findOneAndUpdate).toHaveBeenCalledWith({ post: post._id, user: member }, { $set: { type: 'pray' } }, { upsert: true, new: false });
+        expect(Post.findByIdAndUpdate.mock.calls[0][1]).toEqual({ $inc: { 'reactionCounts.pray': 1 } });
+        expect(notifiedGroups()).toEqual([`reaction:Post:${post._id}`]);
+    });
+
+    it('moves a changed reaction from the old type to the new one, keeping one reaction per member', async () => {
+        jest.spyOn(Reaction, 'findOneAndUpdate').mockResolvedValue({ type: 'like' });
+
+        await setReaction(post, member, 'celebrate');
+
+        expect(Post.findByIdAndUpdate.mock.calls[0][1]).toEqual({ $inc: { 'reactionCounts.celebrate': 1, 'reactionCounts.like': -1 } });
+        expect(retractedGroups()).toEqual([`like:Post:${post._id}`]);
+        expect(notifiedGroups()).toEqual([`reaction:Post:${post._id}`]);
+    });
+
+    it('changes nothing when the member reacts with the same type again', async () => {
+        jest.spyOn(Reaction, 'findOneAndUpdate').mockResolvedValue({ type: 'love' });
+
+        expect(await setReaction(post, member, 'love')).toEqual({ like: 1 });
+        expect(Post.findByIdAndUpdate).not.toHaveBeenCalled();
+        expect(notifiedGroups()).toEqual([]);
+    });
+
+    it('retries without upsert when a parallel request created the reaction first', async () => {
+        const duplicate = Object.assign(new Error('E11000'), { code: 11000 });
+        const upsert = jest.spyOn(Reaction, 'findOneAndUpdate').mockRejectedValueOnce(duplicate).mockResolvedValueOnce({ type: 'like' });
+
+        await setReaction(post, member, 'sad');
+
+        expect(upsert).toHaveBeenCalledTimes(2);
+        expect(upsert.mock.calls[1][2]).toEqual({ new: false });
+        expect(Post.findByIdAndUpdate.mock.calls[0][1]).toEqual({ $inc: { 'reactionCounts.sad': 1, 'reactionCounts.like': -1 } });
+    });
+});
+
+describe('removeReaction', () => {
+    it('decrements the removed type and retracts its notification', async () => {
+        jest.spyOn(Reaction, 'findOneAndDelete').mockResolvedValue({ type: 'love' });
+
+        await removeReaction(post, member);
+
+        expect(Post.findByIdAndUpdate.mock.calls[0][1]).toEqual({ $inc: { 'reactionCounts.love': -1 } });
+        expect(retractedGroups()).toEqual([`reaction:Post:${post._id}`]);
+    });
+
+    it('leaves the counts alone when the member had not reacted', async () => {
+        jest.spyOn(Reaction, 'findOneAndDelete').mockResolvedValue(null);
+        expect(await removeReaction(post, member)).toEqual({ like: 1 });
+        expect(Post.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+});
+
+describe('getLikers', () => {
+    it("lists the newest 'like' reactions as user IDs for older clients", async () => {
+        const likers = [objectId(), objectId()];
+        const query = mockQuery(likers.map(user => ({ user })));
+        jest.spyOn(Reaction, 'find').mockReturnValue(query);
+
+        expect(await getLikers(post._id)).toEqual(likers);
+        expect(Reaction.find).toHaveBeenCalledWith({ post: post._id, type: 'like' });
+        expect(query.limit).toHaveBeenCalledWith(legacyLikesLimit);
+        expect(query.populate).not.toHaveBeenCalled();
+    });
+});
+
+describe('reaction endpoints', () => {
+    const viewer = makeUser();
+    const app = buildApp(app => {
+        app.put('/posts/:postId/reactions', reactToPost);
+        app.get('/posts/:postId/reactions', getPostReactions);
+        app.post('/posts/:postId/like', likePost);
+    }, { user: viewer });
+
+    // A public post nobody has blocked anyone over
+    const servePost = () => {
+        const found = { _id: post._id, user: { _id: author, isPrivate: false }, visibility: 'public', reactionCounts: { like: 1, pray: 2 } };
+        Post.findById.mockReturnValue(mockQuery(found));
+        jest.spyOn(User, 'exists').mockResolvedValue(null);
+        jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+    };
+
+    it.each([
+        ['unknown', { type: 'angry' }],
+        ['not a string', { type: ['like'] }],
+        ['missing', {}]
+    ])('PUT answers 400 when the reaction type is %s', async (label, body) => {
+        const upsert = jest.spyOn(Reaction, 'findOneAndUpdate');
+        const res = await request(app).put(`/posts/${post._id}/reactions`).send(body);
+        expect(res.status).toBe(400);
+        expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it('PUT sets the reaction and answers with the counts and the total', async () => {
+        servePost();
+        jest.spyOn(Reaction, 'findOneAndUpdate').mockResolvedValue(null);
+        Post.findByIdAndUpdate.mockReturnValue(mockQuery({ reactionCounts: { like: 1, pray: 3 } }));
+
+        const res = await request(app).put(`/posts/${post._id}/reactions`).send({ type: 'pray' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ myReaction: 'pray', reactionCounts: { like: 1, pray: 3 }, likeCount: 4 });
+    });
+
+    it('GET lists who reacted, filtered by type and without blocked members', async () => {
+        servePost();
+        const find = jest.spyOn(Reaction, 'find').mockReturnValue(mockQuery([{ _id: objectId(), type: 'pray' }]));
+
+        const res = await request(app).get(`/posts/${post._id}/reactions?type=pray`);
+
+        expect(res.status).toBe(200);
+        expect(find.mock.calls[0][0]).toEqual({ post: post._id, user: { $nin: [] }, type: 'pray' });
+        expect(res.body).toMatchObject({ reactionCounts: { like: 1, pray: 2 }, count: 1, pagination: { hasMore: false } });
+    });
+
+    it('GET answers 400 for an unknown type filter or a malformed cursor', async () => {
+        servePost();
+        expect((await request(app).get(`/posts/${post._id}/reactions?type=angry`)).status).toBe(400);
+        expect((await request(app).get(`/posts/${post._id}/reactions?before=nope`)).status).toBe(400);
+    });
+
+    it("the old like endpoint sets a 'like' reaction and still returns the liker IDs", async () => {
+        servePost();
+        const upsert = jest.spyOn(Reaction, 'findOneAndUpdate').mockResolvedValue(null);
+        jest.spyOn(Reaction, 'find').mockReturnValue(mockQuery([{ user: viewer._id }]));
+
+        const res = await request(app).post(`/posts/${post._id}/like`);
+
+        expect(res.status).toBe(200);
+        expect(upsert.mock.calls[0][1]).toEqual({ $set: { type: 'like' } });
+        expect(res.body).toMatchObject({ myReaction: 'like', likes: [viewer._id.toString()] });
+    });
+});
@@ -0,0 +1,160 @@
+// backend/tests/realtime.test.js
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const realtime = require('../controllers/realtimeHelper');
+const realtimeConfig = require('../config/realtime');
+const { revokeUserSessions } = require('../controllers/sessionHelper');
+const { attachWebSocketGateway, closeWebSocketGateway } = require('../controllers/realtimeController');
+const { mockQuery, objectId, makeUser } = require('./helpers');
+
+// A client that records what it receives
+const connect = (user, options) => {
+    const events = [];
+    const client = realtime.createClient(user, event => events.push(event), options);
+    return { client, events };
+};
+
+// Serves a post (and its author) to subscribe()
+const servePost = (author, visibility = 'public') => {
+    jest.spyOn(Post, 'findById').mockReturnValue(mockQuery({ _id: objectId(), user: author, visibility }));
+    jest.spyOn(User, 'exists').mockResolvedValue(null); // Not a follower / close friend
+};
+
+describe('rooms and replay', () => {
+    it("delivers a member's events only to their own connections", () => {
+        const ravi = connect(makeUser());
+        const sita = connect(makeUser());
+
+        realtime.publish(realtime.userRoom(ravi.client.userId), 'notification:new', { unreadCount: 1 });
+        realtime.disconnect(ravi.client);
+        realtime.disconnect(sita.client);
+
+        expect(ravi.events.map(event => event.type)).toEqual(['notification:new']);
+        expect(sita.events).toEqual([]);
+    });
+
+    it('replays missed events after a reconnect, oldest first', () => {
+        const user = makeUser();
+        const first = connect(user);
+        realtime.publish(realtime.userRoom(user._id), 'a', {});
+        const lastSeen = first.events[0].id;
+        realtime.disconnect(first.client);
+        realtime.publish(realtime.userRoom(user._id), 'b', {});
+        realtime.publish(realtime.userRoom(user._id), 'c', {});
+
+        const second = connect(user);
+        const complete = realtime.replay(second.client, lastSeen);
+        realtime.disconnect(second.client);
+
+        expect(complete).toBe(true);
+        expect(second.events.map(event => event.type)).toEqual(['b', 'c']);
+    });
+
+    it('reports an incomplete replay for IDs from before the server started', () => {
+        const { client } = connect(makeUser());
+        expect(realtime.replay(client, 1)).toBe(false);
+        realtime.disconnect(client);
+    });
+
+    it('only lets members watch posts they may see, up to the subscription limit', async () => {
+        const viewer = connect(makeUser());
+
+        servePost(makeUser({ isPrivate: true }));
+        expect(await realtime.subscribe(viewer.client, `post:${objectId()}`)).toBe(false);
+        expect(await realtime.subscribe(viewer.client, 'user:someone-else')).toBe(false);
+
+        servePost(makeUser());
+        for (let i = 0; i < realtimeConfig.maxPostSubscriptions; i++) {
+            expect(await realtime.subscribe(viewer.client, `post:${objectId()}`)).toBe(true);
+        }
+        expect(await realtime.subscribe(viewer.client, `post:${objectId()}`)).toBe(false);
+        realtime.disconnect(viewer.client);
+    });
+
+    it('closes the connections of revoked sessions, except the one kept', async () => {
+        jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+        const user = makeUser();
+        const kept = objectId();
+        const closeKept = jest.fn();
+        const closeOther = jest.fn();
+        const keptConnection = connect(user, { sessionId: kept, close: closeKept });
+        connect(user, { sessionId: objectId(), close: closeOther });
+
+        await revokeUserSessions(user._id, 'logout_all', kept);
+
+        expect(closeOther).toHaveBeenCalled();
+        expect(closeKept).not.toHaveBeenCalled();
+        expect(realtime.getStats().connections).toBe(1);
+        realtime.disconnect(keptConnection.client);
+    });
+});
+
+describe('WebSocket gateway', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = http.createServer();
+        attachWebSocketGateway(server);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `ws://127.0.0.1:${server.address().port}${realtimeConfig.websocketPath}`;
+    });
+
+    afterAll(async () => {
+        closeWebSocketGateway();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    // Opens a socket and collects its messages until `count` have arrived
+    const openSocket = (query) => {
+        const socket = new WebSocket(`${baseUrl}?${new URLSearchParams(query)}`);
+        const messages = [];
+        const waiters = [];
+        socket.on('message', raw => {
+            messages.push(JSON.parse(raw.toString()));
+            waiters.filter(waiter => messages.length >= waiter.count).forEach(waiter => waiter.resolve(messages));
+        });
+        const receive = (count) => new Promise(resolve => {
+            if (messages.length >= count) return resolve(messages);
+            waiters.push({ count, resolve });
+        });
+        return { socket, receive };
+    };
+
+    const signIn = (user) => {
+        const session = new Session({ user: user._id, tokenHash: 'x', expiresAt: new Date(Date.now() + 60000) });
+        jest.spyOn(Session, 'findById').mockResolvedValue(session);
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+        return jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET);
+    };
+
+    it('refuses the upgrade without a valid token', async () => {
+        const socket = new WebSocket(`${baseUrl}?access_token=forged`);
+        const status = await new Promise(resolve => {
+            socket.on('unexpected-response', (req, res) => resolve(res.statusCode));
+            socket.on('error', () => resolve('error'));
+        });
+        expect(status).toBe(401);
+    });
+
+    it('pushes events to the member and ends the socket when the session is revoked', async () => {
+        const user = makeUser();
+        const { socket, receive } = openSocket({ access_token: signIn(user) });
+
+        const [ready] = await receive(1);
+        expect(ready).toEqual({ type: 'ready', data: { userId: user._id.toString() } });
+
+        realtime.publish(realtime.userRoom(user._id), 'notification:new', { unreadCount: 2 });
+        const messages = await receive(2);
+        expect(messages[1]).toMatchObject({ type: 'notification:new', data: { unreadCount: 2 } });
+
+        jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+        const closed = new Promise(resolve => socket.on('close', code => resolve(code)));
+        await revokeUserSessions(user._id, 'banned');
+        expect(await closed).toBe(4001);
+    });
+});
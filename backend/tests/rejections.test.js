@@ -0,0 +1,119 @@
+// backend/tests/rejections.test.js
+const request = require('supertest');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const LoginThrottle = require('../models/LoginThrottle');
+const mailer = require('../config/mailer');
+const membershipConfig = require('../config/membership');
+const { describeRegistration } = require('../controllers/membershipHelper');
+const { rejectUser } = require('../controllers/adminController');
+const { appealRejection } = require('../controllers/authController');
+const { mockQuery, makeUser, buildApp } = require('./helpers');
+
+let sentMails;
+const originalTransport = mailer.getTransport();
+
+beforeEach(() => {
+    sentMails = [];
+    mailer.setTransport({ name: 'test', send: async (message) => { sentMails.push(message); return {}; } });
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+afterAll(() => {
+    mailer.setTransport(originalTransport);
+});
+
+const pendingApplicant = (fields = {}) => {
+    const user = makeUser({ verified: false, verificationRequestedAt: new Date(), ...fields });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    return user;
+};
+
+describe('rejecting a registration', () => {
+    const app = buildApp(app => {
+        app.post('/users/:userId/reject', rejectUser);
+        app.delete('/users/:userId/reject', rejectUser);
+    }, { user: makeUser({ roles: ['moderator'] }) });
+
+    it('keeps the record as rejected and emails the reason', async () => {
+        const applicant = pendingApplicant();
+        jest.spyOn(User, 'findById').mockResolvedValue(applicant);
+
+        const res = await request(app).post(`/users/${applicant._id}/reject`).send({ reasonCode: 'insufficient_evidence', note: '  Please upload an ID  ' });
+
+        expect(res.status).toBe(200);
+        expect(applicant).toMatchObject({ rejectionReasonCode: 'insufficient_evidence', rejectionNote: 'Please upload an ID', verificationRequestedAt: undefined });
+        expect(applicant.rejectedAt).toBeInstanceOf(Date);
+        expect(sentMails).toHaveLength(1);
+        expect(sentMails[0].text).toContain(membershipConfig.rejectionReasons.insufficient_evidence);
+        expect(describeRegistration(applicant)).toMatchObject({ registrationStatus: 'rejected', rejection: { canAppeal: true } });
+    });
+
+    it("defaults to the 'other' reason for the older DELETE call without a body", async () => {
+        const applicant = pendingApplicant();
+        jest.spyOn(User, 'findById').mockResolvedValue(applicant);
+
+        expect((await request(app).delete(`/users/${applicant._id}/reject`)).status).toBe(200);
+        expect(applicant.rejectionReasonCode).toBe('other');
+    });
+
+    it('answers 400 for an unknown reason code or a note that is not text', async () => {
+        const findUser = jest.spyOn(User, 'findById');
+        expect((await request(app).post('/users/x/reject').send({ reasonCode: 'nope' })).status).toBe(400);
+        const note = await request(app).post('/users/x/reject').send({ reasonCode: 'other', note: { $gt: '' } });
+        expect(note.status).toBe(400);
+        expect(note.body.message).toBe('note must be text.');
+        expect(findUser).not.toHaveBeenCalled();
+    });
+
+    it('does not reject twice', async () => {
+        jest.spyOn(User, 'findById').mockResolvedValue(pendingApplicant({ rejectedAt: new Date() }));
+        expect((await request(app).post('/users/x/reject').send({ reasonCode: 'other' })).status).toBe(400);
+    });
+});
+
+describe('POST /auth/appeal', () => {
+    const app = buildApp(app => app.post('/appeal', appealRejection));
+
+    // Serves `user` to the credentials check, with the given password accepted
+    const signInAs = (user) => {
+        jest.spyOn(LoginThrottle, 'find').mockReturnValue(mockQuery([]));
+        jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockResolvedValue({ failures: 1 });
+        jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(user));
+        jest.spyOn(user, 'comparePassword').mockImplementation(async (password) => password === 'secret123');
+        return user;
+    };
+
+    it('puts a rejected registration back into the pending queue, once', async () => {
+        const applicant = signInAs(pendingApplicant({ verificationRequestedAt: undefined, rejectedAt: new Date(), rejectionReasonCode: 'incomplete_details' }));
+
+        const res = await request(app).post('/appeal').send({ username: applicant.username, password: 'secret123', message: ' I fixed my address ', address: 'Ward 4' });
+
+        expect(res.status).toBe(200);
+        expect(applicant).toMatchObject({ appealCount: 1, appealMessage: 'I fixed my address', address: 'Ward 4', rejectedAt: undefined });
+        expect(applicant.verificationRequestedAt).toBeInstanceOf(Date);
+        expect(applicant.rejectionReasonCode).toBe('incomplete_details');
+
+        applicant.rejectedAt = new Date(); // Rejected again
+        const second = await request(app).post('/appeal').send({ username: applicant.username, password: 'secret123', message: 'Please' });
+        expect(second.status).toBe(403);
+    });
+
+    it.each([
+        ['missing', undefined],
+        ['blank', '   '],
+        ['a number', 5],
+        ['an object', { $ne: null }]
+    ])('answers 400 when the message is %s, before checking credentials', async (label, message) => {
+        const findUser = jest.spyOn(User, 'findOne');
+        const res = await request(app).post('/appeal').send({ username: 'asha', password: 'secret123', message });
+        expect(res.status).toBe(400);
+        expect(findUser).not.toHaveBeenCalled();
+    });
+
+    it('refuses wrong passwords and registrations that were never rejected', async () => {
+        const pending = signInAs(pendingApplicant());
+        expect((await request(app).post('/appeal').send({ username: pending.username, password: 'wrong', message: 'Hi' })).status).toBe(401);
+        expect((await request(app).post('/appeal').send({ username: pending.username, password: 'secret123', message: 'Hi' })).status).toBe(400);
+    });
+});
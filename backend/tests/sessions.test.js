@@ -0,0 +1,111 @@
+// backend/tests/sessions.test.js
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createSession, rotateRefreshToken, revokeSession } = require('../controllers/sessionHelper');
+const { hashToken } = require('../controllers/tokenHelper');
+const { protect } = require('../middleware/authMiddleware');
+const { mockQuery, objectId, makeUser } = require('./helpers');
+
+const fakeReq = (fields = {}) => ({ ip: '10.0.0.1', headers: { 'user-agent': 'Mozilla/5.0 (Linux; Android 14)' }, body: {}, ...fields });
+
+describe('createSession', () => {
+    it('stores only the hash of the refresh token and binds the access token to the session', async () => {
+        const user = makeUser();
+        const create = jest.spyOn(Session, 'create').mockImplementation(async (doc) => ({ _id: objectId(), ...doc }));
+
+        const { accessToken, refreshToken, session } = await createSession(user, fakeReq());
+
+        const [sessionId, secret] = refreshToken.split('.');
+        expect(sessionId).toBe(session._id.toString());
+        expect(create.mock.calls[0][0].tokenHash).toBe(hashToken(secret));
+        expect(create.mock.calls[0][0].deviceName).toBe('Android device');
+        expect(jwt.verify(accessToken, process.env.JWT_SECRET)).toMatchObject({ id: user._id.toString(), sid: session._id.toString() });
+    });
+});
+
+describe('rotateRefreshToken', () => {
+    it('swaps the presented token for a new one and remembers the old hash', async () => {
+        const sessionId = objectId();
+        const session = { _id: sessionId, user: objectId() };
+        const update = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+
+        const result = await rotateRefreshToken(`${sessionId}.oldsecret`, fakeReq());
+
+        const [filter, change] = update.mock.calls[0];
+        expect(filter).toMatchObject({ _id: sessionId.toString(), tokenHash: hashToken('oldsecret'), revokedAt: null });
+        expect(change.$push.previousTokenHashes.$each).toEqual([hashToken('oldsecret')]);
+        expect(change.$set.tokenHash).toBe(hashToken(result.refreshToken.split('.')[1]));
+        expect(result.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+    });
+
+    it('revokes the whole session when an already rotated token is replayed', async () => {
+        const sessionId = objectId();
+        const update = jest.spyOn(Session, 'findOneAndUpdate')
+            .mockResolvedValueOnce(null) // Not the current token
+            .mockResolvedValueOnce({ _id: sessionId, user: objectId() }); // But a previous one
+
+        await expect(rotateRefreshToken(`${sessionId}.stolen`, fakeReq())).rejects.toMatchObject({ statusCode: 401 });
+
+        const [filter, change] = update.mock.calls[1];
+        expect(filter).toMatchObject({ _id: sessionId.toString(), previousTokenHashes: hashToken('stolen') });
+        expect(change.$set.revokedReason).toBe('token_reuse');
+    });
+
+    it('rejects malformed tokens without a database lookup', async () => {
+        const update = jest.spyOn(Session, 'findOneAndUpdate');
+        await expect(rotateRefreshToken('not-a-token', fakeReq())).rejects.toMatchObject({ statusCode: 401 });
+        await expect(rotateRefreshToken({ $ne: null }, fakeReq())).rejects.toMatchObject({ statusCode: 401 });
+        expect(update).not.toHaveBeenCalled();
+    });
+});
+
+describe('revokeSession', () => {
+    it('only revokes a session of the given user', async () => {
+        const sessionId = objectId();
+        const userId = objectId();
+        const update = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+
+        expect(await revokeSession(sessionId.toString(), 'revoked_by_user', userId)).toBeNull();
+        expect(update.mock.calls[0][0]).toEqual({ _id: sessionId.toString(), revokedAt: null, user: userId });
+    });
+});
+
+describe('protect', () => {
+    const run = async (token) => {
+        const req = { headers: { authorization: `Bearer ${token}` } };
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        const next = jest.fn();
+        await protect(req, res, next);
+        return { req, res, next };
+    };
+
+    it('accepts an access token of an active session', async () => {
+        const user = makeUser();
+        const session = new Session({ user: user._id, tokenHash: 'x', expiresAt: new Date(Date.now() + 60000) });
+        jest.spyOn(Session, 'findById').mockResolvedValue(session);
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+
+        const { req, next } = await run(jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET));
+
+        expect(next).toHaveBeenCalled();
+        expect(req.sessionId).toBe(session._id.toString());
+    });
+
+    it('rejects a still-valid access token once its session is revoked', async () => {
+        const user = makeUser();
+        const session = new Session({ user: user._id, tokenHash: 'x', expiresAt: new Date(Date.now() + 60000), revokedAt: new Date() });
+        jest.spyOn(Session, 'findById').mockResolvedValue(session);
+
+        const { res, next } = await run(jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET));
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('rejects tokens without a session ID', async () => {
+        const { res, next } = await run(jwt.sign({ id: objectId() }, process.env.JWT_SECRET));
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+});
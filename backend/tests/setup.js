@@ -0,0 +1,23 @@
+// backend/tests/setup.js
+// Runs before every test file: test secrets, and no database. Model calls are mocked per test,
+// so a query a test forgot to mock fails at once instead of waiting for a connection.
+// (package.json maps the '../models/User' and '../models/Post' requires to the lowercase files,
+// which only resolve on case-insensitive file systems otherwise.)
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.CLOUDINARY_CLOUD_NAME = 'test';
+process.env.CLOUDINARY_API_KEY = 'test';
+process.env.CLOUDINARY_API_SECRET = 'test';
+process.env.MAIL_TRANSPORT = 'console';
+
+const mongoose = require('mongoose');
+mongoose.set('bufferCommands', false);
+
+// Controllers log every handled error and modules log their configuration on load; keep the test
+// output readable (again before each test, because the config restores spies between tests)
+const silenceConsole = () => {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        jest.spyOn(console, method).mockImplementation(() => {});
+    }
+};
+silenceConsole();
+beforeEach(silenceConsole);
@@ -0,0 +1,214 @@
+// backend/tests/shares.test.js
+const request = require('supertest');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const Notification = require('../models/Notification');
+const { repostPost, undoRepost, quotePost } = require('../controllers/shareController');
+const { attachSharedPosts, getCollapsedFeedPage, handleOriginalDeleted } = require('../controllers/shareHelper');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const author = makeUser();
+const sharer = makeUser();
+const appFor = (user) => buildApp(app => {
+    app.post('/posts/:postId/repost', repostPost);
+    app.delete('/posts/:postId/repost', undoRepost);
+    app.post('/posts/:postId/quote', quotePost);
+}, { user });
+const app = appFor(sharer);
+
+const originalId = objectId();
+
+// The original as findShareablePost loads it (author populated)
+const original = (fields = {}, authorFields = {}) => ({
+    _id: originalId, user: { _id: author._id, isPrivate: false, accountStatus: 'active', ...authorFields }, visibility: 'public', ...fields
+});
+
+// Post.create hands back a document whose populate() needs no database
+const serveCreate = () => jest.spyOn(Post, 'create').mockImplementation(async (fields) => {
+    const post = new Post(fields);
+    post.populate = jest.fn().mockResolvedValue(post);
+    return post;
+});
+
+beforeEach(() => {
+    jest.spyOn(Post, 'findById').mockReturnValue(mockQuery(original()));
+    jest.spyOn(Post, 'findByIdAndUpdate').mockReturnValue(mockQuery({ shareCount: 4 }));
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(makeUser()));
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue({ _id: objectId() });
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Notification, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+});
+
+const notifiedGroups = () => Notification.findOneAndUpdate.mock.calls.map(([filter]) => filter.groupKey);
+
+describe('POST /posts/:postId/repost', () => {
+    it('reposts the original, counts the share and notifies its author', async () => {
+        const create = serveCreate();
+
+        const res = await request(app).post(`/posts/${originalId}/repost`).send({ visibility: 'followers' });
+
+        expect(res.status).toBe(201);
+        expect(create.mock.calls[0][0]).toEqual({ user: sharer._id, content: '', sharedPost: originalId, shareType: 'repost', visibility: 'followers' });
+        expect(Post.findByIdAndUpdate.mock.calls[0][1]).toEqual({ $inc: { shareCount: 1 } });
+        expect(res.body.shareCount).toBe(4);
+        expect(notifiedGroups()).toEqual([`repost:Post:${originalId}`]);
+    });
+
+    it('reposting a repost shares its original', async () => {
+        const create = serveCreate();
+        const repostId = objectId();
+        Post.findById.mockReturnValueOnce(mockQuery({ _id: repostId, user: { _id: objectId() }, shareType: 'repost', sharedPost: originalId }));
+
+        expect((await request(app).post(`/posts/${repostId}/repost`)).status).toBe(201);
+        expect(Post.findById).toHaveBeenLastCalledWith(originalId);
+        expect(create.mock.calls[0][0].sharedPost).toEqual(originalId);
+    });
+
+    it('answers 409 for a second repost of the same post', async () => {
+        jest.spyOn(Post, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+        expect((await request(app).post(`/posts/${originalId}/repost`)).status).toBe(409);
+        expect(Post.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        ['a followers-only post', original({ visibility: 'followers' }), 404],
+        ['a close-friends post the member is allowed to see', original({ visibility: 'close_friends' }), 403, true],
+        ['a post of a private account', original({}, { isPrivate: true }), 404],
+        ['a post of a banned member', original({}, { accountStatus: 'banned' }), 404]
+    ])('refuses to share %s', async (label, post, status, isCloseFriend = false) => {
+        const create = serveCreate();
+        Post.findById.mockReturnValue(mockQuery(post));
+        User.exists.mockImplementation(async (filter) => (isCloseFriend && (filter.followers || filter.closeFriends) ? { _id: author._id } : null));
+
+        expect((await request(app).post(`/posts/${originalId}/repost`)).status).toBe(status);
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('answers 403 across a block and 400 for your own post, an unknown visibility or a malformed ID', async () => {
+        const create = serveCreate();
+        User.exists.mockResolvedValue({ _id: author._id });
+        expect((await request(app).post(`/posts/${originalId}/repost`)).status).toBe(403);
+
+        User.exists.mockResolvedValue(null);
+        expect((await request(appFor(author)).post(`/posts/${originalId}/repost`)).status).toBe(400);
+        expect((await request(app).post(`/posts/${originalId}/repost`).send({ visibility: 'everyone' })).status).toBe(400);
+        expect((await request(app).post('/posts/nope/repost')).status).toBe(400);
+        expect(create).not.toHaveBeenCalled();
+    });
+});
+
+describe('DELETE /posts/:postId/repost', () => {
+    beforeEach(() => {
+        jest.spyOn(Comment, 'deleteMany').mockResolvedValue({});
+        jest.spyOn(Reaction, 'deleteMany').mockResolvedValue({});
+        jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+    });
+
+    it('accepts the ID of the repost itself and removes it with its activity', async () => {
+        const repost = { _id: objectId(), shareType: 'repost', sharedPost: originalId };
+        Post.findById.mockReturnValueOnce(mockQuery(repost)).mockReturnValue(mockQuery({ _id: originalId, user: author._id, shareCount: 3 }));
+        const remove = jest.spyOn(Post, 'findOneAndDelete').mockResolvedValue(repost);
+
+        const res = await request(app).delete(`/posts/${repost._id}/repost`);
+
+        expect(res.status).toBe(200);
+        expect(remove).toHaveBeenCalledWith({ user: sharer._id, sharedPost: originalId, shareType: 'repost' });
+        expect(Comment.deleteMany).toHaveBeenCalledWith({ post: { $in: [repost._id] } });
+        expect(Post.updateOne).toHaveBeenCalledWith({ _id: originalId, shareCount: { $gt: 0 } }, { $inc: { shareCount: -1 } });
+        expect(res.body.shareCount).toBe(3);
+    });
+
+    it('answers 404 when the member has not reposted the post, and 400 for a malformed ID', async () => {
+        Post.findById.mockReturnValue(mockQuery({ _id: originalId, shareType: null }));
+        jest.spyOn(Post, 'findOneAndDelete').mockResolvedValue(null);
+        expect((await request(app).delete(`/posts/${originalId}/repost`)).status).toBe(404);
+        expect((await request(app).delete('/posts/nope/repost')).status).toBe(400);
+    });
+});
+
+describe('POST /posts/:postId/quote', () => {
+    it('creates a quote-post with its own text and tags', async () => {
+        const create = serveCreate();
+
+        const res = await request(app).post(`/posts/${originalId}/quote`).send({ content: ' Everyone come! #Puja ' });
+
+        expect(res.status).toBe(201);
+        expect(create.mock.calls[0][0]).toMatchObject({ content: 'Everyone come! #Puja', shareType: 'quote', sharedPost: originalId, hashtags: ['puja'] });
+        const quote = await create.mock.results[0].value;
+        expect(notifiedGroups()).toEqual([`quote:Post:${quote._id}`]);
+    });
+
+    it.each([
+        ['missing', {}],
+        ['blank', { content: '   ' }],
+        ['a number', { content: 12 }],
+        ['an object', { content: { $ne: '' } }]
+    ])('answers 400 when the text is %s', async (label, body) => {
+        const create = serveCreate();
+        expect((await request(app).post(`/posts/${originalId}/quote`).send(body)).status).toBe(400);
+        expect(create).not.toHaveBeenCalled();
+    });
+});
+
+describe('attachSharedPosts', () => {
+    it('embeds visible originals and drops reposts whose original is gone', async () => {
+        const goneId = objectId();
+        jest.spyOn(Post, 'find').mockReturnValue(mockQuery([{ ...original(), reactionCounts: { like: 2, sad: 1 } }]));
+        const posts = [
+            { _id: objectId(), shareType: 'repost', sharedPost: originalId },
+            { _id: objectId(), shareType: 'repost', sharedPost: goneId },
+            { _id: objectId(), shareType: 'quote', sharedPost: goneId },
+            { _id: objectId(), content: 'Plain' }
+        ];
+
+        const result = await attachSharedPosts(posts, sharer._id);
+
+        expect(result.map(post => post._id)).toEqual([posts[0]._id, posts[2]._id, posts[3]._id]);
+        expect(result[0].sharedPost).toMatchObject({ _id: originalId, likeCount: 3, user: { _id: author._id } });
+        expect(result[0].sharedPost.user.accountStatus).toBeUndefined();
+        expect(result[1]).toMatchObject({ sharedPost: null, sharedPostUnavailable: true });
+    });
+});
+
+describe('getCollapsedFeedPage', () => {
+    it('groups reposts of one original into a single entry with the reposting members', async () => {
+        const reposter = makeUser();
+        const repost = { _id: objectId(), user: reposter._id, shareType: 'repost', sharedPost: originalId };
+        const aggregation = mockQuery([{ page: [{ post: repost, repostedBy: [reposter._id] }], total: [{ count: 7 }] }]);
+        const aggregate = jest.spyOn(Post, 'aggregate').mockReturnValue(aggregation);
+        User.find.mockReturnValue(mockQuery([{ _id: reposter._id, username: reposter.username }]));
+        jest.spyOn(Post, 'populate').mockResolvedValue([]);
+
+        const { posts, total } = await getCollapsedFeedPage({ user: { $in: [reposter._id] } }, [], { skip: 0, limit: 10 });
+
+        expect(total).toBe(7);
+        expect(posts[0].repostedBy).toEqual([{ _id: reposter._id, username: reposter.username }]);
+        const group = aggregate.mock.calls[0][0].find(stage => stage.$group).$group;
+        expect(group._id).toEqual({ $cond: [{ $eq: ['$shareType', 'repost'] }, '$sharedPost', '$_id'] });
+        expect(aggregation.allowDiskUse).toHaveBeenCalledWith(true);
+    });
+});
+
+describe('handleOriginalDeleted', () => {
+    it('deletes the reposts with their activity and marks quote-posts as having lost their original', async () => {
+        const repostIds = [objectId(), objectId()];
+        jest.spyOn(Post, 'find').mockReturnValue(mockQuery(repostIds));
+        jest.spyOn(Post, 'deleteMany').mockResolvedValue({});
+        jest.spyOn(Post, 'updateMany').mockResolvedValue({});
+        jest.spyOn(Comment, 'deleteMany').mockResolvedValue({});
+        jest.spyOn(Reaction, 'deleteMany').mockResolvedValue({});
+
+        await handleOriginalDeleted(originalId);
+
+        expect(Post.deleteMany).toHaveBeenCalledWith({ _id: { $in: repostIds } });
+        expect(Reaction.deleteMany).toHaveBeenCalledWith({ post: { $in: repostIds } });
+        expect(Notification.deleteMany).toHaveBeenCalledTimes(2);
+        expect(Post.updateMany).toHaveBeenCalledWith({ sharedPost: originalId, shareType: 'quote' }, { $set: { sharedPostRemoved: true } });
+    });
+});
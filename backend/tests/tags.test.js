@@ -0,0 +1,135 @@
+// backend/tests/tags.test.js
+const request = require('supertest');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Reaction = require('../models/Reaction');
+const PollVote = require('../models/PollVote');
+const Notification = require('../models/Notification');
+const { normalizeTag, extractHashtags, resolveMentions, notifyMentions } = require('../controllers/tagHelper');
+const { getTagPosts, getTrendingTags } = require('../controllers/tagController');
+const { maxHashtags, trendingMaxWindowHours } = require('../config/posts');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+describe('extractHashtags', () => {
+    it('finds unique, normalised hashtags in any script', () => {
+        expect(extractHashtags('#Diwali2024 lights! #होली and #diwali2024 again')).toEqual(['diwali2024', 'होली']);
+        expect(normalizeTag('#Navratri ')).toBe('navratri');
+    });
+
+    it('ignores # inside words, URLs and HTML entities', () => {
+        expect(extractHashtags('a#b https://example.com/page#section &#39; C#')).toEqual([]);
+    });
+
+    it(`keeps at most ${maxHashtags} hashtags`, () => {
+        const text = Array.from({ length: maxHashtags + 5 }, (_, index) => `#tag${index}`).join(' ');
+        expect(extractHashtags(text)).toHaveLength(maxHashtags);
+    });
+
+    it('copes with texts that are not strings', () => {
+        expect(extractHashtags(undefined)).toEqual([]);
+    });
+});
+
+describe('resolveMentions', () => {
+    it('looks up the mentioned usernames among verified, non-banned members', async () => {
+        const ids = [objectId()];
+        const query = mockQuery(ids);
+        jest.spyOn(User, 'find').mockReturnValue(query);
+
+        expect(await resolveMentions('Thanks @Asha_P and @asha_p, mail me at me@example.com')).toBe(ids);
+        expect(User.find).toHaveBeenCalledWith({ username: { $in: ['asha_p'] }, verified: true, accountStatus: { $ne: 'banned' } });
+        expect(query.distinct).toHaveBeenCalledWith('_id');
+    });
+
+    it('skips the lookup when nobody is mentioned', async () => {
+        const find = jest.spyOn(User, 'find');
+        expect(await resolveMentions('No mentions here')).toEqual([]);
+        expect(find).not.toHaveBeenCalled();
+    });
+});
+
+describe('notifyMentions', () => {
+    const actor = objectId();
+    const subjectId = objectId();
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(makeUser()));
+        jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+        jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue({ _id: objectId() });
+        jest.spyOn(Notification, 'countDocuments').mockResolvedValue(1);
+    });
+
+    const notifiedMembers = () => Notification.findOneAndUpdate.mock.calls.map(([filter]) => filter.recipient);
+
+    it('skips earlier mentions, the author, blocked members and members who cannot see the content', async () => {
+        const [fresh, earlier, blocked, hidden] = [objectId(), objectId(), objectId(), objectId()];
+        jest.spyOn(User, 'find').mockReturnValue(mockQuery([blocked]));
+        const canSee = jest.fn(async (userId) => !userId.equals(hidden));
+
+        await notifyMentions({
+            mentionIds: [fresh, earlier, blocked, hidden, actor], previousMentionIds: [earlier], actor,
+            type: 'mention', subjectType: 'Post', subjectId, preview: 'Hi', canSee
+        });
+
+        expect(notifiedMembers()).toEqual([fresh]);
+        expect(Notification.findOneAndUpdate.mock.calls[0][0].groupKey).toBe(`mention:Post:${subjectId}`);
+    });
+
+    it('never throws, so a failed lookup cannot fail the post', async () => {
+        jest.spyOn(User, 'find').mockImplementation(() => { throw new Error('Lookup failed'); });
+        await expect(notifyMentions({ mentionIds: [objectId()], actor, type: 'mention', subjectType: 'Post', subjectId })).resolves.toBeUndefined();
+    });
+});
+
+describe('tag endpoints', () => {
+    const viewer = makeUser();
+    const app = buildApp(app => {
+        app.get('/tags/trending', getTrendingTags);
+        app.get('/tags/:tag/posts', getTagPosts);
+    }, { user: viewer });
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(makeUser()));
+        jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+        jest.spyOn(Post, 'populate').mockResolvedValue([]);
+        jest.spyOn(Reaction, 'find').mockReturnValue(mockQuery([]));
+        jest.spyOn(PollVote, 'find').mockReturnValue(mockQuery([]));
+    });
+
+    it('lists posts for the normalised tag, one page at a time', async () => {
+        const posts = [0, 1, 2].map(() => ({ _id: objectId(), content: '#Holi', reactionCounts: { like: 2, love: 1 } }));
+        const aggregate = jest.spyOn(Post, 'aggregate').mockResolvedValue(posts);
+
+        const res = await request(app).get('/tags/%23Holi/posts?limit=2');
+
+        expect(res.status).toBe(200);
+        expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { hashtags: 'holi' } });
+        expect(res.body).toMatchObject({ tag: 'holi', count: 2, pagination: { hasMore: true, nextCursor: posts[1]._id.toString() } });
+        expect(res.body.posts[0]).toMatchObject({ likeCount: 3, myReaction: null });
+    });
+
+    it('answers 400 for an empty tag or a malformed cursor', async () => {
+        const aggregate = jest.spyOn(Post, 'aggregate');
+        expect((await request(app).get('/tags/%23/posts')).status).toBe(400);
+        expect((await request(app).get('/tags/holi/posts?before=nope')).status).toBe(400);
+        expect(aggregate).not.toHaveBeenCalled();
+    });
+
+    it('ranks trending tags over the requested window, capped at the maximum', async () => {
+        const tags = [{ tag: 'holi', postCount: 4, authorCount: 3 }];
+        const aggregate = jest.spyOn(Post, 'aggregate').mockResolvedValue(tags);
+
+        const res = await request(app).get(`/tags/trending?hours=${trendingMaxWindowHours * 10}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ windowHours: trendingMaxWindowHours, count: 1, tags });
+        const [match] = aggregate.mock.calls[0][0];
+        expect(Date.now() - match.$match.createdAt.$gte.getTime()).toBeGreaterThanOrEqual(trendingMaxWindowHours * 60 * 60 * 1000);
+    });
+
+    it('answers 400 for a window that is not positive', async () => {
+        const aggregate = jest.spyOn(Post, 'aggregate');
+        expect((await request(app).get('/tags/trending?hours=-3')).status).toBe(400);
+        expect(aggregate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,61 @@
+// backend/tests/totp.test.js
+const { generateSecret, buildOtpAuthUri, verifyTotp, generateRecoveryCodes, checkSecondFactor } = require('../controllers/totpHelper');
+
+// RFC 6238 test secret ("12345678901234567890") in base32; at T = 59s the SHA-1 code is 94287082
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('verifyTotp', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(59 * 1000);
+    });
+    afterEach(() => jest.useRealTimers());
+
+    it('accepts the RFC 6238 reference code and returns its time step', () => {
+        expect(verifyTotp(RFC_SECRET, '287082')).toBe(1);
+        expect(verifyTotp(RFC_SECRET, '287 082')).toBe(1); // Spaces as typed from the app
+    });
+
+    it('rejects wrong, malformed and replayed codes', () => {
+        expect(verifyTotp(RFC_SECRET, '000000')).toBeNull();
+        expect(verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+        expect(verifyTotp(RFC_SECRET, { $ne: null })).toBeNull();
+        expect(verifyTotp(RFC_SECRET, '287082', 1)).toBeNull(); // Already used in this step
+    });
+});
+
+describe('generateSecret / buildOtpAuthUri', () => {
+    it('creates a 160-bit base32 secret and an otpauth URI for it', () => {
+        const secret = generateSecret();
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        const uri = buildOtpAuthUri(secret, 'ravi', 'Patwa.Toli');
+        expect(uri.startsWith('otpauth://totp/Patwa.Toli%3Aravi?')).toBe(true);
+        expect(new URL(uri).searchParams.get('secret')).toBe(secret);
+    });
+});
+
+describe('checkSecondFactor', () => {
+    it('accepts each recovery code once', () => {
+        const { codes, hashes } = generateRecoveryCodes(3);
+        const user = { twoFactorRecoveryCodes: [...hashes] };
+
+        expect(checkSecondFactor(user, { recoveryCode: ` ${codes[1].toUpperCase()} ` })).toBe(true);
+        expect(user.twoFactorRecoveryCodes).toHaveLength(2);
+        expect(checkSecondFactor(user, { recoveryCode: codes[1] })).toBe(false);
+    });
+
+    it('records the step of an accepted code so it cannot be replayed', () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(59 * 1000);
+        const user = { twoFactorSecret: RFC_SECRET, twoFactorLastUsedStep: null };
+
+        expect(checkSecondFactor(user, { code: '287082' })).toBe(true);
+        expect(user.twoFactorLastUsedStep).toBe(1);
+        expect(checkSecondFactor(user, { code: '287082' })).toBe(false);
+        jest.useRealTimers();
+    });
+
+    it('rejects a request without any factor', () => {
+        expect(checkSecondFactor({}, {})).toBe(false);
+    });
+});
@@ -0,0 +1,128 @@
+// backend/tests/vouches.test.js
+const request = require('supertest');
+const User = require('../models/User');
+const Vouch = require('../models/Vouch');
+const AuditLog = require('../models/AuditLog');
+const membershipConfig = require('../config/membership');
+const { isTrustedVoucher, describeDocuments } = require('../controllers/membershipHelper');
+const { vouchForApplicant, withdrawVouch } = require('../controllers/vouchController');
+const { mockQuery, objectId, makeUser, buildApp } = require('./helpers');
+
+const longAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+const appFor = (member) => buildApp(app => {
+    app.post('/applicants/:username/vouch', vouchForApplicant);
+    app.delete('/applicants/:username/vouch', withdrawVouch);
+}, { user: member });
+
+const pendingApplicant = (fields = {}) => makeUser({ verified: false, verificationRequestedAt: new Date(), emailVerified: true, ...fields });
+
+describe('isTrustedVoucher', () => {
+    it('trusts long-standing active members and staff only', () => {
+        expect(isTrustedVoucher(makeUser({ createdAt: longAgo }))).toBe(true);
+        expect(isTrustedVoucher(makeUser({ createdAt: new Date() }))).toBe(false);
+        expect(isTrustedVoucher(makeUser({ createdAt: new Date(), roles: ['moderator'] }))).toBe(true);
+        expect(isTrustedVoucher(makeUser({ createdAt: longAgo, accountStatus: 'suspended' }))).toBe(false);
+        expect(isTrustedVoucher(makeUser({ createdAt: longAgo, verified: false }))).toBe(false);
+    });
+});
+
+describe('POST /users/applicants/:username/vouch', () => {
+    const member = makeUser({ createdAt: longAgo });
+
+    afterEach(() => {
+        membershipConfig.autoApproveVouchThreshold = 0;
+    });
+
+    it('records a vouch, looking the applicant up by lowercase username', async () => {
+        const applicant = pendingApplicant();
+        const findApplicant = jest.spyOn(User, 'findOne').mockResolvedValue(applicant);
+        jest.spyOn(Vouch, 'findOne').mockResolvedValue(null);
+        const create = jest.spyOn(Vouch, 'create').mockImplementation(async (doc) => doc);
+
+        const res = await request(appFor(member)).post('/applicants/Asha/vouch').send({ relation: 'neighbour', note: 'Lives next door' });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ trusted: true, autoApproved: false });
+        expect(findApplicant.mock.calls[0][0]).toMatchObject({ username: 'asha', verified: false });
+        expect(create.mock.calls[0][0]).toMatchObject({ applicant: applicant._id, voucher: member.id, relation: 'neighbour' });
+    });
+
+    it('approves the applicant once enough trusted vouches exist', async () => {
+        membershipConfig.autoApproveVouchThreshold = 2;
+        const applicant = pendingApplicant();
+        jest.spyOn(applicant, 'save').mockResolvedValue(applicant);
+        jest.spyOn(User, 'findOne').mockResolvedValue(applicant);
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery(null)); // Notification preferences
+        jest.spyOn(Vouch, 'findOne').mockResolvedValue(null);
+        jest.spyOn(Vouch, 'create').mockImplementation(async (doc) => doc);
+        jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+        const untrusted = makeUser({ createdAt: new Date() });
+        jest.spyOn(Vouch, 'find').mockReturnValue(mockQuery([member, makeUser({ createdAt: longAgo }), untrusted]
+            .map(voucher => ({ _id: objectId(), applicant: applicant._id, voucher, relation: 'friend' }))));
+
+        const res = await request(appFor(member)).post(`/applicants/${applicant.username}/vouch`).send({ relation: 'friend' });
+
+        expect(res.body.autoApproved).toBe(true);
+        expect(applicant).toMatchObject({ verified: true, approvalMethod: 'vouches' });
+        expect(AuditLog.create.mock.calls[0][0].action).toBe('user.auto_approve');
+    });
+
+    it('does not auto-approve applicants who have not confirmed their email', async () => {
+        membershipConfig.autoApproveVouchThreshold = 1;
+        const applicant = pendingApplicant({ emailVerified: false });
+        jest.spyOn(User, 'findOne').mockResolvedValue(applicant);
+        jest.spyOn(Vouch, 'findOne').mockResolvedValue(null);
+        jest.spyOn(Vouch, 'create').mockImplementation(async (doc) => doc);
+        const summaries = jest.spyOn(Vouch, 'find');
+
+        const res = await request(appFor(member)).post(`/applicants/${applicant.username}/vouch`).send({ relation: 'friend' });
+
+        expect(res.body.autoApproved).toBe(false);
+        expect(summaries).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown relations, self-vouching and repeat vouches', async () => {
+        expect((await request(appFor(member)).post('/applicants/asha/vouch').send({ relation: 'cousin' })).status).toBe(400);
+
+        jest.spyOn(User, 'findOne').mockResolvedValue(member);
+        expect((await request(appFor(member)).post(`/applicants/${member.username}/vouch`).send({ relation: 'friend' })).status).toBe(400);
+
+        jest.spyOn(User, 'findOne').mockResolvedValue(pendingApplicant());
+        jest.spyOn(Vouch, 'findOne').mockResolvedValue({ _id: objectId() });
+        const repeat = await request(appFor(member)).post('/applicants/asha/vouch').send({ relation: 'friend' });
+        expect(repeat.status).toBe(400);
+        expect(repeat.body.message).toBe('You have already vouched for this applicant.');
+    });
+
+    it('answers 404 for members who are not pending', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+        expect((await request(appFor(member)).post('/applicants/ravi/vouch').send({ relation: 'friend' })).status).toBe(404);
+    });
+});
+
+describe('DELETE /users/applicants/:username/vouch', () => {
+    it('withdraws only your own vouch', async () => {
+        const member = makeUser();
+        const applicant = pendingApplicant();
+        jest.spyOn(User, 'findOne').mockResolvedValue(applicant);
+        const remove = jest.spyOn(Vouch, 'deleteOne').mockResolvedValueOnce({ deletedCount: 1 }).mockResolvedValueOnce({ deletedCount: 0 });
+
+        expect((await request(appFor(member)).delete('/applicants/asha/vouch')).status).toBe(200);
+        expect((await request(appFor(member)).delete('/applicants/asha/vouch')).status).toBe(404);
+        expect(remove.mock.calls[0][0]).toEqual({ applicant: applicant._id, voucher: member.id });
+    });
+});
+
+describe('describeDocuments', () => {
+    it('hands admins short-lived signed links, never the stored location', () => {
+        const applicant = { verificationDocuments: [{ _id: objectId(), publicId: 'verification/abc', format: 'pdf', resourceType: 'raw', originalName: 'id.pdf' }] };
+
+        const [doc] = describeDocuments(applicant);
+
+        const expiresAt = Number(new URL(doc.url).searchParams.get('expires_at'));
+        expect(doc).toMatchObject({ originalName: 'id.pdf', format: 'pdf' });
+        expect(doc).not.toHaveProperty('publicId');
+        expect(expiresAt * 1000).toBeCloseTo(Date.now() + membershipConfig.documentLinkTtlMinutes * 60 * 1000, -4);
+        expect(new URL(doc.url).searchParams.get('signature')).toBeTruthy();
+    });
+});